@@ -0,0 +1,125 @@
+/**
+ * @fileoverview A1 notation helpers for ak-sheets
+ * Shared by the client and the in-memory fake backend
+ */
+
+/**
+ * Converts a 0-based column index to its A1 letters
+ * @param {number} index - 0-based column index
+ * @returns {string} Column letters (e.g. 0 -> 'A', 26 -> 'AA')
+ * @example
+ * columnToLetter(0);   // 'A'
+ * columnToLetter(701); // 'ZZ'
+ */
+export function columnToLetter(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Converts A1 column letters to a 0-based column index
+ * @param {string} letters - Column letters (case-insensitive)
+ * @returns {number} 0-based column index (e.g. 'A' -> 0, 'AA' -> 26)
+ */
+export function letterToColumn(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Quotes a tab name for use in an A1 range when it needs it
+ * @param {string} tab - Tab name
+ * @returns {string} Tab name safe to prefix a range with
+ */
+export function quoteTab(tab) {
+    return /^[A-Za-z0-9_]+$/.test(tab) ? tab : `'${tab.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Builds the A1 range covering a whole tab
+ * The range always names the columns: a bare tab name like 'Q1' or 'AB12' would be read as a cell.
+ * ZZZ is the last column a grid can have.
+ * @param {string} tab - Tab name
+ * @returns {string} Whole-tab range
+ * @example
+ * tabRange('Q1');      // 'Q1!A:ZZZ'
+ * tabRange('My Tab');  // "'My Tab'!A:ZZZ"
+ */
+export function tabRange(tab) {
+    return `${quoteTab(tab)}!A:ZZZ`;
+}
+
+/**
+ * Parses an A1 range into 0-based grid coordinates
+ * Start indexes are inclusive, end indexes are exclusive, and null ends are unbounded.
+ * @param {string} range - A1 range (e.g. 'Users!A1:C10', 'A:ZZ', "'My Tab'!B2", 'Users')
+ * @returns {import('./index.d.ts').GridRange} Parsed range
+ * @example
+ * parseA1('Users!B2:D');
+ * // { tab: 'Users', startRow: 1, endRow: null, startColumn: 1, endColumn: 4 }
+ */
+export function parseA1(range) {
+    let tab = null;
+    let ref = range;
+
+    const bang = range.lastIndexOf('!');
+    if (bang !== -1) {
+        tab = range.slice(0, bang);
+        ref = range.slice(bang + 1);
+    } else if (!/^[A-Za-z]*\d*(:[A-Za-z]*\d*)?$/.test(range) || !/:|[A-Za-z]+\d+/.test(range)) {
+        // Bare tab name - covers the whole grid
+        tab = range;
+        ref = '';
+    }
+
+    if (tab !== null && tab.startsWith("'") && tab.endsWith("'")) {
+        tab = tab.slice(1, -1).replace(/''/g, "'");
+    }
+
+    /** @type {import('./index.d.ts').GridRange} */
+    const result = { tab, startRow: 0, endRow: null, startColumn: 0, endColumn: null };
+    if (!ref) return result;
+
+    const [startRef, endRef = startRef] = ref.split(':');
+    const start = /^([A-Za-z]*)(\d*)$/.exec(startRef);
+    const end = /^([A-Za-z]*)(\d*)$/.exec(endRef);
+    if (!start || !end) {
+        throw new Error(`Invalid A1 range: ${range}`);
+    }
+
+    if (start[1]) result.startColumn = letterToColumn(start[1]);
+    if (start[2]) result.startRow = parseInt(start[2], 10) - 1;
+    if (end[1]) result.endColumn = letterToColumn(end[1]) + 1;
+    if (end[2]) result.endRow = parseInt(end[2], 10);
+
+    return result;
+}
+
+/**
+ * Formats 0-based grid coordinates as an A1 range
+ * @param {import('./index.d.ts').GridRange} gridRange - Range to format
+ * @returns {string} A1 range (e.g. 'Users!A1:C10')
+ */
+export function formatA1(gridRange) {
+    const { tab, startRow = 0, endRow = null, startColumn = 0, endColumn = null } = gridRange;
+
+    // Fully unbounded ranges cover the whole tab
+    if (endRow === null && endColumn === null && startRow === 0 && startColumn === 0 && tab) {
+        return tabRange(tab);
+    }
+
+    const prefix = tab ? `${quoteTab(tab)}!` : '';
+    const start = `${columnToLetter(startColumn)}${endRow === null && startRow === 0 ? '' : startRow + 1}`;
+    const end = `${endColumn === null ? '' : columnToLetter(endColumn - 1)}${endRow === null ? '' : endRow}`;
+
+    return `${prefix}${start}:${end}`;
+}
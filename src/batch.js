@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Batch builder for ak-sheets
+ * Queues tab, formatting, dimension and value changes, resolves tab names to sheetIds once,
+ * and sends them as a single spreadsheets.batchUpdate plus a single values.batchUpdate.
+ */
+
+import { parseA1, quoteTab, columnToLetter } from './a1.js';
+import { hexToColor, formatRequests } from './format.js';
+
+// Tabs added without a size get Sheets' default grid
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+
+/**
+ * Tracks tab names, sheetIds and grid sizes while queued operations are resolved in order
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @returns {any} Resolution context
+ */
+function createContext(info) {
+    /** @type {Map<string, {sheetId: number, rowCount: number, columnCount: number}>} */
+    const tabs = new Map();
+    for (const { properties } of info.sheets || []) {
+        const { rowCount = 0, columnCount = 0 } = properties.gridProperties || {};
+        tabs.set(properties.title, { sheetId: properties.sheetId, rowCount, columnCount });
+    }
+
+    // New sheetIds are assigned here so later operations in the batch can refer to new tabs
+    let nextSheetId = Math.max(0, ...[...tabs.values()].map(tab => tab.sheetId)) + 1;
+
+    return {
+        tabs,
+        firstTitle: info.sheets?.[0]?.properties?.title,
+        /** @type {any[]} */
+        requests: [],
+        /** @type {Array<{sheetId: number, startRow: number, startColumn: number, values: any[][]}>} */
+        writes: [],
+        newSheetId: () => nextSheetId++,
+
+        /**
+         * Looks up a tab as it stands at this point in the batch
+         * @param {string} [title] - Tab name (the first tab if omitted)
+         * @returns {{sheetId: number, rowCount: number, columnCount: number}} Tab entry
+         */
+        lookup(title) {
+            const tab = tabs.get(title ?? this.firstTitle);
+            if (!tab) {
+                throw new Error(`Tab '${title}' not found in spreadsheet`);
+            }
+            return tab;
+        },
+
+        /**
+         * Converts an A1 range to an API GridRange
+         * @param {string} range - A1 range, optionally with a tab (the first tab if omitted)
+         * @returns {any} GridRange with sheetId and 0-based indexes (unbounded ends omitted)
+         */
+        gridRange(range) {
+            const parsed = parseA1(range);
+            const { sheetId } = this.lookup(parsed.tab ?? undefined);
+            return {
+                sheetId,
+                startRowIndex: parsed.startRow,
+                ...(parsed.endRow !== null && { endRowIndex: parsed.endRow }),
+                startColumnIndex: parsed.startColumn,
+                ...(parsed.endColumn !== null && { endColumnIndex: parsed.endColumn })
+            };
+        },
+
+        /**
+         * Queues appendDimension requests so a tab is at least the given size
+         * @param {{sheetId: number, rowCount: number, columnCount: number}} tab - Tab entry
+         * @param {number} rowCount - Rows needed
+         * @param {number} columnCount - Columns needed
+         */
+        grow(tab, rowCount, columnCount) {
+            if (rowCount > tab.rowCount) {
+                this.requests.push({ appendDimension: { sheetId: tab.sheetId, dimension: 'ROWS', length: rowCount - tab.rowCount } });
+                tab.rowCount = rowCount;
+            }
+            if (columnCount > tab.columnCount) {
+                this.requests.push({ appendDimension: { sheetId: tab.sheetId, dimension: 'COLUMNS', length: columnCount - tab.columnCount } });
+                tab.columnCount = columnCount;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a batch builder for one spreadsheet
+ * Operations are only checked and turned into requests when dryRun() or commit() is called,
+ * so a batch can refer to tabs it adds or renames earlier in the same batch.
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {object} client - Client hooks the batch sends through
+ * @param {import('pino').Logger} client.logger - Logger
+ * @param {(spreadsheetId: string) => Promise<any>} client.getSheetInfo - Reads spreadsheet metadata
+ * @param {(data: any) => any[][]} client.toValues - Converts SpreadsheetData to rows
+ * @param {(params: any) => Promise<any>} client.batchUpdate - Sends spreadsheets.batchUpdate
+ * @param {(params: any) => Promise<any>} client.valuesBatchUpdate - Sends spreadsheets.values.batchUpdate
+ * @returns {import('./index.d.ts').BatchBuilder} Chainable batch builder
+ */
+export function createBatch(spreadsheetId, client) {
+    const { logger } = client;
+    /** @type {Array<(ctx: any) => void>} */
+    const operations = [];
+
+    /**
+     * Resolves every queued operation into request payloads
+     * @returns {Promise<import('./index.d.ts').BatchPlan>} Payloads commit() would send
+     */
+    async function plan() {
+        const ctx = createContext(await client.getSheetInfo(spreadsheetId));
+        operations.forEach(operation => operation(ctx));
+
+        // Value writes go out after the structural changes, so they address tabs by their final names
+        const titles = new Map([...ctx.tabs].map(([title, tab]) => [tab.sheetId, title]));
+        const data = ctx.writes.map(({ sheetId, startRow, startColumn, values }) => {
+            const title = titles.get(sheetId);
+            if (title === undefined) {
+                throw new Error(`Cannot write to a tab that is deleted later in the batch (sheetId ${sheetId})`);
+            }
+            return { range: `${quoteTab(title)}!${columnToLetter(startColumn)}${startRow + 1}`, values };
+        });
+
+        return {
+            batchUpdate: ctx.requests.length > 0
+                ? { spreadsheetId, resource: { requests: ctx.requests } }
+                : null,
+            valuesBatchUpdate: data.length > 0
+                ? { spreadsheetId, resource: { valueInputOption: 'USER_ENTERED', data } }
+                : null
+        };
+    }
+
+    /** @type {import('./index.d.ts').BatchBuilder} */
+    const builder = {
+        get size() {
+            return operations.length;
+        },
+
+        addTab(title, options = {}) {
+            const { index, hidden = false, tabColor, rowCount, columnCount } = options;
+            operations.push(ctx => {
+                if (ctx.tabs.has(title)) {
+                    throw new Error(`Tab '${title}' already exists in spreadsheet`);
+                }
+                const sheetId = ctx.newSheetId();
+                const gridProperties = {
+                    rowCount: rowCount ?? DEFAULT_ROW_COUNT,
+                    columnCount: columnCount ?? DEFAULT_COLUMN_COUNT
+                };
+                ctx.requests.push({
+                    addSheet: {
+                        properties: {
+                            sheetId,
+                            title,
+                            ...(index !== undefined && { index }),
+                            hidden,
+                            ...(tabColor && { tabColor: hexToColor(tabColor) }),
+                            ...((rowCount !== undefined || columnCount !== undefined) && { gridProperties })
+                        }
+                    }
+                });
+                ctx.tabs.set(title, { sheetId, ...gridProperties });
+            });
+            return builder;
+        },
+
+        deleteTab(title) {
+            operations.push(ctx => {
+                const { sheetId } = ctx.lookup(title);
+                ctx.requests.push({ deleteSheet: { sheetId } });
+                ctx.tabs.delete(title);
+            });
+            return builder;
+        },
+
+        renameTab(oldName, newName) {
+            operations.push(ctx => {
+                const tab = ctx.lookup(oldName);
+                if (ctx.tabs.has(newName)) {
+                    throw new Error(`Tab '${newName}' already exists in spreadsheet`);
+                }
+                ctx.requests.push({ updateSheetProperties: { properties: { sheetId: tab.sheetId, title: newName }, fields: 'title' } });
+                ctx.tabs.delete(oldName);
+                ctx.tabs.set(newName, tab);
+            });
+            return builder;
+        },
+
+        duplicateTab(sourceTabName, newTabName) {
+            operations.push(ctx => {
+                const source = ctx.lookup(sourceTabName);
+                const title = newTabName || `Copy of ${sourceTabName}`;
+                if (ctx.tabs.has(title)) {
+                    throw new Error(`Tab '${title}' already exists in spreadsheet`);
+                }
+                const newSheetId = ctx.newSheetId();
+                ctx.requests.push({ duplicateSheet: { sourceSheetId: source.sheetId, newSheetId, newSheetName: title } });
+                ctx.tabs.set(title, { ...source, sheetId: newSheetId });
+            });
+            return builder;
+        },
+
+        freeze(tab, { rows, columns } = {}) {
+            operations.push(ctx => {
+                const { sheetId } = ctx.lookup(tab);
+                const gridProperties = {
+                    ...(rows !== undefined && { frozenRowCount: rows }),
+                    ...(columns !== undefined && { frozenColumnCount: columns })
+                };
+                ctx.requests.push({
+                    updateSheetProperties: {
+                        properties: { sheetId, gridProperties },
+                        fields: Object.keys(gridProperties).map(key => `gridProperties.${key}`).join(',')
+                    }
+                });
+            });
+            return builder;
+        },
+
+        format(range, style) {
+            operations.push(ctx => {
+                ctx.requests.push(...formatRequests(ctx.gridRange(range), style));
+            });
+            return builder;
+        },
+
+        resizeColumns(range, pixelSize) {
+            operations.push(ctx => {
+                const { sheetId, startColumnIndex, endColumnIndex } = ctx.gridRange(range);
+                ctx.requests.push({
+                    updateDimensionProperties: {
+                        range: { sheetId, dimension: 'COLUMNS', startIndex: startColumnIndex, endIndex: endColumnIndex ?? startColumnIndex + 1 },
+                        properties: { pixelSize },
+                        fields: 'pixelSize'
+                    }
+                });
+            });
+            return builder;
+        },
+
+        appendDimension(tab, dimension, length) {
+            operations.push(ctx => {
+                const entry = ctx.lookup(tab);
+                ctx.requests.push({ appendDimension: { sheetId: entry.sheetId, dimension, length } });
+                entry[dimension === 'COLUMNS' ? 'columnCount' : 'rowCount'] += length;
+            });
+            return builder;
+        },
+
+        insertDimension(tab, dimension, startIndex, endIndex) {
+            operations.push(ctx => {
+                const entry = ctx.lookup(tab);
+                ctx.requests.push({
+                    insertDimension: {
+                        range: { sheetId: entry.sheetId, dimension, startIndex, endIndex },
+                        inheritFromBefore: startIndex > 0
+                    }
+                });
+                entry[dimension === 'COLUMNS' ? 'columnCount' : 'rowCount'] += endIndex - startIndex;
+            });
+            return builder;
+        },
+
+        deleteDimension(tab, dimension, startIndex, endIndex) {
+            operations.push(ctx => {
+                const entry = ctx.lookup(tab);
+                ctx.requests.push({ deleteDimension: { range: { sheetId: entry.sheetId, dimension, startIndex, endIndex } } });
+                entry[dimension === 'COLUMNS' ? 'columnCount' : 'rowCount'] -= endIndex - startIndex;
+            });
+            return builder;
+        },
+
+        clear(range) {
+            operations.push(ctx => {
+                ctx.requests.push({ updateCells: { range: ctx.gridRange(range), fields: 'userEnteredValue' } });
+            });
+            return builder;
+        },
+
+        write(range, data) {
+            const values = client.toValues(data);
+            operations.push(ctx => {
+                const { tab: title, startRow = 0, startColumn = 0 } = parseA1(range);
+                const tab = ctx.lookup(title ?? undefined);
+                const width = values.reduce((widest, row) => Math.max(widest, row.length), 0);
+
+                // Grow the grid so the write fits, like writeToSheet does
+                ctx.grow(tab, startRow + values.length, startColumn + width);
+                ctx.writes.push({ sheetId: tab.sheetId, startRow, startColumn, values });
+            });
+            return builder;
+        },
+
+        request(request) {
+            operations.push(ctx => {
+                ctx.requests.push(typeof request === 'function'
+                    ? request({ sheetId: (/** @type {string} */ title) => ctx.lookup(title).sheetId, gridRange: (/** @type {string} */ range) => ctx.gridRange(range) })
+                    : request);
+            });
+            return builder;
+        },
+
+        dryRun() {
+            return plan();
+        },
+
+        async commit() {
+            const payloads = await plan();
+            logger.debug({
+                spreadsheetId,
+                operations: operations.length,
+                requests: payloads.batchUpdate?.resource.requests.length || 0,
+                valueRanges: payloads.valuesBatchUpdate?.resource.data.length || 0
+            }, 'Committing batch');
+
+            let replies = [];
+            if (payloads.batchUpdate) {
+                const response = await client.batchUpdate(payloads.batchUpdate);
+                replies = response?.data?.replies || [];
+            }
+
+            let updatedCells = 0;
+            if (payloads.valuesBatchUpdate) {
+                try {
+                    const response = await client.valuesBatchUpdate(payloads.valuesBatchUpdate);
+                    updatedCells = response?.data?.totalUpdatedCells || 0;
+                } catch (error) {
+                    if (payloads.batchUpdate) {
+                        logger.error({ spreadsheetId, error: (error).message }, 'Batch values failed after its structural changes were applied');
+                    }
+                    throw error;
+                }
+            }
+
+            logger.info({ spreadsheetId, operations: operations.length, updatedCells }, 'Batch committed successfully');
+            return { spreadsheetId, replies, updatedCells };
+        }
+    };
+
+    return builder;
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Chart helpers for ak-sheets
+ * Builds EmbeddedChart specs from header names and a tab's data extent, and reads them back.
+ */
+
+import { columnToLetter, parseA1, quoteTab } from './a1.js';
+import { columnIndex } from './format.js';
+
+const BASIC_CHART_TYPES = { line: 'LINE', bar: 'BAR', column: 'COLUMN', area: 'AREA', scatter: 'SCATTER' };
+
+// Charts placed next to the data get Sheets' default size
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 371;
+
+/**
+ * Builds the ChartSpec for a chart over a tab's data
+ * Every series covers the header plus all data rows, so the header becomes the series name.
+ * @param {import('./index.d.ts').ChartOptions} chart - Chart type, x and y columns and title
+ * @param {{sheetId: number, headers: any[], rowCount: number}} data - The data tab's sheetId, header row and row count (header included)
+ * @returns {any} ChartSpec
+ * @example
+ * toChartSpec({ type: 'line', x: 'date', y: ['revenue'] }, { sheetId: 0, headers: ['date', 'revenue'], rowCount: 31 });
+ * // { basicChart: { chartType: 'LINE', domains: [...A1:A31], series: [...B1:B31], headerCount: 1, ... } }
+ */
+export function toChartSpec(chart, data) {
+    const { type = 'line', x, y, title, stacked = false } = chart;
+    const { sheetId, headers, rowCount } = data;
+    if (x === undefined || y === undefined || [y].flat().length === 0) {
+        throw new Error('Chart needs an x column and at least one y column');
+    }
+    if (rowCount < 2) {
+        throw new Error('Chart needs a header row and at least one data row');
+    }
+
+    /** @param {string} key */
+    const source = (key) => {
+        const column = columnIndex(headers, key);
+        return { sourceRange: { sources: [{ sheetId, startRowIndex: 0, endRowIndex: rowCount, startColumnIndex: column, endColumnIndex: column + 1 }] } };
+    };
+    const ys = [y].flat();
+
+    if (type === 'pie') {
+        if (ys.length !== 1) {
+            throw new Error('Pie charts take exactly one y column');
+        }
+        return {
+            ...(title && { title }),
+            pieChart: { legendPosition: 'RIGHT_LEGEND', domain: source(x), series: source(ys[0]) }
+        };
+    }
+
+    const chartType = BASIC_CHART_TYPES[type];
+    if (!chartType) {
+        throw new Error(`Unknown chart type: ${type} (expected line, bar, column, area, scatter or pie)`);
+    }
+
+    // Bar charts run horizontally, so their category axis is on the left
+    const [domainAxis, valueAxis] = chartType === 'BAR' ? ['LEFT_AXIS', 'BOTTOM_AXIS'] : ['BOTTOM_AXIS', 'LEFT_AXIS'];
+    return {
+        ...(title && { title }),
+        basicChart: {
+            chartType,
+            legendPosition: 'BOTTOM_LEGEND',
+            axis: [{ position: domainAxis, title: x }],
+            domains: [{ domain: source(x) }],
+            series: ys.map(key => ({ series: source(key), targetAxis: valueAxis })),
+            headerCount: 1,
+            ...(stacked && { stackedType: 'STACKED' })
+        }
+    };
+}
+
+/**
+ * Builds an EmbeddedObjectPosition
+ * @param {import('./index.d.ts').ChartOptions['position']} position - 'newSheet', or an anchor cell with offsets and size
+ * @param {{sheetId: number, columnCount: number, sheetIdOf: (tab: string) => number}} data - Data tab's sheetId and width, and a tab lookup for anchors on other tabs
+ * @returns {any} EmbeddedObjectPosition (to the right of the data when no anchor is given)
+ */
+export function toChartPosition(position, data) {
+    if (position === 'newSheet') {
+        return { newSheet: true };
+    }
+
+    const { anchor, offsetX = 0, offsetY = 0, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = position || {};
+    let anchorCell = { sheetId: data.sheetId, rowIndex: 0, columnIndex: data.columnCount + 1 };
+    if (anchor) {
+        const { tab, startRow = 0, endRow, startColumn = 0, endColumn } = parseA1(anchor);
+        if (endRow !== startRow + 1 || endColumn !== startColumn + 1) {
+            throw new Error(`Invalid chart anchor: ${anchor} (expected a cell like 'H2' or 'Dashboard!B2')`);
+        }
+        anchorCell = {
+            sheetId: tab ? data.sheetIdOf(tab) : data.sheetId,
+            rowIndex: startRow,
+            columnIndex: startColumn
+        };
+    }
+
+    return { overlayPosition: { anchorCell, offsetXPixels: offsetX, offsetYPixels: offsetY, widthPixels: width, heightPixels: height } };
+}
+
+/**
+ * Converts an API EmbeddedChart back to the friendly shape
+ * @param {any} chart - EmbeddedChart from spreadsheets.get
+ * @param {Map<number, {title: string, headers: any[]}>} tabs - Tab titles and header rows by sheetId
+ * @returns {import('./index.d.ts').ChartInfo} Chart with the columns it plots
+ */
+export function fromChart(chart, tabs) {
+    const { spec = {}, position = {}, chartId } = chart;
+    const basic = spec.basicChart;
+    const pie = spec.pieChart;
+
+    /** @param {any} seriesSource */
+    const describe = (seriesSource) => {
+        const range = seriesSource?.sourceRange?.sources?.[0] || {};
+        const tab = tabs.get(range.sheetId);
+        const column = range.startColumnIndex ?? 0;
+        return { tab: tab?.title, column: tab?.headers[column] || columnToLetter(column), rowCount: range.endRowIndex };
+    };
+
+    const domain = describe(basic ? basic.domains?.[0]?.domain : pie?.domain);
+    const series = basic ? (basic.series || []).map((/** @type {any} */ s) => describe(s.series)) : [describe(pie?.series)];
+    const type = basic
+        ? /** @type {any} */ (Object.keys(BASIC_CHART_TYPES).find(name => BASIC_CHART_TYPES[name] === basic.chartType) || basic.chartType.toLowerCase())
+        : 'pie';
+
+    /** @type {import('./index.d.ts').ChartInfo['position']} */
+    let friendlyPosition = 'newSheet';
+    if (position.overlayPosition) {
+        const { anchorCell = {}, offsetXPixels = 0, offsetYPixels = 0, widthPixels, heightPixels } = position.overlayPosition;
+        friendlyPosition = {
+            anchor: `${quoteTab(tabs.get(anchorCell.sheetId)?.title ?? '')}!${columnToLetter(anchorCell.columnIndex ?? 0)}${(anchorCell.rowIndex ?? 0) + 1}`,
+            offsetX: offsetXPixels,
+            offsetY: offsetYPixels,
+            width: widthPixels,
+            height: heightPixels
+        };
+    }
+
+    return {
+        chartId,
+        tab: domain.tab,
+        type,
+        ...(spec.title && { title: spec.title }),
+        x: domain.column,
+        y: series.map((/** @type {any} */ s) => s.column),
+        ...(basic?.stackedType === 'STACKED' && { stacked: true }),
+        rowCount: domain.rowCount,
+        position: friendlyPosition
+    };
+}
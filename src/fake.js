@@ -0,0 +1,1407 @@
+/**
+ * @fileoverview In-memory fake Google Sheets/Drive backend for ak-sheets
+ * Implements the subset of `sheets.spreadsheets.*` and `drive.*` calls the client makes,
+ * so the library can run offline (tests, CI, local development).
+ */
+
+import { randomBytes } from 'crypto';
+import xlsx from 'xlsx';
+import { parseA1, formatA1, columnToLetter } from './a1.js';
+
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+const MAX_CELLS = 10000000;
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+
+// Formats the Sheets web export takes, by the MIME type files.export would use for them
+const DOCS_EXPORT_FORMATS = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ods: 'application/x-vnd.oasis.opendocument.spreadsheet',
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values'
+};
+
+/**
+ * Renders a whole tab as a grid of values, trimmed to its last non-empty row
+ * @param {any} tab - Stored tab
+ * @param {string} valueRenderOption - Sheets value render option
+ * @returns {any[][]} Rows of rendered values, with null for empty cells
+ */
+function tabValues(tab, valueRenderOption) {
+    const rows = Array.from(tab.data, (/** @type {any[]|undefined} */ row) =>
+        Array.from(row || [], value => isEmpty(value) ? null : renderValue(value, valueRenderOption)));
+    while (rows.length && rows[rows.length - 1].every(value => value === null)) rows.pop();
+    return rows;
+}
+
+/**
+ * Builds the file Drive's files.export would return for a spreadsheet
+ * CSV and TSV hold the first tab, like the real export. XLSX and ODS workbooks carry each tab's values
+ * (no formatting), and PDF is a placeholder document, since the fake has no renderer.
+ * @param {any} spreadsheet - Stored spreadsheet
+ * @param {string} mimeType - Requested export MIME type
+ * @returns {Buffer} File contents
+ */
+function exportFile(spreadsheet, mimeType) {
+    switch (mimeType) {
+        case 'text/csv':
+        case 'text/tab-separated-values': {
+            const sheet = xlsx.utils.aoa_to_sheet(tabValues(spreadsheet.tabs[0], 'FORMATTED_VALUE'));
+            return Buffer.from(xlsx.utils.sheet_to_csv(sheet, { FS: mimeType === 'text/csv' ? ',' : '\t' }));
+        }
+        case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+        case 'application/x-vnd.oasis.opendocument.spreadsheet': {
+            const workbook = xlsx.utils.book_new();
+            for (const tab of spreadsheet.tabs.filter((/** @type {any} */ t) => t.properties.sheetType !== 'OBJECT')) {
+                xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(tabValues(tab, 'UNFORMATTED_VALUE')), tab.properties.title);
+            }
+            return xlsx.write(workbook, { type: 'buffer', bookType: mimeType.endsWith('sheet') ? 'xlsx' : 'ods' });
+        }
+        case 'application/pdf': {
+            // The placeholder names the tabs it stands for, so callers can tell which ones were exported
+            const titles = spreadsheet.tabs.map((/** @type {any} */ tab) => tab.properties.title).join(', ');
+            return Buffer.from(`%PDF-1.4\n% ${spreadsheet.properties.title}: ${titles} (ak-sheets fake export)\n%%EOF\n`);
+        }
+        default:
+            throw apiError(400, 'The requested conversion is not supported.');
+    }
+}
+
+/**
+ * Builds an error shaped like the ones googleapis throws for API failures
+ * @param {number} code - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error & {code: number}} Error with numeric code
+ */
+function apiError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Deep copies plain JSON data so callers never share state with the fake
+ * @param {any} value - Value to copy
+ * @returns {any} Copied value
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Interprets a value the way Sheets does for valueInputOption USER_ENTERED
+ * @param {any} value - Raw input value
+ * @returns {any} Stored cell value
+ */
+function parseUserEntered(value) {
+    if (typeof value !== 'string') return value;
+
+    // A leading apostrophe forces text, and is not part of the stored value
+    if (value.startsWith("'")) return value.slice(1);
+
+    const trimmed = value.trim();
+    if (trimmed === '') return '';
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return Number(trimmed);
+    if (/^(true|false)$/i.test(trimmed)) return trimmed.toUpperCase() === 'TRUE';
+    return value;
+}
+
+/**
+ * Renders a stored cell value for values.get
+ * Formulas are stored but not evaluated - they read back as their formula text.
+ * @param {any} value - Stored cell value
+ * @param {string} [valueRenderOption='FORMATTED_VALUE'] - Sheets value render option
+ * @returns {any} Rendered value
+ */
+function renderValue(value, valueRenderOption = 'FORMATTED_VALUE') {
+    if (value === null || value === undefined) return '';
+    if (valueRenderOption !== 'FORMATTED_VALUE') return value;
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+/**
+ * Checks whether a stored cell counts as empty
+ * @param {any} value - Stored cell value
+ * @returns {boolean} True if the cell is empty
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Creates an in-memory fake of the Google Sheets and Drive APIs
+ * Pass it as `transport` to `initSheets()` or `createSheetsClient()` to run without credentials.
+ * @param {import('./index.d.ts').FakeTransportOptions} [options={}] - Fake backend options
+ * @returns {import('./index.d.ts').FakeTransport} Transport exposing `sheets`, `drive`, `docs` and a call log
+ * @example
+ * import { createSheetsClient, createFakeTransport } from 'ak-sheets';
+ *
+ * const transport = createFakeTransport();
+ * const client = createSheetsClient({ transport });
+ *
+ * const id = await client.createSheet('Offline');
+ * await client.writeToSheet(id, [{ name: 'John', age: 30 }]);
+ * console.log(await client.getSheet(id)); // [{ name: 'John', age: '30' }]
+ * console.log(transport.calls.length);    // every API call the client made
+ */
+export function createFakeTransport(options = {}) {
+    const {
+        user = { emailAddress: 'fake-service-account@example.com', displayName: 'Fake Service Account' }
+    } = options;
+
+    /** @type {Map<string, any>} */
+    const spreadsheets = new Map();
+    /** @type {Map<string, string[]>} Drive folders of spreadsheets moved out of the root */
+    const parentsById = new Map();
+    /** @type {Array<{method: string, params: any}>} */
+    const calls = [];
+    let nextSheetId = 1;
+    let nextPermissionId = 1;
+    let nextBandedRangeId = 1;
+    let nextObjectId = 1;
+
+    /**
+     * Wraps a handler so it is logged and answers like a googleapis method
+     * @param {string} name - Dotted API method name
+     * @param {(params: any) => any} handler - Handler returning the response body
+     * @returns {(params?: any) => Promise<{status: number, data: any}>} Fake API method
+     */
+    function method(name, handler) {
+        return async (params = {}) => {
+            calls.push({ method: name, params: clone(params) });
+            return { status: 200, data: clone(handler(params)) };
+        };
+    }
+
+    /**
+     * Looks up a spreadsheet or throws a 404
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {any} Stored spreadsheet
+     */
+    function getSpreadsheet(spreadsheetId) {
+        const spreadsheet = spreadsheets.get(spreadsheetId);
+        if (!spreadsheet) {
+            throw apiError(404, 'Requested entity was not found.');
+        }
+        return spreadsheet;
+    }
+
+    /**
+     * Creates a tab with Sheets' default properties
+     * @param {any} [properties={}] - Requested sheet properties
+     * @returns {any} Stored tab
+     */
+    function makeTab(properties = {}) {
+        const sheetId = properties.sheetId ?? nextSheetId++;
+        nextSheetId = Math.max(nextSheetId, sheetId + 1);
+        return {
+            properties: {
+                sheetId,
+                title: properties.title,
+                index: properties.index ?? 0,
+                sheetType: 'GRID',
+                hidden: properties.hidden || false,
+                gridProperties: {
+                    rowCount: DEFAULT_ROW_COUNT,
+                    columnCount: DEFAULT_COLUMN_COUNT,
+                    ...properties.gridProperties
+                },
+                ...(properties.tabColor && { tabColor: properties.tabColor })
+            },
+            data: []
+        };
+    }
+
+    /**
+     * Renumbers tab indexes after tabs are added, moved or removed
+     * @param {any} spreadsheet - Stored spreadsheet
+     */
+    function reindex(spreadsheet) {
+        spreadsheet.tabs.forEach((tab, index) => {
+            tab.properties.index = index;
+        });
+    }
+
+    /**
+     * Finds a tab by sheetId or throws a 400
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {number} sheetId - Sheet ID
+     * @returns {any} Stored tab
+     */
+    function findTabById(spreadsheet, sheetId) {
+        const tab = spreadsheet.tabs.find(t => t.properties.sheetId === sheetId);
+        if (!tab) {
+            throw apiError(400, `No grid with id: ${sheetId}`);
+        }
+        return tab;
+    }
+
+    /**
+     * Resolves an A1 range or a named range against a spreadsheet
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {string} range - A1 range or range name
+     * @returns {any} Tab plus 0-based bounds (and the name, for named ranges)
+     */
+    function resolveRange(spreadsheet, range) {
+        // A bare tab name is read as the tab, unless it is also a valid cell reference (e.g. 'Q1' but not 'Sheet1')
+        const isCell = /^[A-Za-z]{1,3}\d+$/.test(range);
+        const byName = !isCell && spreadsheet.tabs.find(t => t.properties.title === range);
+        if (byName) {
+            return { tab: byName, startRow: 0, endRow: null, startColumn: 0, endColumn: null };
+        }
+
+        const named = (spreadsheet.namedRanges || []).find((/** @type {any} */ n) => n.name === range);
+        if (named) {
+            const { sheetId = 0, startRowIndex = 0, endRowIndex = null, startColumnIndex = 0, endColumnIndex = null } = named.range;
+            return { tab: findTabById(spreadsheet, sheetId), startRow: startRowIndex, endRow: endRowIndex, startColumn: startColumnIndex, endColumn: endColumnIndex, name: range };
+        }
+
+        let parsed;
+        try {
+            parsed = parseA1(range);
+        } catch (error) {
+            throw apiError(400, `Unable to parse range: ${range}`);
+        }
+
+        const tab = parsed.tab === null
+            ? spreadsheet.tabs[0]
+            : spreadsheet.tabs.find(t => t.properties.title === parsed.tab);
+        if (!tab) {
+            throw apiError(400, `Unable to parse range: ${range}`);
+        }
+        return { ...parsed, tab };
+    }
+
+    /**
+     * Checks that values written at a resolved range fit the grid, and the named range when one was given, or throws a 400
+     * @param {any} resolved - Range from resolveRange()
+     * @param {string} range - Range as requested, for error messages
+     * @param {any[][]} values - Rows to write
+     */
+    function assertWriteFits(resolved, range, values) {
+        const { rowCount, columnCount } = resolved.tab.properties.gridProperties;
+        const width = Math.max(0, ...values.map(row => (row || []).length));
+        if (resolved.startRow + values.length > rowCount || resolved.startColumn + width > columnCount) {
+            throw apiError(400, `Range (${range}) exceeds grid limits. Max rows: ${rowCount}, max columns: ${columnCount}`);
+        }
+        if (resolved.name && resolved.endRow !== null && resolved.startRow + values.length > resolved.endRow) {
+            throw apiError(400, `Requested writing within range [${range}], but tried writing to row [${resolved.startRow + values.length}]`);
+        }
+        if (resolved.name && resolved.endColumn !== null && resolved.startColumn + width > resolved.endColumn) {
+            throw apiError(400, `Requested writing within range [${range}], but tried writing to column [${columnToLetter(resolved.startColumn + width - 1)}]`);
+        }
+    }
+
+    /**
+     * Checks that filter and sort column indexes fall inside a range, or throws a 400
+     * @param {any} resolved - Range from resolveGridRange()
+     * @param {any[]} sortSpecs - SortSpecs (dimensionIndex)
+     * @param {any[]} filterSpecs - FilterSpecs (columnIndex)
+     * @param {string} kind - Request kind, for error messages
+     */
+    function checkColumns(resolved, sortSpecs, filterSpecs, kind) {
+        const columns = [
+            ...sortSpecs.map((/** @type {any} */ spec) => spec.dimensionIndex),
+            ...filterSpecs.map((/** @type {any} */ spec) => spec.columnIndex)
+        ];
+        for (const column of columns) {
+            if (!Number.isInteger(column) || column < resolved.startColumn || column >= resolved.endColumn) {
+                throw apiError(400, `Invalid requests[0].${kind}: Column ${column} is outside the range.`);
+            }
+        }
+    }
+
+    /**
+     * Sorts the rows of a range in place, moving validation rules with their cells
+     * Like Sheets, numbers sort before text and booleans, and blank cells always go last.
+     * @param {any} resolved - Range from resolveGridRange()
+     * @param {any[]} sortSpecs - SortSpecs, first key first
+     */
+    function sortRows(resolved, sortSpecs) {
+        const { tab, startRow, startColumn, endColumn } = resolved;
+        // Rows past the last stored one are blank, and stay where they are
+        const endRow = Math.min(resolved.endRow, tab.data.length);
+        if (endRow - startRow < 2) return;
+
+        /** @param {any} value */
+        const rank = (value) => isEmpty(value) ? 3 : typeof value === 'number' ? 0 : typeof value === 'boolean' ? 2 : 1;
+        /** @param {number} a @param {number} b */
+        const compare = (a, b) => {
+            for (const { dimensionIndex, sortOrder } of sortSpecs) {
+                const x = tab.data[a]?.[dimensionIndex];
+                const y = tab.data[b]?.[dimensionIndex];
+                const byRank = rank(x) - rank(y);
+                if (byRank !== 0) return byRank;
+                if (rank(x) === 3) continue;
+                const order = rank(x) === 1 ? String(x).localeCompare(String(y)) : Number(x) - Number(y);
+                if (order !== 0) return sortOrder === 'DESCENDING' ? -order : order;
+            }
+            return 0;
+        };
+
+        const order = Array.from({ length: endRow - startRow }, (_, i) => startRow + i).sort(compare);
+        for (const grid of [tab.data, tab.validations || []]) {
+            const slices = order.map(r => (grid[r] || []).slice(startColumn, endColumn));
+            slices.forEach((slice, i) => {
+                const row = grid[startRow + i] || (grid[startRow + i] = []);
+                for (let c = startColumn; c < endColumn; c++) {
+                    if (slice[c - startColumn] === undefined) {
+                        delete row[c];
+                    } else {
+                        row[c] = slice[c - startColumn];
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Checks a range name is valid and not taken (names are case-insensitive), or throws a 400
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {string} name - Range name
+     * @param {string} kind - Request kind, for error messages
+     * @param {any} [self] - Named range being renamed, which doesn't clash with itself
+     */
+    function checkRangeName(spreadsheet, name, kind, self) {
+        // Names can't look like cell references (A1 or R1C1), or they'd be ambiguous in formulas
+        if (!/^[A-Za-z_][A-Za-z0-9_.]{0,249}$/.test(name) || /^[A-Za-z]{1,3}\d+$/.test(name) || /^R\d*C\d*$/i.test(name)) {
+            throw apiError(400, `Invalid requests[0].${kind}: The name "${name}" is not valid. Names must start with a letter or underscore, contain only letters, numbers and underscores, and can't be a cell reference.`);
+        }
+        if ((spreadsheet.namedRanges || []).some((/** @type {any} */ n) => n !== self && n.name.toLowerCase() === name.toLowerCase())) {
+            throw apiError(400, `Invalid requests[0].${kind}: Named range "${name}" already exists.`);
+        }
+    }
+
+    /**
+     * Moves named ranges on a tab to follow rows or columns being inserted or deleted
+     * Ranges whose cells are all deleted are dropped.
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {number} sheetId - Tab the dimension change is on
+     * @param {'rowCount'|'columnCount'} key - Which dimension changed
+     * @param {(index: number) => number} move - Maps an index before the change to its index after
+     */
+    function shiftNamedRanges(spreadsheet, sheetId, key, move) {
+        const [startKey, endKey] = key === 'rowCount' ? ['startRowIndex', 'endRowIndex'] : ['startColumnIndex', 'endColumnIndex'];
+        spreadsheet.namedRanges = (spreadsheet.namedRanges || []).filter((/** @type {any} */ named) => {
+            const { range } = named;
+            if ((range.sheetId ?? 0) !== sheetId) return true;
+            if (range[startKey] !== undefined) range[startKey] = move(range[startKey]);
+            if (range[endKey] !== undefined) range[endKey] = move(range[endKey]);
+            return range[endKey] === undefined || range[endKey] > (range[startKey] ?? 0);
+        });
+    }
+
+    /**
+     * Resolves an API GridRange ({ sheetId, startRowIndex, ... }) against a spreadsheet
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} gridRange - GridRange from a batchUpdate request
+     * @param {string} kind - Request kind, for error messages
+     * @returns {any} Tab plus 0-based bounds, clipped to the grid
+     */
+    function resolveGridRange(spreadsheet, gridRange = {}, kind) {
+        const tab = findTabById(spreadsheet, gridRange.sheetId ?? 0);
+        const { rowCount, columnCount } = tab.properties.gridProperties;
+        const bounds = {
+            startRow: gridRange.startRowIndex ?? 0,
+            endRow: gridRange.endRowIndex ?? rowCount,
+            startColumn: gridRange.startColumnIndex ?? 0,
+            endColumn: gridRange.endColumnIndex ?? columnCount
+        };
+        if (bounds.endRow > rowCount || bounds.endColumn > columnCount) {
+            throw apiError(400, `Invalid requests[0].${kind}: Range ${formatA1({ tab: tab.properties.title, ...bounds })} exceeds grid limits. Max rows: ${rowCount}, max columns: ${columnCount}`);
+        }
+        return { tab, ...bounds };
+    }
+
+    /**
+     * Resolves a DimensionRange ({ sheetId, dimension, startIndex, endIndex }) against a spreadsheet
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} range - DimensionRange from a batchUpdate request
+     * @param {string} kind - Request kind, for error messages
+     * @returns {{tab: any, key: 'rowCount'|'columnCount', start: number, end: number}} Tab and 0-based bounds
+     */
+    function resolveDimensionRange(spreadsheet, range = {}, kind) {
+        const tab = findTabById(spreadsheet, range.sheetId);
+        const key = range.dimension === 'COLUMNS' ? 'columnCount' : 'rowCount';
+        const size = tab.properties.gridProperties[key];
+        const start = range.startIndex ?? 0;
+        const end = range.endIndex ?? size;
+        if (start < 0 || end > size || start >= end) {
+            throw apiError(400, `Invalid requests[0].${kind}: Invalid dimension range ${start}-${end} for a grid with ${size} ${range.dimension === 'COLUMNS' ? 'columns' : 'rows'}`);
+        }
+        return { tab, key, start, end };
+    }
+
+    /**
+     * Checks a conditional format rule's ranges and returns the tab they are on
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} rule - ConditionalFormatRule from a batchUpdate request
+     * @param {string} kind - Request kind, for error messages
+     * @returns {any} Stored tab
+     */
+    function conditionalRuleTab(spreadsheet, rule, kind) {
+        const ranges = rule.ranges || [];
+        if (ranges.length === 0 || (!rule.booleanRule && !rule.gradientRule)) {
+            throw apiError(400, `Invalid requests[0].${kind}: A conditional format rule needs ranges and a booleanRule or gradientRule.`);
+        }
+        const points = rule.gradientRule ? [rule.gradientRule.minpoint, rule.gradientRule.midpoint, rule.gradientRule.maxpoint] : [];
+        for (const point of points) {
+            if (point && ['NUMBER', 'PERCENT', 'PERCENTILE'].includes(point.type) && point.value === undefined) {
+                throw apiError(400, `Invalid requests[0].${kind}: A ${point.type} interpolation point needs a value.`);
+            }
+        }
+        const tabs = new Set(ranges.map((/** @type {any} */ range) => resolveGridRange(spreadsheet, range, kind).tab));
+        if (tabs.size > 1) {
+            throw apiError(400, `Invalid requests[0].${kind}: All ranges of a conditional format rule must be on the same sheet.`);
+        }
+        return [...tabs][0];
+    }
+
+    /**
+     * Clips a resolved range to the tab's grid
+     * @param {any} resolved - Range from resolveRange()
+     * @returns {{startRow: number, endRow: number, startColumn: number, endColumn: number}} Bounded range
+     */
+    function clip(resolved) {
+        const { rowCount, columnCount } = resolved.tab.properties.gridProperties;
+        return {
+            startRow: resolved.startRow,
+            endRow: Math.min(resolved.endRow ?? rowCount, rowCount),
+            startColumn: resolved.startColumn,
+            endColumn: Math.min(resolved.endColumn ?? columnCount, columnCount)
+        };
+    }
+
+    /**
+     * Writes a block of values into a tab starting at a cell
+     * @param {any} tab - Stored tab
+     * @param {number} startRow - 0-based row
+     * @param {number} startColumn - 0-based column
+     * @param {any[][]} values - Rows to write (null cells are left untouched)
+     * @param {string} valueInputOption - RAW or USER_ENTERED
+     */
+    function writeBlock(tab, startRow, startColumn, values, valueInputOption) {
+        values.forEach((row, r) => {
+            const target = tab.data[startRow + r] || (tab.data[startRow + r] = []);
+            (row || []).forEach((value, c) => {
+                if (value === null || value === undefined) return;
+                target[startColumn + c] = valueInputOption === 'RAW' ? value : parseUserEntered(value);
+            });
+        });
+    }
+
+    /**
+     * Builds the update summary Sheets returns for a written block
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {any} tab - Stored tab
+     * @param {number} startRow - 0-based row
+     * @param {number} startColumn - 0-based column
+     * @param {any[][]} values - Rows written
+     * @returns {any} Update summary
+     */
+    function updateSummary(spreadsheetId, tab, startRow, startColumn, values) {
+        const width = Math.max(0, ...values.map(row => (row || []).length));
+        return {
+            spreadsheetId,
+            updatedRange: formatA1({
+                tab: tab.properties.title,
+                startRow,
+                endRow: startRow + Math.max(values.length, 1),
+                startColumn,
+                endColumn: startColumn + Math.max(width, 1)
+            }),
+            updatedRows: values.length,
+            updatedColumns: width,
+            updatedCells: values.reduce((sum, row) => sum + (row || []).length, 0)
+        };
+    }
+
+    /**
+     * Index of the last row holding any data, or -1
+     * @param {any} tab - Stored tab
+     * @returns {number} 0-based row index
+     */
+    function lastDataRow(tab) {
+        for (let r = tab.data.length - 1; r >= 0; r--) {
+            if ((tab.data[r] || []).some(value => !isEmpty(value))) return r;
+        }
+        return -1;
+    }
+
+    /**
+     * Public view of a spreadsheet as returned by spreadsheets.get
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @returns {any} Spreadsheet resource
+     */
+    function view(spreadsheet) {
+        const { tabs, namedRanges, ...resource } = spreadsheet;
+        return {
+            ...resource,
+            ...(namedRanges?.length && { namedRanges }),
+            sheets: tabs.map(({ data: _data, validations: _validations, pivotTables: _pivotTables, ...sheet }) => sheet),
+            spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheet.spreadsheetId}`
+        };
+    }
+
+    /**
+     * Builds the GridData spreadsheets.get returns for a range, with formatted values, validation rules and pivot tables
+     * Rows and cells past the last one holding either are left out, as the API does.
+     * @param {any} resolved - Range from resolveRange()
+     * @returns {any} GridData
+     */
+    function gridData(resolved) {
+        const { tab } = resolved;
+        const bounds = clip(resolved);
+        const validations = tab.validations || [];
+        const pivotTables = tab.pivotTables || [];
+
+        const rowData = [];
+        for (let r = bounds.startRow; r < bounds.endRow; r++) {
+            const values = [];
+            for (let c = bounds.startColumn; c < bounds.endColumn; c++) {
+                const value = tab.data[r]?.[c];
+                const rule = validations[r]?.[c];
+                const pivotTable = pivotTables[r]?.[c];
+                values.push({
+                    ...(!isEmpty(value) && { formattedValue: renderValue(value) }),
+                    ...(rule && { dataValidation: clone(rule) }),
+                    ...(pivotTable && { pivotTable: clone(pivotTable) })
+                });
+            }
+            while (values.length && Object.keys(values[values.length - 1]).length === 0) values.pop();
+            rowData.push(values.length ? { values } : {});
+        }
+        while (rowData.length && !rowData[rowData.length - 1].values) rowData.pop();
+
+        return { startRow: bounds.startRow, startColumn: bounds.startColumn, rowData };
+    }
+
+    /**
+     * Checks a pivot table's source range and column offsets the way the API does, throwing a 400 when invalid
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} pivotTable - PivotTable from an updateCells request
+     */
+    function checkPivotTable(spreadsheet, pivotTable) {
+        const { source, rows = [], columns = [], values = [], filterSpecs = [] } = pivotTable;
+        if (!source) {
+            throw apiError(400, 'Invalid requests[0].updateCells: A pivot table needs a source range.');
+        }
+        const resolved = resolveGridRange(spreadsheet, source, 'updateCells');
+        const width = clip(resolved).endColumn - resolved.startColumn;
+        const offsets = [
+            ...[...rows, ...columns, ...values].map(field => field.sourceColumnOffset),
+            ...filterSpecs.map((/** @type {any} */ spec) => spec.columnOffsetIndex)
+        ];
+        for (const offset of offsets) {
+            if (!Number.isInteger(offset) || offset < 0 || offset >= width) {
+                throw apiError(400, `Invalid requests[0].updateCells: Column offset ${offset} is outside the pivot table's source range.`);
+            }
+        }
+        for (const value of values) {
+            if (!value.summarizeFunction && !value.formula) {
+                throw apiError(400, 'Invalid requests[0].updateCells: A pivot value needs a summarize function.');
+            }
+        }
+    }
+
+    /**
+     * Finds a chart by ID across a spreadsheet's tabs or throws a 400
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {number} chartId - Chart (embedded object) ID
+     * @param {string} kind - Request kind, for error messages
+     * @returns {{tab: any, chart: any}} Tab the chart sits on and the chart
+     */
+    function findChart(spreadsheet, chartId, kind) {
+        for (const tab of spreadsheet.tabs) {
+            const chart = (tab.charts || []).find((/** @type {any} */ c) => c.chartId === chartId);
+            if (chart) return { tab, chart };
+        }
+        throw apiError(400, `Invalid requests[0].${kind}: No chart with id: ${chartId}`);
+    }
+
+    /**
+     * Checks that every source range in a chart spec is on the grid
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} spec - ChartSpec
+     * @param {string} kind - Request kind, for error messages
+     */
+    function checkChartSpec(spreadsheet, spec = {}, kind) {
+        const sources = spec.basicChart
+            ? [...(spec.basicChart.domains || []).map((/** @type {any} */ d) => d.domain), ...(spec.basicChart.series || []).map((/** @type {any} */ s) => s.series)]
+            : spec.pieChart ? [spec.pieChart.domain, spec.pieChart.series] : null;
+        if (!sources) {
+            throw apiError(400, `Invalid requests[0].${kind}: Unsupported chart spec in fake backend.`);
+        }
+        sources.forEach(source => (source?.sourceRange?.sources || []).forEach((/** @type {any} */ range) => resolveGridRange(spreadsheet, range, kind)));
+    }
+
+    /**
+     * Resolves a chart position to the tab it sits on, creating a chart sheet for newSheet
+     * @param {any} spreadsheet - Stored spreadsheet
+     * @param {any} position - EmbeddedObjectPosition
+     * @returns {{tab: any, position: any}} Tab and the position as the API reports it
+     */
+    function placeChart(spreadsheet, position = {}) {
+        if (position.newSheet) {
+            const tab = makeTab({ title: `Chart${spreadsheet.tabs.filter(t => t.properties.sheetType === 'OBJECT').length + 1}` });
+            tab.properties.sheetType = 'OBJECT';
+            delete tab.properties.gridProperties;
+            spreadsheet.tabs.push(tab);
+            reindex(spreadsheet);
+            return { tab, position: { sheetId: tab.properties.sheetId } };
+        }
+        const anchorCell = position.overlayPosition?.anchorCell || {};
+        return { tab: findTabById(spreadsheet, anchorCell.sheetId ?? 0), position };
+    }
+
+    /**
+     * Handlers for spreadsheets.batchUpdate request kinds
+     * Each receives the (working copy of the) spreadsheet and the request body, and returns its reply.
+     * @type {Record<string, (spreadsheet: any, request: any) => any>}
+     */
+    const requestHandlers = {
+        addSheet(spreadsheet, { properties = {} }) {
+            const title = properties.title || `Sheet${spreadsheet.tabs.length + 1}`;
+            if (spreadsheet.tabs.some(t => t.properties.title === title)) {
+                throw apiError(400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+            }
+            if (properties.sheetId !== undefined && spreadsheet.tabs.some(t => t.properties.sheetId === properties.sheetId)) {
+                throw apiError(400, `Invalid requests[0].addSheet: Sheet with id ${properties.sheetId} already exists.`);
+            }
+            const tab = makeTab({ ...properties, title });
+            const index = properties.index ?? spreadsheet.tabs.length;
+            spreadsheet.tabs.splice(index, 0, tab);
+            reindex(spreadsheet);
+            return { addSheet: { properties: tab.properties } };
+        },
+
+        deleteSheet(spreadsheet, { sheetId }) {
+            const tab = findTabById(spreadsheet, sheetId);
+            if (spreadsheet.tabs.length === 1) {
+                throw apiError(400, "Invalid requests[0].deleteSheet: You can't remove all the sheets in a document.");
+            }
+            spreadsheet.tabs.splice(spreadsheet.tabs.indexOf(tab), 1);
+            reindex(spreadsheet);
+            spreadsheet.namedRanges = (spreadsheet.namedRanges || []).filter((/** @type {any} */ named) => (named.range.sheetId ?? 0) !== sheetId);
+            return {};
+        },
+
+        duplicateSheet(spreadsheet, { sourceSheetId, insertSheetIndex, newSheetId, newSheetName }) {
+            const source = findTabById(spreadsheet, sourceSheetId);
+            const title = newSheetName || `Copy of ${source.properties.title}`;
+            if (spreadsheet.tabs.some(t => t.properties.title === title)) {
+                throw apiError(400, `Invalid requests[0].duplicateSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+            }
+            const tab = clone(source);
+            tab.properties.sheetId = newSheetId ?? nextSheetId++;
+            tab.properties.title = title;
+            (tab.bandedRanges || []).forEach(banded => {
+                banded.bandedRangeId = nextBandedRangeId++;
+                banded.range.sheetId = tab.properties.sheetId;
+            });
+            (tab.charts || []).forEach((/** @type {any} */ chart) => {
+                chart.chartId = nextObjectId++;
+            });
+            (tab.protectedRanges || []).forEach((/** @type {any} */ protectedRange) => {
+                protectedRange.protectedRangeId = nextObjectId++;
+                protectedRange.range.sheetId = tab.properties.sheetId;
+            });
+            spreadsheet.tabs.splice(insertSheetIndex ?? spreadsheet.tabs.indexOf(source) + 1, 0, tab);
+            reindex(spreadsheet);
+            return { duplicateSheet: { properties: tab.properties } };
+        },
+
+        appendDimension(spreadsheet, { sheetId, dimension, length }) {
+            const tab = findTabById(spreadsheet, sheetId);
+            const gridProperties = tab.properties.gridProperties;
+            const key = dimension === 'COLUMNS' ? 'columnCount' : 'rowCount';
+            const grown = { ...gridProperties, [key]: gridProperties[key] + length };
+
+            const otherCells = spreadsheet.tabs
+                .filter(t => t !== tab)
+                .filter(t => t.properties.gridProperties)
+                .reduce((total, t) => total + t.properties.gridProperties.rowCount * t.properties.gridProperties.columnCount, 0);
+            if (otherCells + grown.rowCount * grown.columnCount > MAX_CELLS) {
+                throw apiError(400, `Invalid requests[0].appendDimension: This action would increase the number of cells in the workbook above the limit of ${MAX_CELLS} cells.`);
+            }
+
+            gridProperties[key] = grown[key];
+            return {};
+        },
+
+        insertDimension(spreadsheet, { range }) {
+            const tab = findTabById(spreadsheet, range?.sheetId);
+            const key = range.dimension === 'COLUMNS' ? 'columnCount' : 'rowCount';
+            const { startIndex, endIndex } = range;
+            if (startIndex < 0 || startIndex > tab.properties.gridProperties[key] || endIndex <= startIndex) {
+                throw apiError(400, `Invalid requests[0].insertDimension: Invalid dimension range ${startIndex}-${endIndex}`);
+            }
+
+            // Validation rules and pivot tables move with their cells
+            const count = endIndex - startIndex;
+            for (const grid of [tab.data, tab.validations || [], tab.pivotTables || []]) {
+                if (key === 'rowCount') {
+                    if (grid.length > startIndex) grid.splice(startIndex, 0, ...Array.from({ length: count }, () => []));
+                } else {
+                    grid.forEach(row => row && row.length > startIndex && row.splice(startIndex, 0, ...new Array(count)));
+                }
+            }
+            tab.properties.gridProperties[key] += count;
+            shiftNamedRanges(spreadsheet, tab.properties.sheetId, key, index => index >= startIndex ? index + count : index);
+            return {};
+        },
+
+        deleteDimension(spreadsheet, { range }) {
+            const { tab, key, start, end } = resolveDimensionRange(spreadsheet, range, 'deleteDimension');
+            for (const grid of [tab.data, tab.validations || [], tab.pivotTables || []]) {
+                if (key === 'rowCount') {
+                    grid.splice(start, end - start);
+                } else {
+                    grid.forEach(row => row && row.splice(start, end - start));
+                }
+            }
+            tab.properties.gridProperties[key] -= end - start;
+            shiftNamedRanges(spreadsheet, tab.properties.sheetId, key, index => index >= end ? index - (end - start) : Math.min(index, start));
+            return {};
+        },
+
+        addNamedRange(spreadsheet, { namedRange = {} }) {
+            const { name = '', range } = namedRange;
+            checkRangeName(spreadsheet, name, 'addNamedRange');
+            resolveGridRange(spreadsheet, range, 'addNamedRange');
+
+            const stored = { namedRangeId: namedRange.namedRangeId || randomBytes(6).toString('hex'), name, range: clone(range) };
+            (spreadsheet.namedRanges || (spreadsheet.namedRanges = [])).push(stored);
+            return { addNamedRange: { namedRange: clone(stored) } };
+        },
+
+        updateNamedRange(spreadsheet, { namedRange = {}, fields = '' }) {
+            const stored = (spreadsheet.namedRanges || []).find((/** @type {any} */ n) => n.namedRangeId === namedRange.namedRangeId);
+            if (!stored) {
+                throw apiError(400, `Invalid requests[0].updateNamedRange: No named range with id: ${namedRange.namedRangeId}`);
+            }
+            const paths = fields === '*' ? ['name', 'range'] : fields.split(',').map(field => field.trim());
+            if (paths.includes('range')) {
+                resolveGridRange(spreadsheet, namedRange.range, 'updateNamedRange');
+                stored.range = clone(namedRange.range);
+            }
+            if (paths.includes('name')) {
+                checkRangeName(spreadsheet, namedRange.name || '', 'updateNamedRange', stored);
+                stored.name = namedRange.name;
+            }
+            return {};
+        },
+
+        deleteNamedRange(spreadsheet, { namedRangeId }) {
+            const index = (spreadsheet.namedRanges || []).findIndex((/** @type {any} */ n) => n.namedRangeId === namedRangeId);
+            if (index === -1) {
+                throw apiError(400, `Invalid requests[0].deleteNamedRange: No named range with id: ${namedRangeId}`);
+            }
+            spreadsheet.namedRanges.splice(index, 1);
+            return {};
+        },
+
+        addProtectedRange(spreadsheet, { protectedRange = {} }) {
+            const { range, namedRangeId, warningOnly = false, editors } = protectedRange;
+            const named = namedRangeId && (spreadsheet.namedRanges || []).find((/** @type {any} */ n) => n.namedRangeId === namedRangeId);
+            if (namedRangeId && !named) {
+                throw apiError(400, `Invalid requests[0].addProtectedRange: No named range with id: ${namedRangeId}`);
+            }
+            if (warningOnly && editors) {
+                throw apiError(400, 'Invalid requests[0].addProtectedRange: Editors cannot be set on a warning-only protected range.');
+            }
+            const { tab } = resolveGridRange(spreadsheet, named ? named.range : range, 'addProtectedRange');
+
+            // The requesting account always keeps edit access
+            const stored = {
+                ...clone(protectedRange),
+                protectedRangeId: protectedRange.protectedRangeId ?? nextObjectId++,
+                range: clone(named ? named.range : range),
+                warningOnly,
+                ...(!warningOnly && { editors: { ...editors, users: [...new Set([user.emailAddress, ...(editors?.users || [])])] } })
+            };
+            (tab.protectedRanges || (tab.protectedRanges = [])).push(stored);
+            return { addProtectedRange: { protectedRange: clone(stored) } };
+        },
+
+        deleteProtectedRange(spreadsheet, { protectedRangeId }) {
+            const tab = spreadsheet.tabs.find(t => (t.protectedRanges || []).some((/** @type {any} */ p) => p.protectedRangeId === protectedRangeId));
+            if (!tab) {
+                throw apiError(400, `Invalid requests[0].deleteProtectedRange: No protected range with id: ${protectedRangeId}`);
+            }
+            tab.protectedRanges = tab.protectedRanges.filter((/** @type {any} */ p) => p.protectedRangeId !== protectedRangeId);
+            return {};
+        },
+
+        sortRange(spreadsheet, { range, sortSpecs = [] }) {
+            const resolved = resolveGridRange(spreadsheet, range, 'sortRange');
+            if (sortSpecs.length === 0) {
+                throw apiError(400, 'Invalid requests[0].sortRange: At least one sort spec is required.');
+            }
+            checkColumns(resolved, sortSpecs, [], 'sortRange');
+            sortRows(resolved, sortSpecs);
+            return {};
+        },
+
+        // Filters are stored so they can be read back; rows they would hide are still returned
+        setBasicFilter(spreadsheet, { filter = {} }) {
+            const resolved = resolveGridRange(spreadsheet, filter.range, 'setBasicFilter');
+            const { sortSpecs = [], filterSpecs = [] } = filter;
+            checkColumns(resolved, sortSpecs, filterSpecs, 'setBasicFilter');
+
+            // A filter's sort applies to the rows below its header
+            if (sortSpecs.length > 0) sortRows({ ...resolved, startRow: resolved.startRow + 1 }, sortSpecs);
+            resolved.tab.basicFilter = clone(filter);
+            return {};
+        },
+
+        clearBasicFilter(spreadsheet, { sheetId }) {
+            delete findTabById(spreadsheet, sheetId).basicFilter;
+            return {};
+        },
+
+        addFilterView(spreadsheet, { filter = {} }) {
+            const resolved = resolveGridRange(spreadsheet, filter.range, 'addFilterView');
+            checkColumns(resolved, filter.sortSpecs || [], filter.filterSpecs || [], 'addFilterView');
+
+            const stored = { ...clone(filter), filterViewId: filter.filterViewId ?? nextObjectId++ };
+            (resolved.tab.filterViews || (resolved.tab.filterViews = [])).push(stored);
+            return { addFilterView: { filter: clone(stored) } };
+        },
+
+        deleteFilterView(spreadsheet, { filterId }) {
+            const tab = spreadsheet.tabs.find(t => (t.filterViews || []).some((/** @type {any} */ view) => view.filterViewId === filterId));
+            if (!tab) {
+                throw apiError(400, `Invalid requests[0].deleteFilterView: No filter view with id: ${filterId}`);
+            }
+            tab.filterViews = tab.filterViews.filter((/** @type {any} */ view) => view.filterViewId !== filterId);
+            return {};
+        },
+
+        // Formatting is accepted and checked against the grid, but not stored or rendered
+        updateDimensionProperties(spreadsheet, { range }) {
+            resolveDimensionRange(spreadsheet, range, 'updateDimensionProperties');
+            return {};
+        },
+
+        repeatCell(spreadsheet, { range }) {
+            resolveGridRange(spreadsheet, range, 'repeatCell');
+            return {};
+        },
+
+        updateBorders(spreadsheet, { range }) {
+            resolveGridRange(spreadsheet, range, 'updateBorders');
+            return {};
+        },
+
+        autoResizeDimensions(spreadsheet, { dimensions }) {
+            resolveDimensionRange(spreadsheet, dimensions, 'autoResizeDimensions');
+            return {};
+        },
+
+        // Bands are stored so spreadsheets.get returns them, and overlapping bands are rejected like the API does
+        addBanding(spreadsheet, { bandedRange = {} }) {
+            const { tab, ...bounds } = resolveGridRange(spreadsheet, bandedRange.range, 'addBanding');
+            const overlapping = (tab.bandedRanges || []).some(({ range }) =>
+                range.startRowIndex < bounds.endRow && range.endRowIndex > bounds.startRow &&
+                range.startColumnIndex < bounds.endColumn && range.endColumnIndex > bounds.startColumn
+            );
+            if (overlapping) {
+                throw apiError(400, 'Invalid requests[0].addBanding: You cannot add alternating colors to a range that already has alternating colors.');
+            }
+
+            const banded = {
+                ...bandedRange,
+                bandedRangeId: nextBandedRangeId++,
+                range: {
+                    sheetId: tab.properties.sheetId,
+                    startRowIndex: bounds.startRow,
+                    endRowIndex: bounds.endRow,
+                    startColumnIndex: bounds.startColumn,
+                    endColumnIndex: bounds.endColumn
+                }
+            };
+            (tab.bandedRanges || (tab.bandedRanges = [])).push(banded);
+            return { addBanding: { bandedRange: banded } };
+        },
+
+        deleteBanding(spreadsheet, { bandedRangeId }) {
+            const tab = spreadsheet.tabs.find(t => (t.bandedRanges || []).some(banded => banded.bandedRangeId === bandedRangeId));
+            if (!tab) {
+                throw apiError(400, `Invalid requests[0].deleteBanding: No banded range with id: ${bandedRangeId}`);
+            }
+            tab.bandedRanges = tab.bandedRanges.filter(banded => banded.bandedRangeId !== bandedRangeId);
+            return {};
+        },
+
+        // Rules live on the tab their ranges point at, in priority order
+        addConditionalFormatRule(spreadsheet, { rule = {}, index }) {
+            const tab = conditionalRuleTab(spreadsheet, rule, 'addConditionalFormatRule');
+            const rules = tab.conditionalFormats || (tab.conditionalFormats = []);
+            rules.splice(index ?? rules.length, 0, rule);
+            return {};
+        },
+
+        updateConditionalFormatRule(spreadsheet, { sheetId, index, rule = {} }) {
+            const tab = findTabById(spreadsheet, sheetId);
+            const rules = tab.conditionalFormats || [];
+            if (index < 0 || index >= rules.length) {
+                throw apiError(400, `Invalid requests[0].updateConditionalFormatRule: No conditional format on sheet: ${sheetId} at index: ${index}`);
+            }
+            conditionalRuleTab(spreadsheet, rule, 'updateConditionalFormatRule');
+            const oldRule = rules[index];
+            rules[index] = rule;
+            return { updateConditionalFormatRule: { newRule: rule, oldRule, newIndex: index, oldIndex: index } };
+        },
+
+        deleteConditionalFormatRule(spreadsheet, { sheetId, index }) {
+            const tab = findTabById(spreadsheet, sheetId);
+            const rules = tab.conditionalFormats || [];
+            if (index < 0 || index >= rules.length) {
+                throw apiError(400, `Invalid requests[0].deleteConditionalFormatRule: No conditional format on sheet: ${sheetId} at index: ${index}`);
+            }
+            const [rule] = rules.splice(index, 1);
+            return { deleteConditionalFormatRule: { rule } };
+        },
+
+        setDataValidation(spreadsheet, { range, rule }) {
+            const target = resolveGridRange(spreadsheet, range, 'setDataValidation');
+            if (rule && !rule.condition?.type) {
+                throw apiError(400, 'Invalid requests[0].setDataValidation: A data validation rule needs a condition.');
+            }
+
+            const validations = target.tab.validations || (target.tab.validations = []);
+            for (let r = target.startRow; r < target.endRow; r++) {
+                const row = validations[r] || (validations[r] = []);
+                for (let c = target.startColumn; c < target.endColumn; c++) {
+                    if (rule) {
+                        row[c] = rule;
+                    } else {
+                        delete row[c];
+                    }
+                }
+            }
+            return {};
+        },
+
+        // Charts are kept on the tab they are placed on, as spreadsheets.get reports them
+        addChart(spreadsheet, { chart = {} }) {
+            checkChartSpec(spreadsheet, chart.spec, 'addChart');
+            const { tab, position } = placeChart(spreadsheet, chart.position);
+            const stored = { chartId: chart.chartId ?? nextObjectId++, spec: chart.spec, position };
+            (tab.charts || (tab.charts = [])).push(stored);
+            return { addChart: { chart: stored } };
+        },
+
+        updateChartSpec(spreadsheet, { chartId, spec }) {
+            const { chart } = findChart(spreadsheet, chartId, 'updateChartSpec');
+            checkChartSpec(spreadsheet, spec, 'updateChartSpec');
+            chart.spec = spec;
+            return {};
+        },
+
+        updateEmbeddedObjectPosition(spreadsheet, { objectId, newPosition }) {
+            const { tab, chart } = findChart(spreadsheet, objectId, 'updateEmbeddedObjectPosition');
+            tab.charts = tab.charts.filter((/** @type {any} */ c) => c !== chart);
+            const placed = placeChart(spreadsheet, newPosition);
+            chart.position = placed.position;
+            (placed.tab.charts || (placed.tab.charts = [])).push(chart);
+            return { updateEmbeddedObjectPosition: { position: chart.position } };
+        },
+
+        deleteEmbeddedObject(spreadsheet, { objectId }) {
+            const { tab, chart } = findChart(spreadsheet, objectId, 'deleteEmbeddedObject');
+            tab.charts = tab.charts.filter((/** @type {any} */ c) => c !== chart);
+
+            // A chart sheet goes away with its chart
+            if (tab.properties.sheetType === 'OBJECT') {
+                spreadsheet.tabs.splice(spreadsheet.tabs.indexOf(tab), 1);
+                reindex(spreadsheet);
+            }
+            return {};
+        },
+
+        updateCells(spreadsheet, { range, start, rows = [], fields = '' }) {
+            const target = resolveGridRange(
+                spreadsheet,
+                range || { sheetId: start?.sheetId, startRowIndex: start?.rowIndex, startColumnIndex: start?.columnIndex },
+                'updateCells'
+            );
+            const paths = fields.split(',').map(field => field.trim());
+            const { tab } = target;
+
+            if (paths.includes('*') || paths.includes('pivotTable')) {
+                const endRow = range ? target.endRow : target.startRow + rows.length;
+                for (let r = target.startRow; r < endRow; r++) {
+                    const cells = rows[r - target.startRow]?.values || [];
+                    const endColumn = range ? target.endColumn : target.startColumn + cells.length;
+                    for (let c = target.startColumn; c < endColumn; c++) {
+                        const pivotTable = cells[c - target.startColumn]?.pivotTable;
+                        const pivotTables = tab.pivotTables || (tab.pivotTables = []);
+                        if (pivotTable) {
+                            checkPivotTable(spreadsheet, pivotTable);
+                            (pivotTables[r] || (pivotTables[r] = []))[c] = clone(pivotTable);
+                        } else if (pivotTables[r]) {
+                            delete pivotTables[r][c];
+                        }
+                    }
+                }
+            }
+
+            const setsValues = paths.some(field => field === '*' || field.startsWith('userEnteredValue'));
+            if (!setsValues) return {};
+
+            // With a range every cell in it is set (cells missing from rows are cleared); with a start only the cells given are
+            const endRow = range ? target.endRow : target.startRow + rows.length;
+            for (let r = target.startRow; r < endRow; r++) {
+                const cells = rows[r - target.startRow]?.values || [];
+                if (!tab.data[r] && cells.length === 0) continue;
+
+                const row = tab.data[r] || (tab.data[r] = []);
+                const endColumn = range ? target.endColumn : target.startColumn + cells.length;
+                for (let c = target.startColumn; c < endColumn; c++) {
+                    const entered = cells[c - target.startColumn]?.userEnteredValue;
+                    if (entered) {
+                        row[c] = entered.formulaValue ?? entered.numberValue ?? entered.boolValue ?? entered.stringValue;
+                    } else {
+                        delete row[c];
+                    }
+                }
+            }
+            return {};
+        },
+
+        updateSheetProperties(spreadsheet, { properties = {}, fields = '*' }) {
+            const tab = findTabById(spreadsheet, properties.sheetId);
+            const paths = fields === '*'
+                ? Object.keys(properties).filter(key => key !== 'sheetId')
+                : fields.split(',').map(field => field.trim());
+
+            for (const path of paths) {
+                if (path === 'title' && spreadsheet.tabs.some(t => t !== tab && t.properties.title === properties.title)) {
+                    throw apiError(400, `Invalid requests[0].updateSheetProperties: A sheet with the name "${properties.title}" already exists. Please enter another name.`);
+                }
+                const keys = path.split('.');
+                let source = properties;
+                let target = tab.properties;
+                keys.slice(0, -1).forEach(key => {
+                    source = source?.[key];
+                    target = target[key] || (target[key] = {});
+                });
+                const last = keys[keys.length - 1];
+                target[last] = clone(source?.[last]);
+            }
+
+            if (paths.includes('index')) {
+                spreadsheet.tabs.splice(spreadsheet.tabs.indexOf(tab), 1);
+                spreadsheet.tabs.splice(properties.index, 0, tab);
+                reindex(spreadsheet);
+            }
+            return {};
+        }
+    };
+
+    const sheets = {
+        spreadsheets: {
+            create: method('sheets.spreadsheets.create', ({ resource = {}, requestBody }) => {
+                const body = requestBody || resource;
+                const spreadsheetId = randomBytes(22).toString('base64url');
+                const requestedTabs = body.sheets?.length ? body.sheets : [{ properties: { title: 'Sheet1', sheetId: 0 } }];
+                const spreadsheet = {
+                    spreadsheetId,
+                    properties: {
+                        title: body.properties?.title || 'Untitled spreadsheet',
+                        locale: 'en_US',
+                        timeZone: 'Etc/GMT'
+                    },
+                    tabs: requestedTabs.map((sheet, index) => makeTab({
+                        ...sheet.properties,
+                        title: sheet.properties?.title || `Sheet${index + 1}`,
+                        index
+                    })),
+                    owners: [user],
+                    permissions: []
+                };
+                spreadsheets.set(spreadsheetId, spreadsheet);
+                return view(spreadsheet);
+            }),
+
+            get: method('sheets.spreadsheets.get', ({ spreadsheetId, ranges, includeGridData = false, fields = '' }) => {
+                const spreadsheet = getSpreadsheet(spreadsheetId);
+                const resource = view(spreadsheet);
+
+                // Grid data comes back when asked for explicitly or through the field mask; ranges limit the tabs returned
+                const withData = includeGridData || /\bdata\(/.test(fields);
+                if (!ranges?.length && !withData) return resource;
+
+                const resolved = (ranges?.length ? ranges : spreadsheet.tabs.map(t => t.properties.title))
+                    .map((/** @type {string} */ range) => resolveRange(spreadsheet, range));
+                resource.sheets = spreadsheet.tabs
+                    .map((tab, index) => ({ tab, sheet: resource.sheets[index] }))
+                    .filter(({ tab }) => resolved.some(range => range.tab === tab))
+                    .map(({ tab, sheet }) => withData
+                        ? { ...sheet, data: resolved.filter(range => range.tab === tab).map(gridData) }
+                        : sheet);
+                return resource;
+            }),
+
+            batchUpdate: method('sheets.spreadsheets.batchUpdate', ({ spreadsheetId, resource = {}, requestBody }) => {
+                const spreadsheet = getSpreadsheet(spreadsheetId);
+                const { requests = [] } = requestBody || resource;
+
+                // Requests are applied to a working copy so a failure leaves nothing half-done
+                const working = clone(spreadsheet);
+                const replies = requests.map((request) => {
+                    const [kind] = Object.keys(request);
+                    const handler = requestHandlers[kind];
+                    if (!handler) {
+                        throw apiError(400, `Unsupported request in fake backend: ${kind}`);
+                    }
+                    return handler(working, request[kind]);
+                });
+
+                spreadsheets.set(spreadsheetId, working);
+                return { spreadsheetId, replies };
+            }),
+
+            values: {
+                get: method('sheets.spreadsheets.values.get', ({ spreadsheetId, range, majorDimension = 'ROWS', valueRenderOption }) => {
+                    const spreadsheet = getSpreadsheet(spreadsheetId);
+                    const resolved = resolveRange(spreadsheet, range);
+                    const bounds = clip(resolved);
+
+                    let values = [];
+                    for (let r = bounds.startRow; r < bounds.endRow; r++) {
+                        const source = resolved.tab.data[r] || [];
+                        const row = [];
+                        for (let c = bounds.startColumn; c < bounds.endColumn; c++) {
+                            row.push(renderValue(source[c], valueRenderOption));
+                        }
+                        while (row.length && row[row.length - 1] === '') row.pop();
+                        values.push(row);
+                    }
+                    while (values.length && values[values.length - 1].length === 0) values.pop();
+
+                    if (majorDimension === 'COLUMNS') {
+                        const width = Math.max(0, ...values.map(row => row.length));
+                        values = Array.from({ length: width }, (_, c) => values.map(row => row[c] ?? ''));
+                    }
+
+                    return {
+                        range: formatA1({ tab: resolved.tab.properties.title, ...bounds }),
+                        majorDimension,
+                        ...(values.length && { values })
+                    };
+                }),
+
+                update: method('sheets.spreadsheets.values.update', ({ spreadsheetId, range, valueInputOption, resource = {}, requestBody }) => {
+                    const spreadsheet = getSpreadsheet(spreadsheetId);
+                    const resolved = resolveRange(spreadsheet, range);
+                    const { values = [] } = requestBody || resource;
+                    assertWriteFits(resolved, range, values);
+
+                    writeBlock(resolved.tab, resolved.startRow, resolved.startColumn, values, valueInputOption);
+                    return updateSummary(spreadsheetId, resolved.tab, resolved.startRow, resolved.startColumn, values);
+                }),
+
+                append: method('sheets.spreadsheets.values.append', ({ spreadsheetId, range, valueInputOption, insertDataOption = 'OVERWRITE', resource = {}, requestBody }) => {
+                    const spreadsheet = getSpreadsheet(spreadsheetId);
+                    const resolved = resolveRange(spreadsheet, range);
+                    const { values = [] } = requestBody || resource;
+                    const { tab } = resolved;
+                    const gridProperties = tab.properties.gridProperties;
+                    const width = Math.max(0, ...values.map(row => (row || []).length));
+
+                    if (resolved.startColumn + width > gridProperties.columnCount) {
+                        throw apiError(400, `Range (${range}) exceeds grid limits. Max rows: ${gridProperties.rowCount}, max columns: ${gridProperties.columnCount}`);
+                    }
+
+                    const startRow = Math.max(resolved.startRow, lastDataRow(tab) + 1);
+                    if (insertDataOption === 'INSERT_ROWS') {
+                        tab.data.splice(startRow, 0, ...values.map(() => []));
+                        gridProperties.rowCount += values.length;
+                    } else {
+                        gridProperties.rowCount = Math.max(gridProperties.rowCount, startRow + values.length);
+                    }
+
+                    writeBlock(tab, startRow, resolved.startColumn, values, valueInputOption);
+                    return {
+                        spreadsheetId,
+                        tableRange: formatA1({
+                            tab: tab.properties.title,
+                            startRow: resolved.startRow,
+                            endRow: Math.max(startRow, resolved.startRow + 1),
+                            startColumn: resolved.startColumn,
+                            endColumn: resolved.startColumn + Math.max(width, 1)
+                        }),
+                        updates: updateSummary(spreadsheetId, tab, startRow, resolved.startColumn, values)
+                    };
+                }),
+
+                batchUpdate: method('sheets.spreadsheets.values.batchUpdate', ({ spreadsheetId, resource = {}, requestBody }) => {
+                    const spreadsheet = getSpreadsheet(spreadsheetId);
+                    const { valueInputOption, data = [] } = requestBody || resource;
+
+                    // Every range is checked before anything is written
+                    const targets = data.map(({ range, values = [] }) => {
+                        const resolved = resolveRange(spreadsheet, range);
+                        assertWriteFits(resolved, range, values);
+                        return { resolved, values };
+                    });
+
+                    const responses = targets.map(({ resolved, values }) => {
+                        writeBlock(resolved.tab, resolved.startRow, resolved.startColumn, values, valueInputOption);
+                        return updateSummary(spreadsheetId, resolved.tab, resolved.startRow, resolved.startColumn, values);
+                    });
+
+                    return {
+                        spreadsheetId,
+                        totalUpdatedRows: responses.reduce((sum, response) => sum + response.updatedRows, 0),
+                        totalUpdatedColumns: responses.reduce((sum, response) => sum + response.updatedColumns, 0),
+                        totalUpdatedCells: responses.reduce((sum, response) => sum + response.updatedCells, 0),
+                        totalUpdatedSheets: new Set(targets.map(({ resolved }) => resolved.tab.properties.sheetId)).size,
+                        responses
+                    };
+                }),
+
+                clear: method('sheets.spreadsheets.values.clear', ({ spreadsheetId, range }) => {
+                    const spreadsheet = getSpreadsheet(spreadsheetId);
+                    const resolved = resolveRange(spreadsheet, range);
+                    const bounds = clip(resolved);
+
+                    for (let r = bounds.startRow; r < Math.min(bounds.endRow, resolved.tab.data.length); r++) {
+                        const row = resolved.tab.data[r];
+                        if (!row) continue;
+                        for (let c = bounds.startColumn; c < bounds.endColumn; c++) {
+                            delete row[c];
+                        }
+                    }
+
+                    return {
+                        spreadsheetId,
+                        clearedRange: formatA1({ tab: resolved.tab.properties.title, ...bounds })
+                    };
+                })
+            }
+        }
+    };
+
+    const drive = {
+        files: {
+            list: method('drive.files.list', ({ pageSize = 100, pageToken }) => {
+                const files = [...spreadsheets.values()].map(spreadsheet => ({
+                    id: spreadsheet.spreadsheetId,
+                    name: spreadsheet.properties.title,
+                    mimeType: SPREADSHEET_MIME_TYPE,
+                    owners: spreadsheet.owners
+                }));
+                const offset = pageToken ? parseInt(pageToken, 10) : 0;
+                const page = files.slice(offset, offset + pageSize);
+                return {
+                    files: page,
+                    ...(offset + pageSize < files.length && { nextPageToken: String(offset + pageSize) })
+                };
+            }),
+
+            // Binary responses skip method()'s JSON clone and come back as an ArrayBuffer, like responseType 'arraybuffer'
+            export: async (/** @type {any} */ params = {}) => {
+                calls.push({ method: 'drive.files.export', params: clone(params) });
+                const file = exportFile(getSpreadsheet(params.fileId), params.mimeType);
+                return { status: 200, data: file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength) };
+            },
+
+            // Spreadsheets start out in the caller's My Drive root; folders aren't modelled beyond their IDs
+            get: method('drive.files.get', ({ fileId }) => {
+                const spreadsheet = getSpreadsheet(fileId);
+                return {
+                    id: fileId,
+                    name: spreadsheet.properties.title,
+                    mimeType: SPREADSHEET_MIME_TYPE,
+                    parents: parentsById.get(fileId) || ['root']
+                };
+            }),
+
+            update: method('drive.files.update', ({ fileId, addParents = '', removeParents = '', requestBody = {} }) => {
+                const spreadsheet = getSpreadsheet(fileId);
+                const removed = removeParents.split(',').filter(Boolean);
+                const parents = (parentsById.get(fileId) || ['root']).filter((/** @type {string} */ id) => !removed.includes(id));
+                for (const id of addParents.split(',').filter(Boolean)) {
+                    if (!parents.includes(id)) parents.push(id);
+                }
+                if (parents.length > 1) {
+                    throw apiError(403, 'Increasing the number of parents is not allowed');
+                }
+                parentsById.set(fileId, parents);
+                if (requestBody.name) spreadsheet.properties.title = requestBody.name;
+                return { id: fileId, name: spreadsheet.properties.title, parents };
+            }),
+
+            delete: method('drive.files.delete', ({ fileId }) => {
+                getSpreadsheet(fileId);
+                spreadsheets.delete(fileId);
+                parentsById.delete(fileId);
+                return '';
+            })
+        },
+
+        permissions: {
+            create: method('drive.permissions.create', ({ fileId, requestBody = {} }) => {
+                const spreadsheet = getSpreadsheet(fileId);
+                const permission = { id: String(nextPermissionId++), kind: 'drive#permission', ...requestBody };
+                spreadsheet.permissions.push(permission);
+                return permission;
+            }),
+
+            list: method('drive.permissions.list', ({ fileId }) => ({
+                permissions: getSpreadsheet(fileId).permissions
+            })),
+
+            delete: method('drive.permissions.delete', ({ fileId, permissionId }) => {
+                const spreadsheet = getSpreadsheet(fileId);
+                const index = spreadsheet.permissions.findIndex(p => p.id === permissionId);
+                if (index === -1) {
+                    throw apiError(404, `Permission not found: ${permissionId}.`);
+                }
+                spreadsheet.permissions.splice(index, 1);
+                return '';
+            })
+        },
+
+        about: {
+            get: method('drive.about.get', () => ({ user }))
+        }
+    };
+
+    // The Sheets web export: like files.export, but a gid narrows it to one tab
+    const docs = {
+        spreadsheets: {
+            export: async (/** @type {any} */ params = {}) => {
+                calls.push({ method: 'docs.spreadsheets.export', params: clone(params) });
+                const { spreadsheetId, format, gid } = params;
+                const spreadsheet = getSpreadsheet(spreadsheetId);
+                let tabs = spreadsheet.tabs;
+                if (gid !== undefined) {
+                    tabs = tabs.filter((/** @type {any} */ tab) => String(tab.properties.sheetId) === String(gid));
+                    if (tabs.length === 0) {
+                        throw apiError(400, `No sheet with gid ${gid}.`);
+                    }
+                }
+                const file = exportFile({ ...spreadsheet, tabs }, DOCS_EXPORT_FORMATS[format]);
+                return { status: 200, data: file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength) };
+            }
+        }
+    };
+
+    return {
+        sheets,
+        drive,
+        docs,
+        calls,
+        /** Drops every spreadsheet and clears the call log */
+        reset() {
+            spreadsheets.clear();
+            parentsById.clear();
+            calls.length = 0;
+        }
+    };
+}
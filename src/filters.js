@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Filter and sort helpers for ak-sheets
+ * Converts sort keys and column filters addressed by header name to API SortSpecs and FilterSpecs.
+ */
+
+import { columnIndex, toBooleanCondition } from './format.js';
+
+/**
+ * Converts sort keys to API SortSpecs
+ * @param {import('./index.d.ts').SortSpec} sort - A column, a { column, order } key, or a list of either (first key sorts first)
+ * @param {any[]} headers - Header row, for resolving column names
+ * @returns {Array<{dimensionIndex: number, sortOrder: string}>} SortSpecs
+ * @example
+ * toSortSpecs(['region', { column: 'revenue', order: 'desc' }], ['region', 'month', 'revenue']);
+ * // [{ dimensionIndex: 0, sortOrder: 'ASCENDING' }, { dimensionIndex: 2, sortOrder: 'DESCENDING' }]
+ */
+export function toSortSpecs(sort, headers) {
+    const keys = [sort].flat();
+    if (keys.length === 0) {
+        throw new Error('Sort needs at least one column');
+    }
+
+    return keys.map(key => {
+        const { column, order = 'asc' } = typeof key === 'string' ? { column: key } : key;
+        if (order !== 'asc' && order !== 'desc') {
+            throw new Error(`Unknown sort order: ${order} (expected asc or desc)`);
+        }
+        return { dimensionIndex: columnIndex(headers, column), sortOrder: order === 'desc' ? 'DESCENDING' : 'ASCENDING' };
+    });
+}
+
+/**
+ * Converts column filters to API FilterSpecs
+ * Basic filters and filter views can only hide values, so a list of values to show is turned
+ * into the column's other values found in the data.
+ * @param {import('./index.d.ts').ColumnFilters} filters - Per column, the values to show or a condition rows must meet
+ * @param {any[]} headers - Header row, for resolving column names
+ * @param {any[][]} rows - Data rows below the header, for working out which values to hide
+ * @returns {Array<{columnIndex: number, filterCriteria: any}>} FilterSpecs
+ */
+export function toFilterSpecs(filters, headers, rows) {
+    return Object.entries(filters).map(([column, filter]) => {
+        const index = columnIndex(headers, column);
+        if (Array.isArray(filter)) {
+            const shown = new Set(filter.map(String));
+            const hiddenValues = [...new Set(rows.map(row => String(row[index] ?? '')))].filter(value => !shown.has(value));
+            return { columnIndex: index, filterCriteria: { hiddenValues } };
+        }
+        return { columnIndex: index, filterCriteria: { condition: toBooleanCondition(filter.when, filter.value) } };
+    });
+}
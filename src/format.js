@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Cell formatting helpers for ak-sheets
+ * Turns friendly cell styles and report presets into spreadsheets.batchUpdate requests.
+ */
+
+import { letterToColumn, columnToLetter, parseA1, formatA1 } from './a1.js';
+
+/**
+ * Named number formats; any other string is used as a custom number pattern
+ * @type {Record<string, {type: string, pattern?: string}>}
+ */
+export const NUMBER_FORMATS = {
+    text: { type: 'TEXT' },
+    number: { type: 'NUMBER', pattern: '#,##0.00' },
+    integer: { type: 'NUMBER', pattern: '#,##0' },
+    currency: { type: 'CURRENCY', pattern: '"$"#,##0.00' },
+    percent: { type: 'PERCENT', pattern: '0.00%' },
+    date: { type: 'DATE', pattern: 'yyyy-mm-dd' },
+    datetime: { type: 'DATE_TIME', pattern: 'yyyy-mm-dd hh:mm:ss' },
+    time: { type: 'TIME', pattern: 'hh:mm:ss' }
+};
+
+const HORIZONTAL_ALIGNMENTS = { left: 'LEFT', center: 'CENTER', right: 'RIGHT' };
+const VERTICAL_ALIGNMENTS = { top: 'TOP', middle: 'MIDDLE', bottom: 'BOTTOM' };
+
+// Band colors used when banding is just `true`
+const DEFAULT_BANDING = { headerColor: '#D9E2F3', firstBandColor: '#FFFFFF', secondBandColor: '#F3F3F3' };
+
+/**
+ * Converts a hex color to the { red, green, blue } object the Sheets API expects
+ * @param {string} hex - Color like '#FF0000' or 'ff0000'
+ * @returns {{red: number, green: number, blue: number}} Color with 0-1 channels
+ * @example
+ * hexToColor('#3366CC'); // { red: 0.2, green: 0.4, blue: 0.8 }
+ */
+export function hexToColor(hex) {
+    const value = String(hex).replace(/^#/, '');
+    if (!/^[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`Invalid hex color: ${hex}`);
+    }
+    return {
+        red: parseInt(value.slice(0, 2), 16) / 255,
+        green: parseInt(value.slice(2, 4), 16) / 255,
+        blue: parseInt(value.slice(4, 6), 16) / 255
+    };
+}
+
+/**
+ * Converts a cell style to an API CellFormat plus the field mask that touches only what was set
+ * Borders are not part of the result - see formatRequests().
+ * @param {import('./index.d.ts').CellStyle} style - Cell style
+ * @returns {{cellFormat: any, fields: string[]}} CellFormat and 'userEnteredFormat.*' field paths
+ * @example
+ * toCellFormat({ bold: true, numberFormat: 'currency' });
+ * // { cellFormat: { textFormat: { bold: true }, numberFormat: { type: 'CURRENCY', ... } },
+ * //   fields: ['userEnteredFormat.textFormat.bold', 'userEnteredFormat.numberFormat'] }
+ */
+export function toCellFormat(style) {
+    /** @type {any} */
+    const cellFormat = {};
+    /** @type {string[]} */
+    const fields = [];
+
+    /**
+     * @param {string} path - Dotted path below userEnteredFormat
+     * @param {any} value - Value to set
+     */
+    const set = (path, value) => {
+        const keys = path.split('.');
+        let target = cellFormat;
+        keys.slice(0, -1).forEach(key => {
+            target = target[key] || (target[key] = {});
+        });
+        target[keys[keys.length - 1]] = value;
+        fields.push(`userEnteredFormat.${path}`);
+    };
+
+    for (const [option, value] of Object.entries(style)) {
+        if (value === undefined) continue;
+
+        switch (option) {
+            case 'bold':
+            case 'italic':
+            case 'underline':
+            case 'strikethrough':
+            case 'fontSize':
+            case 'fontFamily':
+                set(`textFormat.${option}`, value);
+                break;
+            case 'color':
+                set('textFormat.foregroundColor', hexToColor(value));
+                break;
+            case 'background':
+                set('backgroundColor', hexToColor(value));
+                break;
+            case 'numberFormat':
+                set('numberFormat', typeof value === 'string'
+                    ? NUMBER_FORMATS[value] || { type: 'NUMBER', pattern: value }
+                    : value);
+                break;
+            case 'align':
+                if (!HORIZONTAL_ALIGNMENTS[value]) throw new Error(`Invalid align: ${value} (expected left, center or right)`);
+                set('horizontalAlignment', HORIZONTAL_ALIGNMENTS[value]);
+                break;
+            case 'verticalAlign':
+                if (!VERTICAL_ALIGNMENTS[value]) throw new Error(`Invalid verticalAlign: ${value} (expected top, middle or bottom)`);
+                set('verticalAlignment', VERTICAL_ALIGNMENTS[value]);
+                break;
+            case 'wrap':
+                set('wrapStrategy', value === 'clip' ? 'CLIP' : value ? 'WRAP' : 'OVERFLOW_CELL');
+                break;
+            case 'borders':
+                break;
+            default:
+                throw new Error(`Unknown format option: ${option}`);
+        }
+    }
+
+    return { cellFormat, fields };
+}
+
+/**
+ * Builds the batchUpdate requests that apply a cell style to a range
+ * @param {any} gridRange - API GridRange ({ sheetId, startRowIndex, ... })
+ * @param {import('./index.d.ts').CellStyle} style - Cell style
+ * @returns {any[]} repeatCell and/or updateBorders requests
+ */
+export function formatRequests(gridRange, style) {
+    const requests = [];
+
+    const { cellFormat, fields } = toCellFormat(style);
+    if (fields.length > 0) {
+        requests.push({ repeatCell: { range: gridRange, cell: { userEnteredFormat: cellFormat }, fields: fields.join(',') } });
+    }
+
+    if (style.borders) {
+        const { style: lineStyle = 'SOLID', color = '#000000', inner = true } = style.borders === true ? {} : style.borders;
+        const border = { style: lineStyle, color: hexToColor(color) };
+        requests.push({
+            updateBorders: {
+                range: gridRange,
+                top: border,
+                bottom: border,
+                left: border,
+                right: border,
+                ...(inner && { innerHorizontal: border, innerVertical: border })
+            }
+        });
+    }
+
+    return requests;
+}
+
+/**
+ * Builds the batchUpdate requests for report presets on a block of data written from A1
+ * @param {any} properties - Tab properties (sheetId and gridProperties)
+ * @param {any[][]} values - Rows as written, header first
+ * @param {import('./index.d.ts').FormatPresets} presets - Presets to apply
+ * @param {{bandedRanges?: any[], conditionalFormats?: any[]}} [existing={}] - The tab's current bands (replaced where they overlap) and conditional rules (those on the ranges presets.conditional covers are replaced)
+ * @returns {any[]} batchUpdate requests (empty when the data is empty)
+ */
+export function presetRequests(properties, values, presets, existing = {}) {
+    const { sheetId } = properties;
+    const { bandedRanges = [], conditionalFormats = [] } = existing;
+
+    // Trailing blank rows (e.g. from a CSV's final newline) are not part of the report
+    let rowCount = values.length;
+    while (rowCount > 0 && (values[rowCount - 1] || []).every(value => value === '' || value === null || value === undefined)) {
+        rowCount--;
+    }
+    const columnCount = values.reduce((widest, row) => Math.max(widest, (row || []).length), 0);
+    if (rowCount === 0 || columnCount === 0) return [];
+
+    const requests = [];
+    const { header, columns, autoResize, banding, conditional } = presets;
+
+    if (header) {
+        const style = typeof header === 'string' ? { bold: true } : header;
+        requests.push(...formatRequests({ sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: columnCount }, style));
+        if (header === 'bold-frozen') {
+            requests.push({
+                updateSheetProperties: {
+                    properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+                    fields: 'gridProperties.frozenRowCount'
+                }
+            });
+        }
+    }
+
+    // Column styles are keyed by header name or column letter and cover the data rows only
+    for (const [key, style] of Object.entries(columns || {})) {
+        const column = columnIndex(values[0] || [], key);
+        if (rowCount > 1) {
+            requests.push(...formatRequests({ sheetId, startRowIndex: 1, endRowIndex: rowCount, startColumnIndex: column, endColumnIndex: column + 1 }, style));
+        }
+    }
+
+    if (banding) {
+        const range = { sheetId, startRowIndex: 0, endRowIndex: rowCount, startColumnIndex: 0, endColumnIndex: columnCount };
+
+        // The API rejects banding over a range that is already banded, so earlier bands there are replaced
+        for (const banded of bandedRanges) {
+            const other = banded.range || {};
+            const overlaps = (other.startRowIndex ?? 0) < rowCount && (other.endRowIndex ?? Infinity) > 0 &&
+                (other.startColumnIndex ?? 0) < columnCount && (other.endColumnIndex ?? Infinity) > 0;
+            if (overlaps) {
+                requests.push({ deleteBanding: { bandedRangeId: banded.bandedRangeId } });
+            }
+        }
+
+        const colors = { ...DEFAULT_BANDING, ...(banding === true ? {} : banding) };
+        requests.push({
+            addBanding: {
+                bandedRange: {
+                    range,
+                    rowProperties: {
+                        headerColor: hexToColor(colors.headerColor),
+                        firstBandColor: hexToColor(colors.firstBandColor),
+                        secondBandColor: hexToColor(colors.secondBandColor)
+                    }
+                }
+            }
+        });
+    }
+
+    // Rules already on the same ranges are replaced, so re-running the same write does not stack duplicates;
+    // rules on any other range (added by hand or with addConditionalFormat) are left alone
+    if (conditional) {
+        const rules = conditional.map(rule => toConditionalRule(rule, sheetId, values[0] || []));
+        const targets = new Set(rules.map(rule => rangesKey(rule.ranges)));
+        for (let index = conditionalFormats.length - 1; index >= 0; index--) {
+            if (targets.has(rangesKey(conditionalFormats[index].ranges || []))) {
+                requests.push({ deleteConditionalFormatRule: { sheetId, index } });
+            }
+        }
+        rules.forEach((rule, index) => {
+            requests.push({ addConditionalFormatRule: { rule, index } });
+        });
+    }
+
+    if (autoResize) {
+        requests.push({ autoResizeDimensions: { dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: columnCount } } });
+    }
+
+    return requests;
+}
+
+/**
+ * Builds a comparable key for a rule's grid ranges
+ * The API leaves out zero indexes, so missing starts count as 0 and missing ends as unbounded.
+ * @param {any[]} ranges - GridRanges
+ * @returns {string} Key that is equal for rules covering the same ranges
+ */
+function rangesKey(ranges) {
+    return ranges
+        .map(range => [range.sheetId ?? 0, range.startRowIndex ?? 0, range.endRowIndex ?? '', range.startColumnIndex ?? 0, range.endColumnIndex ?? ''].join(':'))
+        .sort()
+        .join('|');
+}
+
+/**
+ * Finds a column by header name, falling back to a column letter
+ * @param {any[]} headers - Header row
+ * @param {string} key - Header name or column letter (e.g. 'revenue', 'C')
+ * @returns {number} 0-based column index
+ */
+export function columnIndex(headers, key) {
+    const column = headers.indexOf(key);
+    if (column !== -1) return column;
+    if (/^[A-Z]+$/.test(key)) return letterToColumn(key);
+    throw new Error(`Column '${key}' is not a header or column letter`);
+}
+
+/**
+ * Converts a { red, green, blue } API color back to hex
+ * @param {{red?: number, green?: number, blue?: number}} [color={}] - API color (missing channels are 0)
+ * @returns {string} Hex color like '#FF0000'
+ */
+export function colorToHex(color = {}) {
+    const channel = (/** @type {number|undefined} */ value) => Math.round((value || 0) * 255).toString(16).padStart(2, '0');
+    return `#${channel(color.red)}${channel(color.green)}${channel(color.blue)}`.toUpperCase();
+}
+
+// Friendly names for boolean condition types; API names (e.g. 'TEXT_STARTS_WITH') are accepted as-is
+const CONDITIONS = {
+    textContains: 'TEXT_CONTAINS',
+    textNotContains: 'TEXT_NOT_CONTAINS',
+    textEquals: 'TEXT_EQ',
+    greaterThan: 'NUMBER_GREATER',
+    greaterThanOrEqual: 'NUMBER_GREATER_THAN_EQ',
+    lessThan: 'NUMBER_LESS',
+    lessThanOrEqual: 'NUMBER_LESS_THAN_EQ',
+    equals: 'NUMBER_EQ',
+    notEquals: 'NUMBER_NOT_EQ',
+    between: 'NUMBER_BETWEEN',
+    blank: 'BLANK',
+    notBlank: 'NOT_BLANK',
+    formula: 'CUSTOM_FORMULA'
+};
+
+/**
+ * Builds an API BooleanCondition
+ * @param {string} when - Friendly condition name (e.g. 'greaterThan') or API ConditionType
+ * @param {any} [value] - Value or values the condition compares against
+ * @returns {{type: string, values?: Array<{userEnteredValue: string}>}} BooleanCondition
+ */
+export function toBooleanCondition(when, value) {
+    const values = [value ?? []].flat();
+    return {
+        type: CONDITIONS[when] || when,
+        ...(values.length > 0 && { values: values.map(v => ({ userEnteredValue: String(v) })) })
+    };
+}
+
+// Conditional formats can only set these CellStyle properties
+const CONDITIONAL_STYLE_OPTIONS = ['bold', 'italic', 'underline', 'strikethrough', 'color', 'background'];
+
+// Interpolation point types the API only accepts with a value
+const VALUED_POINT_TYPES = ['NUMBER', 'PERCENT', 'PERCENTILE'];
+
+/**
+ * Converts a friendly gradient point to an API InterpolationPoint
+ * @param {string|import('./index.d.ts').GradientPoint} point - Hex color, or color plus position
+ * @param {string} fallbackType - Position type when only a color is given
+ * @param {string} [fallbackValue] - Position value when no type is given
+ * @returns {any} InterpolationPoint
+ */
+function toInterpolationPoint(point, fallbackType, fallbackValue) {
+    const { color, type, value: given } = typeof point === 'string' ? { color: point, type: undefined, value: undefined } : point;
+    const pointType = type ? type.toUpperCase() : fallbackType;
+    const value = given ?? (type ? undefined : fallbackValue);
+    if (value === undefined && VALUED_POINT_TYPES.includes(pointType)) {
+        throw new Error(`Gradient point of type '${type}' needs a value`);
+    }
+    return {
+        color: hexToColor(color),
+        type: pointType,
+        ...(value !== undefined && { value: String(value) })
+    };
+}
+
+/**
+ * Converts a friendly conditional format rule to an API ConditionalFormatRule
+ * @param {import('./index.d.ts').ConditionalRule} rule - Rule addressed by column header or A1 range
+ * @param {number} sheetId - sheetId of the tab the rule belongs to
+ * @param {any[]} headers - The tab's header row, for resolving column names
+ * @returns {any} ConditionalFormatRule
+ * @example
+ * toConditionalRule({ columns: 'growth', when: 'lessThan', value: 0, format: { color: '#9C0006' } }, 0, ['week', 'growth']);
+ * // { ranges: [{ sheetId: 0, startRowIndex: 1, startColumnIndex: 1, endColumnIndex: 2 }],
+ * //   booleanRule: { condition: { type: 'NUMBER_LESS', values: [{ userEnteredValue: '0' }] }, format: { textFormat: { foregroundColor: ... } } } }
+ */
+export function toConditionalRule(rule, sheetId, headers) {
+    const { columns, range, when, value, formula, format, gradient } = rule;
+
+    // Columns cover every data row below the header; ranges are taken as given
+    const ranges = [
+        ...[columns ?? []].flat().map(key => {
+            const column = columnIndex(headers, key);
+            return { sheetId, startRowIndex: 1, startColumnIndex: column, endColumnIndex: column + 1 };
+        }),
+        ...[range ?? []].flat().map(a1 => {
+            const parsed = parseA1(a1);
+            return {
+                sheetId,
+                startRowIndex: parsed.startRow,
+                ...(parsed.endRow !== null && { endRowIndex: parsed.endRow }),
+                startColumnIndex: parsed.startColumn,
+                ...(parsed.endColumn !== null && { endColumnIndex: parsed.endColumn })
+            };
+        })
+    ];
+    if (ranges.length === 0) {
+        throw new Error('Conditional format rule needs columns or a range');
+    }
+
+    if (gradient) {
+        return {
+            ranges,
+            gradientRule: {
+                minpoint: toInterpolationPoint(gradient.min, 'MIN'),
+                ...(gradient.mid && { midpoint: toInterpolationPoint(gradient.mid, 'PERCENTILE', '50') }),
+                maxpoint: toInterpolationPoint(gradient.max, 'MAX')
+            }
+        };
+    }
+
+    if (when === undefined && formula === undefined) {
+        throw new Error('Conditional format rule needs when, formula or gradient');
+    }
+    const unsupported = Object.keys(format || {}).filter(option => !CONDITIONAL_STYLE_OPTIONS.includes(option));
+    if (unsupported.length > 0) {
+        throw new Error(`Conditional formats only support ${CONDITIONAL_STYLE_OPTIONS.join(', ')} (got ${unsupported.join(', ')})`);
+    }
+
+    return {
+        ranges,
+        booleanRule: {
+            condition: formula !== undefined ? toBooleanCondition('formula', formula) : toBooleanCondition(/** @type {string} */ (when), value),
+            format: toCellFormat(format || {}).cellFormat
+        }
+    };
+}
+
+/**
+ * Converts an API ConditionalFormatRule back to the friendly shape
+ * @param {any} apiRule - ConditionalFormatRule from spreadsheets.get
+ * @param {number} index - Position of the rule on its tab
+ * @param {string} title - Tab name, for the A1 ranges
+ * @param {any[]} headers - The tab's header row, for naming full data columns
+ * @returns {import('./index.d.ts').ConditionalRuleInfo} Rule with its index and A1 ranges
+ */
+export function fromConditionalRule(apiRule, index, title, headers) {
+    const gridRanges = apiRule.ranges || [];
+    const ranges = gridRanges.map((/** @type {any} */ range) => formatA1({
+        tab: title,
+        startRow: range.startRowIndex ?? 0,
+        endRow: range.endRowIndex ?? null,
+        startColumn: range.startColumnIndex ?? 0,
+        endColumn: range.endColumnIndex ?? null
+    }));
+
+    // Ranges that are exactly one column's data rows are reported by header name as well
+    const columns = gridRanges.map((/** @type {any} */ range) =>
+        range.startRowIndex === 1 && range.endRowIndex === undefined && range.endColumnIndex === range.startColumnIndex + 1
+            ? headers[range.startColumnIndex] || columnToLetter(range.startColumnIndex)
+            : null
+    );
+
+    /** @type {import('./index.d.ts').ConditionalRuleInfo} */
+    const info = { index, ranges, ...(columns.every(Boolean) && { columns }) };
+
+    if (apiRule.gradientRule) {
+        /** @param {any} point */
+        const fromPoint = (point) => ({
+            color: colorToHex(point.color),
+            type: /** @type {any} */ (point.type.toLowerCase()),
+            ...(point.value !== undefined && { value: point.value })
+        });
+        const { minpoint, midpoint, maxpoint } = apiRule.gradientRule;
+        return { ...info, gradient: { min: fromPoint(minpoint), ...(midpoint && { mid: fromPoint(midpoint) }), max: fromPoint(maxpoint) } };
+    }
+
+    const { condition = {}, format = {} } = apiRule.booleanRule || {};
+    const values = (condition.values || []).map((/** @type {any} */ v) => {
+        const entered = v.userEnteredValue;
+        return condition.type.startsWith('NUMBER_') && entered !== '' && !isNaN(Number(entered)) ? Number(entered) : entered;
+    });
+
+    /** @type {import('./index.d.ts').CellStyle} */
+    const style = {};
+    const textFormat = format.textFormat || {};
+    for (const option of ['bold', 'italic', 'underline', 'strikethrough']) {
+        if (textFormat[option] !== undefined) style[option] = textFormat[option];
+    }
+    if (textFormat.foregroundColor) style.color = colorToHex(textFormat.foregroundColor);
+    if (format.backgroundColor) style.background = colorToHex(format.backgroundColor);
+
+    if (condition.type === 'CUSTOM_FORMULA') {
+        return { ...info, formula: values[0], format: style };
+    }
+    const when = Object.keys(CONDITIONS).find(name => CONDITIONS[name] === condition.type) || condition.type;
+    return { ...info, when, ...(values.length > 0 && { value: values.length === 1 ? values[0] : values }), format: style };
+}
@@ -1,4 +1,5 @@
 import { Logger } from 'pino';
+import { Readable, Writable } from 'stream';
 
 /**
  * Configuration options for ak-sheets
@@ -16,6 +17,67 @@ export interface AkSheetsConfig {
   maxBackoffMs?: number;
   /** Whether to validate authentication during init (default: true) */
   validateAuth?: boolean;
+  /** Whether to cache reads on disk (default: true in dev environment, false otherwise) */
+  cache?: boolean;
+  /** Directory for cached reads (default: ./tmp) */
+  cacheDir?: string;
+  /** Replaces the Google API clients (e.g. with createFakeTransport()); credentials are not needed when set */
+  transport?: SheetsTransport;
+  /** Records API interactions to, or replays them from, a fixture file */
+  recorder?: RecorderOptions & { mode: 'record' | 'replay' };
+  /** Column schemas by tab name, enforced on writes and applied on reads (see defineSchema()) */
+  schemas?: Record<string, TabSchema>;
+}
+
+/**
+ * Options for recording and replaying API interactions
+ */
+export interface RecorderOptions {
+  /** Path to the fixture file */
+  fixture: string;
+  /** How replay matches requests: by method and params (default) or strictly in recorded order */
+  match?: 'params' | 'sequence';
+}
+
+/**
+ * API clients the library talks to - shaped like googleapis' `sheets` v4 and `drive` v3 clients
+ */
+export interface SheetsTransport {
+  /** Object exposing `spreadsheets.*` and `spreadsheets.values.*` methods */
+  sheets: any;
+  /** Object exposing `files.*`, `permissions.*` and `about.*` methods */
+  drive: any;
+  /** Object exposing `spreadsheets.export` for the Sheets web export (single-tab and PDF layout exports) */
+  docs?: any;
+}
+
+/**
+ * Options for the in-memory fake backend
+ */
+export interface FakeTransportOptions {
+  /** User reported as owner by Drive calls */
+  user?: { emailAddress: string; displayName: string };
+}
+
+/**
+ * In-memory fake Google Sheets/Drive backend
+ */
+export interface FakeTransport extends SheetsTransport {
+  /** Every API call made against the fake, in order */
+  calls: Array<{ method: string; params: any }>;
+  /** Drops every spreadsheet and clears the call log */
+  reset(): void;
+}
+
+/**
+ * 0-based grid coordinates; start indexes are inclusive, end indexes exclusive, null ends unbounded
+ */
+export interface GridRange {
+  tab?: string | null;
+  startRow?: number;
+  endRow?: number | null;
+  startColumn?: number;
+  endColumn?: number | null;
 }
 
 /**
@@ -28,6 +90,7 @@ export type SpreadsheetData = string | any[][] | Record<string, any>[];
  */
 export interface SheetResponse {
   spreadsheetId?: string;
+  updatedRange?: string;
   updatedCells?: number;
   updatedColumns?: number;
   updatedRows?: number;
@@ -67,9 +130,10 @@ export function createSheet(name?: string, tabs?: string[]): Promise<string>;
  * @param spreadsheetId - ID of the target spreadsheet
  * @param rows - Data to write (CSV string, array of arrays, or array of objects)
  * @param tab - Optional tab name to write to
+ * @param options - Schema validation, chunking and progress options
  * @returns Promise resolving to the API response
  */
-export function writeToSheet(spreadsheetId: string, rows?: SpreadsheetData, tab?: string): Promise<SheetResponse>;
+export function writeToSheet(spreadsheetId: string, rows?: SpreadsheetData, tab?: string, options?: WriteSheetOptions): Promise<SheetResponse>;
 
 /**
  * Writes data to multiple tabs in a Google Spreadsheet
@@ -77,7 +141,7 @@ export function writeToSheet(spreadsheetId: string, rows?: SpreadsheetData, tab?
  * @param assets - Object with tab names as keys and data as values
  * @returns Promise resolving to array of API responses
  */
-export function writeToSheetTabs(spreadsheetId: string, assets?: Record<string, SpreadsheetData>): Promise<SheetResponse[]>;
+export function writeToSheetTabs(spreadsheetId: string, assets?: Record<string, SpreadsheetData>, options?: WriteTabsOptions): Promise<SheetResponse[]>;
 
 /**
  * Shares a Google Spreadsheet with a user
@@ -94,6 +158,64 @@ export function shareSheet(spreadsheetId: string, options?: ShareOptions): Promi
  */
 export function deleteSheet(spreadsheetId: string): Promise<void>;
 
+/**
+ * File formats exportSpreadsheet can produce
+ */
+export type ExportFormat = 'xlsx' | 'ods' | 'pdf' | 'csv' | 'tsv';
+
+/**
+ * Options for exportSpreadsheet
+ */
+export interface ExportOptions {
+  /** File format (default 'xlsx') */
+  format?: ExportFormat;
+  /** Export only this tab (pdf, csv and tsv; needs a transport with `docs`) */
+  tab?: string;
+  /** Also write the file here, creating missing directories */
+  path?: string;
+  /** PDF page orientation */
+  orientation?: 'portrait' | 'landscape';
+  /** Print cell gridlines in the PDF */
+  gridlines?: boolean;
+  /** Scale the PDF to the page width */
+  fitToWidth?: boolean;
+}
+
+/**
+ * Exports a spreadsheet as an XLSX, ODS, PDF, CSV or TSV file
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param options - Format, tab, output path and PDF layout
+ * @returns Promise resolving to the file contents
+ */
+export function exportSpreadsheet(spreadsheetId: string, options?: ExportOptions): Promise<Buffer>;
+
+/**
+ * Options for importXlsx
+ */
+export interface ImportXlsxOptions extends Pick<ChunkOptions, 'chunkSize' | 'maxChunkBytes'> {
+  /** Spreadsheet name (default: the file name without its extension) */
+  name?: string;
+  /** Drive folder to put the spreadsheet in */
+  folderId?: string;
+}
+
+/**
+ * Result of importXlsx
+ */
+export interface ImportXlsxResult {
+  spreadsheetId: string;
+  /** Tabs created, in workbook order, with the extent of each worksheet's data */
+  tabs: Array<{ title: string; rows: number; columns: number }>;
+}
+
+/**
+ * Creates a spreadsheet from a local Excel workbook, one tab per worksheet, keeping cell types and formulas
+ * @param filePath - Path to the .xlsx file
+ * @param options - Spreadsheet name, Drive folder and chunking options
+ * @returns Promise resolving to the new spreadsheet's ID and tabs
+ */
+export function importXlsx(filePath: string, options?: ImportXlsxOptions): Promise<ImportXlsxResult>;
+
 /**
  * Generates a Google Sheets URL for the given spreadsheet ID
  * @param spreadsheetId - ID of the spreadsheet
@@ -121,25 +243,419 @@ export function deleteAllSheets(): Promise<SpreadsheetFile[]>;
  */
 export function makeCSVFromData(data: Record<string, any>[], charLimit?: number): string;
 
+/**
+ * Column type used for coercion ('auto' detects numbers, booleans and ISO dates)
+ */
+export type ColumnType = 'auto' | 'string' | 'number' | 'boolean' | 'date';
+
+/**
+ * Options controlling how values are read and typed
+ */
+export interface ReadOptions {
+  /** How values are rendered by the API (default: FORMATTED) */
+  valueRenderOption?: 'FORMATTED' | 'UNFORMATTED' | 'FORMULA' | 'FORMATTED_VALUE' | 'UNFORMATTED_VALUE';
+  /** How dates are rendered when values are unformatted (default: SERIAL_NUMBER) */
+  dateTimeRenderOption?: 'SERIAL_NUMBER' | 'FORMATTED_STRING';
+  /** Auto-coerce every column in the json format: numbers, booleans, ISO dates, and null for empty cells */
+  coerce?: boolean;
+  /** Per-column types for the json format (overrides `coerce` for those columns) */
+  types?: Record<string, ColumnType>;
+  /** Schema to apply to the json format instead of the tab's registered one */
+  schema?: TabSchema;
+  /** Set to false to skip the tab's schema */
+  validate?: boolean;
+  /** What to do with rows that fail the schema: throw (default), drop them, or keep them and log a warning */
+  onInvalid?: 'throw' | 'skip' | 'keep';
+}
+
+/**
+ * Operators for one column of a declarative where clause; every operator given must hold
+ */
+export interface WhereOperators {
+  eq?: any;
+  ne?: any;
+  gt?: any;
+  gte?: any;
+  lt?: any;
+  lte?: any;
+  /** Any of these values */
+  in?: any[];
+  notIn?: any[];
+  contains?: string;
+  startsWith?: string;
+  endsWith?: string;
+  /** Regular expression (or its source) the cell text must match */
+  matches?: RegExp | string;
+  /** true for empty cells only, false for non-empty ones */
+  empty?: boolean;
+}
+
+/**
+ * Serializable row filter: per column, a value to equal, a list of allowed values, or operators
+ * Numbers, dates and booleans compare by value, whether cells were read formatted or coerced.
+ */
+export type WhereClause = Record<string, string | number | boolean | Date | null | RegExp | any[] | WhereOperators>;
+
+/**
+ * Client-side query over the rows read, applied before format conversion
+ * Rows are filtered and sorted first, then narrowed to the selected columns, de-duplicated and paged.
+ */
+export interface QueryOptions extends ReadOptions {
+  /** Columns to return, in this order */
+  select?: string[];
+  /** Predicate over each row object, or a declarative where clause */
+  where?: ((row: Record<string, any>, index: number) => boolean) | WhereClause;
+  /** A column, or a list of columns, [column, direction] pairs or { column, order } keys */
+  orderBy?: string | Array<string | [string, 'asc' | 'desc'] | { column: string; order?: 'asc' | 'desc' }>;
+  /** Maximum number of rows returned */
+  limit?: number;
+  /** Rows skipped before the limit applies */
+  offset?: number;
+  /** Drop repeated rows, comparing all selected columns (true) or just the ones listed */
+  distinct?: boolean | string[];
+}
+
+/**
+ * Rules for a single column
+ */
+export interface ColumnSchema {
+  /** Type values are coerced to and checked against */
+  type?: ColumnType;
+  /** The column must be present (default: false) */
+  required?: boolean;
+  /** Set to false to reject empty cells (default: true) */
+  nullable?: boolean;
+  /** Allowed values */
+  enum?: Array<string | number | boolean>;
+  /** Pattern the cell text must match */
+  pattern?: RegExp | string;
+}
+
+/**
+ * Column schema for a tab
+ */
+export interface TabSchema {
+  /** Rules by column name */
+  columns: Record<string, ColumnSchema>;
+  /** Set to false to reject columns not listed in `columns` (default: true) */
+  allowExtraColumns?: boolean;
+}
+
+/**
+ * A single schema violation
+ */
+export interface ValidationIssue {
+  /** Sheet row number, header = 1 (for updateSheet, the row's position in the new data) */
+  row: number;
+  /** Column name */
+  column: string;
+  /** The offending value as given */
+  value: any;
+  /** What is wrong */
+  message: string;
+}
+
+/**
+ * Result of validateSheet()
+ */
+export interface ValidationResult {
+  /** Rows coerced to the schema's column types */
+  rows: Record<string, any>[];
+  /** Every validation issue found */
+  errors: ValidationIssue[];
+}
+
+/**
+ * Progress of a chunked write, reported after each chunk
+ */
+export interface WriteProgress {
+  /** Tab being written (undefined for the first tab when none was given) */
+  tab?: string;
+  /** Rows written so far, across all chunks */
+  rowsWritten: number;
+  /** Rows in the whole write (undefined for streamed writes) */
+  totalRows?: number;
+  /** 0-based index of the chunk that just finished */
+  chunkIndex: number;
+  /** Number of chunks in the write (undefined for streamed writes) */
+  chunkCount?: number;
+  /** Milliseconds since the first chunk was sent */
+  elapsedMs: number;
+}
+
+/**
+ * Options for splitting large writes into several requests
+ */
+export interface ChunkOptions {
+  /** Maximum rows per request (default: 5000) */
+  chunkSize?: number;
+  /** Maximum approximate request payload in bytes (default: 2 MiB) */
+  maxChunkBytes?: number;
+  /** Chunks sent at once (default: 1); appends are always sent one at a time to keep row order */
+  concurrency?: number;
+  /** Called after each chunk is written */
+  onProgress?: (progress: WriteProgress) => void;
+}
+
+/**
+ * Options for writes: schema validation plus chunking
+ */
+export interface WriteOptions extends ChunkOptions {
+  /** Schema to enforce instead of the tab's registered one */
+  schema?: TabSchema;
+  /** Set to false to skip the tab's schema */
+  validate?: boolean;
+}
+
+/**
+ * Friendly cell style; only the properties given are changed
+ */
+export interface CellStyle {
+  bold?: boolean;
+  italic?: boolean;
+  underline?: boolean;
+  strikethrough?: boolean;
+  fontSize?: number;
+  fontFamily?: string;
+  /** Text color as hex (e.g. '#333333') */
+  color?: string;
+  /** Fill color as hex */
+  background?: string;
+  /** Named format, a custom number pattern (e.g. '0.0" ms"'), or an API NumberFormat */
+  numberFormat?: 'text' | 'number' | 'integer' | 'currency' | 'percent' | 'date' | 'datetime' | 'time' | string | { type: string; pattern?: string };
+  align?: 'left' | 'center' | 'right';
+  verticalAlign?: 'top' | 'middle' | 'bottom';
+  /** true wraps, false overflows into empty neighbours, 'clip' cuts off */
+  wrap?: boolean | 'clip';
+  /** true draws thin black borders around and inside the range */
+  borders?: boolean | {
+    style?: 'SOLID' | 'SOLID_MEDIUM' | 'SOLID_THICK' | 'DASHED' | 'DOTTED' | 'DOUBLE';
+    /** Border color as hex (default: '#000000') */
+    color?: string;
+    /** Draw borders between cells too (default: true) */
+    inner?: boolean;
+  };
+}
+
+/**
+ * Report formatting applied after a tab is written
+ */
+export interface FormatPresets {
+  /** Style for the header row; 'bold-frozen' also freezes it */
+  header?: 'bold' | 'bold-frozen' | CellStyle;
+  /** Styles for data rows, keyed by header name or column letter */
+  columns?: Record<string, CellStyle>;
+  /** Fit column widths to their contents */
+  autoResize?: boolean;
+  /** Alternating row colors over the written data (replaces bands already there) */
+  banding?: boolean | { headerColor?: string; firstBandColor?: string; secondBandColor?: string };
+  /** Conditional format rules for the tab; replaces rules already on the same ranges and keeps the rest */
+  conditional?: ConditionalRule[];
+}
+
+/**
+ * A gradient color stop
+ */
+export interface GradientPoint {
+  /** Hex color */
+  color: string;
+  /** Where the stop sits (default: min/max of the data, or the 50th percentile for mid) */
+  type?: 'min' | 'max' | 'number' | 'percent' | 'percentile';
+  value?: number | string;
+}
+
+/**
+ * Conditional format rule addressed by column header or A1 range
+ */
+export interface ConditionalRule {
+  /** Header names or column letters; each covers every data row below the header */
+  columns?: string | string[];
+  /** A1 ranges on the tab (e.g. 'B2:D20') */
+  range?: string | string[];
+  /** Condition, e.g. 'textContains', 'greaterThan', 'between', 'blank', or an API type like 'TEXT_STARTS_WITH' */
+  when?: 'textContains' | 'textNotContains' | 'textEquals' | 'greaterThan' | 'greaterThanOrEqual' | 'lessThan' | 'lessThanOrEqual' | 'equals' | 'notEquals' | 'between' | 'blank' | 'notBlank' | string;
+  /** Value(s) the condition compares against (two for 'between') */
+  value?: string | number | Array<string | number>;
+  /** Custom formula, relative to the range's top-left cell (e.g. '=$C2<0') */
+  formula?: string;
+  /** Style applied when the condition holds (bold, italic, underline, strikethrough, color, background) */
+  format?: CellStyle;
+  /** Color scale instead of a condition */
+  gradient?: { min: string | GradientPoint; mid?: string | GradientPoint; max: string | GradientPoint };
+}
+
+/**
+ * Conditional format rule as listed from a tab
+ */
+export interface ConditionalRuleInfo extends Omit<ConditionalRule, 'columns' | 'range' | 'gradient'> {
+  /** Position on the tab; rules earlier in the list win */
+  index: number;
+  /** A1 ranges the rule covers */
+  ranges: string[];
+  /** Header names, when every range is a whole data column */
+  columns?: string[];
+  gradient?: { min: GradientPoint; mid?: GradientPoint; max: GradientPoint };
+}
+
+/**
+ * Options for writeToSheet
+ */
+export interface WriteSheetOptions extends WriteOptions {
+  /** Formatting to apply once the data is written */
+  format?: FormatPresets;
+  /** Sort the data rows on the sheet once they are written */
+  sort?: SortSpec;
+  /** Turn on the tab's basic filter over the written data (true for filter buttons only) */
+  filter?: boolean | Omit<FilterOptions, 'range'>;
+}
+
+/**
+ * Options for writeToSheetTabs
+ */
+export interface WriteTabsOptions extends ChunkOptions {
+  /** Formatting to apply to every tab once the data is written */
+  format?: FormatPresets;
+}
+
+/**
+ * Validates rows against a tab schema, collecting every issue
+ * @param rows - Rows to validate (objects keyed by column name)
+ * @param schema - Tab schema
+ * @param options - Header row (for column checks) and the row number of rows[0]
+ * @returns Validation issues (empty when valid)
+ */
+export function validateData(rows: Record<string, any>[], schema: TabSchema, options?: { headers?: string[]; firstRow?: number }): ValidationIssue[];
+
+/**
+ * Registers (or removes) the column schema for a tab
+ * @param tab - Tab name
+ * @param schema - Schema to register, or null to remove it
+ */
+export function defineSchema(tab: string, schema: TabSchema | null): void;
+
+/**
+ * Checks a tab against a schema without throwing
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @param options - Read options; options.schema overrides the registered one
+ * @returns Promise resolving to the coerced rows and every validation issue
+ */
+export function validateSheet(spreadsheetId: string, tab: string, options?: ReadOptions): Promise<ValidationResult>;
+
 /**
  * Reads data from a Google Spreadsheet
  * @param spreadsheetId - ID of the spreadsheet to read from
  * @param tab - Optional tab name to read from
  * @param format - Output format ('json', 'csv', or 'array')
  * @param shouldGetAllTabs - If true, returns object with tab names as keys and data as values
+ * @param options - Value rendering and type coercion options
  * @returns Promise resolving to the spreadsheet data in requested format
  */
-export function getSheet(spreadsheetId: string, tab?: string, format?: 'json' | 'csv' | 'array', shouldGetAllTabs?: false): Promise<any>;
-export function getSheet(spreadsheetId: string, tab?: string, format?: 'json' | 'csv' | 'array', shouldGetAllTabs: true): Promise<Record<string, any>>;
+export function getSheet(spreadsheetId: string, tab?: string, format?: 'json' | 'csv' | 'array', shouldGetAllTabs?: false, options?: QueryOptions): Promise<any>;
+export function getSheet(spreadsheetId: string, tab: string | undefined, format: 'json' | 'csv' | 'array' | undefined, shouldGetAllTabs: true, options?: QueryOptions): Promise<Record<string, any>>;
+
+/**
+ * Options for updateSheet
+ */
+export interface UpdateOptions extends WriteOptions {
+  /** Key column name(s) - enables upsert mode, matching rows on these columns and writing only the cells that changed */
+  key?: string | string[];
+  /** In upsert mode, delete the rows whose key is missing from the new data (default: false) */
+  deleteMissing?: boolean;
+}
+
+/**
+ * Response from updateSheet - row counts are present in upsert mode
+ */
+export interface UpdateResponse extends SheetResponse {
+  /** Rows appended because their key was not found */
+  inserted?: number;
+  /** Matched rows whose values changed */
+  updated?: number;
+  /** Rows removed because their key was missing from the new data */
+  deleted?: number;
+}
 
 /**
  * Updates existing data in a Google Spreadsheet
  * @param spreadsheetId - ID of the spreadsheet to update
  * @param newData - New data to merge/update
  * @param tab - Tab name to update
- * @returns Promise resolving to the API response
+ * @param options - Upsert options (match rows on key columns instead of position)
+ * @returns Promise resolving to the API response (plus row counts when upserting)
+ */
+export function updateSheet(spreadsheetId: string, newData: SpreadsheetData, tab?: string, options?: UpdateOptions): Promise<UpdateResponse>;
+
+/**
+ * Options for diffSheet
+ */
+export interface DiffOptions {
+  /** Column name(s) that identify a row, as for updateSheet's upsert */
+  key: string | string[];
+}
+
+/**
+ * Before and after values of one cell, as displayed text
+ */
+export interface CellChange {
+  before: string;
+  after: string;
+}
+
+/**
+ * A row in the new data whose key is not in the tab
  */
-export function updateSheet(spreadsheetId: string, newData: SpreadsheetData, tab?: string): Promise<SheetResponse>;
+export interface AddedRow {
+  /** Key column values */
+  key: Record<string, string>;
+  /** Values for the columns the new row has */
+  values: Record<string, string>;
+}
+
+/**
+ * A row in the tab whose key is missing from the new data
+ */
+export interface RemovedRow {
+  key: Record<string, string>;
+  /** 1-based sheet row number */
+  row: number;
+  /** The row's current values */
+  values: Record<string, string>;
+}
+
+/**
+ * A matched row with at least one changed cell
+ */
+export interface ChangedRow {
+  key: Record<string, string>;
+  /** 1-based sheet row number */
+  row: number;
+  /** Changed cells by column */
+  changes: Record<string, CellChange>;
+}
+
+/**
+ * Result of diffSheet
+ */
+export interface SheetDiff {
+  /** Columns in the new data that the tab doesn't have yet */
+  newColumns: string[];
+  added: AddedRow[];
+  removed: RemovedRow[];
+  changed: ChangedRow[];
+  /** Matched rows whose compared cells are all the same */
+  unchanged: number;
+}
+
+/**
+ * Compares a dataset with a tab without writing anything
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to compare against
+ * @param newData - Data that would be written
+ * @param options - Key column(s) to match rows on
+ * @returns Promise resolving to added, removed and changed rows
+ */
+export function diffSheet(spreadsheetId: string, tab: string, newData: SpreadsheetData, options: DiffOptions): Promise<SheetDiff>;
 
 /**
  * Reads an Excel (.xlsx) file and returns data as object with sheet names as keys
@@ -148,6 +664,33 @@ export function updateSheet(spreadsheetId: string, newData: SpreadsheetData, tab
  */
 export function readXlsxFile(filePath: string): Record<string, string>;
 
+/**
+ * Options for writeXlsxFile
+ */
+export interface WriteXlsxOptions {
+  /** Write text that looks like a number, boolean or ISO date as that type (default: true) */
+  coerce?: boolean;
+  /** Column types, overriding automatic coercion per column */
+  types?: Record<string, ColumnType>;
+  /** Number format per column: a named format ('currency', 'percent', 'date', ...) or an Excel format code */
+  numberFormats?: Record<string, string>;
+  /** 'auto' sizes columns to their contents (default); an object sets widths in characters per column; false leaves Excel's default */
+  columnWidths?: 'auto' | false | Record<string, number>;
+  /** Header row style: bold on a light fill, frozen with 'bold-frozen' (default); false leaves it plain */
+  header?: 'bold' | 'bold-frozen' | false;
+  /** Put filter buttons on the header row (default: true) */
+  filter?: boolean;
+}
+
+/**
+ * Writes tab data to a local Excel (.xlsx) file, one worksheet per tab
+ * @param filePath - Path of the .xlsx file to write
+ * @param tabs - Data by tab name, such as getSheet(id, null, 'json', true) returns
+ * @param options - Coercion, number formats, column widths, header style and filter
+ * @returns Resolved path of the written file
+ */
+export function writeXlsxFile(filePath: string, tabs: Record<string, SpreadsheetData>, options?: WriteXlsxOptions): string;
+
 /**
  * Converts CSV string to array of objects (JSON)
  * @param csvString - CSV string to convert
@@ -169,9 +712,10 @@ export function jsonToCsv(jsonData: Record<string, any>[], options?: any): strin
  * @param spreadsheetId - ID of the spreadsheet
  * @param rows - Data to append
  * @param tab - Optional tab name to append to
+ * @param options - Schema validation, chunking and progress options
  * @returns Promise resolving to the API response
  */
-export function appendToSheet(spreadsheetId: string, rows: SpreadsheetData, tab?: string): Promise<SheetResponse>;
+export function appendToSheet(spreadsheetId: string, rows: SpreadsheetData, tab?: string, options?: WriteOptions): Promise<SheetResponse>;
 
 /**
  * Clears all data from a spreadsheet or specific tab
@@ -191,23 +735,555 @@ export function getSheetInfo(spreadsheetId: string): Promise<any>;
 /**
  * Reads data from a specific range in a Google Spreadsheet
  * @param spreadsheetId - ID of the spreadsheet to read from
- * @param range - Range to read (e.g., 'A1:C10', 'B:B', 'A1:Z')
- * @param tab - Optional tab name
+ * @param range - Range to read (e.g., 'A1:C10', 'B:B', 'A1:Z'), or the name of a named range
+ * @param tab - Optional tab name (not used with named ranges)
  * @param format - Output format ('json', 'csv', or 'array')
+ * @param options - Value rendering and type coercion options
  * @returns Promise resolving to the range data in requested format
  */
-export function getRange(spreadsheetId: string, range: string, tab?: string, format?: 'json' | 'csv' | 'array'): Promise<any>;
+export function getRange(spreadsheetId: string, range: string, tab?: string, format?: 'json' | 'csv' | 'array', options?: QueryOptions): Promise<any>;
+
+/**
+ * Options for streamSheet
+ */
+export interface StreamOptions extends ReadOptions {
+  /** Rows fetched per request (default: 1000) */
+  batchSize?: number;
+}
+
+/**
+ * Streams a tab's rows as objects, reading it in windows of rows instead of all at once
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name (defaults to the first tab)
+ * @param options - Window size plus value rendering and type coercion options
+ * @returns Object-mode Readable of rows (header from row 1), usable with `for await`
+ */
+export function streamSheet(spreadsheetId: string, tab?: string, options?: StreamOptions): Readable;
+
+/**
+ * Options for createSheetWriteStream
+ */
+export interface WriteStreamOptions {
+  /** Rows appended per request (default: 1000) */
+  batchSize?: number;
+  /** Header to write when the tab is empty and rows are objects (default: the first object's keys) */
+  headers?: string[];
+  /** Schema to enforce on each batch instead of the tab's registered one */
+  schema?: TabSchema;
+  /** Set to false to skip the tab's schema */
+  validate?: boolean;
+  /** Called after each batch is appended */
+  onProgress?: (progress: WriteProgress) => void;
+}
+
+/**
+ * Options for importCsvFile
+ */
+export interface ImportFileOptions extends WriteStreamOptions {
+  /** File format (default: from the extension - .jsonl/.ndjson are JSON Lines, anything else CSV) */
+  format?: 'csv' | 'jsonl';
+}
+
+/**
+ * Creates a Writable that appends rows to a tab in batches as they arrive
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name (created if missing; defaults to the first tab)
+ * @param options - Batch size, header and progress options
+ * @returns Object-mode Writable accepting row objects or arrays
+ */
+export function createSheetWriteStream(spreadsheetId: string, tab?: string, options?: WriteStreamOptions): Writable;
+
+/**
+ * Appends a CSV or JSON Lines file to a tab, streaming it from disk in batches
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param filePath - Path to a .csv or .jsonl/.ndjson file
+ * @param tab - Tab name (created if missing; defaults to the first tab)
+ * @param options - File format, batch size and progress options
+ * @returns Promise resolving to the number of rows appended
+ */
+export function importCsvFile(spreadsheetId: string, filePath: string, tab?: string, options?: ImportFileOptions): Promise<{ rowsWritten: number }>;
+
+/**
+ * Options for syncFile
+ */
+export interface SyncOptions {
+  /** Column name(s) that identify a row */
+  key: string | string[];
+  /** 'push' carries file edits to the tab, 'pull' carries tab edits to the file (default 'both') */
+  direction?: 'push' | 'pull' | 'both';
+  /** Which side wins cells edited on both sides; 'skip' leaves them and reports them (default 'skip') */
+  onConflict?: 'skip' | 'local' | 'remote';
+  /** Where the last-synced snapshot is kept (default `<file>.sync.json`) */
+  snapshotPath?: string;
+}
+
+/**
+ * Rows a sync added to, changed in and removed from one side
+ */
+export interface SyncCounts {
+  added: number;
+  updated: number;
+  removed: number;
+}
+
+/**
+ * An edit made on both sides since the last sync
+ */
+export interface SyncConflict {
+  /** Key column values */
+  key: Record<string, string>;
+  /** Conflicting column, or null when one side edited a row the other deleted */
+  column: string | null;
+  /** Snapshot value (the snapshot row for row conflicts; null if the row is new on both sides) */
+  base: string | Record<string, string> | null;
+  /** File value (the file row for row conflicts; null if the file deleted it) */
+  local: string | Record<string, string> | null;
+  /** Tab value (the tab row for row conflicts; null if the tab deleted it) */
+  remote: string | Record<string, string> | null;
+}
+
+/**
+ * Result of syncFile
+ */
+export interface SyncResult {
+  /** Changes written to the tab */
+  pushed: SyncCounts;
+  /** Changes written to the file */
+  pulled: SyncCounts;
+  conflicts: SyncConflict[];
+  /** Path of the snapshot written by this sync */
+  snapshotPath: string;
+}
+
+/**
+ * Keeps a local .json or .csv file and a tab in step, using a last-synced snapshot to detect edits on each side
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to sync (created on the first push if missing)
+ * @param localPath - Path to a .json file (an array of objects) or a .csv file with a header row
+ * @param options - Key columns, direction, conflict policy and snapshot path
+ * @returns Promise resolving to rows pushed, rows pulled and conflicts
+ */
+export function syncFile(spreadsheetId: string, tab: string, localPath: string, options: SyncOptions): Promise<SyncResult>;
 
 /**
  * Writes data to a specific range in a Google Spreadsheet
  * @param spreadsheetId - ID of the spreadsheet
- * @param range - Range to write to (e.g., 'A1:C10', 'B2', 'A1')
- * @param data - Data to write
- * @param tab - Optional tab name
+ * @param range - Range to write to (e.g., 'A1:C10', 'B2', 'A1'), or the name of a named range
+ * @param data - Data to write (must fit inside a named range)
+ * @param tab - Optional tab name (not used with named ranges)
  * @returns Promise resolving to the API response
  */
 export function writeToRange(spreadsheetId: string, range: string, data: SpreadsheetData, tab?: string): Promise<SheetResponse>;
 
+/**
+ * Named range with the cells it currently covers
+ */
+export interface NamedRangeInfo {
+  namedRangeId: string;
+  name: string;
+  tab?: string;
+  /** Tab-qualified A1 range, e.g. 'Rates!A2:B20' */
+  range: string;
+}
+
+/**
+ * Changes to a named range
+ */
+export interface NamedRangeUpdate {
+  /** New name */
+  name?: string;
+  /** New A1 range */
+  range?: string;
+  /** Tab the new range is on */
+  tab?: string;
+}
+
+/**
+ * Names a range so formulas and code can refer to it by name; it follows its cells as rows and columns move
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param name - Range name (letters, digits and underscores, not starting with a digit or looking like a cell)
+ * @param range - Range to name (e.g., 'A1:C10', 'Rates!B2:C', or a bare tab name)
+ * @param tab - Optional tab name
+ * @returns Promise resolving to the new named range's ID
+ */
+export function addNamedRange(spreadsheetId: string, name: string, range: string, tab?: string): Promise<string>;
+
+/**
+ * Lists a spreadsheet's named ranges
+ * @param spreadsheetId - ID of the spreadsheet
+ * @returns Promise resolving to the named ranges with their current A1 ranges
+ */
+export function listNamedRanges(spreadsheetId: string): Promise<NamedRangeInfo[]>;
+
+/**
+ * Renames a named range or points it at different cells
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param name - Current name of the range
+ * @param changes - New name and/or range
+ * @returns Promise that resolves when the named range is updated
+ */
+export function updateNamedRange(spreadsheetId: string, name: string, changes: NamedRangeUpdate): Promise<void>;
+
+/**
+ * Deletes a named range, leaving its cells as they are
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param name - Name of the range
+ * @returns Promise that resolves when the named range is deleted
+ */
+export function deleteNamedRange(spreadsheetId: string, name: string): Promise<void>;
+
+/**
+ * Protection options
+ */
+export interface ProtectionOptions {
+  /** A1 range on the tab (default: the whole tab) */
+  range?: string;
+  /** Emails of the people who may edit, besides the requesting account and the owner (default: nobody else) */
+  editors?: string[];
+  /** Let everyone edit after a warning instead of blocking them (can't be combined with editors) */
+  warningOnly?: boolean;
+  description?: string;
+}
+
+/**
+ * Protected range as listed from a spreadsheet
+ */
+export interface ProtectedRangeInfo {
+  protectedRangeId: number;
+  tab?: string;
+  /** Tab-qualified A1 range; absent when the whole tab is protected */
+  range?: string;
+  /** Set when the protection covers a named range */
+  namedRangeId?: string;
+  description?: string;
+  warningOnly: boolean;
+  /** Emails that may edit, including the requesting account */
+  editors: string[];
+}
+
+/**
+ * Protects a whole tab or a range on it so only the listed editors can change it
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to protect
+ * @param options - Range, editors, warning-only mode and description
+ * @returns Promise resolving to the new protected range's ID
+ */
+export function addProtectedRange(spreadsheetId: string, tab: string, options?: ProtectionOptions): Promise<number>;
+
+/**
+ * Lists the protected ranges in a spreadsheet
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Only protections on this tab
+ * @returns Promise resolving to the protections
+ */
+export function listProtectedRanges(spreadsheetId: string, tab?: string): Promise<ProtectedRangeInfo[]>;
+
+/**
+ * Removes a protection
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param protectedRangeId - ID from addProtectedRange() or listProtectedRanges()
+ * @returns Promise that resolves when the protection is removed
+ */
+export function deleteProtectedRange(spreadsheetId: string, protectedRangeId: number): Promise<void>;
+
+/**
+ * Applies a cell style to a range
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param range - Range to format (e.g., 'A1:D1', 'C:C')
+ * @param tab - Optional tab name
+ * @param format - Style to apply
+ * @returns Promise resolving to the batchUpdate response
+ */
+export function formatRange(spreadsheetId: string, range: string, tab?: string, format?: CellStyle): Promise<any>;
+
+/**
+ * Adds a conditional format rule to a tab
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @param rule - Rule addressed by column header or A1 range
+ * @param options - Position to insert the rule at (default: last)
+ * @returns Promise resolving to the new rule's index
+ */
+export function addConditionalFormat(spreadsheetId: string, tab: string, rule: ConditionalRule, options?: { index?: number }): Promise<number>;
+
+/**
+ * Lists a tab's conditional format rules in priority order
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @returns Promise resolving to the rules
+ */
+export function listConditionalFormats(spreadsheetId: string, tab: string): Promise<ConditionalRuleInfo[]>;
+
+/**
+ * Replaces the conditional format rule at an index
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @param index - Index from listConditionalFormats()
+ * @param rule - New rule
+ * @returns Promise that resolves when the rule is updated
+ */
+export function updateConditionalFormat(spreadsheetId: string, tab: string, index: number, rule: ConditionalRule): Promise<void>;
+
+/**
+ * Deletes the conditional format rule at an index
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @param index - Index from listConditionalFormats()
+ * @returns Promise that resolves when the rule is deleted
+ */
+export function deleteConditionalFormat(spreadsheetId: string, tab: string, index: number): Promise<void>;
+
+/**
+ * Data validation rule; give exactly one of list, number, date, checkbox or formula
+ */
+export interface ValidationRule {
+  /** Dropdown from fixed values, or from an A1 range (e.g. 'Plans!A2:A') */
+  list?: Array<string | number> | string;
+  /** Number bounds (inclusive) */
+  number?: { min?: number; max?: number };
+  /** Date bounds (inclusive, 'YYYY-MM-DD' or Date); true only requires a valid date */
+  date?: true | { min?: string | Date; max?: string | Date };
+  /** Checkbox; custom values replace TRUE/FALSE */
+  checkbox?: true | { checked: string | number; unchecked?: string | number };
+  /** Custom formula relative to the first data cell (e.g. '=LEN(B2)<=10') */
+  formula?: string;
+  /** Reject invalid input (default: true); false only shows a warning */
+  strict?: boolean;
+  /** Help text shown when the cell is selected */
+  message?: string;
+  /** Raw API condition, when read back with a type none of the above covers */
+  condition?: any;
+}
+
+/**
+ * A run of rows in one column sharing a validation rule
+ */
+export interface ColumnValidation {
+  /** Header name, or column letter when the column has no header */
+  column: string;
+  /** A1 range the rule covers */
+  range: string;
+  rule: ValidationRule;
+}
+
+/**
+ * Sets (or clears, with null) data validation on the data rows of one or more columns
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @param column - Header name(s) or column letter(s)
+ * @param rule - Rule to set, or null to remove validation
+ * @returns Promise that resolves when validation is set
+ */
+export function setValidation(spreadsheetId: string, tab: string, column: string | string[], rule: ValidationRule | null): Promise<void>;
+
+/**
+ * Reads back a tab's data validation rules
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @returns Promise resolving to each column's rules and the ranges they cover
+ */
+export function getValidation(spreadsheetId: string, tab: string): Promise<ColumnValidation[]>;
+
+/**
+ * Sort key: a header name or column letter (ascending), or one with an explicit order
+ */
+export type SortKey = string | { column: string; order?: 'asc' | 'desc' };
+
+/**
+ * One sort key, or several (the first sorts first)
+ */
+export type SortSpec = SortKey | SortKey[];
+
+/**
+ * Per header name or column letter, the values to show, or a condition rows must meet (same conditions as conditional formats)
+ */
+export type ColumnFilters = Record<string, Array<string | number | boolean> | { when: NonNullable<ConditionalRule['when']>; value?: string | number | Array<string | number> }>;
+
+/**
+ * Basic filter and filter view options
+ */
+export interface FilterOptions {
+  filters?: ColumnFilters;
+  sort?: SortSpec;
+  /** A1 range on the tab, header first (default: the header and every data row) */
+  range?: string;
+}
+
+/**
+ * Turns on a tab's basic filter, optionally hiding values and sorting by header-named columns
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to filter (header in row 1)
+ * @param options - Column filters, sort and range
+ * @returns Promise that resolves when the filter is set
+ */
+export function setFilter(spreadsheetId: string, tab: string, options?: FilterOptions): Promise<void>;
+
+/**
+ * Turns off a tab's basic filter
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab name
+ * @returns Promise that resolves when the filter is cleared
+ */
+export function clearFilter(spreadsheetId: string, tab: string): Promise<void>;
+
+/**
+ * Saves a named filter view that viewers can switch on individually
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to filter (header in row 1)
+ * @param title - Name shown in the filter view menu
+ * @param options - Column filters, sort and range
+ * @returns Promise resolving to the new filter view's ID
+ */
+export function addFilterView(spreadsheetId: string, tab: string, title: string, options?: FilterOptions): Promise<number>;
+
+/**
+ * Deletes a filter view
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param filterViewId - ID from addFilterView()
+ * @returns Promise that resolves when the filter view is deleted
+ */
+export function deleteFilterView(spreadsheetId: string, filterViewId: number): Promise<void>;
+
+/**
+ * Sorts a tab's data rows in place by header-named columns, leaving the header where it is
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab to sort (header in row 1)
+ * @param sort - Sort keys
+ * @param options - A1 range to sort instead of the data rows
+ * @returns Promise that resolves when the rows are sorted
+ */
+export function sortRange(spreadsheetId: string, tab: string, sort: SortSpec, options?: { range?: string }): Promise<void>;
+
+/**
+ * Chart over a tab's data, with columns picked by header name
+ */
+export interface ChartOptions {
+  /** Chart type (default: 'line'); 'bar' is horizontal, 'column' vertical */
+  type?: 'line' | 'bar' | 'column' | 'area' | 'scatter' | 'pie';
+  /** Header name or column letter for the x axis (pie: the slice labels) */
+  x: string;
+  /** Header name(s) or column letter(s) to plot (pie: exactly one) */
+  y: string | string[];
+  title?: string;
+  /** Stack the series (line, bar, column and area charts) */
+  stacked?: boolean;
+  /** 'newSheet' for a tab of its own; otherwise an anchor cell (default: right of the data) with pixel offsets and size */
+  position?: 'newSheet' | { anchor?: string; offsetX?: number; offsetY?: number; width?: number; height?: number };
+}
+
+/**
+ * Chart as listed from a spreadsheet
+ */
+export interface ChartInfo {
+  chartId: number;
+  /** Tab the chart plots */
+  tab?: string;
+  type: 'line' | 'bar' | 'column' | 'area' | 'scatter' | 'pie' | string;
+  title?: string;
+  x: string;
+  y: string[];
+  stacked?: boolean;
+  /** Rows covered, header included */
+  rowCount?: number;
+  position: 'newSheet' | { anchor: string; offsetX: number; offsetY: number; width?: number; height?: number };
+}
+
+/**
+ * Adds a chart over a tab's data, covering every row currently on it
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Tab holding the data (header in row 1)
+ * @param options - Chart type, x and y columns, title and position
+ * @returns Promise resolving to the new chart's ID
+ */
+export function addChart(spreadsheetId: string, tab: string, options: ChartOptions): Promise<number>;
+
+/**
+ * Lists the charts in a spreadsheet
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param tab - Only charts plotting this tab's data
+ * @returns Promise resolving to the charts
+ */
+export function listCharts(spreadsheetId: string, tab?: string): Promise<ChartInfo[]>;
+
+/**
+ * Updates a chart, rebuilding it over its tab's current data; options not given are kept
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param chartId - ID from addChart() or listCharts()
+ * @param options - Options to change
+ * @returns Promise that resolves when the chart is updated
+ */
+export function updateChart(spreadsheetId: string, chartId: number, options?: Partial<ChartOptions>): Promise<void>;
+
+/**
+ * Deletes a chart
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param chartId - ID from addChart() or listCharts()
+ * @returns Promise that resolves when the chart is deleted
+ */
+export function deleteChart(spreadsheetId: string, chartId: number): Promise<void>;
+
+/**
+ * Row or column grouping of a pivot table
+ */
+export interface PivotGroupField {
+  /** Header name or column letter in the source tab */
+  field: string;
+  /** Order of the groups (default: 'asc') */
+  sort?: 'asc' | 'desc';
+  /** Show a grand total for the grouping (default: true) */
+  totals?: boolean;
+}
+
+/**
+ * Summarized value of a pivot table
+ */
+export interface PivotValueField {
+  /** Header name or column letter in the source tab */
+  field: string;
+  /** Summarize function (default: 'SUM') */
+  summarize?: 'SUM' | 'COUNTA' | 'COUNT' | 'COUNTUNIQUE' | 'AVERAGE' | 'MAX' | 'MIN' | 'MEDIAN' | 'PRODUCT' | 'STDEV' | 'STDEVP' | 'VAR' | 'VARP';
+  /** Label shown in the pivot table */
+  name?: string;
+}
+
+/**
+ * Pivot table options, with fields picked by the source tab's header names
+ */
+export interface PivotOptions {
+  /** Fields grouped down the rows */
+  rows?: Array<string | PivotGroupField>;
+  /** Fields grouped across the columns */
+  columns?: Array<string | PivotGroupField>;
+  /** Fields summarized in the cells (a plain field name is summed) */
+  values?: Array<string | PivotValueField>;
+  /** Per field, the values to keep, or a condition rows must meet (same conditions as conditional formats) */
+  filters?: Record<string, Array<string | number> | { when: NonNullable<ConditionalRule['when']>; value?: string | number | Array<string | number> }>;
+  /** Lay several values out side by side ('columns', default) or stacked ('rows') */
+  valuesAs?: 'columns' | 'rows';
+  /** Top-left cell of the pivot table on the target tab (default: 'A1') */
+  anchor?: string;
+}
+
+/**
+ * Where a pivot table was placed
+ */
+export interface PivotResult {
+  tab: string;
+  sheetId: number;
+  /** Top-left cell, e.g. "'Revenue by region'!A1" */
+  anchor: string;
+}
+
+/**
+ * Adds a native pivot table summarizing a tab's data; it recalculates as the source is edited
+ * @param spreadsheetId - ID of the spreadsheet
+ * @param sourceTab - Tab holding the data (header in row 1)
+ * @param targetTab - Tab the pivot table is placed on (created when missing)
+ * @param options - Row, column, value and filter fields, and the anchor cell
+ * @returns Promise resolving to where the pivot table was placed
+ */
+export function addPivotTable(spreadsheetId: string, sourceTab: string, targetTab: string, options: PivotOptions): Promise<PivotResult>;
+
 /**
  * Tab creation options
  */
@@ -276,6 +1352,79 @@ export function duplicateTab(spreadsheetId: string, sourceTabName: string, newTa
  */
 export function listTabs(spreadsheetId: string): Promise<TabInfo[]>;
 
+/**
+ * Request payloads a batch resolves to; null when the batch has nothing of that kind
+ */
+export interface BatchPlan {
+  /** Parameters for spreadsheets.batchUpdate (tab, formatting and dimension requests) */
+  batchUpdate: { spreadsheetId: string; resource: { requests: any[] } } | null;
+  /** Parameters for spreadsheets.values.batchUpdate (value writes) */
+  valuesBatchUpdate: { spreadsheetId: string; resource: { valueInputOption: 'USER_ENTERED'; data: Array<{ range: string; values: any[][] }> } } | null;
+}
+
+/**
+ * Result of committing a batch
+ */
+export interface BatchResult {
+  spreadsheetId: string;
+  /** Replies to the spreadsheets.batchUpdate requests, in order */
+  replies: any[];
+  /** Cells written by the values.batchUpdate */
+  updatedCells: number;
+}
+
+/**
+ * Helpers passed to a request factory, resolved against the batch's tabs at that point
+ */
+export interface BatchRequestHelpers {
+  /** sheetId of a tab (including tabs added earlier in the batch) */
+  sheetId(tab: string): number;
+  /** Converts an A1 range to an API GridRange */
+  gridRange(range: string): any;
+}
+
+/**
+ * Queues changes to one spreadsheet; every method except dryRun() and commit() is chainable.
+ * Ranges without a tab name refer to the first tab.
+ */
+export interface BatchBuilder {
+  /** Number of queued operations */
+  readonly size: number;
+  addTab(title: string, options?: { index?: number; hidden?: boolean; tabColor?: string; rowCount?: number; columnCount?: number }): BatchBuilder;
+  deleteTab(title: string): BatchBuilder;
+  renameTab(oldName: string, newName: string): BatchBuilder;
+  /** Copies a tab (named 'Copy of <source>' if no name is given) */
+  duplicateTab(sourceTabName: string, newTabName?: string): BatchBuilder;
+  freeze(tab: string, options: { rows?: number; columns?: number }): BatchBuilder;
+  /** Applies a cell style to a range, only touching the properties given */
+  format(range: string, style: CellStyle): BatchBuilder;
+  /** Sets the pixel width of the columns a range spans (e.g. 'Users!A:C') */
+  resizeColumns(range: string, pixelSize: number): BatchBuilder;
+  appendDimension(tab: string, dimension: 'ROWS' | 'COLUMNS', length: number): BatchBuilder;
+  /** Inserts rows or columns at 0-based [startIndex, endIndex) */
+  insertDimension(tab: string, dimension: 'ROWS' | 'COLUMNS', startIndex: number, endIndex: number): BatchBuilder;
+  /** Deletes rows or columns at 0-based [startIndex, endIndex) */
+  deleteDimension(tab: string, dimension: 'ROWS' | 'COLUMNS', startIndex: number, endIndex: number): BatchBuilder;
+  /** Clears the values in a range */
+  clear(range: string): BatchBuilder;
+  /** Writes data starting at the range's top-left cell, growing the grid if needed */
+  write(range: string, data: SpreadsheetData): BatchBuilder;
+  /** Queues a raw batchUpdate request, or a factory that builds one from resolved sheetIds */
+  request(request: any | ((helpers: BatchRequestHelpers) => any)): BatchBuilder;
+  /** Resolves the batch and returns the payloads commit() would send, without sending them */
+  dryRun(): Promise<BatchPlan>;
+  /** Sends the batch as one spreadsheets.batchUpdate followed by one values.batchUpdate */
+  commit(): Promise<BatchResult>;
+}
+
+/**
+ * Starts a batch of changes to a spreadsheet that is sent on commit()
+ * Never throws; on an uninitialized client, dryRun() and commit() reject.
+ * @param spreadsheetId - ID of the spreadsheet
+ * @returns Chainable batch builder
+ */
+export function batch(spreadsheetId: string): BatchBuilder;
+
 /**
  * Initialize ak-sheets with configuration
  * @param config - Configuration options
@@ -287,12 +1436,116 @@ export function initSheets(config: AkSheetsConfig): Promise<void>;
  */
 export function validateAuth(): Promise<boolean>;
 
+/**
+ * Independent client with its own auth, logger, retry and cache settings
+ */
+export interface SheetsClient {
+  /** (Re)initializes this client with configuration */
+  init(config: AkSheetsConfig): void;
+  /** The logger this client writes to */
+  readonly logger: Logger;
+  validateAuth: typeof validateAuth;
+  getSheet: typeof getSheet;
+  updateSheet: typeof updateSheet;
+  diffSheet: typeof diffSheet;
+  createSheet: typeof createSheet;
+  writeToSheet: typeof writeToSheet;
+  writeToSheetTabs: typeof writeToSheetTabs;
+  appendToSheet: typeof appendToSheet;
+  clearSheet: typeof clearSheet;
+  shareSheet: typeof shareSheet;
+  deleteSheet: typeof deleteSheet;
+  deleteAllSheets: typeof deleteAllSheets;
+  exportSpreadsheet: typeof exportSpreadsheet;
+  importXlsx: typeof importXlsx;
+  listOwnedSpreadsheets: typeof listOwnedSpreadsheets;
+  getSheetInfo: typeof getSheetInfo;
+  getURL: typeof getURL;
+  // Range operations
+  getRange: typeof getRange;
+  writeToRange: typeof writeToRange;
+  streamSheet: typeof streamSheet;
+  createSheetWriteStream: typeof createSheetWriteStream;
+  importCsvFile: typeof importCsvFile;
+  syncFile: typeof syncFile;
+  // Named ranges
+  addNamedRange: typeof addNamedRange;
+  listNamedRanges: typeof listNamedRanges;
+  updateNamedRange: typeof updateNamedRange;
+  deleteNamedRange: typeof deleteNamedRange;
+  // Protected ranges
+  addProtectedRange: typeof addProtectedRange;
+  listProtectedRanges: typeof listProtectedRanges;
+  deleteProtectedRange: typeof deleteProtectedRange;
+  // Formatting and validation
+  formatRange: typeof formatRange;
+  addConditionalFormat: typeof addConditionalFormat;
+  listConditionalFormats: typeof listConditionalFormats;
+  updateConditionalFormat: typeof updateConditionalFormat;
+  deleteConditionalFormat: typeof deleteConditionalFormat;
+  setValidation: typeof setValidation;
+  getValidation: typeof getValidation;
+  // Filters and sorting
+  setFilter: typeof setFilter;
+  clearFilter: typeof clearFilter;
+  addFilterView: typeof addFilterView;
+  deleteFilterView: typeof deleteFilterView;
+  sortRange: typeof sortRange;
+  // Charts
+  addChart: typeof addChart;
+  listCharts: typeof listCharts;
+  updateChart: typeof updateChart;
+  deleteChart: typeof deleteChart;
+  // Pivot tables
+  addPivotTable: typeof addPivotTable;
+  // Tab management
+  addTab: typeof addTab;
+  deleteTab: typeof deleteTab;
+  renameTab: typeof renameTab;
+  duplicateTab: typeof duplicateTab;
+  listTabs: typeof listTabs;
+  batch: typeof batch;
+  // Schemas
+  defineSchema: typeof defineSchema;
+  validateSheet: typeof validateSheet;
+}
+
+/**
+ * Creates an independent client with its own auth, logger, retry and cache settings
+ * @param config - Configuration options (client stays uninitialized if omitted)
+ * @returns Client object with every sheet operation bound to it
+ */
+export function createSheetsClient(config?: AkSheetsConfig): SheetsClient;
+
+/**
+ * Creates an in-memory fake of the Google Sheets and Drive APIs
+ * @param options - Fake backend options
+ * @returns Transport to pass as `transport` to initSheets() or createSheetsClient()
+ */
+export function createFakeTransport(options?: FakeTransportOptions): FakeTransport;
+
+/**
+ * Wraps a transport so every request and response (or error) is written to a fixture file
+ * @param transport - Transport to record
+ * @param options - Recorder options
+ * @returns Recording transport
+ */
+export function createRecordingTransport(transport: SheetsTransport, options: RecorderOptions): SheetsTransport;
+
+/**
+ * Creates a transport that answers from a recorded fixture file and throws on unmatched requests
+ * @param options - Recorder options
+ * @returns Replaying transport
+ */
+export function createReplayTransport(options: RecorderOptions): SheetsTransport;
+
 /**
  * Default export object with all sheet operations
  */
 declare const sheet: {
   get: typeof getSheet;
   update: typeof updateSheet;
+  diff: typeof diffSheet;
   create: typeof createSheet;
   write: typeof writeToSheet;
   writeTabs: typeof writeToSheetTabs;
@@ -301,17 +1554,57 @@ declare const sheet: {
   share: typeof shareSheet;
   delete: typeof deleteSheet;
   url: typeof getURL;
+  export: typeof exportSpreadsheet;
+  importXlsx: typeof importXlsx;
   list: typeof listOwnedSpreadsheets;
   info: typeof getSheetInfo;
   // Range operations
   getRange: typeof getRange;
   writeRange: typeof writeToRange;
+  stream: typeof streamSheet;
+  writeStream: typeof createSheetWriteStream;
+  importFile: typeof importCsvFile;
+  syncFile: typeof syncFile;
+  // Named ranges
+  addNamedRange: typeof addNamedRange;
+  listNamedRanges: typeof listNamedRanges;
+  updateNamedRange: typeof updateNamedRange;
+  deleteNamedRange: typeof deleteNamedRange;
+  // Protected ranges
+  addProtectedRange: typeof addProtectedRange;
+  listProtectedRanges: typeof listProtectedRanges;
+  deleteProtectedRange: typeof deleteProtectedRange;
+  // Formatting and validation
+  format: typeof formatRange;
+  addConditionalFormat: typeof addConditionalFormat;
+  listConditionalFormats: typeof listConditionalFormats;
+  updateConditionalFormat: typeof updateConditionalFormat;
+  deleteConditionalFormat: typeof deleteConditionalFormat;
+  setValidation: typeof setValidation;
+  getValidation: typeof getValidation;
+  // Filters and sorting
+  setFilter: typeof setFilter;
+  clearFilter: typeof clearFilter;
+  addFilterView: typeof addFilterView;
+  deleteFilterView: typeof deleteFilterView;
+  sortRange: typeof sortRange;
+  // Charts
+  addChart: typeof addChart;
+  listCharts: typeof listCharts;
+  updateChart: typeof updateChart;
+  deleteChart: typeof deleteChart;
+  // Pivot tables
+  addPivotTable: typeof addPivotTable;
   // Tab management
   addTab: typeof addTab;
   deleteTab: typeof deleteTab;
   renameTab: typeof renameTab;
   duplicateTab: typeof duplicateTab;
   listTabs: typeof listTabs;
+  batch: typeof batch;
+  // Schemas
+  defineSchema: typeof defineSchema;
+  validate: typeof validateSheet;
 };
 
 export default sheet;
\ No newline at end of file
@@ -6,25 +6,72 @@
 import { google } from 'googleapis';
 import Papa from 'papaparse';
 import pino from 'pino';
-import { readFileSync, existsSync, mkdirSync, writeFileSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, existsSync, mkdirSync, writeFileSync, createReadStream } from 'fs';
+import { resolve, extname, dirname, basename } from 'path';
 import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
 import xlsx from 'xlsx';
 
-let credentials = null;
-// Default logger - will be reconfigured in initSheets()
+import { createRecordingTransport, createReplayTransport } from './recorder.js';
+import { quoteTab, tabRange, parseA1, formatA1, columnToLetter } from './a1.js';
+import { coerceValue, schemaTypes, validateData, schemaValidationError } from './schema.js';
+import { createBatch } from './batch.js';
+import { hexToColor, formatRequests, presetRequests, toConditionalRule, fromConditionalRule, columnIndex } from './format.js';
+import { toValidationRule, collectValidations } from './validation.js';
+import { toChartSpec, toChartPosition, fromChart } from './charts.js';
+import { toPivotTable } from './pivot.js';
+import { toSortSpecs, toFilterSpecs } from './filters.js';
+import { hasQuery, applyQuery } from './query.js';
+import { syncRows } from './sync.js';
+import { styleHeaders, toSheetTabs, toWorksheet } from './workbook.js';
+
+export { createFakeTransport } from './fake.js';
+export { createRecordingTransport, createReplayTransport };
+export { validateData };
+
+// Module logger used by the standalone utilities - replaced by initSheets()
 let logger = pino({ level: 'info' });
-let environment = 'prod';
-/** @type {any} */
-let auth = null;
-/** @type {any} */
-let sheets = null;
-/** @type {any} */
-let drive = null;
-
-// Retry configuration - can be overridden in initSheets()
-let maxRetries = 5;
-let maxBackoffMs = 64000;
+
+// Google Sheets caps a spreadsheet at 10 million cells across all of its tabs
+const SPREADSHEET_CELL_LIMIT = 10000000;
+
+// Large writes are sent in chunks of at most this many rows and request bytes
+const DEFAULT_CHUNK_ROWS = 5000;
+const DEFAULT_CHUNK_BYTES = 2 * 1024 * 1024;
+
+// Retry settings a client starts with, unless its config overrides them
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_MAX_BACKOFF_MS = 64000;
+
+// MIME types Drive exports a spreadsheet to, by export format
+/** @type {Record<string, string>} */
+const EXPORT_MIME_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ods: 'application/x-vnd.oasis.opendocument.spreadsheet',
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values'
+};
+
+/**
+ * Wraps the Sheets web export endpoint, which the API has no method for, in the transport method shape
+ * Query parameters (gid, portrait, gridlines, fitw) are passed through as given.
+ * @param {any} auth - GoogleAuth client
+ * @returns {any} Object exposing `spreadsheets.export(params, options)`
+ */
+function createDocsClient(auth) {
+    return {
+        spreadsheets: {
+            export: (/** @type {Record<string, string>} */ { spreadsheetId, ...query }, /** @type {any} */ options = {}) =>
+                auth.request({
+                    url: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?${new URLSearchParams(query)}`,
+                    ...options
+                })
+        }
+    };
+}
 
 /**
  * Loads credentials from various sources
@@ -71,420 +118,442 @@ function loadCredentials(credentialsInput) {
 }
 
 /**
- * Exponential backoff retry mechanism for Google API calls
- * @param {Function} apiCall - The API function to call
- * @param {number} [customMaxRetries] - Override retry count (uses global config if not provided)
- * @param {number} [customMaxBackoff] - Override backoff time (uses global config if not provided)
- * @returns {Promise<any>} Result of the API call
- */
-async function retryWithBackoff(apiCall, customMaxRetries, customMaxBackoff) {
-    const maxRetriesConfig = customMaxRetries ?? maxRetries;
-    const maxBackoffConfig = customMaxBackoff ?? maxBackoffMs;
-    let currentRetry = 0;
-    
-    while (currentRetry <= maxRetriesConfig) {
-        try {
-            // Log the attempt if we're retrying
-            if (currentRetry > 0) {
-                logger.info({ 
-                    attempt: currentRetry + 1, 
-                    maxRetries: maxRetriesConfig + 1 
-                }, 'Retrying API call after backoff delay');
-            }
-            
-            return await apiCall();
-        } catch (error) {
-            const isQuotaError = error.code === 429 || 
-                                (error.message && error.message.includes('Quota exceeded')) ||
-                                (error.message && error.message.includes('Too many requests'));
-            
-            const isAuthError = error.code === 401 || 
-                               error.code === 403 || 
-                               (error.message && error.message.includes('Invalid authentication')) ||
-                               (error.message && error.message.includes('unauthorized')) ||
-                               (error.message && error.message.includes('permission')) ||
-                               (error.message && error.message.includes('credentials'));
-            
-            const isRetryableError = isQuotaError || 
-                                   error.code === 500 || 
-                                   error.code === 502 || 
-                                   error.code === 503 || 
-                                   error.code === 504;
-            
-            // Auth errors should not be retried - fail fast
-            if (isAuthError) {
-                logger.error({
-                    error: error.message,
-                    errorCode: error.code,
-                    retryCount: currentRetry,
-                    isAuthError: true
-                }, '🚫 AUTHENTICATION ERROR - Check your credentials and permissions');
-                throw error;
-            }
-            
-            if (!isRetryableError || currentRetry >= maxRetriesConfig) {
-                logger.error({
-                    error: error.message,
-                    errorCode: error.code,
-                    retryCount: currentRetry,
-                    maxRetries: maxRetriesConfig,
-                    isQuotaError,
-                    isRetryableError,
-                    isAuthError
-                }, 'API call failed permanently - no more retries');
-                throw error;
-            }
-            
-            // Calculate exponential backoff: min(((2^n) + random), maxBackoff)
-            const baseDelay = Math.pow(2, currentRetry) * 1000; // Start with 1 second
-            const jitter = Math.random() * 1000; // Add up to 1 second of jitter
-            const delay = Math.min(baseDelay + jitter, maxBackoffConfig);
-            
-            // More prominent logging for quota errors
-            const logLevel = isQuotaError ? 'warn' : 'info';
-            const message = isQuotaError 
-                ? 'RATE LIMITED - Waiting before retry' 
-                : 'API error - Retrying with backoff';
-                
-            logger[logLevel]({
-                error: error.message,
-                errorCode: error.code,
-                retryCount: currentRetry + 1,
-                maxRetries: maxRetriesConfig,
-                delayMs: Math.round(delay),
-                delaySec: Math.round(delay / 1000),
-                isQuotaError,
-                nextAttemptIn: `${Math.round(delay / 1000)}s`
-            }, message);
-            
-            await new Promise(resolve => setTimeout(resolve, delay));
-            currentRetry++;
-        }
-    }
-}
-
-/**
- * Validates authentication by making a simple API call
- * @returns {Promise<boolean>} True if auth is valid, throws error if not
+ * Creates an independent ak-sheets client with its own auth, logger, retry and cache settings
+ * @param {import('./index.d.ts').AkSheetsConfig} [config] - Configuration options (client stays uninitialized if omitted)
+ * @returns {import('./index.d.ts').SheetsClient} Client object with every sheet operation bound to it
  * @example
- * import { initSheets, validateAuth } from 'ak-sheets';
+ * import { createSheetsClient } from 'ak-sheets';
  * 
- * // Initialize first
- * await initSheets({ credentials: './credentials.json' });
+ * // Two identities, two retry policies, one process
+ * const reporting = createSheetsClient({ credentials: './reporting-sa.json' });
+ * const ingest = createSheetsClient({
+ *   credentials: './ingest-sa.json',
+ *   maxRetries: 10,
+ *   cache: false
+ * });
  * 
- * // Manually validate auth
- * try {
- *   await validateAuth();
- *   console.log('Authentication is working!');
- * } catch (error) {
- *   console.error('Auth failed:', error.message);
- * }
+ * await reporting.validateAuth();
+ * const rows = await ingest.getSheet(sourceId, 'Events');
+ * await reporting.writeToSheet(reportId, rows, 'Summary');
  */
-export async function validateAuth() {
-    if (!sheets || !drive) {
-        throw new Error('Authentication not initialized. Call initSheets() first.');
-    }
+export function createSheetsClient(config) {
+    let credentials = null;
+    let logger = pino({ level: 'info' });
+    let environment = 'prod';
+    /** @type {any} */
+    let sheets = null;
+    /** @type {any} */
+    let drive = null;
+    /** @type {any} */
+    let docs = null;
+
+    // Retry configuration - can be overridden via init()
+    let maxRetries = DEFAULT_MAX_RETRIES;
+    let maxBackoffMs = DEFAULT_MAX_BACKOFF_MS;
+
+    // Dev cache configuration - enabled by default in dev environment
+    let cacheEnabled = false;
+    let cacheDir = resolve(process.cwd(), 'tmp');
+
+    // Replayed responses need no real backoff between retries
+    let replaying = false;
+
+    // Column schemas by tab name - see defineSchema()
+    /** @type {Record<string, import('./index.d.ts').TabSchema>} */
+    let schemas = {};
+
+    /**
+     * (Re)initializes this client with configuration
+     * @param {import('./index.d.ts').AkSheetsConfig} clientConfig - Configuration options
+     */
+    function init(clientConfig) {
+        const { transport, recorder } = clientConfig;
+        replaying = recorder?.mode === 'replay';
+
+        // An injected transport or replay fixture replaces the Google clients, so no credentials are needed
+        credentials = transport || replaying ? null : loadCredentials(clientConfig.credentials);
+
+        // Use passed environment, then NODE_ENV, then default to 'prod'
+        environment = clientConfig.environment || process.env.NODE_ENV || 'prod';
+
+        if (clientConfig.logger) {
+            logger = clientConfig.logger;
+        } else {
+            const isDev = environment === 'dev' || environment === 'test';
+            logger = pino({ 
+                level: process.env.LOG_LEVEL || (isDev ? 'debug' : 'info'),
+                transport: isDev
+                    ? {
+                        target: 'pino-pretty',
+                        options: { 
+                            colorize: true, 
+                            translateTime: true,
+                            levelFirst: true,
+                            messageFormat: '[ak-sheets] {msg}'
+                        }
+                    }
+                    : undefined // In prod, keep as JSON for cloud logging
+            });
+        }
 
-    try {
-        // Make a simple API call to test authentication
-        logger.debug('Testing authentication with Drive API');
-        await retryWithBackoff(() =>
-            drive.about.get({
-                fields: 'user'
-            })
-        );
-        
-        logger.info('✅ Authentication validated successfully');
-        return true;
-    } catch (error) {
-        const isAuthError = error.code === 401 || 
-                           error.code === 403 || 
-                           (error.message && error.message.includes('Invalid authentication')) ||
-                           (error.message && error.message.includes('unauthorized')) ||
-                           (error.message && error.message.includes('permission')) ||
-                           (error.message && error.message.includes('credentials'));
-        
-        if (isAuthError) {
-            logger.error({
-                error: error.message,
-                errorCode: error.code,
-                suggestion: 'Check your service account credentials, key file path, and API permissions'
-            }, '🚫 AUTHENTICATION FAILED - Invalid credentials or insufficient permissions');
+        // Configure retry settings; re-initializing starts from the defaults, not the previous config
+        maxRetries = typeof clientConfig.maxRetries === 'number' ? clientConfig.maxRetries : DEFAULT_MAX_RETRIES;
+        maxBackoffMs = typeof clientConfig.maxBackoffMs === 'number' ? clientConfig.maxBackoffMs : DEFAULT_MAX_BACKOFF_MS;
+
+        // Configure cache settings
+        cacheEnabled = clientConfig.cache ?? environment === 'dev';
+        cacheDir = resolve(clientConfig.cacheDir || 'tmp');
+
+        schemas = { ...clientConfig.schemas };
+
+        if (recorder?.mode === 'replay') {
+            ({ sheets, drive, docs } = createReplayTransport(recorder));
+        } else if (transport) {
+            ({ sheets, drive } = transport);
+            docs = transport.docs ?? null;
         } else {
-            logger.error({
-                error: error.message,
-                errorCode: error.code
-            }, 'Failed to validate authentication due to network/API error');
+            const auth = new google.auth.GoogleAuth({
+                credentials,
+                scopes: [
+                    'https://www.googleapis.com/auth/spreadsheets',
+                    'https://www.googleapis.com/auth/drive',
+                    'https://www.googleapis.com/auth/drive.file',
+                    'https://www.googleapis.com/auth/drive.metadata.readonly'
+                ],
+            });
+
+            sheets = google.sheets({ version: 'v4', auth });
+            drive = google.drive({ version: 'v3', auth });
+            docs = createDocsClient(auth);
+        }
+
+        if (recorder?.mode === 'record') {
+            ({ sheets, drive, docs } = createRecordingTransport({ sheets, drive, docs }, recorder));
+            logger.info({ fixture: recorder.fixture }, 'Recording API interactions');
+        } else if (recorder?.mode === 'replay') {
+            logger.info({ fixture: recorder.fixture }, 'Replaying API interactions from fixture');
         }
-        throw error;
+
+        logger.info('ak-sheets initialized successfully');
     }
-}
 
-/**
- * Initializes the ak-sheets library with configuration
- * @param {import('./index.d.ts').AkSheetsConfig} config - Configuration options
- * @example
- * import { initSheets } from 'ak-sheets';
- * 
- * // Initialize with credentials object
- * await initSheets({
- *   credentials: {
- *     type: "service_account",
- *     project_id: "your-project",
- *     // ... other credential fields
- *   },
- *   environment: 'dev'
- * });
- * 
- * // Initialize with file path and custom retry settings
- * await initSheets({
- *   credentials: './credentials.json',
- *   environment: 'prod',
- *   maxRetries: 3,
- *   maxBackoffMs: 32000
- * });
- * 
- * // Initialize using environment variables
- * // Set SHEETS_CREDENTIALS=./credentials.json
- * await initSheets({});
- * 
- * // Custom logging level and retry configuration
- * // Set LOG_LEVEL=debug for verbose output
- * await initSheets({ 
- *   credentials: './credentials.json',
- *   maxRetries: 10,
- *   maxBackoffMs: 120000
- * });
- * 
- * // Initialize and test authentication immediately
- * await initSheets({
- *   credentials: './credentials.json',
- *   validateAuth: true  // Default behavior
- * });
- * 
- * // Skip auth validation during init (faster startup)
- * await initSheets({
- *   credentials: './credentials.json',
- *   validateAuth: false
- * });
- */
-export async function initSheets(config) {
-    credentials = loadCredentials(config.credentials);
-    
-    // Use passed environment, then NODE_ENV, then default to 'prod'
-    environment = config.environment || process.env.NODE_ENV || 'prod';
-    
-    if (config.logger) {
-        logger = config.logger;
-    } else {
-        const isDev = environment === 'dev' || environment === 'test';
-        logger = pino({ 
-            level: process.env.LOG_LEVEL || (isDev ? 'debug' : 'info'),
-            transport: isDev
-                ? {
-                    target: 'pino-pretty',
-                    options: { 
-                        colorize: true, 
-                        translateTime: true,
-                        levelFirst: true,
-                        messageFormat: '[ak-sheets] {msg}'
-                    }
+    /**
+     * Exponential backoff retry mechanism for Google API calls
+     * @param {Function} apiCall - The API function to call
+     * @param {number} [customMaxRetries] - Override retry count (uses client config if not provided)
+     * @param {number} [customMaxBackoff] - Override backoff time (uses client config if not provided)
+     * @returns {Promise<any>} Result of the API call
+     */
+    async function retryWithBackoff(apiCall, customMaxRetries, customMaxBackoff) {
+        const maxRetriesConfig = customMaxRetries ?? maxRetries;
+        const maxBackoffConfig = customMaxBackoff ?? maxBackoffMs;
+        let currentRetry = 0;
+
+        while (currentRetry <= maxRetriesConfig) {
+            try {
+                // Log the attempt if we're retrying
+                if (currentRetry > 0) {
+                    logger.info({ 
+                        attempt: currentRetry + 1, 
+                        maxRetries: maxRetriesConfig + 1 
+                    }, 'Retrying API call after backoff delay');
                 }
-                : undefined // In prod, keep as JSON for cloud logging
-        });
-    }
 
-    // Configure retry settings
-    if (typeof config.maxRetries === 'number') {
-        maxRetries = config.maxRetries;
-    }
-    if (typeof config.maxBackoffMs === 'number') {
-        maxBackoffMs = config.maxBackoffMs;
-    }
+                return await apiCall();
+            } catch (error) {
+                const isQuotaError = error.code === 429 || 
+                                    (error.message && error.message.includes('Quota exceeded')) ||
+                                    (error.message && error.message.includes('Too many requests'));
+
+                const isAuthError = error.code === 401 || 
+                                   error.code === 403 || 
+                                   (error.message && error.message.includes('Invalid authentication')) ||
+                                   (error.message && error.message.includes('unauthorized')) ||
+                                   (error.message && error.message.includes('permission')) ||
+                                   (error.message && error.message.includes('credentials'));
+
+                const isRetryableError = isQuotaError || 
+                                       error.code === 500 || 
+                                       error.code === 502 || 
+                                       error.code === 503 || 
+                                       error.code === 504;
+
+                // Auth errors should not be retried - fail fast
+                if (isAuthError) {
+                    logger.error({
+                        error: error.message,
+                        errorCode: error.code,
+                        retryCount: currentRetry,
+                        isAuthError: true
+                    }, '🚫 AUTHENTICATION ERROR - Check your credentials and permissions');
+                    throw error;
+                }
 
-    auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: [
-            'https://www.googleapis.com/auth/spreadsheets',
-            'https://www.googleapis.com/auth/drive',
-            'https://www.googleapis.com/auth/drive.file',
-            'https://www.googleapis.com/auth/drive.metadata.readonly'
-        ],
-    });
+                if (!isRetryableError || currentRetry >= maxRetriesConfig) {
+                    logger.error({
+                        error: error.message,
+                        errorCode: error.code,
+                        retryCount: currentRetry,
+                        maxRetries: maxRetriesConfig,
+                        isQuotaError,
+                        isRetryableError,
+                        isAuthError
+                    }, 'API call failed permanently - no more retries');
+                    throw error;
+                }
 
-    sheets = google.sheets({ version: 'v4', auth });
-    drive = google.drive({ version: 'v3', auth });
+                // Calculate exponential backoff: min(((2^n) + random), maxBackoff)
+                const baseDelay = Math.pow(2, currentRetry) * 1000; // Start with 1 second
+                const jitter = Math.random() * 1000; // Add up to 1 second of jitter
+                const delay = replaying ? 0 : Math.min(baseDelay + jitter, maxBackoffConfig);
 
-    logger.info('ak-sheets initialized successfully');
+                // More prominent logging for quota errors
+                const logLevel = isQuotaError ? 'warn' : 'info';
+                const message = isQuotaError 
+                    ? 'RATE LIMITED - Waiting before retry' 
+                    : 'API error - Retrying with backoff';
 
-    // Optionally validate authentication immediately
-    if (config.validateAuth !== false) {
-        try {
-            await validateAuth();
-        } catch (error) {
-            logger.warn('Authentication validation failed during init. You can disable this check with validateAuth: false');
-            // Don't throw here - let the user decide if they want to handle auth errors later
+                logger[logLevel]({
+                    error: error.message,
+                    errorCode: error.code,
+                    retryCount: currentRetry + 1,
+                    maxRetries: maxRetriesConfig,
+                    delayMs: Math.round(delay),
+                    delaySec: Math.round(delay / 1000),
+                    isQuotaError,
+                    nextAttemptIn: `${Math.round(delay / 1000)}s`
+                }, message);
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+                currentRetry++;
+            }
         }
     }
-}
-
-/**
- * Generates a random name for a spreadsheet
- * @returns {string} Random name
- */
-function makeName() {
-    return `sheet-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
-}
 
-/**
- * Creates a new Google Spreadsheet
- * @param {string} [name] - Name of the spreadsheet (optional, generates random name if not provided)
- * @param {string[]} [tabs=[]] - Array of tab names to create (optional)
- * @returns {Promise<string>} Promise resolving to the spreadsheet ID
- * @example
- * import { createSheet } from 'ak-sheets';
- * 
- * // Create with auto-generated name
- * const id = await createSheet();
- * 
- * // Create with custom name
- * const id2 = await createSheet('My Data Sheet');
- * 
- * // Create with custom tabs
- * const id3 = await createSheet('Multi-Tab Sheet', ['Users', 'Products', 'Orders']);
- * console.log(`Created spreadsheet: ${id3}`);
- */
-export async function createSheet(name = makeName(), tabs = []) {
-    if (!sheets || !drive) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
-    }
+    /**
+     * Validates authentication by making a simple API call
+     * @returns {Promise<boolean>} True if auth is valid, throws error if not
+     * @example
+     * import { initSheets, validateAuth } from 'ak-sheets';
+     * 
+     * // Initialize first
+     * await initSheets({ credentials: './credentials.json' });
+     * 
+     * // Manually validate auth
+     * try {
+     *   await validateAuth();
+     *   console.log('Authentication is working!');
+     * } catch (error) {
+     *   console.error('Auth failed:', error.message);
+     * }
+     */
+    async function validateAuth() {
+        if (!sheets || !drive) {
+            throw new Error('Authentication not initialized. Call initSheets() first.');
+        }
 
-    logger.debug({ name, tabs }, 'Creating spreadsheet');
+        try {
+            // Make a simple API call to test authentication
+            logger.debug('Testing authentication with Drive API');
+            await retryWithBackoff(() =>
+                drive.about.get({
+                    fields: 'user'
+                })
+            );
 
-    const existingSheets = await listOwnedSpreadsheets();
+            logger.info('✅ Authentication validated successfully');
+            return true;
+        } catch (error) {
+            const isAuthError = error.code === 401 || 
+                               error.code === 403 || 
+                               (error.message && error.message.includes('Invalid authentication')) ||
+                               (error.message && error.message.includes('unauthorized')) ||
+                               (error.message && error.message.includes('permission')) ||
+                               (error.message && error.message.includes('credentials'));
 
-    // Check if sheet with the same name already exists
-    const existingSheet = existingSheets.find(sheet => sheet.name === name);
-    if (existingSheet) {
-        logger.info({ spreadsheetId: existingSheet.id, name }, 'Found existing spreadsheet');
-        return existingSheet.id;
+            if (isAuthError) {
+                logger.error({
+                    error: error.message,
+                    errorCode: error.code,
+                    suggestion: 'Check your service account credentials, key file path, and API permissions'
+                }, '🚫 AUTHENTICATION FAILED - Invalid credentials or insufficient permissions');
+            } else {
+                logger.error({
+                    error: error.message,
+                    errorCode: error.code
+                }, 'Failed to validate authentication due to network/API error');
+            }
+            throw error;
+        }
     }
 
-    try {
-        // Create a new spreadsheet if no existing sheet is found
-        const response = await retryWithBackoff(() => 
-            sheets.spreadsheets.create({
-                resource: {
-                    properties: {
-                        title: name,
-                    },
-                },
-            })
-        );
+    /**
+     * Creates a new Google Spreadsheet
+     * @param {string} [name] - Name of the spreadsheet (optional, generates random name if not provided)
+     * @param {string[]} [tabs=[]] - Array of tab names to create (optional)
+     * @returns {Promise<string>} Promise resolving to the spreadsheet ID
+     * @example
+     * import { createSheet } from 'ak-sheets';
+     * 
+     * // Create with auto-generated name
+     * const id = await createSheet();
+     * 
+     * // Create with custom name
+     * const id2 = await createSheet('My Data Sheet');
+     * 
+     * // Create with custom tabs
+     * const id3 = await createSheet('Multi-Tab Sheet', ['Users', 'Products', 'Orders']);
+     * console.log(`Created spreadsheet: ${id3}`);
+     */
+    async function createSheet(name = makeName(), tabs = []) {
+        if (!sheets || !drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
 
-        const spreadsheetId = response?.data?.spreadsheetId;
-        logger.info({ spreadsheetId, name }, 'Spreadsheet created successfully');
+        logger.debug({ name, tabs }, 'Creating spreadsheet');
 
-        // Add tabs to the sheet
-        if (tabs.length > 0) {
-            logger.debug({ tabs }, 'Adding tabs to spreadsheet');
-            const addSheetRequests = tabs.map(tabName => ({
-                addSheet: {
-                    properties: {
-                        title: tabName
-                    }
-                }
-            }));
+        const existingSheets = await listOwnedSpreadsheets();
 
-            await retryWithBackoff(() =>
-                sheets.spreadsheets.batchUpdate({
-                    spreadsheetId,
+        // Check if sheet with the same name already exists
+        const existingSheet = existingSheets.find(sheet => sheet.name === name);
+        if (existingSheet) {
+            logger.info({ spreadsheetId: existingSheet.id, name }, 'Found existing spreadsheet');
+            return existingSheet.id;
+        }
+
+        try {
+            // Create a new spreadsheet if no existing sheet is found
+            const response = await retryWithBackoff(() => 
+                sheets.spreadsheets.create({
                     resource: {
-                        requests: addSheetRequests
-                    }
+                        properties: {
+                            title: name,
+                        },
+                    },
                 })
             );
 
-            // Remove default sheet if new tabs are added
-            await retryWithBackoff(() =>
-                sheets.spreadsheets.batchUpdate({
-                    spreadsheetId,
-                    resource: {
-                        requests: [{
-                            deleteSheet: {
-                                sheetId: 0 // Default first sheet
-                            }
-                        }]
+            const spreadsheetId = response?.data?.spreadsheetId;
+            logger.info({ spreadsheetId, name }, 'Spreadsheet created successfully');
+
+            // Add tabs to the sheet
+            if (tabs.length > 0) {
+                logger.debug({ tabs }, 'Adding tabs to spreadsheet');
+                const addSheetRequests = tabs.map(tabName => ({
+                    addSheet: {
+                        properties: {
+                            title: tabName
+                        }
                     }
-                })
-            );
+                }));
 
-            logger.debug({ tabCount: tabs.length }, 'Tabs added and default sheet removed');
-        }
+                await retryWithBackoff(() =>
+                    sheets.spreadsheets.batchUpdate({
+                        spreadsheetId,
+                        resource: {
+                            requests: addSheetRequests
+                        }
+                    })
+                );
 
-        // Share the sheet with default user if in dev environment
-        if (environment === 'dev') {
-            await shareSheet(spreadsheetId);
-        }
+                // Remove default sheet if new tabs are added
+                await retryWithBackoff(() =>
+                    sheets.spreadsheets.batchUpdate({
+                        spreadsheetId,
+                        resource: {
+                            requests: [{
+                                deleteSheet: {
+                                    sheetId: 0 // Default first sheet
+                                }
+                            }]
+                        }
+                    })
+                );
 
-        return spreadsheetId;
-    } catch (error) {
-        logger.error({ error:  (error).message, name, tabs }, 'Failed to create spreadsheet');
-        throw error;
-    }
-}
+                logger.debug({ tabCount: tabs.length }, 'Tabs added and default sheet removed');
+            }
 
-/**
- * Write data to a specific tab in a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {import('./index.d.ts').SpreadsheetData} [rows=""] - Data to write (can be CSV string, array of arrays, or array of objects)
- * @param {string} [tab] - Optional tab name to write to
- * @returns {Promise<import('./index.d.ts').SheetResponse>} Spreadsheet update response
- * @example
- * import { writeToSheet } from 'ak-sheets';
- * 
- * // Write array of objects
- * const data = [{ name: 'John', age: 30 }, { name: 'Jane', age: 25 }];
- * await writeToSheet(spreadsheetId, data);
- * 
- * // Write to specific tab
- * await writeToSheet(spreadsheetId, data, 'Users');
- * 
- * // Write CSV string
- * const csv = 'Name,Age\nBob,35\nAlice,28';
- * await writeToSheet(spreadsheetId, csv, 'Employees');
- */
-export async function writeToSheet(spreadsheetId, rows = "", tab) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+            // Share the sheet with default user if in dev environment
+            if (environment === 'dev') {
+                await shareSheet(spreadsheetId);
+            }
+
+            return spreadsheetId;
+        } catch (error) {
+            logger.error({ error:  (error).message, name, tabs }, 'Failed to create spreadsheet');
+            throw error;
+        }
     }
 
-    logger.debug({ spreadsheetId, tab, dataType: typeof rows }, 'Writing to sheet');
+    /**
+     * Write data to a specific tab in a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {import('./index.d.ts').SpreadsheetData} [rows=""] - Data to write (can be CSV string, array of arrays, or array of objects)
+     * @param {string} [tab] - Optional tab name to write to
+     * @param {import('./index.d.ts').WriteSheetOptions} [options={}] - Schema validation, chunking, progress, sorting, filter and formatting options
+     * @returns {Promise<import('./index.d.ts').SheetResponse>} Spreadsheet update response
+     * @example
+     * import { writeToSheet } from 'ak-sheets';
+     * 
+     * // Write array of objects
+     * const data = [{ name: 'John', age: 30 }, { name: 'Jane', age: 25 }];
+     * await writeToSheet(spreadsheetId, data);
+     * 
+     * // Write to specific tab
+     * await writeToSheet(spreadsheetId, data, 'Users');
+     * 
+     * // Write CSV string
+     * const csv = 'Name,Age\nBob,35\nAlice,28';
+     * await writeToSheet(spreadsheetId, csv, 'Employees');
+     *
+     * // Validate against an inline schema (throws before writing if any row fails)
+     * await writeToSheet(spreadsheetId, data, 'Users', {
+     *   schema: { columns: { name: { required: true, nullable: false }, age: { type: 'number' } } }
+     * });
+     *
+     * // Bold frozen header, banded rows, sized columns and a currency column
+     * await writeToSheet(spreadsheetId, orders, 'Orders', {
+     *   format: { header: 'bold-frozen', banding: true, autoResize: true, columns: { total: { numberFormat: 'currency' } } }
+     * });
+     *
+     * // Land the export sorted, newest first, with filter buttons on the header
+     * await writeToSheet(spreadsheetId, orders, 'Orders', { sort: { column: 'date', order: 'desc' }, filter: true });
+     */
+    async function writeToSheet(spreadsheetId, rows = "", tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
 
-    // Convert rows to CSV if it's an array
-    if (typeof rows === 'object' && Array.isArray(rows)) {
-        if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-            // Array of objects
-            rows = makeCSVFromData(rows);
-        } else {
-            // Array of arrays - convert to CSV
-            rows = Papa.unparse(rows);
+        logger.debug({ spreadsheetId, tab, dataType: typeof rows }, 'Writing to sheet');
+
+        const schema = resolveSchema(tab, options);
+        if (schema) {
+            assertValidWrite(toObjects(rows), schema, tab, { headers: headerRow(rows), firstRow: 2 });
         }
-    }
 
-    try {
-        // If tab is specified, first check and create if needed
-        if (tab) {
-            // Check if tab exists
-            const spreadsheet = await retryWithBackoff(() => 
-                sheets.spreadsheets.get({ spreadsheetId })
-            );
-            const existingSheets = spreadsheet.data.sheets?.map(( sheet) => sheet.properties.title) || [];
+        // Convert rows to CSV if it's an array
+        if (typeof rows === 'object' && Array.isArray(rows)) {
+            if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
+                // Array of objects
+                rows = makeCSVFromData(rows);
+            } else {
+                // Array of arrays - convert to CSV
+                rows = Papa.unparse(rows);
+            }
+        }
+
+        try {
+            const values = typeof rows === 'string' ? Papa.parse(rows).data : [];
+
+            // Look up the target tab (the first one if none is given) so its grid can be grown to fit
+            const info = await getSheetInfo(spreadsheetId);
+            let properties = findTabProperties(info, tab);
 
-            // Create tab if it doesn't exist
-            if (!existingSheets.includes(tab)) {
+            // Create tab if it doesn't exist, once the write is known to fit in the spreadsheet
+            if (!properties && tab) {
+                assertWithinCellLimit(info, { [tab]: { rowCount: values.length, columnCount: widestRow(values) } });
                 logger.debug({ tab }, 'Creating new tab');
-                await retryWithBackoff(() =>
+                const created = await retryWithBackoff(() =>
                     sheets.spreadsheets.batchUpdate({
                         spreadsheetId,
                         resource: {
@@ -498,343 +567,3768 @@ export async function writeToSheet(spreadsheetId, rows = "", tab) {
                         }
                     })
                 );
+                properties = created.data.replies?.[0]?.addSheet?.properties;
             }
 
-            // Write to specific tab
-            const response = await retryWithBackoff(() =>
-                sheets.spreadsheets.values.update({
-                    spreadsheetId,
-                    range: `${tab}!A1`,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: {
-                        values: typeof rows === 'string' ? Papa.parse(rows).data : [],
-                    },
-                })
-            );
+            await ensureGridSize(spreadsheetId, properties, values.length, widestRow(values), info);
 
-            if (response?.data) {
+            const data = await writeChunks(spreadsheetId, tab, values, options);
+
+            // Sorted before the filter is set, so the filter covers the rows in their final order.
+            // CSV parsing can leave a blank last row, which mustn't be sorted into the data.
+            let dataRows = values.length;
+            while (dataRows > 0 && values[dataRows - 1].every((/** @type {any} */ cell) => cell === '')) dataRows--;
+            const written = values.slice(0, dataRows);
+            const tidyRequests = [
+                ...(options.sort ? [toSortRequest(properties, written, options.sort)] : []),
+                ...(options.filter ? [{ setBasicFilter: { filter: toFilter(properties, written, options.filter === true ? {} : options.filter) } }] : [])
+            ];
+            if (tidyRequests.length > 0) {
+                await retryWithBackoff(() =>
+                    sheets.spreadsheets.batchUpdate({
+                        spreadsheetId,
+                        resource: { requests: tidyRequests }
+                    })
+                );
+            }
+
+            if (options.format) {
+                await applyFormatPresets(spreadsheetId, [{ properties, values }], options.format);
+            }
+
+            if (data) {
                 logger.info({ 
-                    updatedCells: response.data.updatedCells, 
+                    updatedCells: data.updatedCells, 
                     tab, 
                     spreadsheetId 
-                }, 'Cells updated in tab');
-                return response.data;
+                }, tab ? 'Cells updated in tab' : 'Cells updated');
+                return data;
             }
-        } else {
-            // Original behavior if no tab specified
-            const response = await retryWithBackoff(() =>
-                sheets.spreadsheets.values.update({
-                    spreadsheetId,
-                    range: `A1`,
-                    valueInputOption: 'USER_ENTERED',
-                    resource: {
-                        values: typeof rows === 'string' ? Papa.parse(rows).data : [],
+
+            return { updatedCells: 0 };
+        } catch (error) {
+            if ( (error).code === 404) {
+                logger.warn({ spreadsheetId }, 'Spreadsheet not found, creating new one');
+                const newSpreadsheetId = await createSheet();
+                return await writeToSheet(newSpreadsheetId, rows, tab, { ...options, validate: false });
+            }
+
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to write to sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Writes data to multiple tabs in a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {Record<string, import('./index.d.ts').SpreadsheetData>} [assets={}] - Object with tab names as keys and data as values
+     * @param {import('./index.d.ts').WriteTabsOptions} [options={}] - Chunking, progress and formatting options
+     * @returns {Promise<import('./index.d.ts').SheetResponse[]>} Array of API responses
+     * @example
+     * import { writeToSheetTabs } from 'ak-sheets';
+     * 
+     * const multiTabData = {
+     *   Users: [{ name: 'John', role: 'Admin' }, { name: 'Jane', role: 'User' }],
+     *   Products: [{ sku: 'A001', name: 'Widget', price: 29.99 }],
+     *   Orders: 'OrderID,UserID,Total\n1,123,29.99\n2,456,59.98'
+     * };
+     * 
+     * const results = await writeToSheetTabs(spreadsheetId, multiTabData);
+     * console.log(`Updated ${results.length} tabs`);
+     *
+     * // Report progress per tab while large tabs are sent in chunks
+     * await writeToSheetTabs(spreadsheetId, exports, {
+     *   onProgress: ({ tab, rowsWritten, totalRows }) => console.log(`${tab}: ${rowsWritten}/${totalRows}`)
+     * });
+     *
+     * // Style every tab as a report
+     * await writeToSheetTabs(spreadsheetId, multiTabData, { format: { header: 'bold-frozen', autoResize: true } });
+     */
+    async function writeToSheetTabs(spreadsheetId, assets = {}, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const tabs = Object.keys(assets);
+        logger.debug({ spreadsheetId, tabCount: tabs.length }, 'Writing to multiple tabs');
+
+        // Convert every tab's rows up front so the whole write can be checked before any of it is sent
+        /** @type {Record<string, any[][]>} */
+        const tabValues = {};
+        for (const tab of tabs) {
+            const rows = assets[tab];
+            let processedRows = rows;
+            if (typeof rows === 'object' && Array.isArray(rows)) {
+                if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
+                    processedRows = makeCSVFromData(rows);
+                } else {
+                    processedRows = Papa.unparse(rows);
+                }
+            }
+            tabValues[tab] = typeof processedRows === 'string' ? Papa.parse(processedRows).data : [];
+        }
+
+        // Get existing tabs, with their grid sizes
+        let info = await getSheetInfo(spreadsheetId);
+        const existingTabNames = (info.sheets || []).map(( sheet) => sheet.properties.title);
+
+        assertWithinCellLimit(info, Object.fromEntries(tabs.map(tab => [
+            tab,
+            { rowCount: tabValues[tab].length, columnCount: widestRow(tabValues[tab]) }
+        ])));
+
+        // Create missing tabs
+        const missingTabs = tabs.filter(tab => !existingTabNames.includes(tab));
+        for (const tabName of missingTabs) {
+            logger.debug({ tabName }, 'Creating missing tab');
+            await addTab(spreadsheetId, tabName);
+        }
+        if (missingTabs.length > 0) {
+            info = await getSheetInfo(spreadsheetId);
+        }
+
+        const results = [];
+        for (const tab of tabs) {
+            const values = tabValues[tab];
+
+            try {
+                await ensureGridSize(spreadsheetId, findTabProperties(info, tab), values.length, widestRow(values), info);
+
+                const data = await writeChunks(spreadsheetId, tab, values, options);
+
+                if (data) {
+                    logger.debug({ 
+                        updatedCells: data.updatedCells, 
+                        tab 
+                    }, 'Tab updated');
+                    results.push(data);
+                }
+
+            } catch (error) {
+                if ( (error).code === 404) {
+                    logger.warn({ spreadsheetId }, 'Spreadsheet not found, creating new one');
+                    const newSpreadsheetId = await createSheet();
+                    return await writeToSheetTabs(newSpreadsheetId, assets, options);
+                }
+
+                logger.error({ 
+                    error:  (error).message, 
+                    spreadsheetId, 
+                    tab 
+                }, 'Failed to write to tab');
+                throw error;
+            }
+        }
+
+        if (options.format) {
+            await applyFormatPresets(
+                spreadsheetId,
+                tabs.map(tab => ({ properties: findTabProperties(info, tab), values: tabValues[tab] })),
+                options.format
+            );
+        }
+
+        logger.info({ tabCount: results.length, spreadsheetId }, 'All tabs updated');
+        return results;
+    }
+
+    /**
+     * Shares a Google Spreadsheet with a user
+     * @param {string} spreadsheetId - ID of the spreadsheet to share
+     * @param {import('./index.d.ts').ShareOptions} [options] - Sharing options
+     * @returns {Promise<any>} Promise resolving to the sharing result
+     * @example
+     * import { shareSheet } from 'ak-sheets';
+     * 
+     * // Share with default settings (writer access)
+     * await shareSheet(spreadsheetId, { userEmail: 'colleague@company.com' });
+     * 
+     * // Share with read-only access
+     * await shareSheet(spreadsheetId, {
+     *   userEmail: 'viewer@company.com',
+     *   role: 'reader'
+     * });
+     * 
+     * // Share with anyone (public)
+     * await shareSheet(spreadsheetId, {
+     *   userEmail: '',
+     *   type: 'anyone',
+     *   role: 'reader'
+     * });
+     */
+    async function shareSheet(spreadsheetId, options) {
+        if (!drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const {
+            userEmail = 'aaron.krivitzky@mixpanel.com',
+            role = 'writer',
+            type = 'user'
+        } = options || {};
+
+        logger.debug({ spreadsheetId, userEmail, role, type }, 'Sharing spreadsheet');
+
+        try {
+            const result = await retryWithBackoff(() =>
+                drive.permissions.create({
+                    fileId: spreadsheetId,
+                    requestBody: {
+                        role,
+                        type,
+                        emailAddress: userEmail,
                     },
                 })
             );
 
-            if (response?.data) {
-                logger.info({ 
-                    updatedCells: response.data.updatedCells, 
-                    spreadsheetId 
-                }, 'Cells updated');
-                return response.data;
-            }
+            logger.info({ spreadsheetId, userEmail }, 'Spreadsheet shared successfully');
+            return result;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                userEmail 
+            }, 'Failed to share spreadsheet');
+            throw error;
         }
-        
-        return { updatedCells: 0 };
-    } catch (error) {
-        if ( (error).code === 404) {
-            logger.warn({ spreadsheetId }, 'Spreadsheet not found, creating new one');
-            const newSpreadsheetId = await createSheet();
-            return await writeToSheet(newSpreadsheetId, rows, tab);
+    }
+
+    /**
+     * Deletes a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet to delete
+     * @returns {Promise<void>} Promise that resolves when deletion is complete
+     * @example
+     * import { deleteSheet } from 'ak-sheets';
+     * 
+     * // Delete a specific spreadsheet
+     * await deleteSheet('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+     * console.log('Spreadsheet deleted successfully');
+     */
+    async function deleteSheet(spreadsheetId) {
+        if (!drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
         }
 
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tab 
-        }, 'Failed to write to sheet');
-        throw error;
+        logger.debug({ spreadsheetId }, 'Deleting spreadsheet');
+
+        try {
+            await retryWithBackoff(() =>
+                drive.files.delete({
+                    fileId: spreadsheetId,
+                })
+            );
+
+            logger.info({ spreadsheetId }, 'Spreadsheet deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId 
+            }, 'Failed to delete spreadsheet');
+            throw error;
+        }
     }
-}
 
-/**
- * Writes data to multiple tabs in a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {Record<string, import('./index.d.ts').SpreadsheetData>} [assets={}] - Object with tab names as keys and data as values
- * @returns {Promise<import('./index.d.ts').SheetResponse[]>} Array of API responses
- * @example
- * import { writeToSheetTabs } from 'ak-sheets';
- * 
- * const multiTabData = {
- *   Users: [{ name: 'John', role: 'Admin' }, { name: 'Jane', role: 'User' }],
- *   Products: [{ sku: 'A001', name: 'Widget', price: 29.99 }],
- *   Orders: 'OrderID,UserID,Total\n1,123,29.99\n2,456,59.98'
- * };
- * 
- * const results = await writeToSheetTabs(spreadsheetId, multiTabData);
- * console.log(`Updated ${results.length} tabs`);
- */
-export async function writeToSheetTabs(spreadsheetId, assets = {}) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+    /**
+     * Lists all spreadsheets owned by the authenticated user
+     * @returns {Promise<import('./index.d.ts').SpreadsheetFile[]>} Promise resolving to array of spreadsheet metadata
+     * @example
+     * import { listOwnedSpreadsheets } from 'ak-sheets';
+     * 
+     * const sheets = await listOwnedSpreadsheets();
+     * console.log(`You have ${sheets.length} spreadsheets`);
+     * 
+     * sheets.forEach(sheet => {
+     *   console.log(`- ${sheet.name} (${sheet.id})`);
+     * });
+     */
+    async function listOwnedSpreadsheets() {
+        if (!drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug('Listing owned spreadsheets');
+
+        try {
+            const spreadsheets = [];
+            let nextPageToken = null;
+
+            do {
+
+                const response = await retryWithBackoff(() =>
+                    drive.files.list({
+                        q: "mimeType='application/vnd.google-apps.spreadsheet' and 'me' in owners",
+                        fields: 'nextPageToken, files(id, name, owners)',
+                        pageSize: 100,
+                        pageToken: nextPageToken,
+                    })
+                );
+
+                spreadsheets.push(...(response?.data?.files || []));
+                nextPageToken = response.data.nextPageToken;
+            } while (nextPageToken);
+
+            logger.debug({ count: spreadsheets.length }, 'Listed owned spreadsheets');
+            return spreadsheets;
+        } catch (error) {
+            logger.error({ error:  (error).message }, 'Failed to list spreadsheets');
+            throw error;
+        }
     }
 
-    const tabs = Object.keys(assets);
-    logger.debug({ spreadsheetId, tabCount: tabs.length }, 'Writing to multiple tabs');
+    /**
+     * Deletes all spreadsheets owned by the authenticated user
+     * @returns {Promise<import('./index.d.ts').SpreadsheetFile[]>} Promise resolving to array of deleted spreadsheet metadata
+     * @example
+     * import { deleteAllSheets } from 'ak-sheets';
+     * 
+     * // WARNING: This deletes ALL your spreadsheets!
+     * const deletedSheets = await deleteAllSheets();
+     * console.log(`Deleted ${deletedSheets.length} spreadsheets`);
+     */
+    async function deleteAllSheets() {
+        logger.warn('Deleting all owned spreadsheets');
 
-    // Get existing tabs
-    const existingTabs = await listTabs(spreadsheetId);
-    const existingTabNames = existingTabs.map(tab => tab.title);
+        try {
+            const spreadsheets = await listOwnedSpreadsheets();
+            const promises = spreadsheets.map((file) => deleteSheet(file.id));
+            await Promise.all(promises);
 
-    // Create missing tabs
-    for (const tabName of tabs) {
-        if (!existingTabNames.includes(tabName)) {
-            logger.debug({ tabName }, 'Creating missing tab');
-            await addTab(spreadsheetId, tabName);
+            logger.info({ deletedCount: promises.length }, 'All spreadsheets deleted');
+            return spreadsheets;
+        } catch (error) {
+            logger.error({ error:  (error).message }, 'Failed to delete all spreadsheets');
+            throw error;
         }
     }
 
-    const results = [];
-    for (const tab of tabs) {
-        const rows = assets[tab];
-        
-        // Convert rows to proper format
-        let processedRows = rows;
-        if (typeof rows === 'object' && Array.isArray(rows)) {
-            if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-                processedRows = makeCSVFromData(rows);
+    /**
+     * Exports a spreadsheet as an XLSX, ODS, PDF, CSV or TSV file
+     * Whole-spreadsheet exports go through Drive's `files.export` (limited to 10 MB, and CSV/TSV hold the first tab).
+     * A single tab or PDF layout options need the Sheets export endpoint instead, reached through the transport's
+     * `docs.spreadsheets.export`; an injected transport without it can only make whole-spreadsheet exports.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {import('./index.d.ts').ExportOptions} [options={}] - Format, tab, output path and PDF layout
+     * @returns {Promise<Buffer>} File contents (also written to `options.path` when given)
+     * @example
+     * import { exportSpreadsheet } from 'ak-sheets';
+     * 
+     * // Weekly snapshot for customers without Google access
+     * await exportSpreadsheet(spreadsheetId, { format: 'xlsx', path: './out/report.xlsx' });
+     * 
+     * // One tab as a landscape PDF without gridlines
+     * const pdf = await exportSpreadsheet(spreadsheetId, {
+     *   format: 'pdf',
+     *   tab: 'Summary',
+     *   orientation: 'landscape',
+     *   gridlines: false,
+     *   fitToWidth: true
+     * });
+     */
+    async function exportSpreadsheet(spreadsheetId, options = {}) {
+        if (!drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { format = 'xlsx', tab, path, orientation, gridlines, fitToWidth } = options;
+        const mimeType = EXPORT_MIME_TYPES[format];
+        if (!mimeType) {
+            throw new Error(`Unknown export format: ${format} (expected one of ${Object.keys(EXPORT_MIME_TYPES).join(', ')})`);
+        }
+        const layout = orientation !== undefined || gridlines !== undefined || fitToWidth !== undefined;
+        if (layout && format !== 'pdf') {
+            throw new Error('orientation, gridlines and fitToWidth only apply to PDF exports');
+        }
+        if (tab && (format === 'xlsx' || format === 'ods')) {
+            throw new Error(`${format} exports always hold every tab; export a single tab as pdf, csv or tsv`);
+        }
+
+        logger.debug({ spreadsheetId, format, tab, path }, 'Exporting spreadsheet');
+
+        try {
+            let data;
+            if (tab || layout) {
+                if (!docs) {
+                    throw new Error('Exporting a single tab or with PDF layout options needs a transport with docs.spreadsheets.export');
+                }
+                /** @type {Record<string, string>} */
+                const params = { spreadsheetId, format };
+
+                // Without a tab the export covers the whole spreadsheet, so no gid is sent
+                if (tab) {
+                    const properties = await getTabProperties(spreadsheetId, tab);
+                    if (!properties) {
+                        throw new Error(`Tab not found: ${tab}`);
+                    }
+                    params.gid = String(properties.sheetId);
+                }
+                if (orientation !== undefined) params.portrait = String(orientation !== 'landscape');
+                if (gridlines !== undefined) params.gridlines = String(gridlines);
+                if (fitToWidth !== undefined) params.fitw = String(fitToWidth);
+
+                const response = await retryWithBackoff(() =>
+                    docs.spreadsheets.export(params, { responseType: 'arraybuffer' })
+                );
+                data = response.data;
             } else {
-                processedRows = Papa.unparse(rows);
+                const response = await retryWithBackoff(() =>
+                    drive.files.export({ fileId: spreadsheetId, mimeType }, { responseType: 'arraybuffer' })
+                );
+                data = response.data;
+            }
+
+            const file = Buffer.from(data);
+            if (path) {
+                const outputPath = resolve(path);
+                mkdirSync(dirname(outputPath), { recursive: true });
+                writeFileSync(outputPath, file);
             }
+
+            logger.info({ spreadsheetId, format, tab, path, bytes: file.length }, 'Spreadsheet exported successfully');
+            return file;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId,
+                format,
+                tab
+            }, 'Failed to export spreadsheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Creates a spreadsheet from a local Excel workbook, one tab per worksheet
+     * Cells are written with their types rather than as CSV text, so numbers, booleans, dates, formulas
+     * and number formats survive. Other formatting, charts and merges are not carried over.
+     * @param {string} filePath - Path to the .xlsx file (anything SheetJS reads, such as .xls or .ods, works too)
+     * @param {import('./index.d.ts').ImportXlsxOptions} [options={}] - Spreadsheet name, Drive folder and chunking options
+     * @returns {Promise<import('./index.d.ts').ImportXlsxResult>} The new spreadsheet's ID and the tabs created
+     * @example
+     * import { importXlsx } from 'ak-sheets';
+     * 
+     * const { spreadsheetId, tabs } = await importXlsx('./finance/q3.xlsx', {
+     *   name: 'Q3 Finance',
+     *   folderId: '1AbCdEfGhIjKlMnOp'
+     * });
+     * console.log(`Imported ${tabs.length} tabs into ${getURL(spreadsheetId)}`);
+     */
+    async function importXlsx(filePath, options = {}) {
+        if (!sheets || !drive) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const path = resolve(filePath);
+        const { name = basename(path, extname(path)), folderId } = options;
+        logger.debug({ path, name, folderId }, 'Importing Excel workbook');
+
+        if (!existsSync(path)) {
+            throw new Error(`Excel file not found: ${path}`);
         }
 
+        let spreadsheetId;
         try {
+            const tabs = toSheetTabs(xlsx.readFile(path, { cellFormula: true, cellNF: true }));
+            if (tabs.length === 0) {
+                throw new Error(`Excel file has no worksheets: ${path}`);
+            }
+
+            // Tabs get at least the usual 1000 x 26 grid, like tabs created in the Sheets UI
+            const grids = tabs.map(tab => ({
+                rowCount: Math.max(tab.rowCount, 1000),
+                columnCount: Math.max(tab.columnCount, 26)
+            }));
+            assertWithinCellLimit(null, Object.fromEntries(tabs.map((tab, index) => [tab.title, grids[index]])));
+
             const response = await retryWithBackoff(() =>
-                sheets.spreadsheets.values.update({
-                    spreadsheetId,
-                    range: `${tab}!A1`,
-                    valueInputOption: 'USER_ENTERED',
+                sheets.spreadsheets.create({
                     resource: {
-                        values: typeof processedRows === 'string' ? Papa.parse(processedRows).data : [],
-                    },
+                        properties: { title: name },
+                        sheets: tabs.map((tab, index) => ({
+                            properties: { title: tab.title, index, gridProperties: grids[index] }
+                        }))
+                    }
                 })
             );
+            spreadsheetId = response.data.spreadsheetId;
+            const sheetIds = response.data.sheets.map((/** @type {any} */ sheet) => sheet.properties.sheetId);
+
+            for (const [index, tab] of tabs.entries()) {
+                for (const { offset, rows } of chunkRows(tab.rows, options)) {
+                    if (rows.every(row => row.length === 0)) continue;
+                    await retryWithBackoff(() =>
+                        sheets.spreadsheets.batchUpdate({
+                            spreadsheetId,
+                            resource: {
+                                requests: [{
+                                    updateCells: {
+                                        start: { sheetId: sheetIds[index], rowIndex: offset, columnIndex: 0 },
+                                        rows: rows.map(values => ({ values })),
+                                        fields: 'userEnteredValue,userEnteredFormat.numberFormat'
+                                    }
+                                }]
+                            }
+                        })
+                    );
+                }
+            }
 
-            if (response?.data) {
-                logger.debug({ 
-                    updatedCells: response.data.updatedCells, 
-                    tab 
-                }, 'Tab updated');
-                results.push(response.data);
+            if (folderId) {
+                const file = await retryWithBackoff(() =>
+                    drive.files.get({ fileId: spreadsheetId, fields: 'parents', supportsAllDrives: true })
+                );
+                await retryWithBackoff(() =>
+                    drive.files.update({
+                        fileId: spreadsheetId,
+                        addParents: folderId,
+                        removeParents: (file.data.parents || []).join(','),
+                        fields: 'id, parents',
+                        supportsAllDrives: true
+                    })
+                );
             }
 
-        } catch (error) {
-            if ( (error).code === 404) {
-                logger.warn({ spreadsheetId }, 'Spreadsheet not found, creating new one');
-                const newSpreadsheetId = await createSheet();
-                return await writeToSheetTabs(newSpreadsheetId, assets);
+            // Share the sheet with default user if in dev environment
+            if (environment === 'dev') {
+                await shareSheet(spreadsheetId);
             }
 
+            const created = tabs.map(({ title, rowCount, columnCount }) => ({ title, rows: rowCount, columns: columnCount }));
+            logger.info({ spreadsheetId, name, path, tabs: created.length }, 'Excel workbook imported successfully');
+            return { spreadsheetId, tabs: created };
+        } catch (error) {
             logger.error({ 
                 error:  (error).message, 
-                spreadsheetId, 
-                tab 
-            }, 'Failed to write to tab');
+                path,
+                name,
+                spreadsheetId
+            }, 'Failed to import Excel workbook');
             throw error;
         }
     }
 
-    logger.info({ tabCount: results.length, spreadsheetId }, 'All tabs updated');
-    return results;
-}
+    /**
+     * Reads cached data from disk if it exists
+     * @param {string} cacheKey - Cache key to look up
+     * @returns {any|null} Cached data or null if not found
+     */
+    function readCache(cacheKey) {
+        if (!cacheEnabled) return null;
 
-/**
- * Shares a Google Spreadsheet with a user
- * @param {string} spreadsheetId - ID of the spreadsheet to share
- * @param {import('./index.d.ts').ShareOptions} [options] - Sharing options
- * @returns {Promise<any>} Promise resolving to the sharing result
- * @example
- * import { shareSheet } from 'ak-sheets';
- * 
- * // Share with default settings (writer access)
- * await shareSheet(spreadsheetId, { userEmail: 'colleague@company.com' });
- * 
- * // Share with read-only access
- * await shareSheet(spreadsheetId, {
- *   userEmail: 'viewer@company.com',
- *   role: 'reader'
- * });
- * 
- * // Share with anyone (public)
- * await shareSheet(spreadsheetId, {
- *   userEmail: '',
- *   type: 'anyone',
- *   role: 'reader'
- * });
- */
-export async function shareSheet(spreadsheetId, options) {
-    if (!drive) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        try {
+            const cacheFile = resolve(cacheDir, `${cacheKey}.json`);
+
+            if (!existsSync(cacheFile)) {
+                logger.debug({ cacheKey }, 'Cache miss - no cached data found');
+                return null;
+            }
+
+            const cacheData = JSON.parse(readFileSync(cacheFile, 'utf-8'));
+            logger.info({ cacheKey, cacheFile }, '🎯 CACHE HIT - returning cached data (dev mode)');
+            return cacheData;
+        } catch (error) {
+            logger.warn({ error: error.message, cacheKey }, 'Failed to read cache');
+            return null;
+        }
     }
 
-    const {
-        userEmail = 'aaron.krivitzky@mixpanel.com',
-        role = 'writer',
-        type = 'user'
-    } = options || {};
+    /**
+     * Writes data to cache on disk
+     * @param {string} cacheKey - Cache key to store under
+     * @param {any} data - Data to cache
+     */
+    function writeCache(cacheKey, data) {
+        if (!cacheEnabled) return;
 
-    logger.debug({ spreadsheetId, userEmail, role, type }, 'Sharing spreadsheet');
+        try {
+            // Ensure cache directory exists
+            if (!existsSync(cacheDir)) {
+                mkdirSync(cacheDir, { recursive: true });
+                logger.debug({ cacheDir }, 'Created cache directory');
+            }
 
-    try {
-        const result = await retryWithBackoff(() =>
-            drive.permissions.create({
-                fileId: spreadsheetId,
-                requestBody: {
-                    role,
-                    type,
-                    emailAddress: userEmail,
-                },
-            })
-        );
+            const cacheFile = resolve(cacheDir, `${cacheKey}.json`);
+            writeFileSync(cacheFile, JSON.stringify(data, null, 2), 'utf-8');
+            logger.info({ cacheKey, cacheFile }, '💾 Data cached to disk (dev mode)');
+        } catch (error) {
+            logger.warn({ error: error.message, cacheKey }, 'Failed to write cache');
+        }
+    }
 
-        logger.info({ spreadsheetId, userEmail }, 'Spreadsheet shared successfully');
-        return result;
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            userEmail 
-        }, 'Failed to share spreadsheet');
-        throw error;
+    /**
+     * Looks up a tab's properties, including its sheetId and gridProperties
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Tab name (defaults to the first tab)
+     * @returns {Promise<any|null>} Tab properties, or null if there is no such tab
+     */
+    async function getTabProperties(spreadsheetId, tab) {
+        return findTabProperties(await getSheetInfo(spreadsheetId), tab);
     }
-}
 
-/**
- * Deletes a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet to delete
- * @returns {Promise<void>} Promise that resolves when deletion is complete
- * @example
- * import { deleteSheet } from 'ak-sheets';
- * 
- * // Delete a specific spreadsheet
- * await deleteSheet('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
- * console.log('Spreadsheet deleted successfully');
- */
-export async function deleteSheet(spreadsheetId) {
-    if (!drive) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+    /**
+     * Builds the A1 range covering a tab's whole grid
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Tab name (defaults to the first tab)
+     * @param {any} [info] - Spreadsheet metadata already fetched (looked up if omitted)
+     * @returns {Promise<string>} Range bounded by the tab's rowCount and columnCount
+     */
+    async function getTabRange(spreadsheetId, tab, info) {
+        const properties = info ? findTabProperties(info, tab) : await getTabProperties(spreadsheetId, tab);
+
+        // Unknown tabs are addressed by name so the API reports them as it always has
+        if (!properties) return tabRange(/** @type {string} */ (tab));
+
+        const { rowCount, columnCount } = properties.gridProperties || {};
+        return formatA1({ tab: properties.title, startRow: 0, endRow: rowCount ?? null, startColumn: 0, endColumn: columnCount ?? null });
     }
 
-    logger.debug({ spreadsheetId }, 'Deleting spreadsheet');
+    /**
+     * Grows a tab's grid with appendDimension so a write of the given size fits
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {any} properties - Tab properties from getTabProperties()
+     * @param {number} rowCount - Rows the write reaches (counting from row 1)
+     * @param {number} columnCount - Columns the write reaches (counting from column A)
+     * @param {any} info - Spreadsheet metadata the properties came from, for the cell limit check
+     * @returns {Promise<void>}
+     */
+    async function ensureGridSize(spreadsheetId, properties, rowCount, columnCount, info) {
+        const grid = properties?.gridProperties;
+        if (!grid) return;
+
+        const requests = [];
+        if (rowCount > grid.rowCount) {
+            requests.push({ appendDimension: { sheetId: properties.sheetId, dimension: 'ROWS', length: rowCount - grid.rowCount } });
+        }
+        if (columnCount > grid.columnCount) {
+            requests.push({ appendDimension: { sheetId: properties.sheetId, dimension: 'COLUMNS', length: columnCount - grid.columnCount } });
+        }
+        if (requests.length === 0) return;
+
+        assertWithinCellLimit(info, {
+            [properties.title]: { rowCount, columnCount }
+        });
+
+        logger.debug({
+            spreadsheetId,
+            tab: properties.title,
+            from: { rowCount: grid.rowCount, columnCount: grid.columnCount },
+            to: { rowCount: Math.max(rowCount, grid.rowCount), columnCount: Math.max(columnCount, grid.columnCount) }
+        }, 'Expanding grid to fit data');
 
-    try {
         await retryWithBackoff(() =>
-            drive.files.delete({
-                fileId: spreadsheetId,
+            sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests }
             })
         );
 
-        logger.info({ spreadsheetId }, 'Spreadsheet deleted successfully');
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId 
-        }, 'Failed to delete spreadsheet');
-        throw error;
-    }
-}
-
-/**
- * Generates a Google Sheets URL for the given spreadsheet ID
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @returns {string} The Google Sheets URL
- * @example
- * import { getURL } from 'ak-sheets';
- * 
- * const url = getURL('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
- * console.log(url);
- * // https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms
- * 
- * // Open in browser
- * console.log(`View spreadsheet: ${url}`);
- */
-export function getURL(spreadsheetId) {
-    return `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
-}
-
-/**
- * Lists all spreadsheets owned by the authenticated user
- * @returns {Promise<import('./index.d.ts').SpreadsheetFile[]>} Promise resolving to array of spreadsheet metadata
- * @example
- * import { listOwnedSpreadsheets } from 'ak-sheets';
- * 
- * const sheets = await listOwnedSpreadsheets();
- * console.log(`You have ${sheets.length} spreadsheets`);
- * 
- * sheets.forEach(sheet => {
- *   console.log(`- ${sheet.name} (${sheet.id})`);
- * });
- */
-export async function listOwnedSpreadsheets() {
-    if (!drive) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        grid.rowCount = Math.max(rowCount, grid.rowCount);
+        grid.columnCount = Math.max(columnCount, grid.columnCount);
     }
 
-    logger.debug('Listing owned spreadsheets');
+    /**
+     * Sends rows to a tab in chunks so large datasets stay under the API's request size limits
+     * Update chunks can go out in parallel (options.concurrency); append chunks always go in order.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string|undefined} tab - Tab name (the first tab if omitted)
+     * @param {any[][]} values - Rows to write
+     * @param {import('./index.d.ts').WriteOptions} [options={}] - Chunking and progress options
+     * @param {number} [firstRow=1] - Sheet row the first value lands on
+     * @param {'update'|'append'} [mode='update'] - Send chunks with values.update or values.append
+     * @returns {Promise<any>} The API response, or the chunk responses summed when there were several
+     */
+    async function writeChunks(spreadsheetId, tab, values, options = {}, firstRow = 1, mode = 'update') {
+        const chunks = chunkRows(values, options);
+        const concurrency = mode === 'append' ? 1 : Math.max(1, options.concurrency || 1);
+        const startedAt = Date.now();
+        const responses = new Array(chunks.length);
+        let rowsWritten = 0;
+        let next = 0;
+
+        if (chunks.length > 1) {
+            logger.debug({ spreadsheetId, tab, totalRows: values.length, chunkCount: chunks.length, concurrency }, 'Writing in chunks');
+        }
 
-    try {
-        const spreadsheets = [];
-        let nextPageToken = null;
+        /** @param {number} chunkIndex */
+        const sendChunk = async (chunkIndex) => {
+            const { offset, rows } = chunks[chunkIndex];
+            const range = tab ? `${tab}!A${firstRow + offset}` : `A${firstRow + offset}`;
+            const request = { spreadsheetId, range, valueInputOption: 'USER_ENTERED', resource: { values: rows } };
 
-        do {
-            
-            const response = await retryWithBackoff(() =>
-                drive.files.list({
-                    q: "mimeType='application/vnd.google-apps.spreadsheet' and 'me' in owners",
-                    fields: 'nextPageToken, files(id, name, owners)',
-                    pageSize: 100,
-                    pageToken: nextPageToken,
-                })
+            const response = await retryWithBackoff(() => mode === 'append'
+                ? sheets.spreadsheets.values.append({ ...request, insertDataOption: 'INSERT_ROWS' })
+                : sheets.spreadsheets.values.update(request)
             );
+            responses[chunkIndex] = response?.data;
+            rowsWritten += rows.length;
+
+            options.onProgress?.({
+                tab,
+                rowsWritten,
+                totalRows: values.length,
+                chunkIndex,
+                chunkCount: chunks.length,
+                elapsedMs: Date.now() - startedAt
+            });
+        };
 
-            spreadsheets.push(...(response?.data?.files || []));
-            nextPageToken = response.data.nextPageToken;
-        } while (nextPageToken);
+        // Each worker takes the next unsent chunk until none are left
+        const worker = async () => {
+            while (next < chunks.length) {
+                await sendChunk(next++);
+            }
+        };
 
-        logger.debug({ count: spreadsheets.length }, 'Listed owned spreadsheets');
-        return spreadsheets;
-    } catch (error) {
-        logger.error({ error:  (error).message }, 'Failed to list spreadsheets');
-        throw error;
+        try {
+            await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+        } catch (error) {
+            if (chunks.length > 1) {
+                logger.error({ spreadsheetId, tab, rowsWritten, totalRows: values.length }, 'Chunked write stopped partway - earlier chunks were written');
+            }
+            throw error;
+        }
+
+        if (responses.length === 1) return responses[0];
+        if (mode === 'append') {
+            return { spreadsheetId, tableRange: responses[0]?.tableRange, updates: sumUpdates(responses.map(response => response?.updates)) };
+        }
+        return sumUpdates(responses);
+    }
+
+    /**
+     * Applies upsertData() changes to a tab, leaving every untouched cell as it is
+     * Changed cells go out in one values.batchUpdate, new rows are written below the last row, and
+     * removed rows are deleted bottom-up so the row numbers still to be deleted stay valid.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string|undefined} tab - Tab name (the first tab if omitted)
+     * @param {any} info - Spreadsheet metadata from getSheetInfo()
+     * @param {ReturnType<typeof upsertData>} changes - Changes from upsertData()
+     * @param {import('./index.d.ts').WriteOptions} [options={}] - Chunking and progress options for appended rows
+     * @returns {Promise<any>} The write responses summed
+     */
+    async function applyUpsert(spreadsheetId, tab, info, changes, options = {}) {
+        const { headers, writes, appended, appendRow, removed } = changes;
+        const properties = findTabProperties(info, tab);
+        await ensureGridSize(spreadsheetId, properties, appendRow + appended.length, headers.length, info);
+
+        const responses = [];
+        if (writes.length > 0) {
+            const data = writes.map(({ row, column, values }) => ({
+                range: formatA1({ tab, startRow: row, endRow: row + 1, startColumn: column, endColumn: column + values.length }),
+                values: [values]
+            }));
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.values.batchUpdate({ spreadsheetId, resource: { valueInputOption: 'USER_ENTERED', data } })
+            );
+            responses.push(...(response?.data?.responses || []));
+        }
+
+        if (appended.length > 0) {
+            responses.push(await writeChunks(spreadsheetId, tab, appended, options, appendRow + 1));
+        }
+
+        if (removed.length > 0) {
+            // Adjacent rows share one deleteDimension request
+            /** @type {{start: number, end: number}[]} */
+            const runs = [];
+            for (const row of removed) {
+                const run = runs[runs.length - 1];
+                if (run && run.end === row) run.end++;
+                else runs.push({ start: row, end: row + 1 });
+            }
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: runs.reverse().map(({ start, end }) => ({
+                            deleteDimension: { range: { sheetId: properties.sheetId, dimension: 'ROWS', startIndex: start, endIndex: end } }
+                        }))
+                    }
+                })
+            );
+        }
+
+        return { ...sumUpdates(responses), spreadsheetId };
+    }
+
+    /**
+     * Reads every tab's banded ranges and conditional format rules, which getSheetInfo() leaves out
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {Promise<any[]>} Sheets with properties, bandedRanges and conditionalFormats
+     */
+    async function getSheetFormatting(spreadsheetId) {
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.get({
+                spreadsheetId,
+                fields: 'sheets(properties(sheetId,title,gridProperties),bandedRanges,conditionalFormats)'
+            })
+        );
+        return response.data.sheets || [];
+    }
+
+    /**
+     * Applies report presets (header style, column formats, banding, conditional rules, auto-resize) to freshly written tabs
+     * All tabs are formatted in one batchUpdate.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {Array<{properties: any, values: any[][]}>} targets - Each tab's properties and the rows written to it
+     * @param {import('./index.d.ts').FormatPresets} presets - Presets to apply
+     */
+    async function applyFormatPresets(spreadsheetId, targets, presets) {
+        // Banding and conditional rules replace what is already on their ranges, so that has to be read first
+        /** @type {Map<number, any>} */
+        const existing = new Map();
+        if (presets.banding || presets.conditional) {
+            for (const sheet of await getSheetFormatting(spreadsheetId)) {
+                existing.set(sheet.properties.sheetId, sheet);
+            }
+        }
+
+        const requests = targets.flatMap(({ properties, values }) =>
+            presetRequests(properties, values, presets, existing.get(properties.sheetId))
+        );
+        if (requests.length === 0) return;
+
+        logger.debug({ spreadsheetId, tabs: targets.map(target => target.properties.title), requests: requests.length }, 'Applying format presets');
+        await retryWithBackoff(() =>
+            sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests }
+            })
+        );
+    }
+
+    /**
+     * Fetches raw cell values for a range, going through the disk cache when enabled
+     * A whole tab is cached under its name, so its grid range is only looked up when the cache misses.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string|{tab?: string, info?: any}} target - Full A1 range (including tab), or a whole tab (the first one if unnamed) and optionally the metadata holding its grid size
+     * @param {import('./index.d.ts').ReadOptions} [options={}] - Read options (render options affect the request)
+     * @returns {Promise<any[][]>} 2D array of values
+     */
+    async function fetchValues(spreadsheetId, target, options = {}) {
+        const valueRenderOption = toValueRenderOption(options.valueRenderOption);
+        const { dateTimeRenderOption } = options;
+
+        // Check cache in dev environment
+        const cacheRange = typeof target === 'string' ? target : quoteTab(target.tab ?? '');
+        const cacheKey = generateCacheKey(spreadsheetId, cacheRange, { valueRenderOption, dateTimeRenderOption });
+        const cachedData = readCache(cacheKey);
+        if (cachedData !== null) {
+            logger.info({ spreadsheetId, range: cacheRange }, '🚀 Using cached values - skipping API call');
+            return cachedData;
+        }
+
+        const range = typeof target === 'string' ? target : await getTabRange(spreadsheetId, target.tab, target.info);
+
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range,
+                majorDimension: 'ROWS',
+                ...(valueRenderOption && { valueRenderOption }),
+                ...(dateTimeRenderOption && { dateTimeRenderOption })
+            })
+        );
+
+        const values = response?.data?.values || [];
+
+        // Cache the values in dev environment
+        writeCache(cacheKey, values);
+        return values;
+    }
+
+    /**
+     * Registers (or removes) the column schema for a tab
+     * Registered schemas are enforced by writeToSheet, appendToSheet and updateSheet, and applied by getSheet.
+     * @param {string} tab - Tab name
+     * @param {import('./index.d.ts').TabSchema|null} schema - Schema to register, or null to remove it
+     * @example
+     * import { defineSchema } from 'ak-sheets';
+     *
+     * defineSchema('Users', {
+     *   columns: {
+     *     user_id: { type: 'number', required: true, nullable: false },
+     *     email: { type: 'string', pattern: /^[^@\s]+@[^@\s]+$/ },
+     *     plan: { enum: ['free', 'pro', 'enterprise'] },
+     *     signed_up: { type: 'date' }
+     *   }
+     * });
+     */
+    function defineSchema(tab, schema) {
+        if (schema) {
+            schemas[tab] = schema;
+        } else {
+            delete schemas[tab];
+        }
+        logger.debug({ tab, columns: Object.keys(schema?.columns || {}) }, schema ? 'Schema defined' : 'Schema removed');
+    }
+
+    /**
+     * Picks the schema that applies to a call: an inline one wins over the tab's registered one
+     * @param {string} [tab] - Tab name
+     * @param {{schema?: import('./index.d.ts').TabSchema, validate?: boolean}} [options={}] - Call options
+     * @returns {import('./index.d.ts').TabSchema|null} Schema, or null when nothing should be validated
+     */
+    function resolveSchema(tab, options = {}) {
+        if (options.validate === false) return null;
+        return options.schema || (tab && schemas[tab]) || null;
+    }
+
+    /**
+     * Validates data about to be written and throws before anything is sent if it fails
+     * @param {Record<string, any>[]} rows - Rows as objects
+     * @param {import('./index.d.ts').TabSchema} schema - Schema to enforce
+     * @param {string} [tab] - Tab being written
+     * @param {{headers?: string[], firstRow?: number}} [position={}] - Header row and sheet row of rows[0]
+     */
+    function assertValidWrite(rows, schema, tab, position = {}) {
+        const errors = validateData(rows, schema, position);
+        if (errors.length === 0) return;
+
+        logger.error({ tab, errorCount: errors.length, errors: errors.slice(0, 10) }, 'Data failed schema validation - nothing written');
+        throw schemaValidationError(tab ? `write to '${tab}'` : 'write', errors);
+    }
+
+    /**
+     * Coerces raw sheet values to objects using a schema's column types and validates them
+     * @param {any[][]} values - 2D array from sheets (header row first)
+     * @param {import('./index.d.ts').TabSchema} schema - Schema to apply
+     * @param {import('./index.d.ts').ReadOptions} [options={}] - Read options (explicit types win over the schema's)
+     * @returns {{rows: Record<string, any>[], errors: import('./index.d.ts').ValidationIssue[]}} Coerced rows and every issue found
+     */
+    function checkValues(values, schema, options = {}) {
+        if (!values || values.length === 0) return { rows: [], errors: [] };
+
+        const types = { ...schemaTypes(schema), ...options.types };
+        const rows = convertValuesToObjects(values, { ...options, types });
+        const errors = validateData(rows, schema, { headers: values[0], firstRow: 2 });
+        return { rows, errors };
+    }
+
+    /**
+     * Converts values read from a tab, applying its schema when reading JSON
+     * Header problems (a missing required column) always throw; row problems follow options.onInvalid.
+     * @param {any[][]} values - 2D array from sheets
+     * @param {string} format - Output format ('json', 'csv', or 'array')
+     * @param {string} [tab] - Tab the values came from
+     * @param {import('./index.d.ts').QueryOptions} [options={}] - Read and query options
+     * @returns {any} Data in requested format
+     */
+    function readValues(values, format, tab, options = {}) {
+        const schema = resolveSchema(tab, options);
+        if (!schema || format.toLowerCase() !== 'json') {
+            return formatValues(values, format, options);
+        }
+
+        const { rows, errors } = checkValues(values, schema, options);
+        // Rows are validated before the query, so row numbers in errors match the tab
+        const query = (/** @type {Record<string, any>[]} */ kept) => hasQuery(options) ? formatRows(kept, values[0] || [], format, options) : kept;
+        if (errors.length === 0) return query(rows);
+
+        const { onInvalid = 'throw' } = options;
+        const headerErrors = errors.some(({ row }) => row < 2);
+        if (onInvalid === 'throw' || headerErrors) {
+            throw schemaValidationError(tab ? `read from '${tab}'` : 'read', errors);
+        }
+
+        logger.warn({ tab, errorCount: errors.length, onInvalid, errors: errors.slice(0, 10) }, 'Rows failed schema validation');
+        if (onInvalid === 'skip') {
+            const invalidRows = new Set(errors.map(({ row }) => row));
+            return query(rows.filter((_, index) => !invalidRows.has(index + 2)));
+        }
+        return query(rows);
+    }
+
+    /**
+     * Reads data from a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet to read from
+     * @param {string} [tab] - Optional tab name to read from
+     * @param {string} [format='json'] - Output format ('json', 'csv', or 'array')
+     * @param {boolean} [shouldGetAllTabs=false] - If true, returns object with tab names as keys and data as values
+     * @param {import('./index.d.ts').QueryOptions} [options={}] - Value rendering, type coercion and query options
+     * @returns {Promise<any>} Promise resolving to the spreadsheet data in requested format
+     * @example
+     * import { getSheet } from 'ak-sheets';
+     *
+     * // Get as array of objects (default)
+     * const jsonData = await getSheet(spreadsheetId);
+     * console.log(jsonData[0].name); // 'John'
+     *
+     * // Get specific tab as CSV
+     * const csvData = await getSheet(spreadsheetId, 'Users', 'csv');
+     *
+     * // Get as 2D array
+     * const arrayData = await getSheet(spreadsheetId, 'Products', 'array');
+     * console.log(arrayData[0]); // ['Name', 'Price', 'Stock']
+     *
+     * // Get all tabs as object with tab names as keys
+     * const allTabsData = await getSheet(spreadsheetId, undefined, 'json', true);
+     * console.log(allTabsData.Users); // [{ name: 'John', ... }]
+     * console.log(allTabsData.Products); // [{ name: 'Widget', ... }]
+     *
+     * // Typed values: numbers, booleans, ISO dates and nulls for empty cells
+     * const typed = await getSheet(spreadsheetId, 'Users', 'json', false, { coerce: true });
+     * console.log(typed[0].age); // 30
+     *
+     * // Unformatted values with explicit column types (date serials become Dates)
+     * const rows = await getSheet(spreadsheetId, 'Orders', 'json', false, {
+     *   valueRenderOption: 'UNFORMATTED',
+     *   types: { placed_at: 'date', paid: 'boolean', sku: 'string' }
+     * });
+     *
+     * // Coerce and validate against the tab's schema, dropping rows that fail
+     * const users = await getSheet(spreadsheetId, 'Users', 'json', false, { onInvalid: 'skip' });
+     *
+     * // Query the rows before they are converted: top 10 paying users by score
+     * const top = await getSheet(spreadsheetId, 'Users', 'csv', false, {
+     *   select: ['name', 'score'],
+     *   where: { plan: ['pro', 'team'], score: { gte: 80 } },
+     *   orderBy: [['score', 'desc'], 'name'],
+     *   limit: 10
+     * });
+     *
+     * // Or with a predicate, and distinct values
+     * const plans = await getSheet(spreadsheetId, 'Users', 'json', false, { where: row => row.active === 'TRUE', select: ['plan'], distinct: true });
+     */
+    async function getSheet(spreadsheetId, tab, format = 'json', shouldGetAllTabs = false, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, format, shouldGetAllTabs }, 'Reading sheet data');
+
+        try {
+            let result;
+
+            if (shouldGetAllTabs) {
+                // Get all tabs in the spreadsheet, with their grid sizes
+                const info = await getSheetInfo(spreadsheetId);
+                result = {};
+
+                // Read data from each tab
+                for (const { properties } of info.sheets || []) {
+                    const tabName = properties.title;
+                    logger.debug({ tabName }, 'Reading data from tab');
+
+                    const { rowCount, columnCount } = properties.gridProperties || {};
+                    const range = formatA1({ tab: tabName, startRow: 0, endRow: rowCount ?? null, startColumn: 0, endColumn: columnCount ?? null });
+                    const values = await fetchValues(spreadsheetId, range, options);
+
+                    // Apply format conversion (and the tab's schema) for each tab
+                    result[tabName] = readValues(values, format, tabName, options);
+                }
+
+                logger.debug({ tabCount: Object.keys(result).length }, 'All tabs data retrieved');
+            } else {
+                // Original single tab behavior
+                const values = await fetchValues(spreadsheetId, { tab }, options);
+                logger.debug({ rowCount: values.length }, 'Sheet data retrieved');
+
+                result = readValues(values, format, tab, options);
+            }
+
+            return result;
+
+        } catch (error) {
+            if ( (error).code === 404) {
+                logger.error({ spreadsheetId }, 'Spreadsheet not found');
+                throw error;
+            }
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                tab,
+                shouldGetAllTabs
+            }, 'Failed to read sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Checks a tab against a schema without throwing
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @param {import('./index.d.ts').ReadOptions} [options={}] - Read options; options.schema overrides the registered one
+     * @returns {Promise<import('./index.d.ts').ValidationResult>} Coerced rows and every validation issue (row numbers are sheet rows)
+     * @example
+     * import { validateSheet } from 'ak-sheets';
+     *
+     * const { errors } = await validateSheet(spreadsheetId, 'Users');
+     * errors.forEach(({ row, column, message }) => console.log(`Row ${row}, ${column}: ${message}`));
+     */
+    async function validateSheet(spreadsheetId, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const schema = options.schema || schemas[tab];
+        if (!schema) {
+            throw new Error(`No schema defined for tab '${tab}'. Call defineSchema() or pass options.schema.`);
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Validating sheet against schema');
+
+        try {
+            const values = await fetchValues(spreadsheetId, { tab }, options);
+            const result = checkValues(values, schema, options);
+
+            logger.info({ spreadsheetId, tab, rowCount: result.rows.length, errorCount: result.errors.length }, 'Sheet validated');
+            return result;
+        } catch (error) {
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                tab
+            }, 'Failed to validate sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Updates existing data in a Google Spreadsheet
+     * Without a key, rows are replaced by position. With `options.key`, rows are upserted:
+     * rows whose key columns match are updated in place, the rest are appended.
+     * @param {string} spreadsheetId - ID of the spreadsheet to update
+     * @param {import('./index.d.ts').SpreadsheetData} newData - New data to merge/update
+     * @param {string} [tab] - Tab name to update
+     * @param {import('./index.d.ts').UpdateOptions} [options={}] - Upsert, schema validation and chunking options
+     * @returns {Promise<import('./index.d.ts').UpdateResponse>} Promise resolving to the API response (plus row counts when upserting)
+     * @example
+     * import { updateSheet } from 'ak-sheets';
+     * 
+     * // Update with new data (merges with existing)
+     * const updatedData = [
+     *   { name: 'John', age: 31 }, // Updated age
+     *   { name: 'Bob', age: 35 }   // New row
+     * ];
+     * 
+     * const result = await updateSheet(spreadsheetId, updatedData, 'Users');
+     * console.log(`Updated ${result.updatedCells} cells`);
+     * 
+     * // Upsert on a key column, dropping rows no longer in the source
+     * const { inserted, updated, deleted } = await updateSheet(spreadsheetId, dbRows, 'Users', {
+     *   key: 'user_id',
+     *   deleteMissing: true
+     * });
+     * 
+     * // Composite keys
+     * await updateSheet(spreadsheetId, rows, 'Daily', { key: ['date', 'region'] });
+     */
+    async function updateSheet(spreadsheetId, newData, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { key, deleteMissing = false } = options;
+        logger.debug({ spreadsheetId, tab, key, deleteMissing }, 'Updating sheet data');
+
+        const schema = resolveSchema(tab, options);
+        if (schema) {
+            assertValidWrite(toObjects(newData), schema, tab, { headers: headerRow(newData), firstRow: 2 });
+        }
+
+        try {
+            // First, get existing sheet data; the grid sizes looked up for the read also serve the write
+            const info = await getSheetInfo(spreadsheetId);
+            const existingData = readValues(await fetchValues(spreadsheetId, { tab, info }), 'array', tab);
+
+            if (key) {
+                // Only changed cells, new rows and removed rows are written, so formulas elsewhere survive
+                const upsert = upsertData(existingData, newData, key, deleteMissing);
+                const data = await applyUpsert(spreadsheetId, tab, info, upsert, options);
+                const { inserted, updated, deleted } = upsert;
+                logger.info({ 
+                    inserted,
+                    updated,
+                    deleted,
+                    spreadsheetId,
+                    tab
+                }, 'Sheet upserted successfully');
+                return { ...data, inserted, updated, deleted };
+            }
+
+            const updatedValues = mergeData(existingData, newData);
+            await ensureGridSize(spreadsheetId, findTabProperties(info, tab), updatedValues.length, widestRow(updatedValues), info);
+
+            // Write the updated data
+            const data = await writeChunks(spreadsheetId, tab, updatedValues, options);
+
+            logger.info({ 
+                updatedCells: data?.updatedCells,
+                spreadsheetId,
+                tab
+            }, 'Sheet updated successfully');
+            return data;
+        } catch (error) {
+            if ( (error).code === 404) {
+                logger.warn({ spreadsheetId, tab }, 'Spreadsheet or tab not found, creating new');
+                const newSpreadsheetId = await createSheet(undefined, tab ? [tab] : undefined);
+                return await writeToSheet(newSpreadsheetId, newData, tab, { ...options, validate: false });
+            }
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to update sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Compares a dataset with a tab without writing anything
+     * Rows are matched on key columns exactly as updateSheet's upsert would match them, so the result
+     * previews what `updateSheet(id, newData, tab, { key })` is about to change. Values are compared as
+     * the text the sheet displays; `removed` lists rows that `deleteMissing: true` would drop.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to compare against
+     * @param {import('./index.d.ts').SpreadsheetData} newData - Data that would be written
+     * @param {import('./index.d.ts').DiffOptions} options - Key column(s) to match rows on
+     * @returns {Promise<import('./index.d.ts').SheetDiff>} Added, removed and changed rows with per-cell before/after values
+     * @example
+     * import { diffSheet } from 'ak-sheets';
+     * 
+     * const diff = await diffSheet(spreadsheetId, 'Users', dbRows, { key: 'user_id' });
+     * console.log(`${diff.added.length} new, ${diff.changed.length} changed, ${diff.removed.length} gone`);
+     * 
+     * for (const { key, row, changes } of diff.changed) {
+     *   for (const [column, { before, after }] of Object.entries(changes)) {
+     *     console.log(`row ${row} (${key.user_id}) ${column}: ${before} -> ${after}`);
+     *   }
+     * }
+     */
+    async function diffSheet(spreadsheetId, tab, newData, options) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+        const { key } = options || {};
+        if (!key || (Array.isArray(key) && key.length === 0)) {
+            throw new Error('diffSheet needs key column(s) to match rows on');
+        }
+
+        logger.debug({ spreadsheetId, tab, key }, 'Diffing sheet data');
+
+        try {
+            const existingData = await getSheet(spreadsheetId, tab, 'array');
+            const diff = diffData(existingData, newData, key);
+
+            logger.info({
+                added: diff.added.length,
+                removed: diff.removed.length,
+                changed: diff.changed.length,
+                unchanged: diff.unchanged,
+                spreadsheetId,
+                tab
+            }, 'Sheet diffed successfully');
+            return diff;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to diff sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Appends data to an existing spreadsheet without overwriting
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {import('./index.d.ts').SpreadsheetData} rows - Data to append
+     * @param {string} [tab] - Optional tab name to append to
+     * @param {import('./index.d.ts').WriteOptions} [options={}] - Schema validation, chunking and progress options
+     * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
+     * @example
+     * import { appendToSheet } from 'ak-sheets';
+     * 
+     * const newData = [{ name: 'Bob', age: 35 }];
+     * const result = await appendToSheet(spreadsheetId, newData, 'Users');
+     * console.log(`Appended ${result.updatedCells} cells`);
+     */
+    async function appendToSheet(spreadsheetId, rows, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, dataType: typeof rows }, 'Appending to sheet');
+
+        try {
+            // Get existing data to find the next empty row
+            const existingData = await getSheet(spreadsheetId, tab, 'array');
+            const nextRow = existingData.length + 1;
+
+            // Appended arrays and CSV carry no header row, so validate them against the sheet's
+            const schema = resolveSchema(tab, options);
+            if (schema) {
+                const headers = existingData[0] || [];
+                const appended = typeof rows === 'string' || Array.isArray(rows[0])
+                    ? convertValuesToObjects([headers, ...(typeof rows === 'string' ? Papa.parse(rows, { skipEmptyLines: true }).data : rows)])
+                    : /** @type {Record<string, any>[]} */ (rows);
+                assertValidWrite(appended, schema, tab, { firstRow: nextRow });
+            }
+
+            // Convert rows to proper format for appending
+            let processedRows = rows;
+            if (typeof rows === 'object' && Array.isArray(rows)) {
+                if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
+                    // Array of objects - convert to array of arrays using existing headers
+                    const headers = existingData[0] || [];
+                    processedRows = rows.map(( obj) => headers.map((/** @type {string} */ header) => obj[header] ?? ''));
+                } else if (typeof rows === 'string') {
+                    processedRows = Papa.parse(rows).data;
+                }
+            }
+
+            const values = /** @type {any[][]} */ (Array.isArray(processedRows[0]) ? processedRows : Papa.parse(/** @type {string} */ (processedRows)).data);
+
+            // INSERT_ROWS adds rows to the grid, so check the limit against the grown size
+            const info = await getSheetInfo(spreadsheetId);
+            const properties = findTabProperties(info, tab);
+            const grid = properties?.gridProperties;
+            if (grid) {
+                assertWithinCellLimit(info, {
+                    [properties.title]: { rowCount: grid.rowCount + values.length, columnCount: widestRow(values) }
+                });
+            }
+
+            // Only extra columns need room made for them up front
+            await ensureGridSize(spreadsheetId, properties, 0, widestRow(values), info);
+
+            const data = await writeChunks(spreadsheetId, tab, values, options, nextRow, 'append');
+
+            if (data) {
+                logger.info({ 
+                    updatedCells: data.updates?.updatedCells, 
+                    spreadsheetId, 
+                    tab 
+                }, 'Data appended successfully');
+                return data;
+            }
+
+            return { updatedCells: 0 };
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to append to sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Clears all data from a spreadsheet or specific tab
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Optional tab name to clear (clears all tabs if not specified)
+     * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
+     * @example
+     * import { clearSheet } from 'ak-sheets';
+     * 
+     * // Clear specific tab
+     * await clearSheet(spreadsheetId, 'Users');
+     * 
+     * // Clear entire spreadsheet
+     * await clearSheet(spreadsheetId);
+     */
+    async function clearSheet(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Clearing sheet data');
+
+        try {
+            const range = await getTabRange(spreadsheetId, tab);
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.values.clear({
+                    spreadsheetId,
+                    range,
+                })
+            );
+
+            logger.info({ spreadsheetId, tab }, 'Sheet cleared successfully');
+            return response.data || { clearedRange: range };
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to clear sheet');
+            throw error;
+        }
+    }
+
+    /**
+     * Gets information about a spreadsheet (metadata, sheets, etc.)
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {Promise<any>} Promise resolving to spreadsheet metadata
+     * @example
+     * import { getSheetInfo } from 'ak-sheets';
+     * 
+     * const info = await getSheetInfo(spreadsheetId);
+     * console.log(`Spreadsheet: ${info.properties.title}`);
+     * console.log(`Sheets: ${info.sheets.map(s => s.properties.title).join(', ')}`);
+     */
+    async function getSheetInfo(spreadsheetId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId }, 'Getting sheet info');
+
+        try {
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.get({
+                    spreadsheetId,
+                    fields: 'properties,sheets.properties,namedRanges'
+                })
+            );
+
+            logger.debug({ 
+                spreadsheetId, 
+                title: response.data.properties?.title,
+                sheetCount: response.data.sheets?.length || 0
+            }, 'Sheet info retrieved');
+
+            return response.data;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId 
+            }, 'Failed to get sheet info');
+            throw error;
+        }
+    }
+
+    /**
+     * Reads data from a specific range in a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet to read from
+     * @param {string} range - Range to read (e.g., 'A1:C10', 'B:B', 'A1:Z'), or the name of a named range
+     * @param {string} [tab] - Optional tab name (not used with named ranges)
+     * @param {string} [format='json'] - Output format ('json', 'csv', or 'array')
+     * @param {import('./index.d.ts').QueryOptions} [options={}] - Value rendering, type coercion and query options
+     * @returns {Promise<any>} Promise resolving to the range data in requested format
+     * @example
+     * import { getRange } from 'ak-sheets';
+     *
+     * // Get specific range as JSON
+     * const data = await getRange(spreadsheetId, 'A1:C10');
+     *
+     * // Get entire column B from specific tab
+     * const columnB = await getRange(spreadsheetId, 'B:B', 'Users', 'array');
+     *
+     * // Get range from specific tab as CSV
+     * const csvData = await getRange(spreadsheetId, 'A1:E5', 'Products', 'csv');
+     *
+     * // Read formulas instead of their results
+     * const formulas = await getRange(spreadsheetId, 'D2:D10', 'Totals', 'array', { valueRenderOption: 'FORMULA' });
+     *
+     * // Read a named range, wherever it has moved to
+     * const targets = await getRange(spreadsheetId, 'QuarterlyTargets');
+     */
+    async function getRange(spreadsheetId, range, tab, format = 'json', options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, range, tab, format }, 'Reading range data');
+
+        try {
+            const fullRange = tab ? `${tab}!${range}` : range;
+            const values = await fetchValues(spreadsheetId, fullRange, options);
+            logger.debug({ rowCount: values.length, range: fullRange }, 'Range data retrieved');
+
+            return formatValues(values, format, options);
+
+        } catch (error) {
+            if ( (error).code === 404) {
+                logger.error({ spreadsheetId, range }, 'Spreadsheet or range not found');
+                throw error;
+            }
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                range,
+                tab
+            }, 'Failed to read range');
+            throw error;
+        }
+    }
+
+    /**
+     * Streams a tab's rows as objects, reading it in windows of rows instead of all at once
+     * The header is taken from row 1; reading stops at the end of the grid or the first empty window.
+     * A schema's column types are applied, but rows are not validated - use validateSheet() for that.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Tab name (defaults to the first tab)
+     * @param {import('./index.d.ts').StreamOptions} [options={}] - Window size plus value rendering and type coercion options
+     * @returns {import('stream').Readable} Object-mode stream of rows, which is also an async iterator
+     * @example
+     * import { streamSheet } from 'ak-sheets';
+     *
+     * for await (const row of streamSheet(spreadsheetId, 'Events', { batchSize: 5000, coerce: true })) {
+     *   total += row.amount;
+     * }
+     *
+     * // Or pipe it
+     * await pipeline(streamSheet(spreadsheetId, 'Events'), toNdjson, createWriteStream('events.ndjson'));
+     */
+    function streamSheet(spreadsheetId, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { batchSize = 1000 } = options;
+        logger.debug({ spreadsheetId, tab, batchSize }, 'Streaming sheet data');
+
+        async function* readRows() {
+            const properties = await getTabProperties(spreadsheetId, tab);
+            if (!properties) {
+                throw new Error(`Tab not found: ${tab}`);
+            }
+
+            const { title } = properties;
+            const { rowCount = Infinity, columnCount = null } = properties.gridProperties || {};
+            const window = (/** @type {number} */ startRow, /** @type {number} */ endRow) =>
+                formatA1({ tab: title, startRow, endRow, startColumn: 0, endColumn: columnCount });
+
+            const [headers] = await fetchValues(spreadsheetId, window(0, 1), options);
+            if (!headers || headers.length === 0) return;
+
+            const schema = resolveSchema(tab, options);
+            const readOptions = schema ? { ...options, types: { ...schemaTypes(schema), ...options.types } } : options;
+
+            // A blank window doesn't mean the data has ended, so every window up to the grid's last row is read.
+            // Blank rows are held back until more data turns up, so they are kept between rows but not at the end.
+            let rowsRead = 0;
+            let blankRows = 0;
+            for (let startRow = 1; startRow < rowCount; startRow += batchSize) {
+                const endRow = Math.min(startRow + batchSize, rowCount);
+                const values = await fetchValues(spreadsheetId, window(startRow, endRow), options);
+                if (values.length === 0) {
+                    blankRows += endRow - startRow;
+                    continue;
+                }
+
+                const rows = [...Array.from({ length: blankRows }, () => []), ...values];
+                blankRows = endRow - startRow - values.length;
+                rowsRead += rows.length;
+                logger.debug({ tab: title, startRow: startRow + 1, rowCount: values.length }, 'Streamed window');
+                yield* convertValuesToObjects([headers, ...rows], readOptions);
+            }
+
+            logger.info({ spreadsheetId, tab: title, rowsRead }, 'Sheet streamed successfully');
+        }
+
+        const stream = Readable.from(readRows(), { objectMode: true });
+        stream.on('error', (error) => {
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                tab
+            }, 'Failed to stream sheet');
+        });
+        return stream;
+    }
+
+    /**
+     * Creates a Writable that appends rows to a tab in batches as they arrive
+     * Rows can be objects (matched to the tab's header row) or arrays. Each batch is appended before the
+     * next write is accepted, so piping a large source applies backpressure instead of buffering it all.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Tab name (created if missing; defaults to the first tab)
+     * @param {import('./index.d.ts').WriteStreamOptions} [options={}] - Batch size, header and progress options
+     * @returns {import('stream').Writable} Object-mode stream of rows
+     * @example
+     * import { createSheetWriteStream } from 'ak-sheets';
+     * import { pipeline } from 'stream/promises';
+     *
+     * await pipeline(
+     *   db.query('SELECT * FROM events').stream(),
+     *   createSheetWriteStream(spreadsheetId, 'Events', { batchSize: 2000 })
+     * );
+     */
+    function createSheetWriteStream(spreadsheetId, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { batchSize = 1000, onProgress } = options;
+        const schema = resolveSchema(tab, options);
+        const startedAt = Date.now();
+        /** @type {any[]} */
+        let buffer = [];
+        /** @type {string[]|null} */
+        let headers = null;
+        /** @type {any[]|null} */
+        let headerRow = null;
+        /** @type {any} */
+        let info = null;
+        /** @type {any} */
+        let properties = null;
+        let rowsWritten = 0;
+        let batchIndex = 0;
+
+        logger.debug({ spreadsheetId, tab, batchSize }, 'Opening sheet write stream');
+
+        // Finds (or creates) the tab and reads its header row before the first batch goes out
+        const open = async (/** @type {any} */ firstRow) => {
+            info = await getSheetInfo(spreadsheetId);
+            properties = findTabProperties(info, tab);
+            if (!properties && tab) {
+                await addTab(spreadsheetId, tab);
+                info = await getSheetInfo(spreadsheetId);
+                properties = findTabProperties(info, tab);
+            }
+
+            // Read past the dev cache - the header has to reflect the tab as it is now
+            const { columnCount = null } = properties?.gridProperties || {};
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.values.get({
+                    spreadsheetId,
+                    range: formatA1({ tab: properties?.title ?? tab, startRow: 0, endRow: 1, startColumn: 0, endColumn: columnCount }),
+                    majorDimension: 'ROWS'
+                })
+            );
+            const [existing = []] = response?.data?.values || [];
+
+            if (existing.length > 0) {
+                headers = existing.map(String);
+            } else if (Array.isArray(firstRow)) {
+                // Empty tab: the first array is the header
+                headers = firstRow.map(String);
+                headerRow = firstRow;
+            } else {
+                // Empty tab: the header comes from the options or the first object, and goes out with the first batch
+                headers = options.headers || Object.keys(firstRow);
+                headerRow = headers;
+                buffer.push(headers);
+            }
+        };
+
+        const flush = async () => {
+            if (buffer.length === 0) return;
+            const batch = buffer;
+            buffer = [];
+
+            const values = batch.map(row => Array.isArray(row)
+                ? row.map(toCellString)
+                : (headers || []).map(header => toCellString(row[header]))
+            );
+
+            if (schema) {
+                const objects = batch
+                    .filter(row => row !== headerRow)
+                    .map(row => Array.isArray(row) ? convertValuesToObjects([headers || [], row])[0] : row);
+                // Row numbers count the rows this stream has written
+                assertValidWrite(objects, schema, tab, { firstRow: rowsWritten + 1 });
+            }
+
+            const grid = properties?.gridProperties;
+            if (grid) {
+                assertWithinCellLimit(info, {
+                    [properties.title]: { rowCount: grid.rowCount + values.length, columnCount: widestRow(values) }
+                });
+                await ensureGridSize(spreadsheetId, properties, 0, widestRow(values), info);
+            }
+
+            const range = tab ? `${tab}!A1` : 'A1';
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.values.append({
+                    spreadsheetId,
+                    range,
+                    valueInputOption: 'USER_ENTERED',
+                    insertDataOption: 'INSERT_ROWS',
+                    resource: {
+                        values,
+                    },
+                })
+            );
+
+            // INSERT_ROWS grew the grid by the rows appended
+            if (grid) grid.rowCount += values.length;
+
+            rowsWritten += batch.filter(row => row !== headerRow).length;
+            onProgress?.({ tab, rowsWritten, chunkIndex: batchIndex++, elapsedMs: Date.now() - startedAt });
+        };
+
+        return new Writable({
+            objectMode: true,
+            highWaterMark: batchSize,
+            write(row, _encoding, callback) {
+                const ready = info ? Promise.resolve() : open(row);
+                ready
+                    .then(() => {
+                        buffer.push(row);
+                        return buffer.length >= batchSize ? flush() : undefined;
+                    })
+                    .then(() => callback(), callback);
+            },
+            final(callback) {
+                flush()
+                    .then(() => {
+                        logger.info({ spreadsheetId, tab, rowsWritten, batches: batchIndex }, 'Sheet write stream finished');
+                        callback();
+                    }, callback);
+            },
+            destroy(error, callback) {
+                if (error) {
+                    logger.error({
+                        error:  (error).message,
+                        spreadsheetId,
+                        tab,
+                        rowsWritten
+                    }, 'Sheet write stream failed - earlier batches were written');
+                }
+                callback(error);
+            }
+        });
+    }
+
+    /**
+     * Appends a CSV or JSON Lines file to a tab, streaming it from disk in batches
+     * CSV files must have a header row; their columns are matched to the tab's header by name.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} filePath - Path to a .csv or .jsonl/.ndjson file
+     * @param {string} [tab] - Tab name (created if missing; defaults to the first tab)
+     * @param {import('./index.d.ts').ImportFileOptions} [options={}] - File format, batch size and progress options
+     * @returns {Promise<{rowsWritten: number}>} Number of rows appended
+     * @example
+     * import { importCsvFile } from 'ak-sheets';
+     *
+     * const { rowsWritten } = await importCsvFile(spreadsheetId, './exports/orders.csv', 'Orders', {
+     *   batchSize: 5000,
+     *   onProgress: ({ rowsWritten }) => console.log(`${rowsWritten} rows imported`)
+     * });
+     */
+    async function importCsvFile(spreadsheetId, filePath, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const path = resolve(filePath);
+        const extension = extname(path).toLowerCase();
+        const format = options.format || (['.jsonl', '.ndjson'].includes(extension) ? 'jsonl' : 'csv');
+        logger.debug({ spreadsheetId, path, tab, format }, 'Importing file');
+
+        if (!existsSync(path)) {
+            throw new Error(`File not found: ${path}`);
+        }
+
+        let rowsWritten = 0;
+        const writer = createSheetWriteStream(spreadsheetId, tab, {
+            ...options,
+            onProgress: (progress) => {
+                rowsWritten = progress.rowsWritten;
+                options.onProgress?.(progress);
+            }
+        });
+
+        try {
+            if (format === 'jsonl') {
+                const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+                const objects = async function* () {
+                    for await (const line of lines) {
+                        if (line.trim()) yield JSON.parse(line);
+                    }
+                };
+                await pipeline(Readable.from(objects()), writer);
+            } else {
+                const parser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+                    header: true,
+                    skipEmptyLines: true,
+                    transformHeader: (/** @type {string} */ header) => header.trim()
+                });
+                await pipeline(createReadStream(path), parser, writer);
+            }
+
+            logger.info({ spreadsheetId, path, tab, rowsWritten }, 'File imported successfully');
+            return { rowsWritten };
+        } catch (error) {
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                path,
+                tab,
+                rowsWritten
+            }, 'Failed to import file');
+            throw error;
+        }
+    }
+
+    /**
+     * Keeps a local .json or .csv file and a tab in step, matching rows on key columns
+     * A snapshot of the last sync is stored next to the file (`<file>.sync.json` by default). Each run compares
+     * both sides with it: an edit on one side is carried to the other, and cells edited differently on both
+     * sides are reported as conflicts and left alone unless `onConflict` picks a winner. Values are compared
+     * as the text the tab displays. A missing file or tab starts out empty, so the first sync copies one to the other.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to sync (created on the first push if missing)
+     * @param {string} localPath - Path to a .json file (an array of objects) or a .csv file with a header row
+     * @param {import('./index.d.ts').SyncOptions} options - Key columns, direction, conflict policy and snapshot path
+     * @returns {Promise<import('./index.d.ts').SyncResult>} Rows pushed to the tab, rows pulled into the file and conflicts
+     * @example
+     * import { syncFile } from 'ak-sheets';
+     * 
+     * const { pushed, pulled, conflicts } = await syncFile(spreadsheetId, 'Flags', './config/flags.json', {
+     *   key: 'flag',
+     *   direction: 'both'
+     * });
+     * for (const { key, column, local, remote } of conflicts) {
+     *   console.warn(`${key.flag}.${column}: file has ${local}, sheet has ${remote}`);
+     * }
+     */
+    async function syncFile(spreadsheetId, tab, localPath, options) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { key, direction = 'both' } = options || {};
+        if (!key || (Array.isArray(key) && key.length === 0)) {
+            throw new Error('syncFile needs key column(s) to match rows on');
+        }
+        const path = resolve(localPath);
+        const extension = extname(path).toLowerCase();
+        if (extension !== '.json' && extension !== '.csv') {
+            throw new Error(`syncFile supports .json and .csv files, got ${path}`);
+        }
+        const snapshotPath = resolve(options.snapshotPath || `${path}.sync.json`);
+        logger.debug({ spreadsheetId, tab, path, key, direction }, 'Syncing file with sheet');
+
+        try {
+            /** @type {Record<string, any>[]} */
+            let localObjects = [];
+            if (existsSync(path)) {
+                const content = readFileSync(path, 'utf-8');
+                localObjects = extension === '.json' ? JSON.parse(content || '[]') : /** @type {any[]} */ (csvToJson(content));
+                if (!Array.isArray(localObjects)) {
+                    throw new Error(`${path} must hold a JSON array of objects`);
+                }
+            }
+
+            const info = await getSheetInfo(spreadsheetId);
+            const properties = findTabProperties(info, tab);
+            const remoteValues = properties ? readValues(await fetchValues(spreadsheetId, { tab, info }), 'array', tab) : [];
+
+            let base = [];
+            if (existsSync(snapshotPath)) {
+                const snapshot = JSON.parse(readFileSync(snapshotPath, 'utf-8'));
+                if (snapshot.spreadsheetId !== spreadsheetId || snapshot.tab !== tab) {
+                    throw new Error(`Snapshot ${snapshotPath} belongs to tab '${snapshot.tab}' of ${snapshot.spreadsheetId}; delete it to start a fresh sync`);
+                }
+                base = snapshot.rows;
+            }
+
+            // Booleans are compared the way the tab shows them
+            /** @param {any} value */
+            const toCell = (value) => typeof value === 'boolean' ? String(value).toUpperCase() : toCellString(value);
+            /** @param {Record<string, any>} row */
+            const toCells = (row) => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, toCell(value)]));
+            /** @param {Record<string, string>} row */
+            const isBlank = (row) => Object.values(row).every(value => value === '');
+            const localRows = localObjects.map(toCells).filter(row => !isBlank(row));
+            const remoteRows = convertValuesToObjects(remoteValues).filter(row => !isBlank(row));
+
+            // Each side keeps its own column order, with the other side's extra columns appended
+            const localHeaders = getUniqueKeys(localObjects);
+            const remoteHeaders = [...(remoteValues[0] || [])];
+            localHeaders.forEach(column => { if (!remoteHeaders.includes(column)) remoteHeaders.push(column); });
+            remoteHeaders.forEach(column => { if (!localHeaders.includes(column)) localHeaders.push(column); });
+
+            const result = syncRows({ base, local: localRows, remote: remoteRows }, remoteHeaders, options);
+            const { pushed, pulled, conflicts } = result;
+            /** @param {import('./index.d.ts').SyncCounts} counts */
+            const hasChanges = (counts) => counts.added + counts.updated + counts.removed > 0;
+
+            if (hasChanges(pushed) && properties) {
+                // Only the cells and rows the sync changed are written, so the tab's formulas survive
+                const rows = result.remote.map(row => Object.fromEntries(remoteHeaders.map(column => [column, row[column] ?? ''])));
+                await applyUpsert(spreadsheetId, tab, info, upsertData(remoteValues, rows, key, true));
+            } else if (hasChanges(pushed)) {
+                await writeToSheet(spreadsheetId, [remoteHeaders, ...result.remote.map(row => remoteHeaders.map(column => row[column] ?? ''))], tab);
+            }
+
+            if (hasChanges(pulled) && extension === '.csv') {
+                const data = result.local.map(row => localHeaders.map(column => row[column] ?? ''));
+                writeFileSync(path, Papa.unparse({ fields: localHeaders, data }, { newline: '\n' }) + '\n', 'utf-8');
+            } else if (hasChanges(pulled)) {
+                // JSON cells the sync didn't change keep their original types
+                const keyColumns = [key].flat();
+                const originals = new Map(localObjects.map(row => [JSON.stringify(keyColumns.map(column => toCell(row[column]))), row]));
+                const rows = result.local.map(row => {
+                    const original = originals.get(JSON.stringify(keyColumns.map(column => row[column] ?? ''))) || {};
+                    return Object.fromEntries(localHeaders.map(column => [
+                        column,
+                        column in original && toCell(original[column]) === row[column] ? original[column] : toJsonValue(row[column] ?? '')
+                    ]));
+                });
+                writeFileSync(path, JSON.stringify(rows, null, 2) + '\n', 'utf-8');
+            }
+
+            writeFileSync(snapshotPath, JSON.stringify({
+                spreadsheetId,
+                tab,
+                key,
+                syncedAt: new Date().toISOString(),
+                rows: result.snapshot
+            }, null, 2), 'utf-8');
+
+            logger.info({
+                spreadsheetId,
+                tab,
+                path,
+                pushed,
+                pulled,
+                conflicts: conflicts.length
+            }, conflicts.length > 0 ? 'File synced with conflicts' : 'File synced successfully');
+            return { pushed, pulled, conflicts, snapshotPath };
+        } catch (error) {
+            logger.error({
+                error:  (error).message,
+                spreadsheetId,
+                tab,
+                path
+            }, 'Failed to sync file');
+            throw error;
+        }
+    }
+
+    /**
+     * Writes data to a specific range in a Google Spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} range - Range to write to (e.g., 'A1:C10', 'B2', 'A1'), or the name of a named range
+     * @param {import('./index.d.ts').SpreadsheetData} data - Data to write (must fit inside a named range)
+     * @param {string} [tab] - Optional tab name (not used with named ranges)
+     * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
+     * @example
+     * import { writeToRange } from 'ak-sheets';
+     * 
+     * // Write to specific range
+     * const data = [['Name', 'Age'], ['John', 30], ['Jane', 25]];
+     * await writeToRange(spreadsheetId, 'A1:B3', data);
+     * 
+     * // Write single value to cell
+     * await writeToRange(spreadsheetId, 'D1', 'Total');
+     * 
+     * // Write to range in specific tab
+     * await writeToRange(spreadsheetId, 'A1:C2', data, 'Users');
+     * 
+     * // Write into a named range
+     * await writeToRange(spreadsheetId, 'FxRates', [['EUR', 1.08], ['GBP', 1.27]]);
+     */
+    async function writeToRange(spreadsheetId, range, data, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, range, tab, dataType: typeof data }, 'Writing to range');
+
+        try {
+            const processedData = toValueRows(data);
+
+            const fullRange = tab ? `${tab}!${range}` : range;
+
+            // Grow the grid if the data runs past it; named ranges already lie inside theirs
+            const target = parseA1(fullRange);
+            const info = await getSheetInfo(spreadsheetId);
+            if (tab || !findNamedRange(info, range)) {
+                await ensureGridSize(
+                    spreadsheetId,
+                    findTabProperties(info, target.tab ?? undefined),
+                    (target.startRow ?? 0) + processedData.length,
+                    (target.startColumn ?? 0) + widestRow(processedData),
+                    info
+                );
+            }
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.values.update({
+                    spreadsheetId,
+                    range: fullRange,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: {
+                        values: processedData,
+                    },
+                })
+            );
+
+            if (response?.data) {
+                logger.info({ 
+                    updatedCells: response.data.updatedCells, 
+                    range: fullRange,
+                    spreadsheetId 
+                }, 'Range updated successfully');
+                return response.data;
+            }
+
+            return { updatedCells: 0 };
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                range,
+                tab 
+            }, 'Failed to write to range');
+            throw error;
+        }
+    }
+
+    /**
+     * Names a range so formulas and code can refer to it by name
+     * Sheets keeps a named range pointing at the same cells as rows and columns are inserted or deleted around it.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} name - Range name (letters, digits and underscores, not starting with a digit or looking like a cell)
+     * @param {string} range - Range to name (e.g., 'A1:C10', 'Rates!B2:C', or a bare tab name for the whole tab)
+     * @param {string} [tab] - Optional tab name
+     * @returns {Promise<string>} Promise resolving to the new named range's ID
+     * @example
+     * import { addNamedRange, getRange } from 'ak-sheets';
+     * 
+     * await addNamedRange(spreadsheetId, 'FxRates', 'A2:B20', 'Rates');
+     * 
+     * // Formulas can now use =VLOOKUP("EUR", FxRates, 2, FALSE), and code can read it by name
+     * const rates = await getRange(spreadsheetId, 'FxRates', undefined, 'array');
+     */
+    async function addNamedRange(spreadsheetId, name, range, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const fullRange = tab ? `${quoteTab(tab)}!${range}` : range;
+        logger.debug({ spreadsheetId, name, range: fullRange }, 'Adding named range');
+
+        try {
+            const info = await getSheetInfo(spreadsheetId);
+            if (findNamedRange(info, name)) {
+                throw new Error(`Named range '${name}' already exists in spreadsheet`);
+            }
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ addNamedRange: { namedRange: { name, range: toGridRange(info, fullRange) } } }] }
+                })
+            );
+
+            const namedRangeId = response.data.replies?.[0]?.addNamedRange?.namedRange?.namedRangeId;
+            logger.info({ spreadsheetId, name, namedRangeId }, 'Named range added successfully');
+            return namedRangeId;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                name, 
+                range: fullRange 
+            }, 'Failed to add named range');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists a spreadsheet's named ranges with the A1 ranges they currently cover
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {Promise<import('./index.d.ts').NamedRangeInfo[]>} Promise resolving to the named ranges
+     * @example
+     * import { listNamedRanges } from 'ak-sheets';
+     * 
+     * const ranges = await listNamedRanges(spreadsheetId);
+     * // [{ namedRangeId: '1a2b3c', name: 'FxRates', tab: 'Rates', range: 'Rates!A2:B20' }]
+     */
+    async function listNamedRanges(spreadsheetId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId }, 'Listing named ranges');
+
+        try {
+            const info = await getSheetInfo(spreadsheetId);
+            const namedRanges = (info.namedRanges || []).map((/** @type {any} */ namedRange) => {
+                const { tab, range } = fromGridRange(info, namedRange.range);
+                return { namedRangeId: namedRange.namedRangeId, name: namedRange.name, tab, range };
+            });
+
+            logger.debug({ spreadsheetId, count: namedRanges.length }, 'Named ranges listed');
+            return namedRanges;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId 
+            }, 'Failed to list named ranges');
+            throw error;
+        }
+    }
+
+    /**
+     * Renames a named range or points it at different cells
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} name - Current name of the range
+     * @param {import('./index.d.ts').NamedRangeUpdate} changes - New name and/or range
+     * @returns {Promise<void>} Promise that resolves when the named range is updated
+     * @example
+     * import { updateNamedRange } from 'ak-sheets';
+     * 
+     * // Grow the range to cover new rows
+     * await updateNamedRange(spreadsheetId, 'FxRates', { range: 'A2:B40', tab: 'Rates' });
+     * 
+     * // Rename it (formulas using the old name show #NAME? until they are updated)
+     * await updateNamedRange(spreadsheetId, 'FxRates', { name: 'ExchangeRates' });
+     */
+    async function updateNamedRange(spreadsheetId, name, changes) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { name: newName, range, tab } = changes || {};
+        logger.debug({ spreadsheetId, name, changes }, 'Updating named range');
+
+        try {
+            const info = await getSheetInfo(spreadsheetId);
+            const existing = findNamedRange(info, name);
+            if (!existing) {
+                throw new Error(`Named range '${name}' not found in spreadsheet`);
+            }
+            if (newName !== undefined && newName !== name && findNamedRange(info, newName)) {
+                throw new Error(`Named range '${newName}' already exists in spreadsheet`);
+            }
+
+            const fields = [];
+            const namedRange = { namedRangeId: existing.namedRangeId };
+            if (newName !== undefined) {
+                namedRange.name = newName;
+                fields.push('name');
+            }
+            if (range !== undefined) {
+                namedRange.range = toGridRange(info, tab ? `${quoteTab(tab)}!${range}` : range);
+                fields.push('range');
+            }
+            if (fields.length === 0) {
+                throw new Error('Named range update needs a name or range');
+            }
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ updateNamedRange: { namedRange, fields: fields.join(',') } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, name, fields }, 'Named range updated successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                name 
+            }, 'Failed to update named range');
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a named range; the cells it covered are left as they are
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} name - Name of the range
+     * @returns {Promise<void>} Promise that resolves when the named range is deleted
+     * @example
+     * import { deleteNamedRange } from 'ak-sheets';
+     * 
+     * await deleteNamedRange(spreadsheetId, 'FxRates');
+     */
+    async function deleteNamedRange(spreadsheetId, name) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, name }, 'Deleting named range');
+
+        try {
+            const existing = findNamedRange(await getSheetInfo(spreadsheetId), name);
+            if (!existing) {
+                throw new Error(`Named range '${name}' not found in spreadsheet`);
+            }
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ deleteNamedRange: { namedRangeId: existing.namedRangeId } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, name }, 'Named range deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                name 
+            }, 'Failed to delete named range');
+            throw error;
+        }
+    }
+
+    /**
+     * Protects a whole tab or a range on it so only the listed editors can change it
+     * The account making the request (e.g. the service account) and the spreadsheet owner can always edit.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to protect
+     * @param {import('./index.d.ts').ProtectionOptions} [options={}] - Range, editors, warning-only mode and description
+     * @returns {Promise<number>} Promise resolving to the new protected range's ID
+     * @example
+     * import { writeToSheetTabs, addProtectedRange } from 'ak-sheets';
+     * 
+     * // Lock the tabs a nightly job owns, so hand edits can't be silently overwritten
+     * await writeToSheetTabs(spreadsheetId, { Revenue: revenue, Churn: churn });
+     * await addProtectedRange(spreadsheetId, 'Revenue', { description: 'Written by the nightly export' });
+     * 
+     * // Let a couple of people edit the targets column
+     * await addProtectedRange(spreadsheetId, 'Plan', { range: 'D2:D', editors: ['ana@example.com', 'li@example.com'] });
+     * 
+     * // Anyone can edit, but gets a warning first
+     * await addProtectedRange(spreadsheetId, 'Churn', { warningOnly: true });
+     */
+    async function addProtectedRange(spreadsheetId, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { range, editors = [], warningOnly = false, description } = options;
+        logger.debug({ spreadsheetId, tab, range, editors: editors.length, warningOnly }, 'Adding protected range');
+
+        try {
+            if (warningOnly && editors.length > 0) {
+                throw new Error('Warning-only protections apply to everyone and cannot list editors');
+            }
+
+            const info = await getSheetInfo(spreadsheetId);
+            const properties = findTabProperties(info, tab);
+            if (!properties) {
+                throw new Error(`Tab '${tab}' not found in spreadsheet`);
+            }
+
+            const protectedRange = {
+                range: range ? toGridRange(info, `${quoteTab(tab)}!${range}`) : { sheetId: properties.sheetId },
+                warningOnly,
+                ...(description && { description }),
+                ...(!warningOnly && { editors: { users: editors } })
+            };
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ addProtectedRange: { protectedRange } }] }
+                })
+            );
+
+            const protectedRangeId = response.data.replies?.[0]?.addProtectedRange?.protectedRange?.protectedRangeId;
+            logger.info({ spreadsheetId, tab, range, protectedRangeId }, 'Protected range added successfully');
+            return protectedRangeId;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab, 
+                range 
+            }, 'Failed to add protected range');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the protected ranges in a spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Only protections on this tab
+     * @returns {Promise<import('./index.d.ts').ProtectedRangeInfo[]>} Promise resolving to the protections
+     * @example
+     * import { listProtectedRanges } from 'ak-sheets';
+     * 
+     * const protections = await listProtectedRanges(spreadsheetId, 'Revenue');
+     * // [{ protectedRangeId: 4, tab: 'Revenue', description: 'Written by the nightly export', warningOnly: false,
+     * //    editors: ['reports@my-project.iam.gserviceaccount.com'] }]
+     */
+    async function listProtectedRanges(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Listing protected ranges');
+
+        try {
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.get({
+                    spreadsheetId,
+                    fields: 'sheets(properties(sheetId,title),protectedRanges)'
+                })
+            );
+
+            const info = response.data;
+            const protections = (info.sheets || [])
+                .filter(sheet => !tab || sheet.properties?.title === tab)
+                .flatMap(sheet => (sheet.protectedRanges || []).map((/** @type {any} */ protectedRange) => {
+                    const { range = {} } = protectedRange;
+                    const wholeTab = ['startRowIndex', 'endRowIndex', 'startColumnIndex', 'endColumnIndex'].every(key => range[key] === undefined);
+                    return {
+                        protectedRangeId: protectedRange.protectedRangeId,
+                        tab: sheet.properties?.title,
+                        ...(!wholeTab && { range: fromGridRange(info, range).range }),
+                        ...(protectedRange.namedRangeId && { namedRangeId: protectedRange.namedRangeId }),
+                        ...(protectedRange.description && { description: protectedRange.description }),
+                        warningOnly: Boolean(protectedRange.warningOnly),
+                        editors: protectedRange.editors?.users || []
+                    };
+                }));
+
+            logger.debug({ spreadsheetId, tab, count: protections.length }, 'Protected ranges listed');
+            return protections;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to list protected ranges');
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a protection, so anyone with edit access can change the cells again
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {number} protectedRangeId - ID from addProtectedRange() or listProtectedRanges()
+     * @returns {Promise<void>} Promise that resolves when the protection is removed
+     * @example
+     * import { listProtectedRanges, deleteProtectedRange } from 'ak-sheets';
+     * 
+     * // Unlock a tab
+     * for (const { protectedRangeId } of await listProtectedRanges(spreadsheetId, 'Revenue')) {
+     *   await deleteProtectedRange(spreadsheetId, protectedRangeId);
+     * }
+     */
+    async function deleteProtectedRange(spreadsheetId, protectedRangeId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, protectedRangeId }, 'Deleting protected range');
+
+        try {
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ deleteProtectedRange: { protectedRangeId } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, protectedRangeId }, 'Protected range deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                protectedRangeId 
+            }, 'Failed to delete protected range');
+            throw error;
+        }
+    }
+
+    /**
+     * Reads a tab's metadata and current values, for requests addressed by header name
+     * Values are read directly so they include every row written so far, even with the dev cache on.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<{info: any, properties: any, values: any[][]}>} Spreadsheet metadata, tab properties and values (header first)
+     */
+    async function readTabValues(spreadsheetId, tab) {
+        const info = await getSheetInfo(spreadsheetId);
+        const properties = findTabProperties(info, tab);
+        if (!properties) {
+            throw new Error(`Tab '${tab}' not found in spreadsheet`);
+        }
+
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.values.get({ spreadsheetId, range: tabRange(tab) })
+        );
+        return { info, properties, values: response.data.values || [] };
+    }
+
+    /**
+     * Turns on a tab's basic filter, optionally hiding values and sorting by header-named columns
+     * A tab has at most one basic filter; setting it again replaces the previous one for everyone.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to filter (header in row 1)
+     * @param {import('./index.d.ts').FilterOptions} [options={}] - Column filters, sort and range
+     * @returns {Promise<void>} Promise that resolves when the filter is set
+     * @example
+     * import { setFilter } from 'ak-sheets';
+     * 
+     * // Filter buttons on every column of the data
+     * await setFilter(spreadsheetId, 'Orders');
+     * 
+     * // Only EU and US rows over 100, biggest first
+     * await setFilter(spreadsheetId, 'Orders', {
+     *   filters: { region: ['EU', 'US'], total: { when: 'greaterThan', value: 100 } },
+     *   sort: { column: 'total', order: 'desc' }
+     * });
+     */
+    async function setFilter(spreadsheetId, tab, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, options }, 'Setting basic filter');
+
+        try {
+            const { info, properties, values } = await readTabValues(spreadsheetId, tab);
+            const filter = toFilter(properties, values, options, options.range && toGridRange(info, `${quoteTab(tab)}!${options.range}`));
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ setBasicFilter: { filter } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab }, 'Basic filter set successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to set basic filter');
+            throw error;
+        }
+    }
+
+    /**
+     * Turns off a tab's basic filter, showing every row again (the row order is kept)
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<void>} Promise that resolves when the filter is cleared
+     * @example
+     * import { clearFilter } from 'ak-sheets';
+     * 
+     * await clearFilter(spreadsheetId, 'Orders');
+     */
+    async function clearFilter(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Clearing basic filter');
+
+        try {
+            const properties = await getTabProperties(spreadsheetId, tab);
+            if (!properties) {
+                throw new Error(`Tab '${tab}' not found in spreadsheet`);
+            }
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ clearBasicFilter: { sheetId: properties.sheetId } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab }, 'Basic filter cleared successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to clear basic filter');
+            throw error;
+        }
+    }
+
+    /**
+     * Saves a named filter view, which each viewer can switch on without changing what others see
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to filter (header in row 1)
+     * @param {string} title - Name shown in the filter view menu
+     * @param {import('./index.d.ts').FilterOptions} [options={}] - Column filters, sort and range
+     * @returns {Promise<number>} Promise resolving to the new filter view's ID
+     * @example
+     * import { addFilterView } from 'ak-sheets';
+     * 
+     * await addFilterView(spreadsheetId, 'Orders', 'Open EU orders', {
+     *   filters: { region: ['EU'], status: { when: 'textEquals', value: 'open' } },
+     *   sort: ['customer', { column: 'date', order: 'desc' }]
+     * });
+     */
+    async function addFilterView(spreadsheetId, tab, title, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, title }, 'Adding filter view');
+
+        try {
+            const { info, properties, values } = await readTabValues(spreadsheetId, tab);
+            const filter = {
+                title,
+                ...toFilter(properties, values, options, options.range && toGridRange(info, `${quoteTab(tab)}!${options.range}`))
+            };
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ addFilterView: { filter } }] }
+                })
+            );
+
+            const filterViewId = response.data.replies?.[0]?.addFilterView?.filter?.filterViewId;
+            logger.info({ spreadsheetId, tab, title, filterViewId }, 'Filter view added successfully');
+            return filterViewId;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab, 
+                title 
+            }, 'Failed to add filter view');
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a filter view
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {number} filterViewId - ID from addFilterView()
+     * @returns {Promise<void>} Promise that resolves when the filter view is deleted
+     * @example
+     * import { deleteFilterView } from 'ak-sheets';
+     * 
+     * await deleteFilterView(spreadsheetId, filterViewId);
+     */
+    async function deleteFilterView(spreadsheetId, filterViewId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, filterViewId }, 'Deleting filter view');
+
+        try {
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ deleteFilterView: { filterId: filterViewId } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, filterViewId }, 'Filter view deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                filterViewId 
+            }, 'Failed to delete filter view');
+            throw error;
+        }
+    }
+
+    /**
+     * Sorts a tab's data rows in place by one or more header-named columns
+     * The header row stays put; by default every data row and column is sorted together.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab to sort (header in row 1)
+     * @param {import('./index.d.ts').SortSpec} sort - A column, a { column, order } key, or a list of either (first key sorts first)
+     * @param {{range?: string}} [options={}] - A1 range to sort instead of the data rows (columns are still named by the row 1 header)
+     * @returns {Promise<void>} Promise that resolves when the rows are sorted
+     * @example
+     * import { sortRange } from 'ak-sheets';
+     * 
+     * await sortRange(spreadsheetId, 'Orders', 'date');
+     * 
+     * // Region A-Z, then biggest orders first within each region
+     * await sortRange(spreadsheetId, 'Orders', ['region', { column: 'total', order: 'desc' }]);
+     */
+    async function sortRange(spreadsheetId, tab, sort, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, sort }, 'Sorting range');
+
+        try {
+            const { info, properties, values } = await readTabValues(spreadsheetId, tab);
+            const request = toSortRequest(properties, values, sort, options.range && toGridRange(info, `${quoteTab(tab)}!${options.range}`));
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [request] }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab }, 'Range sorted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to sort range');
+            throw error;
+        }
+    }
+
+    /**
+     * Applies a cell style to a range: fonts, colors, number formats, alignment, wrapping and borders
+     * Only the properties given are changed; the rest of each cell's formatting is left alone.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} range - Range to format (e.g., 'A1:D1', 'C:C', 'Users!B2:B')
+     * @param {string} [tab] - Optional tab name
+     * @param {import('./index.d.ts').CellStyle} [format={}] - Style to apply
+     * @returns {Promise<any>} Promise resolving to the batchUpdate response
+     * @example
+     * import { formatRange } from 'ak-sheets';
+     * 
+     * // Header row
+     * await formatRange(spreadsheetId, 'A1:F1', 'Report', { bold: true, background: '#D9E2F3', align: 'center' });
+     * 
+     * // Money column, with a thin grid
+     * await formatRange(spreadsheetId, 'D2:D', 'Report', { numberFormat: 'currency', borders: { color: '#CCCCCC' } });
+     * 
+     * // Custom number pattern
+     * await formatRange(spreadsheetId, 'E2:E', 'Report', { numberFormat: '0.0" ms"' });
+     */
+    async function formatRange(spreadsheetId, range, tab, format = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const fullRange = tab ? `${quoteTab(tab)}!${range}` : range;
+        logger.debug({ spreadsheetId, range: fullRange, format }, 'Formatting range');
+
+        try {
+            const requests = formatRequests(toGridRange(await getSheetInfo(spreadsheetId), fullRange), format);
+            if (requests.length === 0) {
+                return { spreadsheetId, replies: [] };
+            }
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests }
+                })
+            );
+
+            logger.info({ spreadsheetId, range: fullRange }, 'Range formatted successfully');
+            return response.data;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                range,
+                tab 
+            }, 'Failed to format range');
+            throw error;
+        }
+    }
+
+    /**
+     * Reads a tab's sheetId, conditional format rules and header row
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<{sheetId: number, rules: any[], headers: any[]}>} Tab's rules and headers
+     */
+    async function getConditionalFormats(spreadsheetId, tab) {
+        const sheet = (await getSheetFormatting(spreadsheetId)).find(s => s.properties.title === tab);
+        if (!sheet) {
+            throw new Error(`Tab '${tab}' not found in spreadsheet`);
+        }
+
+        return { sheetId: sheet.properties.sheetId, rules: sheet.conditionalFormats || [], headers: await readHeaderRow(spreadsheetId, tab) };
+    }
+
+    /**
+     * Reads a tab's header row for resolving column names
+     * Read directly rather than through the dev cache, so rules always follow the current header.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<any[]>} Header row (empty for an empty tab)
+     */
+    async function readHeaderRow(spreadsheetId, tab) {
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.values.get({ spreadsheetId, range: `${quoteTab(tab)}!1:1` })
+        );
+        return response.data.values?.[0] || [];
+    }
+
+    /**
+     * Throws unless a tab has a conditional format rule at an index
+     * @param {any[]} rules - The tab's rules
+     * @param {number} index - Index to check
+     * @param {string} tab - Tab name, for the error message
+     */
+    function assertRuleIndex(rules, index, tab) {
+        if (!Number.isInteger(index) || index < 0 || index >= rules.length) {
+            throw new Error(`No conditional format rule at index ${index} on tab '${tab}' (it has ${rules.length})`);
+        }
+    }
+
+    /**
+     * Adds a conditional format rule to a tab, addressed by column header name or A1 range
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @param {import('./index.d.ts').ConditionalRule} rule - Rule to add
+     * @param {{index?: number}} [options={}] - Position to insert the rule at (default: last)
+     * @returns {Promise<number>} Promise resolving to the new rule's index
+     * @example
+     * import { addConditionalFormat } from 'ak-sheets';
+     * 
+     * // Red text for negative growth, green fill for positive
+     * await addConditionalFormat(spreadsheetId, 'KPIs', { columns: 'growth', when: 'lessThan', value: 0, format: { color: '#9C0006', background: '#FFC7CE' } });
+     * await addConditionalFormat(spreadsheetId, 'KPIs', { columns: 'growth', when: 'greaterThan', value: 0, format: { background: '#C6EFCE' } });
+     * 
+     * // Flag whole rows with a formula, and shade a column with a color scale
+     * await addConditionalFormat(spreadsheetId, 'KPIs', { range: 'A2:F', formula: '=$E2="missed"', format: { italic: true } });
+     * await addConditionalFormat(spreadsheetId, 'KPIs', { columns: 'nps', gradient: { min: '#F8696B', mid: '#FFEB84', max: '#63BE7B' } });
+     */
+    async function addConditionalFormat(spreadsheetId, tab, rule, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, rule }, 'Adding conditional format rule');
+
+        try {
+            const { sheetId, rules, headers } = await getConditionalFormats(spreadsheetId, tab);
+            const index = options.index ?? rules.length;
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [{ addConditionalFormatRule: { rule: toConditionalRule(rule, sheetId, headers), index } }]
+                    }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab, index }, 'Conditional format rule added');
+            return index;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to add conditional format rule');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists a tab's conditional format rules in priority order
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<import('./index.d.ts').ConditionalRuleInfo[]>} Promise resolving to the rules, with indexes and ranges
+     * @example
+     * import { listConditionalFormats } from 'ak-sheets';
+     * 
+     * const rules = await listConditionalFormats(spreadsheetId, 'KPIs');
+     * // [{ index: 0, ranges: ['KPIs!C2:C'], columns: ['growth'], when: 'lessThan', value: 0, format: { color: '#9C0006' } }]
+     */
+    async function listConditionalFormats(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Listing conditional format rules');
+
+        try {
+            const { rules, headers } = await getConditionalFormats(spreadsheetId, tab);
+            return rules.map((rule, index) => fromConditionalRule(rule, index, tab, headers));
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to list conditional format rules');
+            throw error;
+        }
+    }
+
+    /**
+     * Replaces the conditional format rule at an index
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @param {number} index - Index from listConditionalFormats()
+     * @param {import('./index.d.ts').ConditionalRule} rule - New rule
+     * @returns {Promise<void>} Promise that resolves when the rule is updated
+     * @example
+     * import { updateConditionalFormat } from 'ak-sheets';
+     * 
+     * await updateConditionalFormat(spreadsheetId, 'KPIs', 0, { columns: 'growth', when: 'lessThan', value: -0.05, format: { color: '#9C0006' } });
+     */
+    async function updateConditionalFormat(spreadsheetId, tab, index, rule) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, index, rule }, 'Updating conditional format rule');
+
+        try {
+            const { sheetId, rules, headers } = await getConditionalFormats(spreadsheetId, tab);
+            assertRuleIndex(rules, index, tab);
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [{ updateConditionalFormatRule: { sheetId, index, rule: toConditionalRule(rule, sheetId, headers) } }]
+                    }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab, index }, 'Conditional format rule updated');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab,
+                index 
+            }, 'Failed to update conditional format rule');
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes the conditional format rule at an index
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @param {number} index - Index from listConditionalFormats()
+     * @returns {Promise<void>} Promise that resolves when the rule is deleted
+     * @example
+     * import { deleteConditionalFormat } from 'ak-sheets';
+     * 
+     * await deleteConditionalFormat(spreadsheetId, 'KPIs', 0);
+     */
+    async function deleteConditionalFormat(spreadsheetId, tab, index) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, index }, 'Deleting conditional format rule');
+
+        try {
+            const { sheetId, rules } = await getConditionalFormats(spreadsheetId, tab);
+            assertRuleIndex(rules, index, tab);
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [{ deleteConditionalFormatRule: { sheetId, index } }]
+                    }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab, index }, 'Conditional format rule deleted');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab,
+                index 
+            }, 'Failed to delete conditional format rule');
+            throw error;
+        }
+    }
+
+    /**
+     * Sets (or clears) data validation on the data rows of one or more columns
+     * Columns are given by header name or letter and covered from row 2 to the end of the grid.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @param {string|string[]} column - Header name(s) or column letter(s)
+     * @param {import('./index.d.ts').ValidationRule|null} rule - Rule to set, or null to remove validation
+     * @returns {Promise<void>} Promise that resolves when validation is set
+     * @example
+     * import { setValidation } from 'ak-sheets';
+     * 
+     * // Dropdowns from a fixed list or from a range on another tab
+     * await setValidation(spreadsheetId, 'Review', 'status', { list: ['approved', 'rejected', 'needs info'] });
+     * await setValidation(spreadsheetId, 'Review', 'plan', { list: 'Plans!A2:A' });
+     * 
+     * // Bounds, checkboxes and formulas; strict: false only warns
+     * await setValidation(spreadsheetId, 'Review', 'discount', { number: { min: 0, max: 0.5 }, strict: false, message: 'Up to 50%' });
+     * await setValidation(spreadsheetId, 'Review', 'due', { date: { min: '2024-01-01' } });
+     * await setValidation(spreadsheetId, 'Review', ['verified', 'paid'], { checkbox: true });
+     * await setValidation(spreadsheetId, 'Review', 'email', { formula: '=ISNUMBER(SEARCH("@", E2))' });
+     * 
+     * // Remove validation
+     * await setValidation(spreadsheetId, 'Review', 'status', null);
+     */
+    async function setValidation(spreadsheetId, tab, column, rule) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, column, rule }, 'Setting data validation');
+
+        try {
+            const properties = await getTabProperties(spreadsheetId, tab);
+            if (!properties) {
+                throw new Error(`Tab '${tab}' not found in spreadsheet`);
+            }
+            const headers = await readHeaderRow(spreadsheetId, tab);
+            const apiRule = rule ? toValidationRule(rule) : undefined;
+
+            const requests = [column].flat().map(key => {
+                const index = columnIndex(headers, key);
+                return {
+                    setDataValidation: {
+                        range: { sheetId: properties.sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 },
+                        ...(apiRule && { rule: apiRule })
+                    }
+                };
+            });
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests }
+                })
+            );
+
+            logger.info({ spreadsheetId, tab, column }, rule ? 'Data validation set' : 'Data validation cleared');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab,
+                column 
+            }, 'Failed to set data validation');
+            throw error;
+        }
+    }
+
+    /**
+     * Reads back a tab's data validation rules, grouped into runs of rows per column
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab name
+     * @returns {Promise<import('./index.d.ts').ColumnValidation[]>} Promise resolving to each column's rules and the ranges they cover
+     * @example
+     * import { getValidation } from 'ak-sheets';
+     * 
+     * const rules = await getValidation(spreadsheetId, 'Review');
+     * // [{ column: 'status', range: 'Review!B2:B1000', rule: { list: ['approved', 'rejected'], strict: true } }]
+     */
+    async function getValidation(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Getting data validation');
+
+        try {
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.get({
+                    spreadsheetId,
+                    ranges: [tabRange(tab)],
+                    fields: 'sheets(properties(sheetId,title),data(startRow,startColumn,rowData(values(formattedValue,dataValidation))))'
+                })
+            );
+
+            const validations = collectValidations(response.data.sheets?.[0]?.data?.[0], tab);
+            logger.debug({ spreadsheetId, tab, ruleCount: validations.length }, 'Data validation retrieved');
+            return validations;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to get data validation');
+            throw error;
+        }
+    }
+
+    /**
+     * Reads every chart in a spreadsheet, with the titles and header rows of the tabs they plot
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {Promise<import('./index.d.ts').ChartInfo[]>} Charts in tab order
+     */
+    async function readCharts(spreadsheetId) {
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.get({
+                spreadsheetId,
+                fields: 'sheets(properties(sheetId,title),charts)'
+            })
+        );
+        const allSheets = response.data.sheets || [];
+        const charts = allSheets.flatMap(sheet => sheet.charts || []);
+
+        // Header rows are only read for tabs that charts actually plot
+        const plotted = new Set(charts.flatMap(chart => {
+            const spec = chart.spec || {};
+            const sources = spec.basicChart ? spec.basicChart.domains?.[0]?.domain : spec.pieChart?.domain;
+            return (sources?.sourceRange?.sources || []).map((/** @type {any} */ source) => source.sheetId);
+        }));
+        /** @type {Map<number, {title: string, headers: any[]}>} */
+        const tabs = new Map();
+        for (const { properties } of allSheets) {
+            const headers = plotted.has(properties.sheetId) ? await readHeaderRow(spreadsheetId, properties.title) : [];
+            tabs.set(properties.sheetId, { title: properties.title, headers });
+        }
+
+        return charts.map(chart => fromChart(chart, tabs));
+    }
+
+    /**
+     * Builds a chart's spec and position from the current contents of its data tab
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab holding the data
+     * @param {import('./index.d.ts').ChartOptions} options - Chart options
+     * @returns {Promise<{spec: any, position: any}>} ChartSpec and EmbeddedObjectPosition
+     */
+    async function buildChart(spreadsheetId, tab, options) {
+        const info = await getSheetInfo(spreadsheetId);
+        const properties = findTabProperties(info, tab);
+        if (!properties) {
+            throw new Error(`Tab '${tab}' not found in spreadsheet`);
+        }
+
+        // Read directly so the chart covers every row written so far, even with the dev cache on
+        const response = await retryWithBackoff(() =>
+            sheets.spreadsheets.values.get({ spreadsheetId, range: tabRange(tab) })
+        );
+        const values = response.data.values || [];
+
+        return {
+            spec: toChartSpec(options, { sheetId: properties.sheetId, headers: values[0] || [], rowCount: values.length }),
+            position: toChartPosition(options.position, {
+                sheetId: properties.sheetId,
+                columnCount: widestRow(values),
+                sheetIdOf: (anchorTab) => {
+                    const anchorProperties = findTabProperties(info, anchorTab);
+                    if (!anchorProperties) {
+                        throw new Error(`Tab '${anchorTab}' not found in spreadsheet`);
+                    }
+                    return anchorProperties.sheetId;
+                }
+            })
+        };
+    }
+
+    /**
+     * Adds a chart over a tab's data, with columns picked by header name
+     * The chart covers every row currently on the tab; without a position it is placed to the right of the data.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tab - Tab holding the data (header in row 1)
+     * @param {import('./index.d.ts').ChartOptions} options - Chart type, x and y columns, title and position
+     * @returns {Promise<number>} Promise resolving to the new chart's ID
+     * @example
+     * import { writeToSheet, addChart } from 'ak-sheets';
+     * 
+     * await writeToSheet(spreadsheetId, daily, 'Revenue');
+     * const chartId = await addChart(spreadsheetId, 'Revenue', {
+     *   type: 'line',
+     *   x: 'date',
+     *   y: ['revenue', 'cost'],
+     *   title: 'Revenue vs cost'
+     * });
+     * 
+     * // Pie chart on a dashboard tab, or on a tab of its own
+     * await addChart(spreadsheetId, 'Plans', { type: 'pie', x: 'plan', y: 'users', position: { anchor: 'Dashboard!B2', width: 480 } });
+     * await addChart(spreadsheetId, 'Plans', { type: 'column', x: 'plan', y: 'users', position: 'newSheet' });
+     */
+    async function addChart(spreadsheetId, tab, options) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab, type: options?.type }, 'Adding chart');
+
+        try {
+            const chart = await buildChart(spreadsheetId, tab, options);
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ addChart: { chart } }] }
+                })
+            );
+
+            const chartId = response.data.replies?.[0]?.addChart?.chart?.chartId;
+            logger.info({ spreadsheetId, tab, chartId }, 'Chart added successfully');
+            return chartId;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to add chart');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists the charts in a spreadsheet, described by the columns they plot
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} [tab] - Only charts plotting this tab's data
+     * @returns {Promise<import('./index.d.ts').ChartInfo[]>} Promise resolving to the charts
+     * @example
+     * import { listCharts } from 'ak-sheets';
+     * 
+     * const charts = await listCharts(spreadsheetId, 'Revenue');
+     * // [{ chartId: 1, tab: 'Revenue', type: 'line', title: 'Revenue vs cost', x: 'date', y: ['revenue', 'cost'], rowCount: 31, position: { anchor: 'Revenue!E1', ... } }]
+     */
+    async function listCharts(spreadsheetId, tab) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tab }, 'Listing charts');
+
+        try {
+            const charts = await readCharts(spreadsheetId);
+            return tab ? charts.filter(chart => chart.tab === tab) : charts;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tab 
+            }, 'Failed to list charts');
+            throw error;
+        }
+    }
+
+    /**
+     * Updates a chart; options not given keep their current values
+     * The spec is rebuilt from the data tab's current contents, so this also stretches a chart over newly appended rows.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {number} chartId - ID from addChart() or listCharts()
+     * @param {Partial<import('./index.d.ts').ChartOptions>} [options={}] - Options to change
+     * @returns {Promise<void>} Promise that resolves when the chart is updated
+     * @example
+     * import { appendToSheet, updateChart } from 'ak-sheets';
+     * 
+     * await appendToSheet(spreadsheetId, today, 'Revenue');
+     * await updateChart(spreadsheetId, chartId, { title: 'Revenue vs cost (to date)' });
+     */
+    async function updateChart(spreadsheetId, chartId, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, chartId }, 'Updating chart');
+
+        try {
+            const current = (await readCharts(spreadsheetId)).find(chart => chart.chartId === chartId);
+            if (!current) {
+                throw new Error(`Chart ${chartId} not found in spreadsheet`);
+            }
+            if (!current.tab) {
+                throw new Error(`Chart ${chartId} does not plot a tab this library can rebuild it from`);
+            }
+
+            const { type, x, y, title, stacked } = current;
+            const { spec, position } = await buildChart(spreadsheetId, current.tab, { type: /** @type {any} */ (type), x, y, title, stacked, ...options });
+
+            /** @type {any[]} */
+            const requests = [{ updateChartSpec: { chartId, spec } }];
+            if (options.position) {
+                requests.push({ updateEmbeddedObjectPosition: { objectId: chartId, newPosition: position, fields: '*' } });
+            }
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests }
+                })
+            );
+
+            logger.info({ spreadsheetId, chartId }, 'Chart updated successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                chartId 
+            }, 'Failed to update chart');
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a chart
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {number} chartId - ID from addChart() or listCharts()
+     * @returns {Promise<void>} Promise that resolves when the chart is deleted
+     * @example
+     * import { deleteChart } from 'ak-sheets';
+     * 
+     * await deleteChart(spreadsheetId, chartId);
+     */
+    async function deleteChart(spreadsheetId, chartId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, chartId }, 'Deleting chart');
+
+        try {
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests: [{ deleteEmbeddedObject: { objectId: chartId } }] }
+                })
+            );
+
+            logger.info({ spreadsheetId, chartId }, 'Chart deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                chartId 
+            }, 'Failed to delete chart');
+            throw error;
+        }
+    }
+
+    /**
+     * Adds a native pivot table summarizing a tab's data, with fields picked by header name
+     * The pivot covers every row currently on the source tab and recalculates as the source is edited.
+     * The target tab is created when it doesn't exist yet.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} sourceTab - Tab holding the data (header in row 1)
+     * @param {string} targetTab - Tab the pivot table is placed on
+     * @param {import('./index.d.ts').PivotOptions} options - Row, column, value and filter fields, and the anchor cell
+     * @returns {Promise<import('./index.d.ts').PivotResult>} Promise resolving to where the pivot table was placed
+     * @example
+     * import { addPivotTable } from 'ak-sheets';
+     * 
+     * await addPivotTable(spreadsheetId, 'Sales', 'Revenue by region', {
+     *   rows: ['region'],
+     *   columns: ['month'],
+     *   values: [{ field: 'revenue', summarize: 'SUM' }],
+     *   filters: { channel: ['web', 'partner'], revenue: { when: 'greaterThan', value: 0 } }
+     * });
+     * 
+     * // Next to other content, largest regions first
+     * await addPivotTable(spreadsheetId, 'Sales', 'Dashboard', {
+     *   rows: [{ field: 'region', sort: 'desc' }],
+     *   values: ['revenue', { field: 'orderId', summarize: 'COUNTA', name: 'Orders' }],
+     *   anchor: 'F2'
+     * });
+     */
+    async function addPivotTable(spreadsheetId, sourceTab, targetTab, options) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { anchor = 'A1' } = options || {};
+        logger.debug({ spreadsheetId, sourceTab, targetTab, anchor }, 'Adding pivot table');
+
+        try {
+            const info = await getSheetInfo(spreadsheetId);
+            const source = findTabProperties(info, sourceTab);
+            if (!source) {
+                throw new Error(`Tab '${sourceTab}' not found in spreadsheet`);
+            }
+
+            const { tab: anchorTab, startRow = 0, endRow, startColumn = 0, endColumn } = parseA1(anchor);
+            if (anchorTab || endRow !== startRow + 1 || endColumn !== startColumn + 1) {
+                throw new Error(`Invalid pivot table anchor: ${anchor} (expected a cell like 'A1' or 'F2')`);
+            }
+
+            // Read directly so the pivot covers every row written so far, even with the dev cache on
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.values.get({ spreadsheetId, range: tabRange(sourceTab) })
+            );
+            const values = response.data.values || [];
+            const pivotTable = toPivotTable(options, {
+                sheetId: source.sheetId,
+                headers: values[0] || [],
+                rowCount: values.length,
+                columnCount: widestRow(values)
+            });
+
+            // A missing target tab is added in the same batch, under a sheetId picked up front
+            const requests = [];
+            let sheetId = findTabProperties(info, targetTab)?.sheetId;
+            if (sheetId === undefined) {
+                sheetId = Math.max(0, ...(info.sheets || []).map(sheet => sheet.properties?.sheetId ?? 0)) + 1;
+                requests.push({ addSheet: { properties: { sheetId, title: targetTab } } });
+            }
+            requests.push({
+                updateCells: {
+                    start: { sheetId, rowIndex: startRow, columnIndex: startColumn },
+                    rows: [{ values: [{ pivotTable }] }],
+                    fields: 'pivotTable'
+                }
+            });
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: { requests }
+                })
+            );
+
+            logger.info({ spreadsheetId, sourceTab, targetTab, sheetId }, 'Pivot table added successfully');
+            return { tab: targetTab, sheetId, anchor: `${quoteTab(targetTab)}!${columnToLetter(startColumn)}${startRow + 1}` };
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                sourceTab, 
+                targetTab 
+            }, 'Failed to add pivot table');
+            throw error;
+        }
+    }
+
+    /**
+     * Adds a new tab to an existing spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tabName - Name of the new tab
+     * @param {Object} [options={}] - Tab creation options
+     * @param {number} [options.index] - Position to insert tab (0-based)
+     * @param {boolean} [options.hidden=false] - Whether tab should be hidden
+     * @param {string} [options.tabColor] - Hex color for tab (e.g., '#FF0000')
+     * @returns {Promise<number>} Promise resolving to the new tab's sheet ID
+     * @example
+     * import { addTab } from 'ak-sheets';
+     * 
+     * // Add simple tab
+     * await addTab(spreadsheetId, 'New Data');
+     * 
+     * // Add tab with options
+     * await addTab(spreadsheetId, 'Reports', {
+     *   index: 1,
+     *   tabColor: '#FF0000',
+     *   hidden: false
+     * });
+     */
+    async function addTab(spreadsheetId, tabName, options = {}) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        const { index, hidden = false, tabColor } = options;
+        logger.debug({ spreadsheetId, tabName, options }, 'Adding new tab');
+
+        try {
+            // Check if tab already exists
+            const info = await getSheetInfo(spreadsheetId);
+            const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
+
+            if (existingTabs.includes(tabName)) {
+                logger.warn({ spreadsheetId, tabName }, 'Tab already exists');
+                throw new Error(`Tab '${tabName}' already exists in spreadsheet`);
+            }
+
+            const addSheetRequest = {
+                addSheet: {
+                    properties: {
+                        title: tabName,
+                        index,
+                        hidden,
+                        ...(tabColor && { tabColor: hexToColor(tabColor) })
+                    }
+                }
+            };
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [addSheetRequest]
+                    }
+                })
+            );
+
+            const newSheetId = response.data.replies?.[0]?.addSheet?.properties?.sheetId;
+            logger.info({ 
+                spreadsheetId, 
+                tabName, 
+                sheetId: newSheetId 
+            }, 'Tab added successfully');
+
+            return newSheetId;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tabName 
+            }, 'Failed to add tab');
+            throw error;
+        }
+    }
+
+    /**
+     * Deletes a tab from a spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} tabName - Name of the tab to delete
+     * @returns {Promise<void>} Promise that resolves when deletion is complete
+     * @example
+     * import { deleteTab } from 'ak-sheets';
+     * 
+     * await deleteTab(spreadsheetId, 'Old Data');
+     */
+    async function deleteTab(spreadsheetId, tabName) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, tabName }, 'Deleting tab');
+
+        try {
+            // Get sheet info to find the sheet ID
+            const info = await getSheetInfo(spreadsheetId);
+            const targetSheet = info.sheets?.find(sheet => sheet.properties.title === tabName);
+
+            if (!targetSheet) {
+                throw new Error(`Tab '${tabName}' not found in spreadsheet`);
+            }
+
+            const sheetId = targetSheet.properties.sheetId;
+            const deleteSheetRequest = {
+                deleteSheet: {
+                    sheetId: sheetId
+                }
+            };
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [deleteSheetRequest]
+                    }
+                })
+            );
+
+            logger.info({ spreadsheetId, tabName, sheetId }, 'Tab deleted successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                tabName 
+            }, 'Failed to delete tab');
+            throw error;
+        }
+    }
+
+    /**
+     * Renames a tab in a spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} oldName - Current name of the tab
+     * @param {string} newName - New name for the tab
+     * @returns {Promise<void>} Promise that resolves when rename is complete
+     * @example
+     * import { renameTab } from 'ak-sheets';
+     * 
+     * await renameTab(spreadsheetId, 'Sheet1', 'User Data');
+     */
+    async function renameTab(spreadsheetId, oldName, newName) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, oldName, newName }, 'Renaming tab');
+
+        try {
+            // Get sheet info to find the sheet ID
+            const info = await getSheetInfo(spreadsheetId);
+            const targetSheet = info.sheets?.find(sheet => sheet.properties.title === oldName);
+
+            if (!targetSheet) {
+                throw new Error(`Tab '${oldName}' not found in spreadsheet`);
+            }
+
+            // Check if new name already exists
+            const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
+            if (existingTabs.includes(newName)) {
+                throw new Error(`Tab '${newName}' already exists in spreadsheet`);
+            }
+
+            const sheetId = targetSheet.properties.sheetId;
+            const updatePropertiesRequest = {
+                updateSheetProperties: {
+                    properties: {
+                        sheetId: sheetId,
+                        title: newName
+                    },
+                    fields: 'title'
+                }
+            };
+
+            await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [updatePropertiesRequest]
+                    }
+                })
+            );
+
+            logger.info({ spreadsheetId, oldName, newName, sheetId }, 'Tab renamed successfully');
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                oldName, 
+                newName 
+            }, 'Failed to rename tab');
+            throw error;
+        }
+    }
+
+    /**
+     * Duplicates a tab within a spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @param {string} sourceTabName - Name of the tab to duplicate
+     * @param {string} [newTabName] - Name for the duplicated tab (auto-generated if not provided)
+     * @returns {Promise<{sheetId: number, title: string}>} Promise resolving to new tab info
+     * @example
+     * import { duplicateTab } from 'ak-sheets';
+     * 
+     * // Duplicate with auto-generated name
+     * const newTab = await duplicateTab(spreadsheetId, 'Template');
+     * 
+     * // Duplicate with custom name
+     * await duplicateTab(spreadsheetId, 'Template', 'January Data');
+     */
+    async function duplicateTab(spreadsheetId, sourceTabName, newTabName) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId, sourceTabName, newTabName }, 'Duplicating tab');
+
+        try {
+            // Get sheet info to find the source sheet ID
+            const info = await getSheetInfo(spreadsheetId);
+            const sourceSheet = info.sheets?.find(sheet => sheet.properties.title === sourceTabName);
+
+            if (!sourceSheet) {
+                throw new Error(`Source tab '${sourceTabName}' not found in spreadsheet`);
+            }
+
+            // Generate new name if not provided
+            const finalNewName = newTabName || `Copy of ${sourceTabName}`;
+
+            // Check if new name already exists
+            const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
+            if (existingTabs.includes(finalNewName)) {
+                throw new Error(`Tab '${finalNewName}' already exists in spreadsheet`);
+            }
+
+            const sourceSheetId = sourceSheet.properties.sheetId;
+            const duplicateSheetRequest = {
+                duplicateSheet: {
+                    sourceSheetId: sourceSheetId,
+                    newSheetName: finalNewName
+                }
+            };
+
+            const response = await retryWithBackoff(() =>
+                sheets.spreadsheets.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        requests: [duplicateSheetRequest]
+                    }
+                })
+            );
+
+            const newSheetInfo = response.data.replies?.[0]?.duplicateSheet?.properties;
+            logger.info({ 
+                spreadsheetId, 
+                sourceTabName, 
+                newTabName: finalNewName,
+                newSheetId: newSheetInfo?.sheetId
+            }, 'Tab duplicated successfully');
+
+            return {
+                sheetId: newSheetInfo?.sheetId,
+                title: newSheetInfo?.title
+            };
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId, 
+                sourceTabName, 
+                newTabName 
+            }, 'Failed to duplicate tab');
+            throw error;
+        }
+    }
+
+    /**
+     * Lists all tabs in a spreadsheet
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {Promise<Array<{id: number, title: string, index: number, hidden: boolean}>>} Promise resolving to array of tab info
+     * @example
+     * import { listTabs } from 'ak-sheets';
+     * 
+     * const tabs = await listTabs(spreadsheetId);
+     * console.log(tabs);
+     * // [
+     * //   { id: 0, title: 'Sheet1', index: 0, hidden: false },
+     * //   { id: 123, title: 'Users', index: 1, hidden: false }
+     * // ]
+     */
+    async function listTabs(spreadsheetId) {
+        if (!sheets) {
+            throw new Error('ak-sheets not initialized. Call initSheets() first.');
+        }
+
+        logger.debug({ spreadsheetId }, 'Listing tabs');
+
+        try {
+            const info = await getSheetInfo(spreadsheetId);
+            const tabs = info.sheets?.map(sheet => ({
+                id: sheet.properties.sheetId,
+                title: sheet.properties.title,
+                index: sheet.properties.index,
+                hidden: sheet.properties.hidden || false
+            })) || [];
+
+            logger.debug({ spreadsheetId, tabCount: tabs.length }, 'Tabs listed successfully');
+            return tabs;
+        } catch (error) {
+            logger.error({ 
+                error:  (error).message, 
+                spreadsheetId 
+            }, 'Failed to list tabs');
+            throw error;
+        }
+    }
+
+    /**
+     * Starts a batch of structural, formatting and value changes to one spreadsheet
+     * Nothing is sent until commit(), which resolves tab names to sheetIds with a single metadata
+     * read and applies everything in one spreadsheets.batchUpdate plus one values.batchUpdate.
+     * Like every other method, an uninitialized client fails asynchronously: dryRun() and commit() reject.
+     * @param {string} spreadsheetId - ID of the spreadsheet
+     * @returns {import('./index.d.ts').BatchBuilder} Chainable batch builder
+     * @example
+     * import { batch } from 'ak-sheets';
+     * 
+     * await batch(spreadsheetId)
+     *   .addTab('Users', { tabColor: '#3366CC' })
+     *   .write('Users!A1', [['Name', 'Age'], ['John', 30]])
+     *   .format('Users!A1:B1', { bold: true })
+     *   .freeze('Users', { rows: 1 })
+     *   .deleteTab('Sheet1')
+     *   .commit();
+     * 
+     * // Inspect the payloads without sending anything
+     * const { batchUpdate, valuesBatchUpdate } = await batch(spreadsheetId).renameTab('Sheet1', 'Data').dryRun();
+     */
+    function batch(spreadsheetId) {
+        return createBatch(spreadsheetId, {
+            logger,
+            // Every batch starts with this read, so it is where an uninitialized client is reported
+            getSheetInfo: async (id) => {
+                if (!sheets) {
+                    throw new Error('ak-sheets not initialized. Call initSheets() first.');
+                }
+                return getSheetInfo(id);
+            },
+            toValues: toValueRows,
+            batchUpdate: (params) => retryWithBackoff(() => sheets.spreadsheets.batchUpdate(params)),
+            valuesBatchUpdate: (params) => retryWithBackoff(() => sheets.spreadsheets.values.batchUpdate(params))
+        });
+    }
+
+
+    if (config) {
+        init(config);
     }
+
+    return {
+        init,
+        validateAuth,
+        /** @returns {import('pino').Logger} The logger this client writes to */
+        get logger() {
+            return logger;
+        },
+        getSheet,
+        updateSheet,
+        diffSheet,
+        createSheet,
+        writeToSheet,
+        writeToSheetTabs,
+        appendToSheet,
+        clearSheet,
+        shareSheet,
+        deleteSheet,
+        deleteAllSheets,
+        exportSpreadsheet,
+        importXlsx,
+        listOwnedSpreadsheets,
+        getSheetInfo,
+        getURL,
+        // Range operations
+        getRange,
+        writeToRange,
+        streamSheet,
+        createSheetWriteStream,
+        importCsvFile,
+        syncFile,
+        // Named ranges
+        addNamedRange,
+        listNamedRanges,
+        updateNamedRange,
+        deleteNamedRange,
+        // Protected ranges
+        addProtectedRange,
+        listProtectedRanges,
+        deleteProtectedRange,
+        // Formatting and validation
+        formatRange,
+        addConditionalFormat,
+        listConditionalFormats,
+        updateConditionalFormat,
+        deleteConditionalFormat,
+        setValidation,
+        getValidation,
+        // Filters and sorting
+        setFilter,
+        clearFilter,
+        addFilterView,
+        deleteFilterView,
+        sortRange,
+        // Charts
+        addChart,
+        listCharts,
+        updateChart,
+        deleteChart,
+        // Pivot tables
+        addPivotTable,
+        // Tab management
+        addTab,
+        deleteTab,
+        renameTab,
+        duplicateTab,
+        listTabs,
+        batch,
+        // Schemas
+        defineSchema,
+        validateSheet,
+    };
+}
+
+/**
+ * Generates a random name for a spreadsheet
+ * @returns {string} Random name
+ */
+function makeName() {
+    return `sheet-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
 }
 
 /**
- * Deletes all spreadsheets owned by the authenticated user
- * @returns {Promise<import('./index.d.ts').SpreadsheetFile[]>} Promise resolving to array of deleted spreadsheet metadata
+ * Generates a Google Sheets URL for the given spreadsheet ID
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @returns {string} The Google Sheets URL
  * @example
- * import { deleteAllSheets } from 'ak-sheets';
+ * import { getURL } from 'ak-sheets';
+ * 
+ * const url = getURL('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+ * console.log(url);
+ * // https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms
  * 
- * // WARNING: This deletes ALL your spreadsheets!
- * const deletedSheets = await deleteAllSheets();
- * console.log(`Deleted ${deletedSheets.length} spreadsheets`);
+ * // Open in browser
+ * console.log(`View spreadsheet: ${url}`);
  */
-export async function deleteAllSheets() {
-    logger.warn('Deleting all owned spreadsheets');
-
-    try {
-        const spreadsheets = await listOwnedSpreadsheets();
-        const promises = spreadsheets.map((file) => deleteSheet(file.id));
-        await Promise.all(promises);
-        
-        logger.info({ deletedCount: promises.length }, 'All spreadsheets deleted');
-        return spreadsheets;
-    } catch (error) {
-        logger.error({ error:  (error).message }, 'Failed to delete all spreadsheets');
-        throw error;
-    }
+export function getURL(spreadsheetId) {
+    return `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
 }
 
 /**
@@ -923,1090 +4417,942 @@ function getUniqueKeys(data) {
 }
 
 /**
- * Generates a cache key for spreadsheet data based on spreadsheet ID, tab, range, and format
+ * Generates a cache key for raw values based on spreadsheet ID, range and render options
  * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} [tab] - Optional tab name
- * @param {string} [range] - Optional range
- * @param {string} [format] - Optional format
- * @param {boolean} [shouldGetAllTabs] - Whether getting all tabs
+ * @param {string} range - Full A1 range
+ * @param {Record<string, any>} [renderOptions] - valueRenderOption / dateTimeRenderOption sent with the request
  * @returns {string} Hash-based cache key
  */
-function generateCacheKey(spreadsheetId, tab, range, format, shouldGetAllTabs) {
+function generateCacheKey(spreadsheetId, range, renderOptions = {}) {
     const keyData = {
         spreadsheetId,
-        tab: tab || null,
-        range: range || null,
-        format: format || 'json',
-        shouldGetAllTabs: shouldGetAllTabs || false
+        range,
+        valueRenderOption: renderOptions.valueRenderOption || null,
+        dateTimeRenderOption: renderOptions.dateTimeRenderOption || null
     };
     const keyString = JSON.stringify(keyData);
     return createHash('md5').update(keyString).digest('hex');
 }
 
 /**
- * Reads cached data from disk if it exists
- * @param {string} cacheKey - Cache key to look up
- * @returns {any|null} Cached data or null if not found
- */
-function readCache(cacheKey) {
-    if (environment !== 'dev') return null;
-    
-    try {
-        const cacheDir = resolve(process.cwd(), 'tmp');
-        const cacheFile = resolve(cacheDir, `${cacheKey}.json`);
-        
-        if (!existsSync(cacheFile)) {
-            logger.debug({ cacheKey }, 'Cache miss - no cached data found');
-            return null;
-        }
-        
-        const cacheData = JSON.parse(readFileSync(cacheFile, 'utf-8'));
-        logger.info({ cacheKey, cacheFile }, '🎯 CACHE HIT - returning cached data (dev mode)');
-        return cacheData;
-    } catch (error) {
-        logger.warn({ error: error.message, cacheKey }, 'Failed to read cache');
-        return null;
-    }
-}
-
-/**
- * Writes data to cache on disk
- * @param {string} cacheKey - Cache key to store under
- * @param {any} data - Data to cache
- */
-function writeCache(cacheKey, data) {
-    if (environment !== 'dev') return;
-    
-    try {
-        const cacheDir = resolve(process.cwd(), 'tmp');
-        
-        // Ensure cache directory exists
-        if (!existsSync(cacheDir)) {
-            mkdirSync(cacheDir, { recursive: true });
-            logger.debug({ cacheDir }, 'Created cache directory');
-        }
-        
-        const cacheFile = resolve(cacheDir, `${cacheKey}.json`);
-        writeFileSync(cacheFile, JSON.stringify(data, null, 2), 'utf-8');
-        logger.info({ cacheKey, cacheFile }, '💾 Data cached to disk (dev mode)');
-    } catch (error) {
-        logger.warn({ error: error.message, cacheKey }, 'Failed to write cache');
-    }
-}
-
-/**
- * Reads data from a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet to read from
- * @param {string} [tab] - Optional tab name to read from
- * @param {string} [format='json'] - Output format ('json', 'csv', or 'array')
- * @param {boolean} [shouldGetAllTabs=false] - If true, returns object with tab names as keys and data as values
- * @returns {Promise<any>} Promise resolving to the spreadsheet data in requested format
- * @example
- * import { getSheet } from 'ak-sheets';
- * 
- * // Get as array of objects (default)
- * const jsonData = await getSheet(spreadsheetId);
- * console.log(jsonData[0].name); // 'John'
- * 
- * // Get specific tab as CSV
- * const csvData = await getSheet(spreadsheetId, 'Users', 'csv');
- * 
- * // Get as 2D array
- * const arrayData = await getSheet(spreadsheetId, 'Products', 'array');
- * console.log(arrayData[0]); // ['Name', 'Price', 'Stock']
- * 
- * // Get all tabs as object with tab names as keys
- * const allTabsData = await getSheet(spreadsheetId, undefined, 'json', true);
- * console.log(allTabsData.Users); // [{ name: 'John', ... }]
- * console.log(allTabsData.Products); // [{ name: 'Widget', ... }]
- */
-export async function getSheet(spreadsheetId, tab, format = 'json', shouldGetAllTabs = false) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
-    }
-
-    logger.debug({ spreadsheetId, tab, format, shouldGetAllTabs }, 'Reading sheet data');
-
-    // Check cache in dev environment
-    const cacheKey = generateCacheKey(spreadsheetId, tab, 'A:ZZ', format, shouldGetAllTabs);
-    const cachedData = readCache(cacheKey);
-    if (cachedData !== null) {
-        logger.info({ spreadsheetId, tab, format, shouldGetAllTabs }, '🚀 Using cached sheet data - skipping API call');
-        return cachedData;
-    }
-
-    try {
-        let result;
-        
-        if (shouldGetAllTabs) {
-            // Get all tabs in the spreadsheet
-            const tabsInfo = await listTabs(spreadsheetId);
-            result = {};
-
-            // Read data from each tab
-            for (const tabInfo of tabsInfo) {
-                const tabName = tabInfo.title;
-                logger.debug({ tabName }, 'Reading data from tab');
-
-                const response = await retryWithBackoff(() =>
-                    sheets.spreadsheets.values.get({
-                        spreadsheetId,
-                        range: `${tabName}!A:ZZ`,
-                        majorDimension: 'ROWS'
-                    })
-                );
-
-                const values = response?.data?.values || [];
-                
-                // Apply format conversion for each tab
-                switch (format.toLowerCase()) {
-                    case 'csv':
-                        result[tabName] = makeCSVFromData(convertValuesToObjects(values));
-                        break;
-                    case 'array':
-                        result[tabName] = values;
-                        break;
-                    case 'json':
-                    default:
-                        result[tabName] = convertValuesToObjects(values);
-                        break;
-                }
-            }
-
-            logger.debug({ tabCount: Object.keys(result).length }, 'All tabs data retrieved');
-        } else {
-            // Original single tab behavior
-            const response = await retryWithBackoff(() =>
-                sheets.spreadsheets.values.get({
-                    spreadsheetId,
-                    range: tab ? `${tab}!A:ZZ` : 'A:ZZ',
-                    majorDimension: 'ROWS'
-                })
-            );
-
-            const values = response?.data?.values || [];
-            logger.debug({ rowCount: values.length }, 'Sheet data retrieved');
-
-            switch (format.toLowerCase()) {
-                case 'csv':
-                    result = makeCSVFromData(convertValuesToObjects(values));
-                    break;
-                case 'array':
-                    result = values;
-                    break;
-                case 'json':
-                default:
-                    result = convertValuesToObjects(values);
-                    break;
-            }
-        }
-
-        // Cache the result in dev environment
-        writeCache(cacheKey, result);
-        return result;
-        
-    } catch (error) {
-        if ( (error).code === 404) {
-            logger.error({ spreadsheetId }, 'Spreadsheet not found');
-            throw error;
-        }
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tab,
-            shouldGetAllTabs
-        }, 'Failed to read sheet');
-        throw error;
-    }
-}
-
-/**
- * Merges existing data with new data
- * @param {any[][]} existingData - Existing spreadsheet data
- * @param {import('./index.d.ts').SpreadsheetData} newData - New data to merge
- * @returns {any[][]} Merged data
+ * Maps the short valueRenderOption names to the ones the Sheets API expects
+ * @param {string} [option] - FORMATTED, UNFORMATTED, FORMULA (or the full API names)
+ * @returns {string|undefined} API valueRenderOption
  */
-function mergeData(existingData, newData) {
-    // If newData is a CSV or string, convert to arrays
-    if (typeof newData === 'string') {
-        newData = Papa.parse(newData).data;
-    }
-
-    const headers = existingData[0];
-    
-    // Convert newData to array of arrays if it's JSON
-    const processedNewData = Array.isArray(newData) && Array.isArray(newData[0]) 
-        ? newData 
-        : Array.isArray(newData) ? /** @type {any[][]} */ (newData).map(( item) => headers.map(header => item[header] || '')) : [];
-
-    // Create mergedData starting with headers
-    const mergedData = [headers];
-
-    // Add processed new data rows
-    for (let i = 0; i < existingData.length; i++) {
-        if (i === 0) continue; // Skip header row processing
-        if (i <= processedNewData.length) {
-            // Replace rows with new data
-            mergedData.push(/** @type {any[]} */ (processedNewData)[i - 1]);
-        } else {
-            // Keep existing rows after new data
-            mergedData.push(existingData[i]);
-        }
-    }
-
-    return mergedData;
+function toValueRenderOption(option) {
+    if (!option) return undefined;
+    const upper = option.toUpperCase();
+    /** @type {Record<string, string>} */
+    const aliases = {
+        FORMATTED: 'FORMATTED_VALUE',
+        UNFORMATTED: 'UNFORMATTED_VALUE'
+    };
+    return aliases[upper] || upper;
 }
 
 /**
- * Updates existing data in a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet to update
- * @param {import('./index.d.ts').SpreadsheetData} newData - New data to merge/update
- * @param {string} [tab] - Tab name to update
- * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
- * @example
- * import { updateSheet } from 'ak-sheets';
- * 
- * // Update with new data (merges with existing)
- * const updatedData = [
- *   { name: 'John', age: 31 }, // Updated age
- *   { name: 'Bob', age: 35 }   // New row
- * ];
- * 
- * const result = await updateSheet(spreadsheetId, updatedData, 'Users');
- * console.log(`Updated ${result.updatedCells} cells`);
+ * Converts raw values to the requested output format
+ * Query options are applied to the rows first, whatever the format.
+ * @param {any[][]} values - 2D array from sheets
+ * @param {string} format - Output format ('json', 'csv', or 'array')
+ * @param {import('./index.d.ts').QueryOptions} [options={}] - Coercion options (json only) and query options
+ * @returns {any} Data in requested format
  */
-export async function updateSheet(spreadsheetId, newData, tab) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function formatValues(values, format, options = {}) {
+    if (hasQuery(options) && values.length > 0) {
+        return formatRows(convertValuesToObjects(values, options), values[0], format, options);
     }
 
-    logger.debug({ spreadsheetId, tab }, 'Updating sheet data');
-
-    try {
-        // First, get existing sheet data
-        const existingData = await getSheet(spreadsheetId, tab, 'array');
-        
-        // Determine which rows are new or different
-        const updatedValues = mergeData(existingData, newData);
-
-        // Write the updated data
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: `${tab}!A1`, 
-                valueInputOption: 'USER_ENTERED',
-                resource: {
-                    values: updatedValues,
-                },
-            })
-        );
-
-        logger.info({ 
-            updatedCells: response?.data?.updatedCells,
-            spreadsheetId,
-            tab
-        }, 'Sheet updated successfully');
-        return response.data;
-    } catch (error) {
-        if ( (error).code === 404) {
-            logger.warn({ spreadsheetId, tab }, 'Spreadsheet or tab not found, creating new');
-            const newSpreadsheetId = await createSheet(undefined, tab ? [tab] : undefined);
-            return await writeToSheet(newSpreadsheetId, newData, tab);
-        }
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tab 
-        }, 'Failed to update sheet');
-        throw error;
+    switch (format.toLowerCase()) {
+        case 'csv':
+            return makeCSVFromData(convertValuesToObjects(values));
+        case 'array':
+            return values;
+        case 'json':
+        default:
+            return convertValuesToObjects(values, options);
     }
 }
 
 /**
- * Converts 2D array to array of objects
- * @param {any[][]} values - 2D array from sheets
- * @returns {Record<string, any>[]} Array of objects
- */
-function convertValuesToObjects(values) {
-    if (!values || values.length === 0) return [];
-    
-    const headers = values[0];
-    return values.slice(1).map(row => 
-        headers.reduce((obj, header, index) => {
-            obj[header] = row[index] || '';
-            return obj;
-        }, {})
-    );
-}
-
-/**
- * Reads an Excel (.xlsx) file and returns data as object with sheet names as keys
- * @param {string} filePath - Path to the Excel file
- * @returns {Record<string, string>} Object with sheet names as keys and CSV strings as values
- * @example
- * import { readXlsxFile } from 'ak-sheets';
- * 
- * const excelData = readXlsxFile('./data.xlsx');
- * console.log(excelData);
- * // { 'Sheet1': 'Name,Age\nJohn,30\nJane,25', 'Sheet2': 'Product,Price\nWidget,29.99' }
- */
-export function readXlsxFile(filePath) {
-    logger.debug({ filePath }, 'Reading Excel file');
-    
-    const resolvedPath = resolve(filePath);
-    
-    if (!existsSync(resolvedPath)) {
-        throw new Error(`Excel file not found: ${resolvedPath}`);
-    }
-
-    try {
-        const workbook = xlsx.readFile(resolvedPath);
-        /** @type {Record<string, string>} */
-        const sheets = {};
-        
-        workbook.SheetNames.forEach((/** @type {string} */ sheetName) => {
-            const worksheet = workbook.Sheets[sheetName];
-            const csvData = xlsx.utils.sheet_to_csv(worksheet);
-            sheets[/** @type {string} */ sheetName] = csvData;
-        });
-        
-        logger.debug({ 
-            filePath, 
-            sheetCount: Object.keys(sheets).length,
-            sheetNames: Object.keys(sheets)
-        }, 'Excel file read successfully');
-        
-        return sheets;
-    } catch ( error) {
-        logger.error({ error: error.message, filePath }, 'Failed to read Excel file');
-        throw new Error(`Failed to read Excel file: ${error.message}`);
+ * Queries row objects and converts the result to the requested output format
+ * @param {Record<string, any>[]} rows - Row objects keyed by header
+ * @param {string[]} headers - Header row
+ * @param {string} format - Output format ('json', 'csv', or 'array')
+ * @param {import('./index.d.ts').QueryOptions} options - Query options
+ * @returns {any} Data in requested format
+ */
+function formatRows(rows, headers, format, options) {
+    const { columns, rows: matched } = applyQuery(rows, headers, options);
+    switch (format.toLowerCase()) {
+        case 'csv':
+            return makeCSVFromData(matched);
+        case 'array':
+            return [columns, ...matched.map(row => columns.map(column => row[column] ?? ''))];
+        case 'json':
+        default:
+            return matched;
     }
 }
 
 /**
- * Converts CSV string to array of objects (JSON)
- * @param {string} csvString - CSV string to convert
- * @param {Object} [options={}] - Papa Parse options
- * @returns {Record<string, any>[]} Array of objects
- * @example
- * import { csvToJson } from 'ak-sheets';
- * 
- * const csv = 'Name,Age\nJohn,30\nJane,25';
- * const json = csvToJson(csv);
- * console.log(json);
- * // [{ Name: 'John', Age: '30' }, { Name: 'Jane', Age: '25' }]
+ * Merges existing data with new data
+ * @param {any[][]} existingData - Existing spreadsheet data
+ * @param {import('./index.d.ts').SpreadsheetData} newData - New data to merge
+ * @returns {any[][]} Merged data
  */
-export function csvToJson(csvString, options = {}) {
-    logger.debug({ csvLength: csvString.length }, 'Converting CSV to JSON');
-    
-    const defaultOptions = {
-        header: true,
-        skipEmptyLines: true,
-        transformHeader: (/** @type {string} */ header) => header.trim(),
-        ...options
-    };
+function mergeData(existingData, newData) {
+    // If newData is a CSV or string, convert to arrays
+    if (typeof newData === 'string') {
+        newData = Papa.parse(newData).data;
+    }
+
+    const headers = existingData[0];
     
-    try {
-        
-        const result = Papa.parse(csvString, defaultOptions);
-        
-        // @ts-ignore
-        if (result.errors.length > 0) {
-            // @ts-ignore
-            logger.warn({ errors: result.errors }, 'CSV parsing encountered errors');
+    // Convert newData to array of arrays if it's JSON
+    const processedNewData = Array.isArray(newData) && Array.isArray(newData[0]) 
+        ? newData 
+        : Array.isArray(newData) ? /** @type {any[][]} */ (newData).map(( item) => headers.map(header => item[header] ?? '')) : [];
+
+    // Create mergedData starting with headers
+    const mergedData = [headers];
+
+    // Add processed new data rows
+    for (let i = 0; i < existingData.length; i++) {
+        if (i === 0) continue; // Skip header row processing
+        if (i <= processedNewData.length) {
+            // Replace rows with new data
+            mergedData.push(/** @type {any[]} */ (processedNewData)[i - 1]);
+        } else {
+            // Keep existing rows after new data
+            mergedData.push(existingData[i]);
         }
-        
-        logger.debug({ 
-            // @ts-ignore
-            rowCount: result.data.length,
-            // @ts-ignore
-            columnCount: result.meta.fields?.length || 0
-        }, 'CSV converted to JSON successfully');
-        
-        // @ts-ignore
-        return result.data;
-    } catch ( error) {
-        logger.error({ error: error.message }, 'Failed to convert CSV to JSON');
-        throw new Error(`Failed to parse CSV: ${error.message}`);
     }
+
+    return mergedData;
 }
 
 /**
- * Converts array of objects (JSON) to CSV string
- * @param {Record<string, any>[]} jsonData - Array of objects to convert
- * @param {Object} [options={}] - Papa Parse options
- * @returns {string} CSV string
- * @example
- * import { jsonToCsv } from 'ak-sheets';
- * 
- * const json = [{ Name: 'John', Age: 30 }, { Name: 'Jane', Age: 25 }];
- * const csv = jsonToCsv(json);
- * console.log(csv);
- * // 'Name,Age\nJohn,30\nJane,25'
+ * Compares new data with existing data by key columns, the way upsertData would apply it
+ * Only columns present in an incoming row are compared.
+ * @param {any[][]} existingData - Existing spreadsheet data (header row first)
+ * @param {import('./index.d.ts').SpreadsheetData} newData - New data to compare
+ * @param {string|string[]} key - Key column name(s) used to match rows
+ * @returns {import('./index.d.ts').SheetDiff} Added, removed and changed rows
  */
-export function jsonToCsv(jsonData, options = {}) {
-    logger.debug({ rowCount: jsonData.length }, 'Converting JSON to CSV');
-    
-    if (!Array.isArray(jsonData) || jsonData.length === 0) {
-        return '';
+function diffData(existingData, newData, key) {
+    const newRows = toObjects(newData);
+    const { headers, keyColumns, keyIndexes, keyOf, rows, rowIndexByKey } = matchRowsByKey(existingData, newRows, key);
+    /** @param {any[]} row */
+    const keyValues = (row) => Object.fromEntries(keyColumns.map((column, i) => [column, toCellString(row[keyIndexes[i]])]));
+
+    /** @type {Map<string, import('./index.d.ts').AddedRow>} */
+    const added = new Map();
+    /** @type {Map<number, Record<string, import('./index.d.ts').CellChange>>} */
+    const changesByRow = new Map();
+    const seenKeys = new Set();
+
+    for (const item of newRows) {
+        const incoming = headers.map(header => (header in item ? toCellString(item[header]) : undefined));
+        const rowKey = keyOf(incoming);
+        seenKeys.add(rowKey);
+
+        const existingIndex = rowIndexByKey.get(rowKey);
+        if (existingIndex === undefined) {
+            const entry = added.get(rowKey) || { key: keyValues(incoming), values: {} };
+            incoming.forEach((value, index) => {
+                if (value !== undefined) entry.values[headers[index]] = value;
+            });
+            added.set(rowKey, entry);
+            continue;
+        }
+
+        const changes = changesByRow.get(existingIndex) || {};
+        incoming.forEach((value, index) => {
+            if (value === undefined) return;
+            const before = String(rows[existingIndex][index]);
+            if (before !== value) {
+                changes[headers[index]] = { before, after: value };
+            } else {
+                delete changes[headers[index]];
+            }
+        });
+        changesByRow.set(existingIndex, changes);
     }
-    
-    const defaultOptions = {
-        header: true,
-        ...options
-    };
-    
-    try {
-        const csvString = Papa.unparse(jsonData, defaultOptions);
-        
-        logger.debug({ 
-            csvLength: csvString.length,
-            rowCount: jsonData.length
-        }, 'JSON converted to CSV successfully');
-        
-        return csvString;
-    } catch ( error) {
-        logger.error({ error: error.message }, 'Failed to convert JSON to CSV');
-        throw new Error(`Failed to convert JSON to CSV: ${error.message}`);
+
+    /** @param {any[]} row */
+    const toRecord = (row) => Object.fromEntries(headers.map((header, index) => [header, String(row[index])]));
+    /** @type {import('./index.d.ts').ChangedRow[]} */
+    const changed = [];
+    let unchanged = 0;
+    for (const [index, changes] of [...changesByRow].sort(([a], [b]) => a - b)) {
+        if (Object.keys(changes).length === 0) {
+            unchanged++;
+        } else {
+            // Sheet row numbers are 1-based and the header takes row 1
+            changed.push({ key: keyValues(rows[index]), row: index + 2, changes });
+        }
     }
+
+    const removed = rows
+        .map((row, index) => ({ row, index }))
+        .filter(({ row }) => !seenKeys.has(keyOf(row)))
+        .map(({ row, index }) => ({ key: keyValues(row), row: index + 2, values: toRecord(row) }));
+
+    return {
+        newColumns: headers.slice((existingData[0] || []).length),
+        added: [...added.values()],
+        removed,
+        changed,
+        unchanged
+    };
 }
 
 /**
- * Appends data to an existing spreadsheet without overwriting
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {import('./index.d.ts').SpreadsheetData} rows - Data to append
- * @param {string} [tab] - Optional tab name to append to
- * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
- * @example
- * import { appendToSheet } from 'ak-sheets';
- * 
- * const newData = [{ name: 'Bob', age: 35 }];
- * const result = await appendToSheet(spreadsheetId, newData, 'Users');
- * console.log(`Appended ${result.updatedCells} cells`);
+ * Lines up existing rows and incoming row objects on key columns
+ * Shared by upsertData and diffData so both agree on headers and on which rows match. A key that repeats
+ * in the tab (blank rows aside) or in the new data is an error, since it can't say which row to change.
+ * @param {any[][]} existingData - Existing spreadsheet data (header row first)
+ * @param {Record<string, any>[]} newRows - Incoming row objects
+ * @param {string|string[]} key - Key column name(s) used to match rows
+ * @returns {{headers: string[], keyColumns: string[], keyIndexes: number[], keyOf: (row: any[]) => string, rows: any[][], rowIndexByKey: Map<string, number>}} Combined header, padded existing rows and the row index per key
  */
-export async function appendToSheet(spreadsheetId, rows, tab) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function matchRowsByKey(existingData, newRows, key) {
+    const keyColumns = Array.isArray(key) ? key : [key];
+
+    // Existing headers first, then any new columns in first-seen order
+    const headers = [...(existingData[0] || [])];
+    getUniqueKeys(newRows).forEach(column => {
+        if (!headers.includes(column)) headers.push(column);
+    });
+
+    const missingKeys = keyColumns.filter(column => !headers.includes(column));
+    if (missingKeys.length > 0) {
+        throw new Error(`Key column(s) not found: ${missingKeys.join(', ')}`);
     }
 
-    logger.debug({ spreadsheetId, tab, dataType: typeof rows }, 'Appending to sheet');
+    const keyIndexes = keyColumns.map(column => headers.indexOf(column));
+    /** @param {any[]} row */
+    const keyOf = (row) => JSON.stringify(keyIndexes.map(index => toCellString(row[index])));
+
+    const rows = existingData.slice(1).map(row => headers.map((_, index) => row[index] ?? ''));
+    /** @type {Map<string, number>} */
+    const rowIndexByKey = new Map();
+    rows.forEach((row, index) => {
+        // Blank rows have no key to match on
+        if (row.every(value => value === '')) return;
+        const rowKey = keyOf(row);
+        if (rowIndexByKey.has(rowKey)) {
+            throw new Error(`Duplicate key ${rowKey} in the tab (rows ${/** @type {number} */ (rowIndexByKey.get(rowKey)) + 2} and ${index + 2})`);
+        }
+        rowIndexByKey.set(rowKey, index);
+    });
 
-    try {
-        // Get existing data to find the next empty row
-        const existingData = await getSheet(spreadsheetId, tab, 'array');
-        const nextRow = existingData.length + 1;
-        
-        // Convert rows to proper format for appending
-        let processedRows = rows;
-        if (typeof rows === 'object' && Array.isArray(rows)) {
-            if (rows.length > 0 && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-                // Array of objects - convert to array of arrays using existing headers
-                const headers = existingData[0] || [];
-                processedRows = rows.map(( obj) => headers.map((/** @type {string} */ header) => obj[header] || ''));
-            } else if (typeof rows === 'string') {
-                processedRows = Papa.parse(rows).data;
-            }
+    const newKeys = new Set();
+    for (const item of newRows) {
+        const rowKey = keyOf(headers.map(header => (header in item ? toCellString(item[header]) : undefined)));
+        if (newKeys.has(rowKey)) {
+            throw new Error(`Duplicate key ${rowKey} in the new data`);
         }
+        newKeys.add(rowKey);
+    }
 
-        const range = tab ? `${tab}!A${nextRow}` : `A${nextRow}`;
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.values.append({
-                spreadsheetId,
-                range,
-                valueInputOption: 'USER_ENTERED',
-                insertDataOption: 'INSERT_ROWS',
-                resource: {
-                    values: Array.isArray(processedRows[0]) ? processedRows : Papa.parse(/** @type {string} */ (processedRows)).data,
-                },
-            })
-        );
+    return { headers, keyColumns, keyIndexes, keyOf, rows, rowIndexByKey };
+}
 
-        if (response?.data) {
-            logger.info({ 
-                updatedCells: response.data.updatedCells, 
-                spreadsheetId, 
-                tab 
-            }, 'Data appended successfully');
-            return response.data;
+/**
+ * Upserts new data into existing data by key columns
+ * Returns only what changed - runs of changed cells, rows to append and rows to remove - so the caller can
+ * leave every untouched cell (and any formula or typed value in it) alone.
+ * @param {any[][]} existingData - Existing spreadsheet data (header row first)
+ * @param {import('./index.d.ts').SpreadsheetData} newData - New data to upsert
+ * @param {string|string[]} key - Key column name(s) used to match rows
+ * @param {boolean} [deleteMissing=false] - Drop existing rows whose key is not in newData
+ * @returns {{headers: string[], writes: {row: number, column: number, values: any[]}[], appended: any[][], appendRow: number, removed: number[], inserted: number, updated: number, deleted: number}} Changes as 0-based sheet coordinates plus counts
+ */
+function upsertData(existingData, newData, key, deleteMissing = false) {
+    const newRows = toObjects(newData);
+    const { headers, keyOf, rows, rowIndexByKey } = matchRowsByKey(existingData, newRows, key);
+    const existingCount = rows.length;
+
+    let inserted = 0;
+    let updated = 0;
+    const seenKeys = new Set();
+    /** @type {Map<number, Set<number>>} */
+    const changedColumns = new Map();
+
+    for (const item of newRows) {
+        const incoming = headers.map(header => (header in item ? toCellString(item[header]) : undefined));
+        const rowKey = keyOf(incoming);
+        seenKeys.add(rowKey);
+
+        const existingIndex = rowIndexByKey.get(rowKey);
+        if (existingIndex === undefined) {
+            rows.push(incoming.map(value => value ?? ''));
+            rowIndexByKey.set(rowKey, rows.length - 1);
+            inserted++;
+            continue;
         }
-        
-        return { updatedCells: 0 };
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tab 
-        }, 'Failed to append to sheet');
-        throw error;
+
+        // Only columns present in the incoming row are touched
+        const row = rows[existingIndex];
+        const columns = changedColumns.get(existingIndex) || new Set();
+        let changed = false;
+        incoming.forEach((value, index) => {
+            if (value !== undefined && String(row[index]) !== value) {
+                row[index] = value;
+                columns.add(index);
+                changed = true;
+            }
+        });
+        if (changed) updated++;
+        changedColumns.set(existingIndex, columns);
+    }
+
+    // Sheet row 0 is the header, so existing row i sits on sheet row i + 1
+    /** @type {{row: number, column: number, values: any[]}[]} */
+    const writes = [];
+    const existingWidth = (existingData[0] || []).length;
+    if (headers.length > existingWidth) {
+        writes.push({ row: 0, column: existingWidth, values: headers.slice(existingWidth) });
+    }
+    for (const [index, columns] of [...changedColumns].filter(([index]) => index < existingCount).sort(([a], [b]) => a - b)) {
+        const sorted = [...columns].sort((a, b) => a - b);
+        sorted.forEach((column, i) => {
+            const run = writes[writes.length - 1];
+            if (i > 0 && run.column + run.values.length === column) {
+                run.values.push(rows[index][column]);
+            } else {
+                writes.push({ row: index + 1, column, values: [rows[index][column]] });
+            }
+        });
     }
+
+    const removed = deleteMissing
+        ? rows.slice(0, existingCount).flatMap((row, index) => (seenKeys.has(keyOf(row)) ? [] : [index + 1]))
+        : [];
+
+    return {
+        headers,
+        writes,
+        appended: rows.slice(existingCount),
+        appendRow: Math.max(existingData.length, 1),
+        removed,
+        inserted,
+        updated,
+        deleted: removed.length
+    };
 }
 
 /**
- * Clears all data from a spreadsheet or specific tab
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} [tab] - Optional tab name to clear (clears all tabs if not specified)
- * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
- * @example
- * import { clearSheet } from 'ak-sheets';
- * 
- * // Clear specific tab
- * await clearSheet(spreadsheetId, 'Users');
- * 
- * // Clear entire spreadsheet
- * await clearSheet(spreadsheetId);
+ * Normalizes any supported input shape to an array of objects
+ * @param {import('./index.d.ts').SpreadsheetData} data - CSV string, array of arrays, or array of objects
+ * @returns {Record<string, any>[]} Array of objects
+ */
+function toObjects(data) {
+    if (typeof data === 'string') return csvToJson(data);
+    if (Array.isArray(data) && Array.isArray(data[0])) return convertValuesToObjects(/** @type {any[][]} */ (data));
+    return /** @type {Record<string, any>[]} */ (data || []);
+}
+
+/**
+ * Returns the header row of tabular input (CSV or array of arrays)
+ * @param {import('./index.d.ts').SpreadsheetData} data - Data about to be written
+ * @returns {string[]|undefined} Header names, or undefined for arrays of objects
  */
-export async function clearSheet(spreadsheetId, tab) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function headerRow(data) {
+    if (typeof data === 'string') {
+        const [headers = []] = /** @type {any[][]} */ (Papa.parse(data, { preview: 1 }).data);
+        return headers.map(header => String(header).trim());
     }
+    if (Array.isArray(data) && Array.isArray(data[0])) return data[0];
+    return undefined;
+}
 
-    logger.debug({ spreadsheetId, tab }, 'Clearing sheet data');
+/**
+ * Converts data for a range write into a 2D array
+ * A plain string is a single cell unless it looks like CSV.
+ * @param {import('./index.d.ts').SpreadsheetData} data - Data to write
+ * @returns {any[][]} Rows of cell values
+ */
+function toValueRows(data) {
+    if (typeof data === 'string') {
+        return data.includes('\n') || data.includes(',') ? /** @type {any[][]} */ (Papa.parse(data).data) : [[data]];
+    }
+    if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'object' && !Array.isArray(data[0])) {
+        // Array of objects - convert to CSV then parse
+        return /** @type {any[][]} */ (Papa.parse(makeCSVFromData(data)).data);
+    }
+    return /** @type {any[][]} */ (data);
+}
 
-    try {
-        const range = tab ? `${tab}!A:ZZ` : 'A:ZZ';
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.values.clear({
-                spreadsheetId,
-                range,
-            })
-        );
+/**
+ * Returns the number of columns the longest row spans
+ * @param {any[][]} values - 2D array about to be written
+ * @returns {number} Column count
+ */
+function widestRow(values) {
+    return values.reduce((widest, row) => Math.max(widest, Array.isArray(row) ? row.length : 0), 0);
+}
 
-        logger.info({ spreadsheetId, tab }, 'Sheet cleared successfully');
-        return response.data || { clearedRange: range };
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tab 
-        }, 'Failed to clear sheet');
-        throw error;
-    }
+/**
+ * Finds a tab's properties in spreadsheet metadata
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @param {string} [tab] - Tab name (defaults to the first tab)
+ * @returns {any|null} Tab properties, or null if there is no such tab
+ */
+function findTabProperties(info, tab) {
+    const tabs = info?.sheets || [];
+    const found = tab ? tabs.find((/** @type {any} */ sheet) => sheet.properties.title === tab) : tabs[0];
+    return found?.properties || null;
 }
 
 /**
- * Gets information about a spreadsheet (metadata, sheets, etc.)
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @returns {Promise<any>} Promise resolving to spreadsheet metadata
- * @example
- * import { getSheetInfo } from 'ak-sheets';
- * 
- * const info = await getSheetInfo(spreadsheetId);
- * console.log(`Spreadsheet: ${info.properties.title}`);
- * console.log(`Sheets: ${info.sheets.map(s => s.properties.title).join(', ')}`);
+ * Finds a named range in spreadsheet metadata
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @param {string} name - Range name
+ * @returns {any|null} NamedRange, or null if there is no such name
+ */
+function findNamedRange(info, name) {
+    return (info?.namedRanges || []).find((/** @type {any} */ namedRange) => namedRange.name === name) || null;
+}
+
+/**
+ * Converts an A1 range to an API GridRange on the tab it names
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @param {string} range - A1 range (the first tab when it has no tab name)
+ * @returns {any} GridRange, with open ends left out
  */
-export async function getSheetInfo(spreadsheetId) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function toGridRange(info, range) {
+    const target = parseA1(range);
+    const properties = findTabProperties(info, target.tab ?? undefined);
+    if (!properties) {
+        throw new Error(`Tab '${target.tab}' not found in spreadsheet`);
     }
+    return {
+        sheetId: properties.sheetId,
+        startRowIndex: target.startRow,
+        ...(target.endRow !== null && { endRowIndex: target.endRow }),
+        startColumnIndex: target.startColumn,
+        ...(target.endColumn !== null && { endColumnIndex: target.endColumn })
+    };
+}
 
-    logger.debug({ spreadsheetId }, 'Getting sheet info');
+/**
+ * Converts an API GridRange back to an A1 range
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @param {any} gridRange - GridRange (open ends left out)
+ * @returns {{tab: string|undefined, range: string}} Tab title and tab-qualified A1 range
+ */
+function fromGridRange(info, gridRange = {}) {
+    const sheetId = gridRange.sheetId ?? 0;
+    const tab = (info?.sheets || []).find((/** @type {any} */ sheet) => sheet.properties.sheetId === sheetId)?.properties.title;
+    return {
+        tab,
+        range: formatA1({
+            tab,
+            startRow: gridRange.startRowIndex ?? 0,
+            endRow: gridRange.endRowIndex ?? null,
+            startColumn: gridRange.startColumnIndex ?? 0,
+            endColumn: gridRange.endColumnIndex ?? null
+        })
+    };
+}
 
-    try {
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.get({
-                spreadsheetId,
-                fields: 'properties,sheets.properties'
-            })
-        );
+/**
+ * Builds the GridRange covering a tab's data
+ * @param {number} sheetId - Tab's sheetId
+ * @param {any[][]} values - Tab values, header first
+ * @param {number} startRowIndex - 0 to include the header, 1 for the data rows only
+ * @returns {any} GridRange
+ */
+function dataGridRange(sheetId, values, startRowIndex) {
+    return { sheetId, startRowIndex, endRowIndex: values.length, startColumnIndex: 0, endColumnIndex: widestRow(values) };
+}
 
-        logger.debug({ 
-            spreadsheetId, 
-            title: response.data.properties?.title,
-            sheetCount: response.data.sheets?.length || 0
-        }, 'Sheet info retrieved');
-
-        return response.data;
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId 
-        }, 'Failed to get sheet info');
-        throw error;
+/**
+ * Builds the filter settings shared by basic filters and filter views
+ * @param {any} properties - Tab properties
+ * @param {any[][]} values - Tab values, header first
+ * @param {import('./index.d.ts').FilterOptions} options - Column filters and sort
+ * @param {any} [gridRange] - Range to filter (default: the header and every data row)
+ * @returns {any} BasicFilter (a FilterView once given a title)
+ */
+function toFilter(properties, values, options, gridRange) {
+    if (values.length === 0) {
+        throw new Error(`Tab '${properties.title}' has no header row to filter by`);
     }
+    const [headers, ...rows] = values;
+    const { filters = {}, sort } = options;
+    const filterSpecs = toFilterSpecs(filters, headers, rows);
+    return {
+        range: gridRange || dataGridRange(properties.sheetId, values, 0),
+        ...(sort && { sortSpecs: toSortSpecs(sort, headers) }),
+        ...(filterSpecs.length > 0 && { filterSpecs })
+    };
 }
 
 /**
- * Reads data from a specific range in a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet to read from
- * @param {string} range - Range to read (e.g., 'A1:C10', 'B:B', 'A1:Z')
- * @param {string} [tab] - Optional tab name
- * @param {string} [format='json'] - Output format ('json', 'csv', or 'array')
- * @returns {Promise<any>} Promise resolving to the range data in requested format
- * @example
- * import { getRange } from 'ak-sheets';
- * 
- * // Get specific range as JSON
- * const data = await getRange(spreadsheetId, 'A1:C10');
- * 
- * // Get entire column B from specific tab
- * const columnB = await getRange(spreadsheetId, 'B:B', 'Users', 'array');
- * 
- * // Get range from specific tab as CSV
- * const csvData = await getRange(spreadsheetId, 'A1:E5', 'Products', 'csv');
+ * Builds a sortRange request over a tab's data rows
+ * @param {any} properties - Tab properties
+ * @param {any[][]} values - Tab values, header first
+ * @param {import('./index.d.ts').SortSpec} sort - Sort keys
+ * @param {any} [gridRange] - Range to sort (default: every data row below the header)
+ * @returns {any} sortRange request
  */
-export async function getRange(spreadsheetId, range, tab, format = 'json') {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function toSortRequest(properties, values, sort, gridRange) {
+    if (values.length === 0) {
+        throw new Error(`Tab '${properties.title}' has no header row to sort by`);
     }
+    return { sortRange: { range: gridRange || dataGridRange(properties.sheetId, values, 1), sortSpecs: toSortSpecs(sort, values[0]) } };
+}
 
-    logger.debug({ spreadsheetId, range, tab, format }, 'Reading range data');
+/**
+ * Throws if growing tabs to the given sizes would take the spreadsheet past the Google Sheets cell limit
+ * @param {any} info - Spreadsheet metadata from getSheetInfo()
+ * @param {Record<string, {rowCount: number, columnCount: number}>} sizes - Grid size each tab needs, by title
+ */
+function assertWithinCellLimit(info, sizes) {
+    // Tabs that don't exist yet are created with the default 1000 x 26 grid
+    const newTab = { rowCount: 1000, columnCount: 26 };
+    /** @type {Record<string, {rowCount: number, columnCount: number}>} */
+    const grids = {};
+    for (const { properties } of info?.sheets || []) {
+        grids[properties.title] = properties.gridProperties || { rowCount: 0, columnCount: 0 };
+    }
 
-    // Check cache in dev environment
-    const cacheKey = generateCacheKey(spreadsheetId, tab, range, format, false);
-    const cachedData = readCache(cacheKey);
-    if (cachedData !== null) {
-        logger.info({ spreadsheetId, range, tab, format }, '🚀 Using cached range data - skipping API call');
-        return cachedData;
+    let cells = 0;
+    for (const title of new Set([...Object.keys(grids), ...Object.keys(sizes)])) {
+        const current = grids[title] || newTab;
+        const needed = sizes[title] || current;
+        cells += Math.max(current.rowCount, needed.rowCount) * Math.max(current.columnCount, needed.columnCount);
     }
 
-    try {
-        const fullRange = tab ? `${tab}!${range}` : range;
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.values.get({
-                spreadsheetId,
-                range: fullRange,
-                majorDimension: 'ROWS'
-            })
+    if (cells > SPREADSHEET_CELL_LIMIT) {
+        throw Object.assign(
+            new Error(`Write would grow the spreadsheet to ${cells.toLocaleString('en-US')} cells, over the Google Sheets limit of ${SPREADSHEET_CELL_LIMIT.toLocaleString('en-US')}. Nothing was written.`),
+            { name: 'CellLimitError', cells, limit: SPREADSHEET_CELL_LIMIT }
         );
-
-        const values = response?.data?.values || [];
-        logger.debug({ rowCount: values.length, range: fullRange }, 'Range data retrieved');
-
-        let result;
-        switch (format.toLowerCase()) {
-            case 'csv':
-                result = makeCSVFromData(convertValuesToObjects(values));
-                break;
-            case 'array':
-                result = values;
-                break;
-            case 'json':
-            default:
-                result = convertValuesToObjects(values);
-                break;
-        }
-
-        // Cache the result in dev environment
-        writeCache(cacheKey, result);
-        return result;
-        
-    } catch (error) {
-        if ( (error).code === 404) {
-            logger.error({ spreadsheetId, range }, 'Spreadsheet or range not found');
-            throw error;
-        }
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            range,
-            tab 
-        }, 'Failed to read range');
-        throw error;
     }
 }
 
 /**
- * Writes data to a specific range in a Google Spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} range - Range to write to (e.g., 'A1:C10', 'B2', 'A1')
- * @param {import('./index.d.ts').SpreadsheetData} data - Data to write
- * @param {string} [tab] - Optional tab name
- * @returns {Promise<import('./index.d.ts').SheetResponse>} Promise resolving to the API response
- * @example
- * import { writeToRange } from 'ak-sheets';
- * 
- * // Write to specific range
- * const data = [['Name', 'Age'], ['John', 30], ['Jane', 25]];
- * await writeToRange(spreadsheetId, 'A1:B3', data);
- * 
- * // Write single value to cell
- * await writeToRange(spreadsheetId, 'D1', 'Total');
- * 
- * // Write to range in specific tab
- * await writeToRange(spreadsheetId, 'A1:C2', data, 'Users');
+ * Splits rows into chunks bounded by row count and approximate request size
+ * @param {any[][]} values - Rows to write
+ * @param {import('./index.d.ts').ChunkOptions} [options={}] - chunkSize and maxChunkBytes
+ * @returns {{offset: number, rows: any[][]}[]} Chunks, each with the index of its first row (always at least one)
  */
-export async function writeToRange(spreadsheetId, range, data, tab) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+function chunkRows(values, options = {}) {
+    const { chunkSize = DEFAULT_CHUNK_ROWS, maxChunkBytes = DEFAULT_CHUNK_BYTES } = options;
+    const chunks = [];
+    /** @type {any[][]} */
+    let rows = [];
+    let bytes = 0;
+    let offset = 0;
+
+    values.forEach((row, index) => {
+        const rowBytes = Buffer.byteLength(JSON.stringify(row)) + 1;
+        if (rows.length > 0 && (rows.length >= chunkSize || bytes + rowBytes > maxChunkBytes)) {
+            chunks.push({ offset, rows });
+            rows = [];
+            bytes = 0;
+            offset = index;
+        }
+        rows.push(row);
+        bytes += rowBytes;
+    });
+
+    if (rows.length > 0 || chunks.length === 0) {
+        chunks.push({ offset, rows });
     }
+    return chunks;
+}
 
-    logger.debug({ spreadsheetId, range, tab, dataType: typeof data }, 'Writing to range');
+/**
+ * Sums values.update responses from a chunked write into one
+ * @param {any[]} responses - Chunk responses, in sheet order
+ * @returns {import('./index.d.ts').SheetResponse} Combined response covering every chunk
+ */
+function sumUpdates(responses) {
+    const parts = responses.filter(Boolean);
+    const first = parts[0]?.updatedRange ? parseA1(parts[0].updatedRange) : null;
+    const last = parts[parts.length - 1]?.updatedRange ? parseA1(parts[parts.length - 1].updatedRange) : null;
+
+    return {
+        spreadsheetId: parts[0]?.spreadsheetId,
+        updatedRange: first && last
+            ? formatA1({
+                tab: first.tab,
+                startRow: first.startRow,
+                endRow: last.endRow,
+                startColumn: first.startColumn,
+                endColumn: Math.max(...parts.map(part => parseA1(part.updatedRange).endColumn ?? 0))
+            })
+            : undefined,
+        updatedRows: parts.reduce((total, part) => total + (part.updatedRows || 0), 0),
+        updatedColumns: Math.max(0, ...parts.map(part => part.updatedColumns || 0)),
+        updatedCells: parts.reduce((total, part) => total + (part.updatedCells || 0), 0)
+    };
+}
 
-    try {
-        // Convert data to proper format
-        let processedData = data;
-        if (typeof data === 'string') {
-            // Single value or CSV string
-            if (data.includes('\n') || data.includes(',')) {
-                processedData = Papa.parse(data).data;
-            } else {
-                processedData = [[data]]; // Single cell value
-            }
-        } else if (Array.isArray(data)) {
-            if (data.length > 0 && typeof data[0] === 'object' && !Array.isArray(data[0])) {
-                // Array of objects - convert to CSV then parse
-                const csvString = makeCSVFromData(data);
-                processedData = Papa.parse(csvString).data;
-            }
-            // Array of arrays - use as is
-        }
+/**
+ * Converts a value to the string a cell holds, matching makeCSVFromData()
+ * @param {any} value - The value to convert
+ * @returns {string} Cell string
+ */
+function toCellString(value) {
+    if (value === undefined || value === null) return '';
+    return String(convertToSafeValue(value)).trim();
+}
 
-        const fullRange = tab ? `${tab}!${range}` : range;
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: fullRange,
-                valueInputOption: 'USER_ENTERED',
-                resource: {
-                    values: processedData,
-                },
-            })
-        );
+/**
+ * Converts cell text pulled from a tab back to a JSON value
+ * Only text that round-trips exactly becomes a number or boolean, so values like '007' or '1.50' stay strings.
+ * @param {string} text - Cell text
+ * @returns {string|number|boolean} JSON value
+ */
+function toJsonValue(text) {
+    if (text === 'TRUE') return true;
+    if (text === 'FALSE') return false;
+    const number = Number(text);
+    return text !== '' && String(number) === text ? number : text;
+}
 
-        if (response?.data) {
-            logger.info({ 
-                updatedCells: response.data.updatedCells, 
-                range: fullRange,
-                spreadsheetId 
-            }, 'Range updated successfully');
-            return response.data;
-        }
-        
-        return { updatedCells: 0 };
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            range,
-            tab 
-        }, 'Failed to write to range');
-        throw error;
-    }
+/**
+ * Converts 2D array to array of objects
+ * @param {any[][]} values - 2D array from sheets
+ * @param {import('./index.d.ts').ReadOptions} [options={}] - Coercion options
+ * @returns {Record<string, any>[]} Array of objects
+ */
+function convertValuesToObjects(values, options = {}) {
+    if (!values || values.length === 0) return [];
+
+    const { coerce = false, types = {} } = options;
+    const headers = values[0];
+    return values.slice(1).map(row =>
+        headers.reduce((obj, header, index) => {
+            const value = row[index] ?? '';
+            const type = types[header] || (coerce ? 'auto' : null);
+            obj[header] = type ? coerceValue(value, type) : value;
+            return obj;
+        }, {})
+    );
 }
 
 /**
- * Adds a new tab to an existing spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} tabName - Name of the new tab
- * @param {Object} [options={}] - Tab creation options
- * @param {number} [options.index] - Position to insert tab (0-based)
- * @param {boolean} [options.hidden=false] - Whether tab should be hidden
- * @param {string} [options.tabColor] - Hex color for tab (e.g., '#FF0000')
- * @returns {Promise<number>} Promise resolving to the new tab's sheet ID
+ * Reads an Excel (.xlsx) file and returns data as object with sheet names as keys
+ * @param {string} filePath - Path to the Excel file
+ * @returns {Record<string, string>} Object with sheet names as keys and CSV strings as values
  * @example
- * import { addTab } from 'ak-sheets';
- * 
- * // Add simple tab
- * await addTab(spreadsheetId, 'New Data');
+ * import { readXlsxFile } from 'ak-sheets';
  * 
- * // Add tab with options
- * await addTab(spreadsheetId, 'Reports', {
- *   index: 1,
- *   tabColor: '#FF0000',
- *   hidden: false
- * });
+ * const excelData = readXlsxFile('./data.xlsx');
+ * console.log(excelData);
+ * // { 'Sheet1': 'Name,Age\nJohn,30\nJane,25', 'Sheet2': 'Product,Price\nWidget,29.99' }
  */
-export async function addTab(spreadsheetId, tabName, options = {}) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+export function readXlsxFile(filePath) {
+    logger.debug({ filePath }, 'Reading Excel file');
+    
+    const resolvedPath = resolve(filePath);
+    
+    if (!existsSync(resolvedPath)) {
+        throw new Error(`Excel file not found: ${resolvedPath}`);
     }
 
-    const { index, hidden = false, tabColor } = options;
-    logger.debug({ spreadsheetId, tabName, options }, 'Adding new tab');
-
     try {
-        // Check if tab already exists
-        const info = await getSheetInfo(spreadsheetId);
-        const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
+        const workbook = xlsx.readFile(resolvedPath);
+        /** @type {Record<string, string>} */
+        const sheets = {};
         
-        if (existingTabs.includes(tabName)) {
-            logger.warn({ spreadsheetId, tabName }, 'Tab already exists');
-            throw new Error(`Tab '${tabName}' already exists in spreadsheet`);
-        }
-
-        const addSheetRequest = {
-            addSheet: {
-                properties: {
-                    title: tabName,
-                    index,
-                    hidden,
-                    ...(tabColor && {
-                        tabColor: {
-                            red: parseInt(tabColor.slice(1, 3), 16) / 255,
-                            green: parseInt(tabColor.slice(3, 5), 16) / 255,
-                            blue: parseInt(tabColor.slice(5, 7), 16) / 255
-                        }
-                    })
-                }
-            }
-        };
-
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                resource: {
-                    requests: [addSheetRequest]
-                }
-            })
-        );
-
-        const newSheetId = response.data.replies?.[0]?.addSheet?.properties?.sheetId;
-        logger.info({ 
-            spreadsheetId, 
-            tabName, 
-            sheetId: newSheetId 
-        }, 'Tab added successfully');
-
-        return newSheetId;
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tabName 
-        }, 'Failed to add tab');
-        throw error;
+        workbook.SheetNames.forEach((/** @type {string} */ sheetName) => {
+            const worksheet = workbook.Sheets[sheetName];
+            const csvData = xlsx.utils.sheet_to_csv(worksheet);
+            sheets[/** @type {string} */ sheetName] = csvData;
+        });
+        
+        logger.debug({ 
+            filePath, 
+            sheetCount: Object.keys(sheets).length,
+            sheetNames: Object.keys(sheets)
+        }, 'Excel file read successfully');
+        
+        return sheets;
+    } catch ( error) {
+        logger.error({ error: error.message, filePath }, 'Failed to read Excel file');
+        throw new Error(`Failed to read Excel file: ${error.message}`);
     }
 }
 
 /**
- * Deletes a tab from a spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} tabName - Name of the tab to delete
- * @returns {Promise<void>} Promise that resolves when deletion is complete
+ * Writes tab data to a local Excel (.xlsx) file, one worksheet per tab - the counterpart to readXlsxFile()
+ * Takes the object getSheet(id, null, 'json', true) returns (any SpreadsheetData works per tab). Text that looks
+ * like a number, boolean or ISO date is written as one, unless `coerce` is false or `types` says otherwise.
+ * Needs no client, so the same report can be built for Excel users without touching the API.
+ * @param {string} filePath - Path of the .xlsx file to write (missing directories are created)
+ * @param {Record<string, import('./index.d.ts').SpreadsheetData>} tabs - Data by tab name, in worksheet order
+ * @param {import('./index.d.ts').WriteXlsxOptions} [options={}] - Coercion, number formats, column widths, header style and filter
+ * @returns {string} Resolved path of the written file
  * @example
- * import { deleteTab } from 'ak-sheets';
+ * import { getSheet, writeXlsxFile } from 'ak-sheets';
  * 
- * await deleteTab(spreadsheetId, 'Old Data');
+ * const tabs = await getSheet(spreadsheetId, null, 'json', true);
+ * writeXlsxFile('./out/report.xlsx', tabs, {
+ *   numberFormats: { revenue: 'currency', share: 'percent' },
+ *   columnWidths: { notes: 50 }
+ * });
  */
-export async function deleteTab(spreadsheetId, tabName) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
-    }
+export function writeXlsxFile(filePath, tabs, options = {}) {
+    logger.debug({ filePath, tabs: Object.keys(tabs || {}) }, 'Writing Excel file');
 
-    logger.debug({ spreadsheetId, tabName }, 'Deleting tab');
+    const resolvedPath = resolve(filePath);
+    const { coerce = true, types = {}, header = 'bold-frozen' } = options;
+    if (!tabs || Object.keys(tabs).length === 0) {
+        throw new Error('writeXlsxFile needs at least one tab');
+    }
 
     try {
-        // Get sheet info to find the sheet ID
-        const info = await getSheetInfo(spreadsheetId);
-        const targetSheet = info.sheets?.find(sheet => sheet.properties.title === tabName);
-        
-        if (!targetSheet) {
-            throw new Error(`Tab '${tabName}' not found in spreadsheet`);
+        const workbook = xlsx.utils.book_new();
+
+        for (const [title, data] of Object.entries(tabs)) {
+            const objects = toObjects(data);
+            const headers = headerRow(data) || getUniqueKeys(objects);
+            const values = [headers, ...objects.map(row => headers.map(header => row[header] ?? ''))];
+            const rows = convertValuesToObjects(values, { coerce, types });
+            xlsx.utils.book_append_sheet(workbook, toWorksheet(headers, rows, options), title);
         }
 
-        const sheetId = targetSheet.properties.sheetId;
-        const deleteSheetRequest = {
-            deleteSheet: {
-                sheetId: sheetId
-            }
-        };
+        mkdirSync(dirname(resolvedPath), { recursive: true });
+        const file = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        writeFileSync(resolvedPath, header ? styleHeaders(file, header) : file);
 
-        await retryWithBackoff(() =>
-            sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                resource: {
-                    requests: [deleteSheetRequest]
-                }
-            })
-        );
+        logger.debug({ 
+            filePath: resolvedPath, 
+            sheetCount: workbook.SheetNames.length,
+            sheetNames: workbook.SheetNames
+        }, 'Excel file written successfully');
 
-        logger.info({ spreadsheetId, tabName, sheetId }, 'Tab deleted successfully');
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            tabName 
-        }, 'Failed to delete tab');
-        throw error;
+        return resolvedPath;
+    } catch ( error) {
+        logger.error({ error: error.message, filePath }, 'Failed to write Excel file');
+        throw new Error(`Failed to write Excel file: ${error.message}`);
     }
 }
 
 /**
- * Renames a tab in a spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} oldName - Current name of the tab
- * @param {string} newName - New name for the tab
- * @returns {Promise<void>} Promise that resolves when rename is complete
+ * Converts CSV string to array of objects (JSON)
+ * @param {string} csvString - CSV string to convert
+ * @param {Object} [options={}] - Papa Parse options
+ * @returns {Record<string, any>[]} Array of objects
  * @example
- * import { renameTab } from 'ak-sheets';
+ * import { csvToJson } from 'ak-sheets';
  * 
- * await renameTab(spreadsheetId, 'Sheet1', 'User Data');
+ * const csv = 'Name,Age\nJohn,30\nJane,25';
+ * const json = csvToJson(csv);
+ * console.log(json);
+ * // [{ Name: 'John', Age: '30' }, { Name: 'Jane', Age: '25' }]
  */
-export async function renameTab(spreadsheetId, oldName, newName) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
-    }
-
-    logger.debug({ spreadsheetId, oldName, newName }, 'Renaming tab');
-
+export function csvToJson(csvString, options = {}) {
+    logger.debug({ csvLength: csvString.length }, 'Converting CSV to JSON');
+    
+    const defaultOptions = {
+        header: true,
+        skipEmptyLines: true,
+        transformHeader: (/** @type {string} */ header) => header.trim(),
+        ...options
+    };
+    
     try {
-        // Get sheet info to find the sheet ID
-        const info = await getSheetInfo(spreadsheetId);
-        const targetSheet = info.sheets?.find(sheet => sheet.properties.title === oldName);
         
-        if (!targetSheet) {
-            throw new Error(`Tab '${oldName}' not found in spreadsheet`);
-        }
-
-        // Check if new name already exists
-        const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
-        if (existingTabs.includes(newName)) {
-            throw new Error(`Tab '${newName}' already exists in spreadsheet`);
+        const result = Papa.parse(csvString, defaultOptions);
+        
+        // @ts-ignore
+        if (result.errors.length > 0) {
+            // @ts-ignore
+            logger.warn({ errors: result.errors }, 'CSV parsing encountered errors');
         }
-
-        const sheetId = targetSheet.properties.sheetId;
-        const updatePropertiesRequest = {
-            updateSheetProperties: {
-                properties: {
-                    sheetId: sheetId,
-                    title: newName
-                },
-                fields: 'title'
-            }
-        };
-
-        await retryWithBackoff(() =>
-            sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                resource: {
-                    requests: [updatePropertiesRequest]
-                }
-            })
-        );
-
-        logger.info({ spreadsheetId, oldName, newName, sheetId }, 'Tab renamed successfully');
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            oldName, 
-            newName 
-        }, 'Failed to rename tab');
-        throw error;
+        
+        logger.debug({ 
+            // @ts-ignore
+            rowCount: result.data.length,
+            // @ts-ignore
+            columnCount: result.meta.fields?.length || 0
+        }, 'CSV converted to JSON successfully');
+        
+        // @ts-ignore
+        return result.data;
+    } catch ( error) {
+        logger.error({ error: error.message }, 'Failed to convert CSV to JSON');
+        throw new Error(`Failed to parse CSV: ${error.message}`);
     }
 }
 
 /**
- * Duplicates a tab within a spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} sourceTabName - Name of the tab to duplicate
- * @param {string} [newTabName] - Name for the duplicated tab (auto-generated if not provided)
- * @returns {Promise<{sheetId: number, title: string}>} Promise resolving to new tab info
+ * Converts array of objects (JSON) to CSV string
+ * @param {Record<string, any>[]} jsonData - Array of objects to convert
+ * @param {Object} [options={}] - Papa Parse options
+ * @returns {string} CSV string
  * @example
- * import { duplicateTab } from 'ak-sheets';
- * 
- * // Duplicate with auto-generated name
- * const newTab = await duplicateTab(spreadsheetId, 'Template');
+ * import { jsonToCsv } from 'ak-sheets';
  * 
- * // Duplicate with custom name
- * await duplicateTab(spreadsheetId, 'Template', 'January Data');
+ * const json = [{ Name: 'John', Age: 30 }, { Name: 'Jane', Age: 25 }];
+ * const csv = jsonToCsv(json);
+ * console.log(csv);
+ * // 'Name,Age\nJohn,30\nJane,25'
  */
-export async function duplicateTab(spreadsheetId, sourceTabName, newTabName) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
+export function jsonToCsv(jsonData, options = {}) {
+    logger.debug({ rowCount: jsonData.length }, 'Converting JSON to CSV');
+    
+    if (!Array.isArray(jsonData) || jsonData.length === 0) {
+        return '';
     }
-
-    logger.debug({ spreadsheetId, sourceTabName, newTabName }, 'Duplicating tab');
-
+    
+    const defaultOptions = {
+        header: true,
+        ...options
+    };
+    
     try {
-        // Get sheet info to find the source sheet ID
-        const info = await getSheetInfo(spreadsheetId);
-        const sourceSheet = info.sheets?.find(sheet => sheet.properties.title === sourceTabName);
+        const csvString = Papa.unparse(jsonData, defaultOptions);
         
-        if (!sourceSheet) {
-            throw new Error(`Source tab '${sourceTabName}' not found in spreadsheet`);
-        }
-
-        // Generate new name if not provided
-        const finalNewName = newTabName || `Copy of ${sourceTabName}`;
+        logger.debug({ 
+            csvLength: csvString.length,
+            rowCount: jsonData.length
+        }, 'JSON converted to CSV successfully');
         
-        // Check if new name already exists
-        const existingTabs = info.sheets?.map(sheet => sheet.properties.title) || [];
-        if (existingTabs.includes(finalNewName)) {
-            throw new Error(`Tab '${finalNewName}' already exists in spreadsheet`);
-        }
-
-        const sourceSheetId = sourceSheet.properties.sheetId;
-        const duplicateSheetRequest = {
-            duplicateSheet: {
-                sourceSheetId: sourceSheetId,
-                newSheetName: finalNewName
-            }
-        };
-
-        const response = await retryWithBackoff(() =>
-            sheets.spreadsheets.batchUpdate({
-                spreadsheetId,
-                resource: {
-                    requests: [duplicateSheetRequest]
-                }
-            })
-        );
-
-        const newSheetInfo = response.data.replies?.[0]?.duplicateSheet?.properties;
-        logger.info({ 
-            spreadsheetId, 
-            sourceTabName, 
-            newTabName: finalNewName,
-            newSheetId: newSheetInfo?.sheetId
-        }, 'Tab duplicated successfully');
-
-        return {
-            sheetId: newSheetInfo?.sheetId,
-            title: newSheetInfo?.title
-        };
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId, 
-            sourceTabName, 
-            newTabName 
-        }, 'Failed to duplicate tab');
-        throw error;
+        return csvString;
+    } catch ( error) {
+        logger.error({ error: error.message }, 'Failed to convert JSON to CSV');
+        throw new Error(`Failed to convert JSON to CSV: ${error.message}`);
     }
 }
 
 /**
- * Lists all tabs in a spreadsheet
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @returns {Promise<Array<{id: number, title: string, index: number, hidden: boolean}>>} Promise resolving to array of tab info
+ * Default client backing the named exports and the default `sheet` object
+ * @type {import('./index.d.ts').SheetsClient}
+ */
+const defaultClient = createSheetsClient();
+
+/**
+ * Initializes the ak-sheets library with configuration
+ * @param {import('./index.d.ts').AkSheetsConfig} config - Configuration options
  * @example
- * import { listTabs } from 'ak-sheets';
+ * import { initSheets } from 'ak-sheets';
+ * 
+ * // Initialize with credentials object
+ * await initSheets({
+ *   credentials: {
+ *     type: "service_account",
+ *     project_id: "your-project",
+ *     // ... other credential fields
+ *   },
+ *   environment: 'dev'
+ * });
+ * 
+ * // Initialize with file path and custom retry settings
+ * await initSheets({
+ *   credentials: './credentials.json',
+ *   environment: 'prod',
+ *   maxRetries: 3,
+ *   maxBackoffMs: 32000
+ * });
+ * 
+ * // Initialize using environment variables
+ * // Set SHEETS_CREDENTIALS=./credentials.json
+ * await initSheets({});
  * 
- * const tabs = await listTabs(spreadsheetId);
- * console.log(tabs);
- * // [
- * //   { id: 0, title: 'Sheet1', index: 0, hidden: false },
- * //   { id: 123, title: 'Users', index: 1, hidden: false }
- * // ]
+ * // Custom logging level and retry configuration
+ * // Set LOG_LEVEL=debug for verbose output
+ * await initSheets({ 
+ *   credentials: './credentials.json',
+ *   maxRetries: 10,
+ *   maxBackoffMs: 120000
+ * });
+ * 
+ * // Initialize and test authentication immediately
+ * await initSheets({
+ *   credentials: './credentials.json',
+ *   validateAuth: true  // Default behavior
+ * });
+ * 
+ * // Skip auth validation during init (faster startup)
+ * await initSheets({
+ *   credentials: './credentials.json',
+ *   validateAuth: false
+ * });
  */
-export async function listTabs(spreadsheetId) {
-    if (!sheets) {
-        throw new Error('ak-sheets not initialized. Call initSheets() first.');
-    }
-
-    logger.debug({ spreadsheetId }, 'Listing tabs');
+export async function initSheets(config) {
+    defaultClient.init(config);
+    logger = defaultClient.logger;
 
-    try {
-        const info = await getSheetInfo(spreadsheetId);
-        const tabs = info.sheets?.map(sheet => ({
-            id: sheet.properties.sheetId,
-            title: sheet.properties.title,
-            index: sheet.properties.index,
-            hidden: sheet.properties.hidden || false
-        })) || [];
-
-        logger.debug({ spreadsheetId, tabCount: tabs.length }, 'Tabs listed successfully');
-        return tabs;
-    } catch (error) {
-        logger.error({ 
-            error:  (error).message, 
-            spreadsheetId 
-        }, 'Failed to list tabs');
-        throw error;
+    // Optionally validate authentication immediately
+    if (config.validateAuth !== false) {
+        try {
+            await defaultClient.validateAuth();
+        } catch (error) {
+            logger.warn('Authentication validation failed during init. You can disable this check with validateAuth: false');
+            // Don't throw here - let the user decide if they want to handle auth errors later
+        }
     }
 }
 
+// Named exports delegate to the default client configured by initSheets()
+export const {
+    validateAuth,
+    createSheet,
+    writeToSheet,
+    writeToSheetTabs,
+    shareSheet,
+    deleteSheet,
+    listOwnedSpreadsheets,
+    deleteAllSheets,
+    exportSpreadsheet,
+    importXlsx,
+    getSheet,
+    updateSheet,
+    diffSheet,
+    appendToSheet,
+    clearSheet,
+    getSheetInfo,
+    getRange,
+    writeToRange,
+    formatRange,
+    addConditionalFormat,
+    listConditionalFormats,
+    updateConditionalFormat,
+    deleteConditionalFormat,
+    setValidation,
+    getValidation,
+    setFilter,
+    clearFilter,
+    addFilterView,
+    deleteFilterView,
+    sortRange,
+    addChart,
+    listCharts,
+    updateChart,
+    deleteChart,
+    addPivotTable,
+    streamSheet,
+    createSheetWriteStream,
+    importCsvFile,
+    syncFile,
+    addNamedRange,
+    listNamedRanges,
+    updateNamedRange,
+    deleteNamedRange,
+    addProtectedRange,
+    listProtectedRanges,
+    deleteProtectedRange,
+    addTab,
+    deleteTab,
+    renameTab,
+    duplicateTab,
+    listTabs,
+    batch,
+    defineSchema,
+    validateSheet
+} = defaultClient;
+
 /**
  * Default export object with all sheet operations
  * @example
@@ -2030,6 +5376,7 @@ export async function listTabs(spreadsheetId) {
 const sheet = {
     get: getSheet,
     update: updateSheet,
+    diff: diffSheet,
     create: createSheet,
     write: writeToSheet,
     writeTabs: writeToSheetTabs,
@@ -2038,17 +5385,57 @@ const sheet = {
     share: shareSheet,
     delete: deleteSheet,
     url: getURL,
+    export: exportSpreadsheet,
+    importXlsx: importXlsx,
     list: listOwnedSpreadsheets,
     info: getSheetInfo,
     // Range operations
     getRange: getRange,
     writeRange: writeToRange,
+    stream: streamSheet,
+    writeStream: createSheetWriteStream,
+    importFile: importCsvFile,
+    syncFile: syncFile,
+    // Named ranges
+    addNamedRange: addNamedRange,
+    listNamedRanges: listNamedRanges,
+    updateNamedRange: updateNamedRange,
+    deleteNamedRange: deleteNamedRange,
+    // Protected ranges
+    addProtectedRange: addProtectedRange,
+    listProtectedRanges: listProtectedRanges,
+    deleteProtectedRange: deleteProtectedRange,
+    // Formatting and validation
+    format: formatRange,
+    addConditionalFormat: addConditionalFormat,
+    listConditionalFormats: listConditionalFormats,
+    updateConditionalFormat: updateConditionalFormat,
+    deleteConditionalFormat: deleteConditionalFormat,
+    setValidation: setValidation,
+    getValidation: getValidation,
+    // Filters and sorting
+    setFilter: setFilter,
+    clearFilter: clearFilter,
+    addFilterView: addFilterView,
+    deleteFilterView: deleteFilterView,
+    sortRange: sortRange,
+    // Charts
+    addChart: addChart,
+    listCharts: listCharts,
+    updateChart: updateChart,
+    deleteChart: deleteChart,
+    // Pivot tables
+    addPivotTable: addPivotTable,
     // Tab management
     addTab: addTab,
     deleteTab: deleteTab,
     renameTab: renameTab,
     duplicateTab: duplicateTab,
     listTabs: listTabs,
+    batch: batch,
+    // Schemas
+    defineSchema: defineSchema,
+    validate: validateSheet,
 };
 
 export default sheet;
\ No newline at end of file
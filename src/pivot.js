@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Pivot table helpers for ak-sheets
+ * Builds native Sheets PivotTable definitions from field names in a source tab's header row.
+ */
+
+import { columnIndex, toBooleanCondition } from './format.js';
+
+export const SUMMARIZE_FUNCTIONS = ['SUM', 'COUNTA', 'COUNT', 'COUNTUNIQUE', 'AVERAGE', 'MAX', 'MIN', 'MEDIAN', 'PRODUCT', 'STDEV', 'STDEVP', 'VAR', 'VARP'];
+
+/**
+ * Builds a PivotTable over a source tab's data
+ * Field offsets are resolved against the source header row, and the source covers the data as it is now.
+ * @param {import('./index.d.ts').PivotOptions} options - Row, column, value and filter fields
+ * @param {{sheetId: number, headers: any[], rowCount: number, columnCount: number}} source - Source tab's sheetId, header row and data extent (header included)
+ * @returns {any} PivotTable
+ * @example
+ * toPivotTable({ rows: ['region'], values: [{ field: 'revenue', summarize: 'SUM' }] },
+ *     { sheetId: 0, headers: ['region', 'revenue'], rowCount: 50, columnCount: 2 });
+ * // { source: { sheetId: 0, ... }, rows: [{ sourceColumnOffset: 0, showTotals: true, sortOrder: 'ASCENDING' }],
+ * //   columns: [], values: [{ sourceColumnOffset: 1, summarizeFunction: 'SUM' }] }
+ */
+export function toPivotTable(options, source) {
+    const { rows = [], columns = [], values = [], filters = {}, valuesAs = 'columns' } = options;
+    const { sheetId, headers, rowCount, columnCount } = source;
+    if (rows.length === 0 && columns.length === 0 && values.length === 0) {
+        throw new Error('Pivot table needs rows, columns or values');
+    }
+    if (rowCount < 2) {
+        throw new Error('Pivot table source needs a header row and at least one data row');
+    }
+
+    /** @param {string} field */
+    const offset = (field) => {
+        const column = columnIndex(headers, field);
+        if (column >= columnCount) {
+            throw new Error(`Column '${field}' is outside the source data`);
+        }
+        return column;
+    };
+
+    /** @param {string|import('./index.d.ts').PivotGroupField} item */
+    const group = (item) => {
+        const { field, sort = 'asc', totals = true } = typeof item === 'string' ? { field: item } : item;
+        return { sourceColumnOffset: offset(field), showTotals: totals, sortOrder: sort === 'desc' ? 'DESCENDING' : 'ASCENDING' };
+    };
+
+    /** @param {string|import('./index.d.ts').PivotValueField} item */
+    const value = (item) => {
+        const { field, summarize = 'SUM', name } = typeof item === 'string' ? { field: item } : item;
+        const summarizeFunction = summarize.toUpperCase();
+        if (!SUMMARIZE_FUNCTIONS.includes(summarizeFunction)) {
+            throw new Error(`Unknown summarize function: ${summarize} (expected one of ${SUMMARIZE_FUNCTIONS.join(', ')})`);
+        }
+        return { sourceColumnOffset: offset(field), summarizeFunction, ...(name && { name }) };
+    };
+
+    // A list shows only those values; a condition filters like a conditional format rule would
+    const filterSpecs = Object.entries(filters).map(([field, filter]) => ({
+        columnOffsetIndex: offset(field),
+        filterCriteria: Array.isArray(filter)
+            ? { visibleValues: filter.map(String) }
+            : { condition: toBooleanCondition(filter.when, filter.value), visibleByDefault: true }
+    }));
+
+    return {
+        source: { sheetId, startRowIndex: 0, endRowIndex: rowCount, startColumnIndex: 0, endColumnIndex: columnCount },
+        rows: rows.map(group),
+        columns: columns.map(group),
+        values: values.map(value),
+        ...(filterSpecs.length > 0 && { filterSpecs }),
+        ...(values.length > 1 && { valueLayout: valuesAs === 'rows' ? 'VERTICAL' : 'HORIZONTAL' })
+    };
+}
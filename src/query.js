@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Client-side queries over rows read from a tab
+ * Selects, filters, sorts, de-duplicates and pages row objects before they are converted to the requested format.
+ */
+
+import { coerceValue } from './schema.js';
+
+const QUERY_KEYS = ['select', 'where', 'orderBy', 'limit', 'offset', 'distinct'];
+
+/**
+ * Checks whether read options include any query option
+ * @param {import('./index.d.ts').QueryOptions} [options={}] - Read options
+ * @returns {boolean} True if the rows need to go through applyQuery()
+ */
+export function hasQuery(options = {}) {
+    return QUERY_KEYS.some(key => options[key] !== undefined);
+}
+
+/**
+ * Orders two cell values the way Sheets sorts them
+ * Text that looks like a number or ISO date compares as one, so unformatted and formatted reads sort alike.
+ * Numbers and dates come before text, text before booleans, and empty cells always last.
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+export function compareValues(a, b) {
+    const x = coerceValue(a);
+    const y = coerceValue(b);
+    /** @param {any} value */
+    const rank = (value) => value === null ? 3 : typeof value === 'boolean' ? 2 : typeof value === 'string' ? 1 : 0;
+
+    const byRank = rank(x) - rank(y);
+    if (byRank !== 0 || x === null) return byRank;
+    if (typeof x === 'string') return x.localeCompare(y);
+    return Number(x) - Number(y);
+}
+
+/**
+ * Operators for declarative where clauses, each given the cell value and the operand
+ * @type {Record<string, (value: any, operand: any) => boolean>}
+ */
+const OPERATORS = {
+    eq: (value, operand) => compareValues(value, operand) === 0,
+    ne: (value, operand) => compareValues(value, operand) !== 0,
+    gt: (value, operand) => !isBlank(value) && compareValues(value, operand) > 0,
+    gte: (value, operand) => !isBlank(value) && compareValues(value, operand) >= 0,
+    lt: (value, operand) => !isBlank(value) && compareValues(value, operand) < 0,
+    lte: (value, operand) => !isBlank(value) && compareValues(value, operand) <= 0,
+    in: (value, operand) => [operand].flat().some(option => compareValues(value, option) === 0),
+    notIn: (value, operand) => ![operand].flat().some(option => compareValues(value, option) === 0),
+    contains: (value, operand) => String(value ?? '').includes(String(operand)),
+    startsWith: (value, operand) => String(value ?? '').startsWith(String(operand)),
+    endsWith: (value, operand) => String(value ?? '').endsWith(String(operand)),
+    matches: (value, operand) => new RegExp(operand).test(String(value ?? '')),
+    empty: (value, operand) => isBlank(value) === Boolean(operand)
+};
+
+/**
+ * @param {any} value - Cell value
+ * @returns {boolean} True for empty cells (including nulls from coercion)
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Builds a row predicate from a declarative where clause
+ * A plain value means equality, an array means any of those values, and an object holds operators that must all hold.
+ * @param {import('./index.d.ts').WhereClause} where - Conditions per column, all of which must hold
+ * @param {(column: string) => void} checkColumn - Throws for columns that aren't in the header
+ * @returns {(row: Record<string, any>) => boolean} Predicate
+ */
+function toPredicate(where, checkColumn) {
+    const tests = Object.entries(where).map(([column, condition]) => {
+        checkColumn(column);
+        /** @type {Array<[string, any]>} */
+        let operators;
+        if (Array.isArray(condition)) {
+            operators = [['in', condition]];
+        } else if (condition !== null && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof RegExp)) {
+            operators = Object.entries(condition);
+        } else if (condition instanceof RegExp) {
+            operators = [['matches', condition]];
+        } else {
+            operators = [['eq', condition]];
+        }
+
+        for (const [operator] of operators) {
+            if (!OPERATORS[operator]) {
+                throw new Error(`Unknown where operator: ${operator} (expected one of ${Object.keys(OPERATORS).join(', ')})`);
+            }
+        }
+        return (/** @type {Record<string, any>} */ row) => operators.every(([operator, operand]) => OPERATORS[operator](row[column], operand));
+    });
+    return (row) => tests.every(test => test(row));
+}
+
+/**
+ * Normalizes orderBy into [column, direction] pairs
+ * @param {import('./index.d.ts').QueryOptions['orderBy']} orderBy - A column, or a list of columns, [column, direction] pairs or { column, order } keys
+ * @returns {Array<[string, 'asc'|'desc']>} Sort keys, first key first
+ */
+function toSortKeys(orderBy) {
+    const keys = Array.isArray(orderBy) ? orderBy : [orderBy];
+    return keys.map(key => {
+        /** @type {any[]} */
+        const [column, direction = 'asc'] = typeof key === 'string' ? [key] : Array.isArray(key) ? key : [key.column, key.order];
+        const order = String(direction).toLowerCase();
+        if (order !== 'asc' && order !== 'desc') {
+            throw new Error(`Unknown sort order: ${direction} (expected asc or desc)`);
+        }
+        return /** @type {[string, 'asc'|'desc']} */ ([column, order]);
+    });
+}
+
+/**
+ * Runs a query over row objects
+ * Rows are filtered and sorted on every column, then narrowed to the selected columns,
+ * de-duplicated and paged, so `where` and `orderBy` can use columns that aren't selected.
+ * @param {Record<string, any>[]} rows - Row objects keyed by header
+ * @param {string[]} headers - Header row, for checking column names and ordering columns
+ * @param {import('./index.d.ts').QueryOptions} query - Query options
+ * @returns {{columns: string[], rows: Record<string, any>[]}} Selected columns and matching rows
+ * @example
+ * applyQuery(rows, ['name', 'plan', 'score'], {
+ *   select: ['name', 'score'],
+ *   where: { plan: ['pro', 'team'], score: { gte: 80 } },
+ *   orderBy: [['score', 'desc']],
+ *   limit: 10
+ * });
+ * // { columns: ['name', 'score'], rows: [{ name: 'Ann', score: '97' }, ...] }
+ */
+export function applyQuery(rows, headers, query) {
+    const { select, where, orderBy, limit, offset = 0, distinct = false } = query;
+    const checkColumn = (/** @type {string} */ column) => {
+        if (!headers.includes(column)) {
+            throw new Error(`Column '${column}' is not in the header (${headers.join(', ')})`);
+        }
+    };
+    for (const [name, value] of [['limit', limit], ['offset', offset]]) {
+        if (value !== undefined && (!Number.isInteger(value) || Number(value) < 0)) {
+            throw new Error(`Query ${name} must be a non-negative integer, got ${value}`);
+        }
+    }
+
+    let result = rows;
+    if (typeof where === 'function') {
+        result = result.filter(where);
+    } else if (where) {
+        result = result.filter(toPredicate(where, checkColumn));
+    }
+
+    if (orderBy !== undefined) {
+        const keys = toSortKeys(orderBy);
+        keys.forEach(([column]) => checkColumn(column));
+        result = [...result].sort((a, b) => {
+            for (const [column, order] of keys) {
+                // Empty cells stay last whichever way the column is sorted
+                const blanks = Number(isBlank(a[column])) - Number(isBlank(b[column]));
+                if (blanks !== 0) return blanks;
+                const byValue = compareValues(a[column], b[column]);
+                if (byValue !== 0) return order === 'desc' ? -byValue : byValue;
+            }
+            return 0;
+        });
+    }
+
+    const columns = select ? [select].flat() : headers;
+    if (select) {
+        columns.forEach(checkColumn);
+        result = result.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+    }
+
+    if (distinct) {
+        const keyColumns = distinct === true ? columns : [distinct].flat();
+        for (const column of keyColumns) {
+            if (!columns.includes(column)) {
+                throw new Error(`Distinct column '${column}' is not selected`);
+            }
+        }
+        const seen = new Set();
+        result = result.filter(row => {
+            const key = JSON.stringify(keyColumns.map(column => row[column] instanceof Date ? row[column].toISOString() : row[column]));
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    result = result.slice(offset, limit === undefined ? undefined : offset + limit);
+    return { columns, rows: result };
+}
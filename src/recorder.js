@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Record/replay transports for ak-sheets
+ * Recording wraps a real (or fake) transport and writes every request/response to a fixture file;
+ * replaying serves responses from that file and fails loudly on anything it has not seen.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { resolve, dirname } from 'path';
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Serializes a value with sorted object keys so equal params always produce the same key
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item ?? null)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Reduces an API error to the fields retry logic and callers look at
+ * @param {any} error - Error thrown by the transport
+ * @returns {{code: any, message: string, status?: number}} Serializable error
+ */
+function serializeError(error) {
+    return {
+        code: error.code,
+        message: error.message,
+        ...(error.status !== undefined && { status: error.status }),
+        ...(error.errors && { errors: error.errors })
+    };
+}
+
+/**
+ * Makes a response body storable as JSON, base64-encoding binary bodies (such as Drive file exports)
+ * @param {any} data - Response body
+ * @returns {any} JSON-safe body
+ */
+function serializeData(data) {
+    if (data instanceof ArrayBuffer || Buffer.isBuffer(data)) {
+        return { $base64: Buffer.from(/** @type {any} */ (data)).toString('base64') };
+    }
+    return data;
+}
+
+/**
+ * Restores a response body written by serializeData(); binary bodies come back as an ArrayBuffer
+ * @param {any} data - Recorded body
+ * @returns {any} Response body
+ */
+function deserializeData(data) {
+    if (data && typeof data === 'object' && typeof data.$base64 === 'string') {
+        const bytes = Buffer.from(data.$base64, 'base64');
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    return data;
+}
+
+/**
+ * Wraps every method reachable from an API client so calls go through a hook
+ * @param {any} target - API client object (or nested resource)
+ * @param {string} path - Dotted path of target (e.g. 'sheets.spreadsheets')
+ * @param {(method: string, params: any, call: () => Promise<any>) => Promise<any>} onCall - Hook receiving each call
+ * @returns {any} Proxied client
+ */
+function interceptMethods(target, path, onCall) {
+    return new Proxy(target, {
+        get(obj, prop, receiver) {
+            const value = Reflect.get(obj, prop, receiver);
+            if (typeof prop !== 'string') return value;
+
+            if (typeof value === 'function') {
+                return (params = {}, options) => onCall(`${path}.${prop}`, params, () => value.call(obj, params, options));
+            }
+            if (value && typeof value === 'object') {
+                return interceptMethods(value, `${path}.${prop}`, onCall);
+            }
+            return value;
+        }
+    });
+}
+
+/**
+ * Builds an API client stand-in where any method path resolves to the replay hook
+ * @param {string} path - Dotted path so far
+ * @param {(method: string, params: any) => Promise<any>} onCall - Hook receiving each call
+ * @returns {any} Proxied client
+ */
+function replayMethods(path, onCall) {
+    return new Proxy(function () {}, {
+        get(_target, prop) {
+            // Never look like a promise, or awaiting a resource would try to replay `then`
+            if (typeof prop !== 'string' || prop === 'then') return undefined;
+            return replayMethods(`${path}.${prop}`, onCall);
+        },
+        apply(_target, _thisArg, [params = {}]) {
+            return onCall(path, params);
+        }
+    });
+}
+
+/**
+ * Wraps a transport so every request and response (or error) is written to a fixture file
+ * Only response status and body are recorded - never headers or auth. The fixture is rewritten after
+ * every call, always through a temp file, so it stays complete even if the process dies while recording.
+ * @param {import('./index.d.ts').SheetsTransport} transport - Transport to record
+ * @param {import('./index.d.ts').RecorderOptions} options - Recorder options
+ * @returns {import('./index.d.ts').SheetsTransport} Recording transport
+ * @example
+ * import { createRecordingTransport, createFakeTransport } from 'ak-sheets';
+ *
+ * const transport = createRecordingTransport(createFakeTransport(), {
+ *   fixture: './fixtures/report.json'
+ * });
+ */
+export function createRecordingTransport(transport, options) {
+    const fixturePath = resolve(options.fixture);
+    /** @type {{version: number, interactions: any[]}} */
+    const fixture = { version: FIXTURE_VERSION, interactions: [] };
+
+    // Written to a temp file and renamed over the fixture, so a crash mid-write never leaves it truncated
+    const tempPath = `${fixturePath}.${process.pid}.tmp`;
+    const save = () => {
+        mkdirSync(dirname(fixturePath), { recursive: true });
+        writeFileSync(tempPath, JSON.stringify(fixture, null, 2), 'utf-8');
+        renameSync(tempPath, fixturePath);
+    };
+    save();
+
+    /** @type {(method: string, params: any, call: () => Promise<any>) => Promise<any>} */
+    const record = async (method, params, call) => {
+        try {
+            const response = await call();
+            fixture.interactions.push({
+                method,
+                params,
+                response: { status: response?.status, data: serializeData(response?.data) }
+            });
+            save();
+            return response;
+        } catch (error) {
+            fixture.interactions.push({ method, params, error: serializeError(error) });
+            save();
+            throw error;
+        }
+    };
+
+    return {
+        sheets: interceptMethods(transport.sheets, 'sheets', record),
+        drive: interceptMethods(transport.drive, 'drive', record),
+        ...(transport.docs && { docs: interceptMethods(transport.docs, 'docs', record) })
+    };
+}
+
+/**
+ * Creates a transport that answers from a recorded fixture file
+ * Recorded errors are re-thrown with their original code, so retry behavior replays too.
+ * Any request without a recorded counterpart throws immediately.
+ * @param {import('./index.d.ts').RecorderOptions} options - Recorder options
+ * @returns {import('./index.d.ts').SheetsTransport} Replaying transport
+ * @example
+ * import { createSheetsClient } from 'ak-sheets';
+ *
+ * // Same as passing transport: createReplayTransport({ fixture })
+ * const client = createSheetsClient({
+ *   recorder: { mode: 'replay', fixture: './fixtures/report.json' }
+ * });
+ */
+export function createReplayTransport(options) {
+    const { match = 'params' } = options;
+    const fixturePath = resolve(options.fixture);
+
+    if (!existsSync(fixturePath)) {
+        throw new Error(`Replay fixture not found: ${fixturePath}`);
+    }
+
+    let fixture;
+    try {
+        fixture = JSON.parse(readFileSync(fixturePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to parse replay fixture: ${error.message}`);
+    }
+
+    const interactions = [...(fixture.interactions || [])];
+
+    /** @type {(method: string, params: any) => Promise<any>} */
+    const replay = async (method, params) => {
+        const key = canonicalize(params);
+        const index = match === 'sequence'
+            ? (interactions[0]?.method === method ? 0 : -1)
+            : interactions.findIndex(i => i.method === method && canonicalize(i.params) === key);
+
+        if (index === -1) {
+            const expected = match === 'sequence' && interactions[0]
+                ? ` (next recorded request is ${interactions[0].method})`
+                : '';
+            throw new Error(`Unmatched request in replay fixture ${fixturePath}: ${method} ${key}${expected}`);
+        }
+
+        const [interaction] = interactions.splice(index, 1);
+        if (interaction.error) {
+            throw Object.assign(new Error(interaction.error.message), interaction.error);
+        }
+        const response = JSON.parse(JSON.stringify(interaction.response));
+        return { ...response, data: deserializeData(response.data) };
+    };
+
+    return {
+        sheets: replayMethods('sheets', replay),
+        drive: replayMethods('drive', replay),
+        docs: replayMethods('docs', replay)
+    };
+}
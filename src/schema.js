@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Type coercion and column schema validation for ak-sheets
+ */
+
+// Google Sheets date serial numbers count days from 1899-12-30
+const SHEETS_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Coerces a cell value to a JavaScript type
+ * Empty cells become null; values that cannot be coerced to the requested type are returned unchanged.
+ * @param {any} value - Cell value (formatted string or unformatted number/boolean)
+ * @param {import('./index.d.ts').ColumnType} [type='auto'] - Target type; 'auto' detects numbers, booleans and ISO dates
+ * @returns {any} Coerced value
+ */
+export function coerceValue(value, type = 'auto') {
+    if (value === undefined || value === null || value === '') return null;
+
+    switch (type) {
+        case 'string':
+            return String(value);
+
+        case 'number': {
+            if (typeof value === 'number') return value;
+            const text = String(value).replace(/,/g, '').trim();
+            // Whitespace-only cells are blank, not zero
+            if (text === '') return null;
+            const number = Number(text);
+            return Number.isNaN(number) ? value : number;
+        }
+
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'yes', '1'].includes(text)) return true;
+            if (['false', 'no', '0'].includes(text)) return false;
+            return value;
+        }
+
+        case 'date': {
+            if (value instanceof Date) return value;
+            if (typeof value === 'number') return new Date(SHEETS_EPOCH_MS + value * MS_PER_DAY);
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? value : date;
+        }
+
+        case 'auto':
+        default: {
+            if (typeof value !== 'string') return value;
+            const text = value.trim();
+            if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+            // Leading zeros (zip codes, IDs) stay strings
+            if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+            if (/^-?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/.test(text)) return Number(text.replace(/,/g, ''));
+            if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+                const date = new Date(text);
+                if (!Number.isNaN(date.getTime())) return date;
+            }
+            return value;
+        }
+    }
+}
+
+
+/**
+ * Checks that a coerced value has the JavaScript type a column expects
+ * @param {any} value - Coerced, non-null value
+ * @param {import('./index.d.ts').ColumnType} type - Expected column type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'number':
+            return typeof value === 'number' && !Number.isNaN(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'date':
+            return value instanceof Date && !Number.isNaN(value.getTime());
+        default:
+            return true;
+    }
+}
+
+/**
+ * Builds the column -> type map a schema implies, for coercion on read
+ * @param {import('./index.d.ts').TabSchema} schema - Tab schema
+ * @returns {Record<string, import('./index.d.ts').ColumnType>} Column types
+ */
+export function schemaTypes(schema) {
+    /** @type {Record<string, import('./index.d.ts').ColumnType>} */
+    const types = {};
+    for (const [column, spec] of Object.entries(schema.columns || {})) {
+        if (spec.type) types[column] = spec.type;
+    }
+    return types;
+}
+
+/**
+ * Validates rows against a tab schema, collecting every problem rather than stopping at the first
+ * Values are coerced to the column type before checking, so '42' passes a number column.
+ * @param {Record<string, any>[]} rows - Rows to validate (objects keyed by column name)
+ * @param {import('./index.d.ts').TabSchema} schema - Tab schema
+ * @param {object} [options={}] - Validation options
+ * @param {string[]} [options.headers] - Header row as read from the sheet (checked for required/extra columns)
+ * @param {number} [options.firstRow=1] - Row number reported for rows[0]
+ * @returns {import('./index.d.ts').ValidationIssue[]} Validation errors (empty when valid)
+ * @example
+ * import { validateData } from 'ak-sheets';
+ *
+ * const errors = validateData(rows, {
+ *   columns: {
+ *     user_id: { type: 'number', required: true, nullable: false },
+ *     plan: { enum: ['free', 'pro'] },
+ *     email: { pattern: /^[^@\s]+@[^@\s]+$/ }
+ *   }
+ * });
+ * // [{ row: 3, column: 'plan', value: 'gold', message: "must be one of: free, pro" }]
+ */
+export function validateData(rows, schema, options = {}) {
+    const { headers, firstRow = 1 } = options;
+    const columns = schema.columns || {};
+    /** @type {import('./index.d.ts').ValidationIssue[]} */
+    const errors = [];
+
+    // With a known header row, column-level problems are reported once against it
+    if (headers) {
+        for (const [column, spec] of Object.entries(columns)) {
+            if (spec.required && !headers.includes(column)) {
+                errors.push({ row: firstRow - 1, column, value: undefined, message: 'required column is missing' });
+            }
+        }
+        if (schema.allowExtraColumns === false) {
+            headers.filter(header => header && !(header in columns)).forEach(column => {
+                errors.push({ row: firstRow - 1, column, value: undefined, message: 'column is not in the schema' });
+            });
+        }
+    }
+
+    rows.forEach((row, index) => {
+        const rowNumber = firstRow + index;
+
+        if (!headers && schema.allowExtraColumns === false) {
+            Object.keys(row).filter(column => !(column in columns)).forEach(column => {
+                errors.push({ row: rowNumber, column, value: row[column], message: 'column is not in the schema' });
+            });
+        }
+
+        for (const [column, spec] of Object.entries(columns)) {
+            const value = row[column];
+
+            // Missing headers were reported above; a key missing from a written object is reported per row
+            if (!(column in row)) {
+                if (headers) continue;
+                if (spec.required) {
+                    errors.push({ row: rowNumber, column, value, message: 'required column is missing' });
+                } else if (spec.nullable === false) {
+                    errors.push({ row: rowNumber, column, value, message: 'must not be empty' });
+                }
+                continue;
+            }
+
+            const type = spec.type || 'auto';
+            const coerced = coerceValue(value, type);
+
+            if (coerced === null) {
+                if (spec.nullable === false) {
+                    errors.push({ row: rowNumber, column, value, message: 'must not be empty' });
+                }
+                continue;
+            }
+
+            if (!matchesType(coerced, type)) {
+                errors.push({ row: rowNumber, column, value, message: `expected ${type}` });
+                continue;
+            }
+
+            if (spec.enum && !spec.enum.some(allowed => allowed === coerced || String(allowed) === String(value))) {
+                errors.push({ row: rowNumber, column, value, message: `must be one of: ${spec.enum.join(', ')}` });
+            }
+
+            if (spec.pattern) {
+                const pattern = spec.pattern instanceof RegExp ? spec.pattern : new RegExp(spec.pattern);
+                if (!pattern.test(String(value))) {
+                    errors.push({ row: rowNumber, column, value, message: `does not match pattern ${pattern}` });
+                }
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Builds the error thrown when data fails schema validation
+ * @param {string} context - What was being validated (e.g. "write to 'Users'")
+ * @param {import('./index.d.ts').ValidationIssue[]} errors - Validation errors
+ * @returns {Error & {errors: import('./index.d.ts').ValidationIssue[]}} Error carrying every issue
+ */
+export function schemaValidationError(context, errors) {
+    const preview = errors
+        .slice(0, 5)
+        .map(({ row, column, message }) => `row ${row}, ${column}: ${message}`)
+        .join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    return Object.assign(
+        new Error(`Schema validation failed for ${context}: ${preview}${more}`),
+        { name: 'SchemaValidationError', errors }
+    );
+}
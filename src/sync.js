@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Three-way merge for syncing a local file with a tab
+ * Rows on each side are compared with the snapshot taken at the last sync, so an edit made on one
+ * side is carried to the other and an edit made on both is reported as a conflict.
+ */
+
+const DIRECTIONS = ['push', 'pull', 'both'];
+const CONFLICT_POLICIES = ['skip', 'local', 'remote'];
+
+/**
+ * Merges local rows, tab rows and the last-synced snapshot by key columns
+ * All rows hold cell strings, and a key may appear only once per side. 'push' only carries local edits
+ * to the tab, 'pull' only carries tab edits to the local file, and 'both' does both; edits the direction
+ * doesn't carry are left where they are and stay pending in the snapshot, so a later sync still sees them.
+ * @param {{base: Record<string, string>[], local: Record<string, string>[], remote: Record<string, string>[]}} sides - Snapshot, local and tab rows
+ * @param {string[]} headers - Columns to compare, tab columns first
+ * @param {import('./index.d.ts').SyncOptions} options - Key columns, direction and conflict policy
+ * @returns {{local: Record<string, string>[], remote: Record<string, string>[], snapshot: Record<string, string>[], pushed: import('./index.d.ts').SyncCounts, pulled: import('./index.d.ts').SyncCounts, conflicts: import('./index.d.ts').SyncConflict[]}} New rows for each side, the new snapshot, counts and conflicts
+ * @example
+ * syncRows({ base: [{ id: '1', v: 'a' }], local: [{ id: '1', v: 'b' }], remote: [{ id: '1', v: 'a' }] },
+ *     ['id', 'v'], { key: 'id', direction: 'both' });
+ * // { remote: [{ id: '1', v: 'b' }], pushed: { added: 0, updated: 1, removed: 0 }, conflicts: [], ... }
+ */
+export function syncRows(sides, headers, options) {
+    const { key, direction = 'both', onConflict = 'skip' } = options;
+    const keyColumns = [key].flat();
+    if (!DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown sync direction: ${direction} (expected ${DIRECTIONS.join(', ')})`);
+    }
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+        throw new Error(`Unknown conflict policy: ${onConflict} (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+    const missingKeys = keyColumns.filter(column => !headers.includes(column));
+    if (missingKeys.length > 0) {
+        throw new Error(`Key column(s) not found: ${missingKeys.join(', ')}`);
+    }
+
+    const push = direction !== 'pull';
+    const pull = direction !== 'push';
+    /** @param {Record<string, string>} row */
+    const keyOf = (row) => JSON.stringify(keyColumns.map(column => row[column] ?? ''));
+    /** @param {Record<string, string>} row */
+    const keyValues = (row) => Object.fromEntries(keyColumns.map(column => [column, row[column] ?? '']));
+    /**
+     * @param {Record<string, string>[]} rows
+     * @param {string} side
+     */
+    const byKey = (rows, side) => {
+        /** @type {Map<string, Record<string, string>>} */
+        const map = new Map();
+        for (const row of rows) {
+            const rowKey = keyOf(row);
+            if (map.has(rowKey)) {
+                throw new Error(`Duplicate key ${rowKey} in ${side} rows`);
+            }
+            map.set(rowKey, row);
+        }
+        return map;
+    };
+
+    const base = byKey(sides.base, 'snapshot');
+    const local = byKey(sides.local, 'local');
+    const remote = byKey(sides.remote, 'tab');
+
+    /** @type {import('./index.d.ts').SyncConflict[]} */
+    const conflicts = [];
+    /** @type {Map<string, Record<string, string>|null>} */
+    const nextLocal = new Map();
+    /** @type {Map<string, Record<string, string>|null>} */
+    const nextRemote = new Map();
+    /** @type {Map<string, Record<string, string>>} */
+    const nextBase = new Map();
+
+    const keys = new Set([...local.keys(), ...remote.keys(), ...base.keys()]);
+    for (const rowKey of keys) {
+        const b = base.get(rowKey);
+        const l = local.get(rowKey);
+        const r = remote.get(rowKey);
+
+        if (l && r) {
+            const mergedLocal = { ...l };
+            const mergedRemote = { ...r };
+            /** @type {Record<string, string>} */
+            const snapshotRow = {};
+            for (const column of headers) {
+                const lv = l[column] ?? '';
+                const rv = r[column] ?? '';
+                // Columns added since the snapshot count as empty in it
+                const bv = b ? (b[column] ?? '') : undefined;
+                let newLocal = lv;
+                let newRemote = rv;
+
+                if (lv !== rv) {
+                    if (lv === bv) {
+                        if (pull) newLocal = rv;
+                    } else if (rv === bv) {
+                        if (push) newRemote = lv;
+                    } else if (onConflict === 'local') {
+                        if (push) newRemote = lv;
+                    } else if (onConflict === 'remote') {
+                        if (pull) newLocal = rv;
+                    } else {
+                        conflicts.push({ key: keyValues(l), column, base: bv ?? null, local: lv, remote: rv });
+                    }
+                }
+
+                mergedLocal[column] = newLocal;
+                mergedRemote[column] = newRemote;
+                // A cell the two sides still disagree on keeps its old snapshot value, so the edit stays pending
+                const agreed = newLocal === newRemote ? newLocal : bv;
+                if (agreed !== undefined) snapshotRow[column] = agreed;
+            }
+            nextLocal.set(rowKey, mergedLocal);
+            nextRemote.set(rowKey, mergedRemote);
+            nextBase.set(rowKey, snapshotRow);
+            continue;
+        }
+
+        if (!l && !r) continue; // Deleted on both sides
+
+        // The row exists on one side only: it was either added there or deleted on the other side
+        const present = /** @type {Record<string, string>} */ (l || r);
+        const side = l ? 'local' : 'remote';
+        const carried = side === 'local' ? push : pull;
+        const editedSinceSync = b && headers.some(column => (present[column] ?? '') !== (b[column] ?? ''));
+        /** @type {Record<string, string>|null} */
+        let keep = present;
+
+        if (!b) {
+            // Added on this side
+            if (carried) (side === 'local' ? nextRemote : nextLocal).set(rowKey, present);
+        } else if (!editedSinceSync || onConflict === (side === 'local' ? 'remote' : 'local')) {
+            // Deleted on the other side, and not edited here (or the deleting side wins)
+            if (side === 'local' ? pull : push) keep = null;
+        } else if (onConflict === side) {
+            if (carried) (side === 'local' ? nextRemote : nextLocal).set(rowKey, present);
+        } else {
+            conflicts.push({
+                key: keyValues(present),
+                column: null,
+                base: b,
+                local: side === 'local' ? present : null,
+                remote: side === 'remote' ? present : null
+            });
+        }
+
+        (side === 'local' ? nextLocal : nextRemote).set(rowKey, keep);
+        const otherSide = side === 'local' ? nextRemote : nextLocal;
+        if (keep && otherSide.has(rowKey)) {
+            nextBase.set(rowKey, present);
+        } else if (b && keep) {
+            nextBase.set(rowKey, b);
+        }
+    }
+
+    const localRows = orderRows(sides.local, sides.remote, nextLocal, keyOf);
+    const remoteRows = orderRows(sides.remote, sides.local, nextRemote, keyOf);
+
+    return {
+        local: localRows,
+        remote: remoteRows,
+        snapshot: [...nextBase.values()],
+        pushed: countChanges(remote, remoteRows, headers, keyOf),
+        pulled: countChanges(local, localRows, headers, keyOf),
+        conflicts
+    };
+}
+
+/**
+ * Lists a side's new rows in its original order, with rows new to it appended in the other side's order
+ * @param {Record<string, string>[]} own - The side's rows before the sync
+ * @param {Record<string, string>[]} other - The other side's rows before the sync
+ * @param {Map<string, Record<string, string>|null>} next - The side's rows after the sync by key (null when deleted)
+ * @param {(row: Record<string, string>) => string} keyOf - Row key
+ * @returns {Record<string, string>[]} Rows after the sync
+ */
+function orderRows(own, other, next, keyOf) {
+    // Insertion order keeps the side's own rows first
+    return [...new Set([...own.map(keyOf), ...other.map(keyOf)])]
+        .map(rowKey => next.get(rowKey))
+        .filter(row => row !== null && row !== undefined);
+}
+
+/**
+ * Counts the rows a sync adds to, changes in and removes from one side
+ * @param {Map<string, Record<string, string>>} before - The side's rows before the sync by key
+ * @param {Record<string, string>[]} after - The side's rows after the sync
+ * @param {string[]} headers - Columns to compare
+ * @param {(row: Record<string, string>) => string} keyOf - Row key
+ * @returns {import('./index.d.ts').SyncCounts} Row counts
+ */
+function countChanges(before, after, headers, keyOf) {
+    let added = 0;
+    let updated = 0;
+    for (const row of after) {
+        const previous = before.get(keyOf(row));
+        if (!previous) {
+            added++;
+        } else if (headers.some(column => (previous[column] ?? '') !== (row[column] ?? ''))) {
+            updated++;
+        }
+    }
+    return { added, updated, removed: before.size + added - after.length };
+}
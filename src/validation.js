@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Data validation helpers for ak-sheets
+ * Converts friendly dropdown, bound, checkbox and formula rules to API DataValidationRules and back.
+ */
+
+import { columnToLetter, formatA1 } from './a1.js';
+
+/**
+ * Formats a date bound the way Sheets expects it typed into a cell
+ * @param {string|Date} value - 'YYYY-MM-DD' string or Date
+ * @returns {string} Date string
+ */
+function toDateValue(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+}
+
+/**
+ * Builds a BooleanCondition from a type and its values
+ * @param {string} type - ConditionType
+ * @param {any[]} [values=[]] - Values, entered as text
+ * @returns {any} BooleanCondition
+ */
+function condition(type, values = []) {
+    return { type, ...(values.length > 0 && { values: values.map(value => ({ userEnteredValue: String(value) })) }) };
+}
+
+/**
+ * Converts a friendly validation rule to an API DataValidationRule
+ * @param {import('./index.d.ts').ValidationRule} rule - Dropdown, bounds, checkbox or formula rule
+ * @returns {any} DataValidationRule
+ * @example
+ * toValidationRule({ list: ['free', 'pro'] });
+ * // { condition: { type: 'ONE_OF_LIST', values: [{ userEnteredValue: 'free' }, { userEnteredValue: 'pro' }] },
+ * //   strict: true, showCustomUi: true }
+ */
+export function toValidationRule(rule) {
+    const { list, number, date, checkbox, formula, strict = true, message } = rule;
+    const kinds = [list, number, date, checkbox, formula].filter(kind => kind !== undefined);
+    if (kinds.length !== 1) {
+        throw new Error('Validation rule needs exactly one of list, number, date, checkbox or formula');
+    }
+
+    let apiCondition;
+    if (list !== undefined) {
+        apiCondition = typeof list === 'string'
+            ? condition('ONE_OF_RANGE', [list.startsWith('=') ? list : `=${list}`])
+            : condition('ONE_OF_LIST', list);
+    } else if (number !== undefined) {
+        const { min, max } = number;
+        if (min !== undefined && max !== undefined) apiCondition = condition('NUMBER_BETWEEN', [min, max]);
+        else if (min !== undefined) apiCondition = condition('NUMBER_GREATER_THAN_EQ', [min]);
+        else if (max !== undefined) apiCondition = condition('NUMBER_LESS_THAN_EQ', [max]);
+        else throw new Error('Number validation needs min, max or both');
+    } else if (date !== undefined) {
+        const { min, max } = date === true ? {} : date;
+        if (min !== undefined && max !== undefined) apiCondition = condition('DATE_BETWEEN', [toDateValue(min), toDateValue(max)]);
+        else if (min !== undefined) apiCondition = condition('DATE_ON_OR_AFTER', [toDateValue(min)]);
+        else if (max !== undefined) apiCondition = condition('DATE_ON_OR_BEFORE', [toDateValue(max)]);
+        else apiCondition = condition('DATE_IS_VALID');
+    } else if (checkbox !== undefined) {
+        apiCondition = checkbox === true
+            ? condition('BOOLEAN')
+            : condition('BOOLEAN', checkbox.unchecked === undefined ? [checkbox.checked] : [checkbox.checked, checkbox.unchecked]);
+    } else {
+        apiCondition = condition('CUSTOM_FORMULA', [formula]);
+    }
+
+    return {
+        condition: apiCondition,
+        strict,
+        ...(message && { inputMessage: message }),
+        ...(list !== undefined && { showCustomUi: true })
+    };
+}
+
+/**
+ * Converts an API DataValidationRule back to the friendly shape
+ * @param {any} apiRule - DataValidationRule from spreadsheets.get
+ * @returns {import('./index.d.ts').ValidationRule} Friendly rule (unknown condition types are returned as `condition`)
+ */
+export function fromValidationRule(apiRule) {
+    const { type, values = [] } = apiRule.condition || {};
+    const entered = values.map((/** @type {any} */ value) => value.userEnteredValue);
+
+    /** @type {any} */
+    let rule;
+    switch (type) {
+        case 'ONE_OF_LIST':
+            rule = { list: entered };
+            break;
+        case 'ONE_OF_RANGE':
+            rule = { list: String(entered[0]).replace(/^=/, '') };
+            break;
+        case 'NUMBER_BETWEEN':
+            rule = { number: { min: Number(entered[0]), max: Number(entered[1]) } };
+            break;
+        case 'NUMBER_GREATER_THAN_EQ':
+            rule = { number: { min: Number(entered[0]) } };
+            break;
+        case 'NUMBER_LESS_THAN_EQ':
+            rule = { number: { max: Number(entered[0]) } };
+            break;
+        case 'DATE_BETWEEN':
+            rule = { date: { min: entered[0], max: entered[1] } };
+            break;
+        case 'DATE_ON_OR_AFTER':
+            rule = { date: { min: entered[0] } };
+            break;
+        case 'DATE_ON_OR_BEFORE':
+            rule = { date: { max: entered[0] } };
+            break;
+        case 'DATE_IS_VALID':
+            rule = { date: true };
+            break;
+        case 'BOOLEAN':
+            rule = { checkbox: entered.length === 0 ? true : { checked: entered[0], ...(entered.length > 1 && { unchecked: entered[1] }) } };
+            break;
+        case 'CUSTOM_FORMULA':
+            rule = { formula: entered[0] };
+            break;
+        default:
+            rule = { condition: apiRule.condition };
+    }
+
+    return { ...rule, strict: Boolean(apiRule.strict), ...(apiRule.inputMessage && { message: apiRule.inputMessage }) };
+}
+
+/**
+ * Collects the validation rules in a tab's grid data into per-column runs of identical rules
+ * @param {any} gridData - First GridData of a sheet from spreadsheets.get (with dataValidation)
+ * @param {string} title - Tab name, for the A1 ranges
+ * @returns {import('./index.d.ts').ColumnValidation[]} One entry per column and run of rows sharing a rule
+ */
+export function collectValidations(gridData, title) {
+    const rowData = gridData?.rowData || [];
+    const startRow = gridData?.startRow || 0;
+    const startColumn = gridData?.startColumn || 0;
+    const headers = startRow === 0 ? (rowData[0]?.values || []).map((/** @type {any} */ cell) => cell?.formattedValue) : [];
+    const width = rowData.reduce((widest, row) => Math.max(widest, row?.values?.length || 0), 0);
+
+    /** @type {import('./index.d.ts').ColumnValidation[]} */
+    const results = [];
+    for (let c = 0; c < width; c++) {
+        /** @type {{start: number, key: string, apiRule: any}|null} */
+        let run = null;
+
+        const close = (/** @type {number} */ end) => {
+            if (!run) return;
+            const column = startColumn + c;
+            results.push({
+                column: headers[c] || columnToLetter(column),
+                range: formatA1({ tab: title, startRow: startRow + run.start, endRow: startRow + end, startColumn: column, endColumn: column + 1 }),
+                rule: fromValidationRule(run.apiRule)
+            });
+            run = null;
+        };
+
+        for (let r = 0; r < rowData.length; r++) {
+            const apiRule = rowData[r]?.values?.[c]?.dataValidation;
+            const key = apiRule ? JSON.stringify(apiRule) : '';
+            if (run && run.key !== key) close(r);
+            if (apiRule && !run) run = { start: r, key, apiRule };
+        }
+        close(rowData.length);
+    }
+    return results;
+}
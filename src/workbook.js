@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Excel workbook conversion helpers for ak-sheets
+ * Turns worksheets read by SheetJS into typed API CellData, keeping numbers, booleans, formulas and number formats,
+ * and builds typed worksheets from rows for writing .xlsx files.
+ */
+
+import xlsx from 'xlsx';
+import { NUMBER_FORMATS } from './format.js';
+
+// Workbooks on the 1904 date system count date serials from 1904-01-01, 1462 days after the Sheets epoch
+const DATE_1904_OFFSET = 1462;
+
+// Excel's 1900 date system shares the Sheets epoch for every date after February 1900
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Automatic column widths, in characters
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+// Header cell style: bold text on the same light blue formatRange examples use
+const HEADER_FONT = '<font><b/><sz val="12"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>';
+const HEADER_FILL = '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E2F3"/><bgColor indexed="64"/></patternFill></fill>';
+const FROZEN_HEADER_PANE = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>';
+
+/**
+ * Converts an Excel number format code to an API NumberFormat
+ * Sheets reads Excel format codes as patterns, so only the type has to be worked out.
+ * @param {string} [code] - Excel number format code
+ * @returns {{type: string, pattern: string}|null} NumberFormat, or null for the General format
+ */
+function toNumberFormat(code) {
+    if (!code || code === 'General') return null;
+    if (!xlsx.SSF.is_date(code)) return { type: 'NUMBER', pattern: code };
+
+    // Ignore quoted literals and [colour]/[locale] sections when looking for date and time parts
+    const parts = code.replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    const hasDate = /[dy]/i.test(parts);
+    const hasTime = /[hs]/i.test(parts);
+    return { type: hasDate && hasTime ? 'DATE_TIME' : hasTime ? 'TIME' : 'DATE', pattern: code };
+}
+
+/**
+ * Converts a worksheet cell to API CellData
+ * @param {any} cell - SheetJS cell (read with cellFormula and cellNF)
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {any} CellData (empty for blank cells)
+ */
+function toCellData(cell, date1904) {
+    if (!cell) return {};
+    const numberFormat = toNumberFormat(cell.z);
+    const format = numberFormat ? { userEnteredFormat: { numberFormat } } : {};
+
+    if (cell.f) {
+        return { userEnteredValue: { formulaValue: `=${cell.f}` }, ...format };
+    }
+    switch (cell.t) {
+        case 'n': {
+            const shift = date1904 && numberFormat && numberFormat.type !== 'NUMBER' ? DATE_1904_OFFSET : 0;
+            return { userEnteredValue: { numberValue: cell.v + shift }, ...format };
+        }
+        case 'b':
+            return { userEnteredValue: { boolValue: cell.v } };
+        case 's':
+            return cell.v === '' ? {} : { userEnteredValue: { stringValue: cell.v } };
+        case 'e':
+            // Error values can't be entered directly, so keep the text Excel showed
+            return { userEnteredValue: { stringValue: cell.w ?? '#N/A' } };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Converts every worksheet in a workbook to rows of API CellData
+ * Cells keep their positions, so a worksheet whose data starts at C3 still starts at C3.
+ * @param {any} workbook - SheetJS workbook (read with cellFormula and cellNF)
+ * @returns {Array<{title: string, rows: any[][], rowCount: number, columnCount: number}>} One entry per worksheet, in workbook order
+ * @example
+ * toSheetTabs(xlsx.readFile('./report.xlsx', { cellFormula: true, cellNF: true }));
+ * // [{ title: 'Orders', rowCount: 3, columnCount: 2, rows: [
+ * //   [{ userEnteredValue: { stringValue: 'sku' } }, { userEnteredValue: { stringValue: 'qty' } }],
+ * //   [{ userEnteredValue: { stringValue: 'A-1' } }, { userEnteredValue: { numberValue: 2 } }], ...] }]
+ */
+export function toSheetTabs(workbook) {
+    const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+
+    return workbook.SheetNames.map((/** @type {string} */ title) => {
+        const worksheet = workbook.Sheets[title];
+        if (!worksheet?.['!ref']) {
+            return { title, rows: [], rowCount: 0, columnCount: 0 };
+        }
+
+        const range = xlsx.utils.decode_range(worksheet['!ref']);
+        const rows = [];
+        for (let r = 0; r <= range.e.r; r++) {
+            const row = [];
+            for (let c = 0; c <= range.e.c; c++) {
+                row.push(toCellData(worksheet[xlsx.utils.encode_cell({ r, c })], date1904));
+            }
+            while (row.length > 0 && !row[row.length - 1].userEnteredValue) row.pop();
+            rows.push(row);
+        }
+        return { title, rows, rowCount: range.e.r + 1, columnCount: range.e.c + 1 };
+    });
+}
+
+/**
+ * Converts a typed value to a SheetJS cell
+ * Strings starting with '=' become formulas, as they would when written to a tab.
+ * @param {any} value - Cell value (string, number, boolean or Date)
+ * @param {string} [pattern] - Excel number format code for the column
+ * @returns {{cell: any, text: string}|null} Cell plus the text it roughly displays (for sizing), or null for blank cells
+ */
+function toXlsxCell(value, pattern) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (value instanceof Date) {
+        const serial = (value.getTime() - EXCEL_EPOCH_MS) / MS_PER_DAY;
+        const z = pattern || (Number.isInteger(serial) ? NUMBER_FORMATS.date.pattern : NUMBER_FORMATS.datetime.pattern);
+        return { cell: { t: 'n', v: serial, z }, text: /** @type {string} */ (z) };
+    }
+    if (typeof value === 'number') {
+        return { cell: { t: 'n', v: value, ...(pattern && { z: pattern }) }, text: String(value) };
+    }
+    if (typeof value === 'boolean') {
+        return { cell: { t: 'b', v: value }, text: value ? 'TRUE' : 'FALSE' };
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.length > 1 && text.startsWith('=')) {
+        return { cell: { t: 'n', f: text.slice(1) }, text: '' };
+    }
+    return { cell: { t: 's', v: text, ...(pattern && { z: pattern }) }, text };
+}
+
+/**
+ * Builds a worksheet from typed rows, with a filter on the header row, column widths and number formats
+ * Header styling is added to the written file by styleHeaders, since SheetJS's community build writes no fonts or fills.
+ * @param {string[]} headers - Column names, in order
+ * @param {Record<string, any>[]} rows - Typed row objects keyed by header
+ * @param {import('./index.d.ts').WriteXlsxOptions} [options={}] - Number formats, column widths and header filter
+ * @returns {any} SheetJS worksheet
+ * @example
+ * toWorksheet(['sku', 'price'], [{ sku: 'A-1', price: 9.5 }], { numberFormats: { price: 'currency' } });
+ * // { A1: { t: 's', v: 'sku' }, ..., B2: { t: 'n', v: 9.5, z: '"$"#,##0.00' }, '!ref': 'A1:B2', '!cols': [...] }
+ */
+export function toWorksheet(headers, rows, options = {}) {
+    const { numberFormats = {}, columnWidths = 'auto', filter = true } = options;
+    const patterns = headers.map(header => {
+        const format = numberFormats[header];
+        if (!format) return undefined;
+        if (format === 'text') return '@';
+        return NUMBER_FORMATS[format]?.pattern ?? format;
+    });
+
+    /** @type {Record<string, any>} */
+    const worksheet = {};
+    const widths = headers.map(header => String(header).length);
+    headers.forEach((header, c) => {
+        worksheet[xlsx.utils.encode_cell({ r: 0, c })] = { t: 's', v: String(header) };
+    });
+    rows.forEach((row, index) => {
+        headers.forEach((header, c) => {
+            const converted = toXlsxCell(row[header], patterns[c]);
+            if (!converted) return;
+            worksheet[xlsx.utils.encode_cell({ r: index + 1, c })] = converted.cell;
+            widths[c] = Math.max(widths[c], converted.text.length);
+        });
+    });
+
+    const lastColumn = Math.max(headers.length - 1, 0);
+    worksheet['!ref'] = xlsx.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: lastColumn } });
+    if (filter && headers.length > 0) {
+        worksheet['!autofilter'] = { ref: worksheet['!ref'] };
+    }
+    if (columnWidths) {
+        worksheet['!cols'] = headers.map((header, c) => ({
+            wch: typeof columnWidths === 'object' && columnWidths[header] !== undefined
+                ? columnWidths[header]
+                : Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, widths[c] + 2))
+        }));
+    }
+    return worksheet;
+}
+
+/**
+ * Appends an entry to a styles.xml collection, returning the new entry's index
+ * The index comes from the entries actually there, since the count attribute is optional.
+ * @param {string} xml - styles.xml content
+ * @param {string} tag - Collection tag ('fonts', 'fills' or 'cellXfs')
+ * @param {string} entryTag - Tag of the collection's entries ('font', 'fill' or 'xf')
+ * @param {string} entry - Entry XML
+ * @returns {{xml: string, index: number}} Updated XML and the entry's index
+ */
+function appendStyle(xml, tag, entryTag, entry) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`);
+    const match = xml.match(pattern);
+    if (!match) throw new Error(`Workbook styles have no ${tag} section`);
+    const entries = match[2] || '';
+    const index = (entries.match(new RegExp(`<${entryTag}\\b`, 'g')) || []).length;
+    const attributes = match[1].replace(/\s+count="\d*"/, '');
+    return { xml: xml.replace(pattern, () => `<${tag} count="${index + 1}"${attributes}>${entries}${entry}</${tag}>`), index };
+}
+
+/**
+ * Points every cell in a worksheet's first row at a cell format
+ * @param {string} xml - Worksheet XML
+ * @param {number} xfIndex - Index into cellXfs
+ * @returns {string} Updated worksheet XML
+ */
+function styleFirstRow(xml, xfIndex) {
+    // An empty, self-closing first row has no cells to style
+    return xml.replace(/<row\b(?=[^>]*\br="1")[^>]*(?<!\/)>[\s\S]*?<\/row>/, row =>
+        row.replace(/<c\b([^>]*?)(\/?)>/g, (_, attributes, selfClosing) =>
+            `<c${attributes.replace(/\s+s="\d*"/, '')} s="${xfIndex}"${selfClosing}>`));
+}
+
+/**
+ * Freezes a worksheet's first row, replacing any pane and selections the first sheet view had
+ * @param {string} xml - Worksheet XML
+ * @returns {string} Updated worksheet XML
+ */
+function freezeFirstRow(xml) {
+    const view = /<sheetView\b([^>]*?)(?:\/>|>([\s\S]*?)<\/sheetView>)/;
+    if (view.test(xml)) {
+        return xml.replace(view, (_, attributes, content = '') => {
+            const rest = content.replace(/<pane\b[^>]*\/>|<selection\b[^>]*\/>/g, '');
+            return `<sheetView${attributes}>${FROZEN_HEADER_PANE}${rest}</sheetView>`;
+        });
+    }
+    // sheetViews comes before the sheet's format, columns and data
+    return xml.replace(/<(sheetFormatPr|cols|sheetData)\b/,
+        match => `<sheetViews><sheetView workbookViewId="0">${FROZEN_HEADER_PANE}</sheetView></sheetViews>${match}`);
+}
+
+/**
+ * Styles the header row of every worksheet in a written .xlsx file
+ * SheetJS's community build writes no fonts, fills or panes, so they are patched into the file's XML:
+ * header cells get bold text on a light blue fill, and 'bold-frozen' also freezes the first row.
+ * @param {Buffer} buffer - .xlsx file written by SheetJS
+ * @param {'bold'|'bold-frozen'} header - Header style
+ * @returns {Buffer} Styled .xlsx file
+ * @example
+ * styleHeaders(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'bold-frozen');
+ */
+export function styleHeaders(buffer, header) {
+    const zip = xlsx.CFB.read(buffer, { type: 'buffer' });
+    /** @param {any} entry */
+    const text = (entry) => Buffer.from(entry.content).toString('utf8');
+
+    const styles = xlsx.CFB.find(zip, '/xl/styles.xml');
+    const font = appendStyle(text(styles), 'fonts', 'font', HEADER_FONT);
+    const fill = appendStyle(font.xml, 'fills', 'fill', HEADER_FILL);
+    const xf = appendStyle(fill.xml, 'cellXfs', 'xf',
+        `<xf numFmtId="0" fontId="${font.index}" fillId="${fill.index}" borderId="0" xfId="0" applyFont="1" applyFill="1"/>`);
+    styles.content = Buffer.from(xf.xml, 'utf8');
+
+    for (const path of zip.FullPaths) {
+        if (!/\/xl\/worksheets\/sheet\d+\.xml$/.test(path)) continue;
+        const sheet = xlsx.CFB.find(zip, path.slice(path.indexOf('/')));
+        let xml = styleFirstRow(text(sheet), xf.index);
+        if (header === 'bold-frozen') {
+            xml = freezeFirstRow(xml);
+        }
+        sheet.content = Buffer.from(xml, 'utf8');
+    }
+
+    return /** @type {Buffer} */ (xlsx.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true }));
+}
@@ -13,8 +13,28 @@ import {
 	getRange,
 	writeToRange,
 	addTab,
-	listTabs
+	listTabs,
+	createSheetsClient,
+	createFakeTransport,
+	createRecordingTransport,
+	writeXlsxFile
 } from '../src/index.js';
+import { parseA1, formatA1, tabRange, columnToLetter, letterToColumn } from '../src/a1.js';
+import { styleHeaders } from '../src/workbook.js';
+import { tmpdir } from 'os';
+import { writeFileSync, readFileSync, readdirSync } from 'fs';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import { join } from 'path';
+import pino from 'pino';
+import xlsx from 'xlsx';
+
+// Standalone client on its own in-memory backend, for tests that need isolated state
+const makeFakeClient = (config = {}) => {
+	const transport = createFakeTransport();
+	const client = createSheetsClient({ transport, logger: pino({ level: 'silent' }), maxRetries: 0, ...config });
+	return { client, transport };
+};
 
 describe('ak-sheets Streamlined Integration Tests', () => {
 	let testSpreadsheetId = null; // Single sheet for most tests
@@ -50,10 +70,7 @@ describe('ak-sheets Streamlined Integration Tests', () => {
 
 			await expect(async () => {
 				await initSheets({
-					credentials: global.testConfig.credentialsFile,
-					environment: 'test',
-					maxRetries: 3, // Reduced for faster tests
-					maxBackoffMs: 10000, // Reduced for faster tests
+					...global.testConfig.sheetsConfig,
 					validateAuth: false // Skip auth validation to avoid duplicate API calls
 				});
 			}).not.toThrow();
@@ -202,6 +219,1434 @@ describe('ak-sheets Streamlined Integration Tests', () => {
 		});
 	});
 
+	describe('Client Instances (Unit Tests)', () => {
+		it('should reject operations on an uninitialized client', async () => {
+			const client = createSheetsClient();
+			await expect(client.getSheet('abc')).rejects.toThrow('not initialized');
+
+			// batch() builds synchronously, so its error arrives when the batch is sent
+			const pending = client.batch('abc').addTab('Users');
+			await expect(pending.dryRun()).rejects.toThrow('not initialized');
+			await expect(pending.commit()).rejects.toThrow('not initialized');
+		});
+
+		it('should keep settings isolated per client', () => {
+			const loggerA = pino({ level: 'silent' });
+			const loggerB = pino({ level: 'silent' });
+			const clientA = createSheetsClient({ credentials: { type: 'service_account' }, logger: loggerA });
+			const clientB = createSheetsClient({ credentials: { type: 'service_account' }, logger: loggerB });
+
+			expect(clientA.logger).toBe(loggerA);
+			expect(clientB.logger).toBe(loggerB);
+			expect(clientA.getSheet).not.toBe(clientB.getSheet);
+			expect(clientA.getURL('test123')).toBe('https://docs.google.com/spreadsheets/d/test123');
+		});
+
+		it('should drop the previous retry and schema settings when re-initialized', async () => {
+			const schema = { columns: { id: { type: 'number' } } };
+			const client = createSheetsClient({
+				transport: createFakeTransport(),
+				logger: pino({ level: 'silent' }),
+				maxRetries: 0,
+				schemas: { Users: schema }
+			});
+
+			const transport = createFakeTransport();
+			client.init({ transport, logger: pino({ level: 'silent' }), maxBackoffMs: 1 });
+			const id = await client.createSheet('Reinit', ['Users']);
+			await client.writeToSheet(id, [{ id: 'abc' }], 'Users');
+			expect(await client.getSheet(id, 'Users')).toEqual([{ id: 'abc' }]);
+
+			// The default retry count applies again, so two server errors are retried
+			const get = transport.sheets.spreadsheets.get;
+			let failures = 2;
+			transport.sheets.spreadsheets.get = (params) => failures-- > 0
+				? Promise.reject(Object.assign(new Error('Backend Error'), { code: 503 }))
+				: get(params);
+			await expect(client.getSheetInfo(id)).resolves.toMatchObject({ properties: { title: 'Reinit' } });
+		});
+	});
+
+	describe('Fake Backend (Unit Tests)', () => {
+		it('should convert between A1 notation and grid coordinates', () => {
+			expect(columnToLetter(0)).toBe('A');
+			expect(columnToLetter(701)).toBe('ZZ');
+			expect(letterToColumn('AA')).toBe(26);
+			expect(parseA1("'My Tab'!B2:D")).toEqual({ tab: 'My Tab', startRow: 1, endRow: null, startColumn: 1, endColumn: 4 });
+			expect(formatA1({ tab: 'Users', startRow: 0, endRow: 10, startColumn: 0, endColumn: 3 })).toBe('Users!A1:C10');
+			expect(formatA1({ tab: 'Q1' })).toBe('Q1!A:ZZZ');
+			expect(tabRange('My Tab')).toBe("'My Tab'!A:ZZZ");
+		});
+
+		it('should read tabs named like cells as tabs, never as cells', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Quarters', ['Summary', 'Q1']);
+			await client.writeToSheet(id, [{ region: 'EU', revenue: 100 }, { region: 'US', revenue: 250 }], 'Q1');
+
+			// Like the API, the fake reads a bare 'Q1' as cell Q1 of the first tab
+			const bare = await transport.sheets.spreadsheets.values.get({ spreadsheetId: id, range: 'Q1' });
+			expect(bare.data.range).toBe('Summary!Q1:Q1');
+
+			transport.calls.length = 0;
+			await client.setFilter(id, 'Q1', { filters: { region: ['EU'] } });
+			await client.addPivotTable(id, 'Q1', 'Q1 by region', { rows: ['region'], values: ['revenue'] });
+			expect(await client.getValidation(id, 'Q1')).toEqual([]);
+
+			const ranges = transport.calls
+				.filter(call => call.method === 'sheets.spreadsheets.values.get' || call.method === 'sheets.spreadsheets.get')
+				.flatMap(call => call.params.range ?? call.params.ranges ?? []);
+			expect(ranges).toEqual(['Q1!A:ZZZ', 'Q1!A:ZZZ', 'Q1!A:ZZZ']);
+		});
+
+		it('should apply batchUpdate requests atomically', async () => {
+			const transport = createFakeTransport();
+			const client = createSheetsClient({ transport, logger: pino({ level: 'silent' }) });
+			const id = await client.createSheet('Atomic', ['One']);
+
+			await expect(transport.sheets.spreadsheets.batchUpdate({
+				spreadsheetId: id,
+				resource: { requests: [{ addSheet: { properties: { title: 'Two' } } }, { deleteSheet: { sheetId: 999 } }] }
+			})).rejects.toThrow('No grid with id');
+
+			const tabs = await client.listTabs(id);
+			expect(tabs.map(tab => tab.title)).toEqual(['One']);
+		});
+
+		it('should reject writes beyond the grid like the real API', async () => {
+			const transport = createFakeTransport();
+			const client = createSheetsClient({ transport, logger: pino({ level: 'silent' }), maxRetries: 0 });
+			const id = await client.createSheet('Grid');
+
+			const wide = [Array.from({ length: 30 }, (_, i) => `col${i}`)];
+			await expect(transport.sheets.spreadsheets.values.update({
+				spreadsheetId: id,
+				range: 'A1',
+				valueInputOption: 'RAW',
+				resource: { values: wide }
+			})).rejects.toThrow('exceeds grid limits');
+		});
+	});
+
+	describe('Grid Bounds (Unit Tests)', () => {
+		it('should grow the grid to fit writes and read and clear all of it', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Wide', ['Data']);
+
+			const headers = Array.from({ length: 800 }, (_, i) => `col${i}`);
+			await client.writeToSheet(id, [headers, headers.map((_, i) => i)], 'Data');
+			await client.writeToRange(id, 'A1200', [['far']], 'Data');
+
+			const [{ properties }] = (await client.getSheetInfo(id)).sheets;
+			expect(properties.gridProperties).toMatchObject({ rowCount: 1200, columnCount: 800 });
+			const growths = transport.calls
+				.filter(call => call.method === 'sheets.spreadsheets.batchUpdate')
+				.flatMap(call => call.params.resource.requests.filter(request => request.appendDimension));
+			expect(growths.map(request => request.appendDimension.dimension)).toEqual(['COLUMNS', 'ROWS']);
+
+			const [row] = await client.getSheet(id, 'Data');
+			expect(row.col799).toBe('799');
+
+			await client.clearSheet(id, 'Data');
+			expect(await client.getSheet(id, 'Data', 'array')).toEqual([]);
+		});
+
+		it('should look up grid sizes once per write and not at all on cached reads', async () => {
+			const { client, transport } = makeFakeClient({ cache: true, cacheDir: join(tmpdir(), `ak-sheets-cache-${Date.now()}`) });
+			const id = await client.createSheet('Cached', ['Data']);
+			/** @param {() => Promise<any>} action */
+			const lookups = async (action) => {
+				const before = transport.calls.length;
+				await action();
+				return transport.calls.slice(before).filter(call => call.method === 'sheets.spreadsheets.get').length;
+			};
+
+			const wide = [Array.from({ length: 30 }, (_, i) => `c${i}`), Array.from({ length: 30 }, (_, i) => i)];
+			expect(await lookups(() => client.writeToSheet(id, wide, 'Data'))).toBe(1);
+
+			expect(await lookups(() => client.getSheet(id, 'Data'))).toBe(1);
+			const callsBefore = transport.calls.length;
+			const [row] = await client.getSheet(id, 'Data');
+			expect(row.c29).toBe('29');
+			expect(transport.calls.length).toBe(callsBefore);
+
+			expect(await lookups(() => client.updateSheet(id, [Array.from({ length: 40 }, (_, i) => `c${i}`)], 'Data'))).toBe(1);
+			const [{ properties }] = (await client.getSheetInfo(id)).sheets;
+			expect(properties.gridProperties.columnCount).toBe(40);
+		});
+	});
+
+	describe('Chunked Writes (Unit Tests)', () => {
+		it('should split large writes into chunks and report progress', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Chunks', ['Events']);
+			const rows = [['id', 'name'], ...Array.from({ length: 7 }, (_, i) => [i + 1, `event ${i + 1}`])];
+			const progress = [];
+
+			const result = await client.writeToSheet(id, rows, 'Events', {
+				chunkSize: 3,
+				concurrency: 2,
+				onProgress: (update) => progress.push(update)
+			});
+
+			expect(result).toMatchObject({ updatedRows: 8, updatedCells: 16, updatedRange: 'Events!A1:B8' });
+			expect(transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.update')).toHaveLength(3);
+			expect(progress.map(update => update.rowsWritten)).toEqual([3, 6, 8]);
+			expect(progress[2]).toMatchObject({ tab: 'Events', totalRows: 8, chunkCount: 3 });
+
+			await client.appendToSheet(id, [{ id: 8, name: 'event 8' }, { id: 9, name: 'event 9' }], 'Events', { chunkSize: 1 });
+			const ids = (await client.getSheet(id, 'Events')).map(row => row.id);
+			expect(ids).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+		});
+
+		it('should reject writes over the spreadsheet cell limit before sending them', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Too Wide');
+			const wide = [Array.from({ length: 20000 }, (_, i) => `c${i}`)];
+
+			await expect(client.writeToSheet(id, wide)).rejects.toMatchObject({
+				name: 'CellLimitError',
+				message: expect.stringContaining('over the Google Sheets limit of 10,000,000')
+			});
+			await expect(client.writeToSheetTabs(id, { Wide: wide })).rejects.toThrow('Nothing was written');
+			expect(transport.calls.map(call => call.method)).not.toContain('sheets.spreadsheets.values.update');
+			expect((await client.listTabs(id)).map(tab => tab.title)).toEqual(['Sheet1']);
+		});
+
+		it('should not create a missing tab for a write over the cell limit', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Too Wide');
+			const wide = [Array.from({ length: 20000 }, (_, i) => `c${i}`)];
+
+			await expect(client.writeToSheet(id, wide, 'Wide')).rejects.toMatchObject({ name: 'CellLimitError' });
+			const requests = transport.calls
+				.filter(call => call.method === 'sheets.spreadsheets.batchUpdate')
+				.flatMap(call => call.params.resource.requests);
+			expect(requests.filter(request => request.addSheet)).toEqual([]);
+			expect((await client.listTabs(id)).map(tab => tab.title)).toEqual(['Sheet1']);
+		});
+	});
+
+	describe('Streaming Reads (Unit Tests)', () => {
+		it('should page through a tab and yield typed rows', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Stream', ['Events']);
+			await client.writeToSheet(id, [['id', 'amount'], ...Array.from({ length: 7 }, (_, i) => [i + 1, (i + 1) * 10])], 'Events');
+			const callsBefore = transport.calls.length;
+
+			const rows = [];
+			for await (const row of client.streamSheet(id, 'Events', { batchSize: 3, coerce: true })) {
+				rows.push(row);
+			}
+
+			expect(rows).toHaveLength(7);
+			expect(rows[6]).toEqual({ id: 7, amount: 70 });
+			const ranges = transport.calls.slice(callsBefore)
+				.filter(call => call.method === 'sheets.spreadsheets.values.get')
+				.map(call => call.params.range);
+			expect(ranges.slice(0, 5)).toEqual(['Events!A1:Z1', 'Events!A2:Z4', 'Events!A5:Z7', 'Events!A8:Z10', 'Events!A11:Z13']);
+			expect(ranges.at(-1)).toBe('Events!A998:Z1000');
+		});
+
+		it('should keep reading past blank stretches longer than a batch', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Sparse', ['Events']);
+			await client.writeToSheet(id, [['id', 'note'], [1, 'a'], [2, 'b']], 'Events');
+			await client.writeToRange(id, 'A12', [[3, 'c']], 'Events');
+			await client.writeToRange(id, 'A990', [[4, 'd']], 'Events');
+
+			const rows = await client.streamSheet(id, 'Events', { batchSize: 3 }).toArray();
+			expect(rows.filter(row => row.id !== '')).toEqual([
+				{ id: '1', note: 'a' }, { id: '2', note: 'b' }, { id: '3', note: 'c' }, { id: '4', note: 'd' }
+			]);
+			expect(rows).toEqual(await client.getSheet(id, 'Events'));
+		});
+
+		it('should work as an object-mode Readable', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Stream Pipe');
+			await client.writeToSheet(id, [['name'], ['a'], ['b']]);
+
+			const stream = client.streamSheet(id);
+			expect(stream.readableObjectMode).toBe(true);
+			expect(await stream.toArray()).toEqual([{ name: 'a' }, { name: 'b' }]);
+		});
+	});
+
+	describe('Streaming Writes (Unit Tests)', () => {
+		it('should append piped rows in batches under the tab header', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Write Stream');
+			const progress = [];
+
+			const rows = Array.from({ length: 5 }, (_, i) => ({ id: i + 1, name: `row ${i + 1}` }));
+			await pipeline(
+				Readable.from(rows),
+				client.createSheetWriteStream(id, 'Events', { batchSize: 2, onProgress: (update) => progress.push(update.rowsWritten) })
+			);
+
+			expect(progress).toEqual([1, 3, 5]);
+			expect(transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.append')).toHaveLength(3);
+			expect(await client.getSheet(id, 'Events', 'array')).toEqual([
+				['id', 'name'], ['1', 'row 1'], ['2', 'row 2'], ['3', 'row 3'], ['4', 'row 4'], ['5', 'row 5']
+			]);
+		});
+
+		it('should import CSV and JSON Lines files by column name', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Import', ['Orders']);
+			await client.writeToSheet(id, [['sku', 'qty']], 'Orders');
+
+			const csvPath = join(tmpdir(), `ak-sheets-import-${Date.now()}.csv`);
+			const jsonlPath = join(tmpdir(), `ak-sheets-import-${Date.now()}.jsonl`);
+			writeFileSync(csvPath, 'qty,sku\n2,A-1\n\n5,B-2\n');
+			writeFileSync(jsonlPath, '{"sku":"C-3","qty":1}\n{"sku":"D-4","qty":7}\n');
+
+			expect(await client.importCsvFile(id, csvPath, 'Orders', { batchSize: 1 })).toEqual({ rowsWritten: 2 });
+			expect(await client.importCsvFile(id, jsonlPath, 'Orders')).toEqual({ rowsWritten: 2 });
+
+			const rows = await client.getSheet(id, 'Orders');
+			expect(rows).toEqual([
+				{ sku: 'A-1', qty: '2' },
+				{ sku: 'B-2', qty: '5' },
+				{ sku: 'C-3', qty: '1' },
+				{ sku: 'D-4', qty: '7' }
+			]);
+		});
+	});
+
+	describe('Record/Replay (Unit Tests)', () => {
+		it('should replay recorded responses, including quota errors', async () => {
+			const fixture = join(tmpdir(), `ak-sheets-fixture-${Date.now()}.json`);
+			const fake = createFakeTransport();
+			let quotaErrorSent = false;
+
+			// Fail the first read with a quota error so the retry is captured too
+			const flaky = {
+				drive: fake.drive,
+				sheets: {
+					spreadsheets: {
+						...fake.sheets.spreadsheets,
+						values: {
+							...fake.sheets.spreadsheets.values,
+							get: async (params) => {
+								if (!quotaErrorSent) {
+									quotaErrorSent = true;
+									throw Object.assign(new Error('Quota exceeded for quota metric'), { code: 429 });
+								}
+								return fake.sheets.spreadsheets.values.get(params);
+							}
+						}
+					}
+				}
+			};
+
+			const silent = pino({ level: 'silent' });
+			const recording = createSheetsClient({ transport: flaky, recorder: { mode: 'record', fixture }, logger: silent, maxBackoffMs: 10 });
+			const id = await recording.createSheet('Recorded');
+			await recording.writeToSheet(id, [{ name: 'Alice', score: 95 }]);
+			const recorded = await recording.getSheet(id);
+
+			const replaying = createSheetsClient({ recorder: { mode: 'replay', fixture }, logger: silent });
+			expect(await replaying.createSheet('Recorded')).toBe(id);
+			await replaying.writeToSheet(id, [{ name: 'Alice', score: 95 }]);
+			expect(await replaying.getSheet(id)).toEqual(recorded);
+
+			await expect(replaying.getSheet(id, 'Other')).rejects.toThrow('Unmatched request');
+		});
+
+		it('should keep the fixture complete after every recorded call', async () => {
+			const dir = join(tmpdir(), `ak-sheets-fixtures-${Date.now()}`);
+			const fixture = join(dir, 'atomic.json');
+			const recorded = createRecordingTransport(createFakeTransport(), { fixture });
+			const client = createSheetsClient({ transport: recorded, logger: pino({ level: 'silent' }) });
+
+			const id = await client.createSheet('Atomic');
+			for (let i = 1; i <= 3; i++) {
+				await client.appendToSheet(id, [{ n: i }]);
+				const { interactions } = JSON.parse(readFileSync(fixture, 'utf-8'));
+				expect(interactions.length).toBeGreaterThan(i);
+				expect(readdirSync(dir)).toEqual(['atomic.json']);
+			}
+		});
+	});
+
+	describe('Upsert (Unit Tests)', () => {
+		it('should upsert rows by key and report counts', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Upsert', ['Users']);
+			await client.writeToSheet(id, [
+				{ user_id: 1, name: 'Alice', plan: 'free' },
+				{ user_id: 2, name: 'Bob', plan: 'free' },
+				{ user_id: 3, name: 'Cara', plan: 'pro' }
+			], 'Users');
+
+			const result = await client.updateSheet(id, [
+				{ user_id: 2, plan: 'pro' },
+				{ user_id: 3, name: 'Cara', plan: 'pro' },
+				{ user_id: 4, name: 'Dan', plan: 'free', region: 'EU' }
+			], 'Users', { key: 'user_id', deleteMissing: true });
+
+			expect(result).toMatchObject({ inserted: 1, updated: 1, deleted: 1 });
+
+			const rows = await client.getSheet(id, 'Users');
+			expect(rows).toEqual([
+				{ user_id: '2', name: 'Bob', plan: 'pro', region: '' },
+				{ user_id: '3', name: 'Cara', plan: 'pro', region: '' },
+				{ user_id: '4', name: 'Dan', plan: 'free', region: 'EU' }
+			]);
+		});
+
+		it('should write only changed cells and new rows, and delete missing rows', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Upsert', ['Users']);
+			await client.writeToSheet(id, [
+				['user_id', 'plan', 'seats', 'total'],
+				[1, 'free', 1, '=ROW()*10'],
+				[2, 'free', 2, '=ROW()*10'],
+				[3, 'pro', 5, '=ROW()*10'],
+				[4, 'pro', 9, '=ROW()*10']
+			], 'Users');
+			transport.calls.length = 0;
+
+			const result = await client.updateSheet(id, [
+				{ user_id: 2, plan: 'pro', seats: 3 },
+				{ user_id: 3, plan: 'pro' },
+				{ user_id: 5, plan: 'free', seats: 1, region: 'EU' }
+			], 'Users', { key: 'user_id', deleteMissing: true });
+			expect(result).toMatchObject({ inserted: 1, updated: 1, deleted: 2 });
+
+			const writes = transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.batchUpdate');
+			expect(writes).toHaveLength(1);
+			expect(writes[0].params.resource.data).toEqual([
+				{ range: 'Users!E1:E1', values: [['region']] },
+				{ range: 'Users!B3:C3', values: [['pro', '3']] }
+			]);
+			expect(transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.update').map(call => call.params.range)).toEqual(['Users!A6']);
+
+			const [deletes] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			expect(deletes.params.resource.requests.map((/** @type {any} */ request) => request.deleteDimension.range))
+				.toEqual([{ sheetId: expect.any(Number), dimension: 'ROWS', startIndex: 4, endIndex: 5 }, { sheetId: expect.any(Number), dimension: 'ROWS', startIndex: 1, endIndex: 2 }]);
+
+			// Untouched formulas are never rewritten as the values they displayed
+			expect(await client.getSheet(id, 'Users', 'array', false, { valueRenderOption: 'FORMULA' })).toEqual([
+				['user_id', 'plan', 'seats', 'total', 'region'],
+				[2, 'pro', 3, '=ROW()*10'],
+				[3, 'pro', 5, '=ROW()*10'],
+				[5, 'free', 1, '', 'EU']
+			]);
+		});
+
+		it('should match on composite keys and reject unknown key columns', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Composite', ['Daily']);
+			await client.writeToSheet(id, [
+				{ date: '2024-01-01', region: 'US', revenue: 10 },
+				{ date: '2024-01-01', region: 'EU', revenue: 20 }
+			], 'Daily');
+
+			const result = await client.updateSheet(id, [{ date: '2024-01-01', region: 'EU', revenue: 25 }], 'Daily', { key: ['date', 'region'] });
+			expect(result).toMatchObject({ inserted: 0, updated: 1, deleted: 0 });
+
+			await expect(client.updateSheet(id, [{ id: 1 }], 'Daily', { key: 'missing' })).rejects.toThrow('Key column(s) not found: missing');
+		});
+	});
+
+	describe('Typed Reads (Unit Tests)', () => {
+		it('should keep zero and false values instead of blanking them', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Falsy');
+			await client.writeToSheet(id, [['name', 'score', 'active'], ['Zed', 0, false]]);
+
+			const rows = await client.getSheet(id);
+			expect(rows[0]).toEqual({ name: 'Zed', score: '0', active: 'FALSE' });
+		});
+
+		it('should keep zero and false values when appending and updating object rows', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Falsy');
+			await client.writeToSheet(id, [['n', 'ok'], [1, true], [2, true]]);
+
+			await client.appendToSheet(id, [{ n: 0, ok: false }]);
+			expect(await client.getSheet(id, undefined, 'array')).toEqual([['n', 'ok'], ['1', 'TRUE'], ['2', 'TRUE'], ['0', 'FALSE']]);
+
+			await client.updateSheet(id, [{ n: 0, ok: false }]);
+			expect((await client.getSheet(id))[0]).toEqual({ n: '0', ok: 'FALSE' });
+		});
+
+		it('should coerce values automatically or by column type', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Typed');
+			await client.writeToSheet(id, [
+				['name', 'age', 'active', 'joined', 'zip', 'note'],
+				['John', '30', 'TRUE', '2024-03-01', "'02134", '']
+			]);
+
+			const [auto] = await client.getSheet(id, undefined, 'json', false, { coerce: true });
+			expect(auto).toEqual({ name: 'John', age: 30, active: true, joined: new Date('2024-03-01'), zip: '02134', note: null });
+
+			const [typed] = await client.getSheet(id, undefined, 'json', false, {
+				valueRenderOption: 'UNFORMATTED',
+				types: { zip: 'number', age: 'string' }
+			});
+			expect(typed.zip).toBe(2134);
+			expect(typed.age).toBe('30');
+			expect(typed.active).toBe(true);
+		});
+	});
+
+	describe('Schemas (Unit Tests)', () => {
+		const usersSchema = {
+			columns: {
+				user_id: { type: 'number', required: true, nullable: false },
+				plan: { enum: ['free', 'pro'] },
+				email: { pattern: /^[^@\s]+@[^@\s]+$/ }
+			}
+		};
+
+		it('should reject invalid writes before sending anything', async () => {
+			const { client, transport } = makeFakeClient({ schemas: { Users: usersSchema } });
+			const id = await client.createSheet('Schema', ['Users']);
+			const callsBefore = transport.calls.length;
+
+			const write = client.writeToSheet(id, [
+				{ user_id: 1, plan: 'free', email: 'a@example.com' },
+				{ user_id: 'two', plan: 'gold', email: 'nope' },
+				{ user_id: '', plan: 'pro', email: 'c@example.com' },
+				{ user_id: '   ', plan: 'pro', email: 'd@example.com' }
+			], 'Users');
+
+			await expect(write).rejects.toMatchObject({
+				name: 'SchemaValidationError',
+				errors: [
+					{ row: 3, column: 'user_id', value: 'two', message: 'expected number' },
+					{ row: 3, column: 'plan', value: 'gold', message: 'must be one of: free, pro' },
+					{ row: 3, column: 'email', value: 'nope', message: expect.stringContaining('does not match pattern') },
+					{ row: 4, column: 'user_id', value: '', message: 'must not be empty' },
+					{ row: 5, column: 'user_id', value: '   ', message: 'must not be empty' }
+				]
+			});
+			expect(transport.calls.length).toBe(callsBefore);
+
+			await expect(client.appendToSheet(id, [[5, 'gold', 'e@example.com']], 'Users', { validate: false })).resolves.toBeDefined();
+		});
+
+		it('should coerce and validate on read', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Schema Read', ['Users']);
+			await client.writeToSheet(id, [
+				{ user_id: 1, plan: 'free', email: 'a@example.com' },
+				{ user_id: 2, plan: 'gold', email: 'b@example.com' }
+			], 'Users');
+
+			await expect(client.getSheet(id, 'Users', 'json', false, { schema: usersSchema })).rejects.toThrow("Schema validation failed for read from 'Users': row 3, plan");
+
+			client.defineSchema('Users', usersSchema);
+			const rows = await client.getSheet(id, 'Users', 'json', false, { onInvalid: 'skip' });
+			expect(rows).toEqual([{ user_id: 1, plan: 'free', email: 'a@example.com' }]);
+
+			const { errors } = await client.validateSheet(id, 'Users');
+			expect(errors).toEqual([{ row: 3, column: 'plan', value: 'gold', message: 'must be one of: free, pro' }]);
+
+			await expect(client.validateSheet(id, 'Users', { schema: { columns: { country: { required: true } } } }))
+				.resolves.toMatchObject({ errors: [{ row: 1, column: 'country', message: 'required column is missing' }] });
+		});
+	});
+
+	describe('Batch Builder (Unit Tests)', () => {
+		it('should send tab, format and value changes in one batchUpdate and one values.batchUpdate', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Batch', ['Raw']);
+			const callsBefore = transport.calls.length;
+
+			const result = await client.batch(id)
+				.addTab('Users', { rowCount: 2, columnCount: 2 })
+				.write('Users!A1', [['name', 'age', 'plan'], ['Ann', 31, 'pro'], ['Bo', 40, 'free']])
+				.format('Users!A1:C1', { bold: true })
+				.freeze('Users', { rows: 1 })
+				.renameTab('Raw', 'Archive')
+				.write('Archive!B2', 'kept')
+				.commit();
+
+			const methods = transport.calls.slice(callsBefore).map(call => call.method);
+			expect(methods.filter(method => method === 'sheets.spreadsheets.batchUpdate')).toHaveLength(1);
+			expect(methods.filter(method => method === 'sheets.spreadsheets.values.batchUpdate')).toHaveLength(1);
+			expect(result.updatedCells).toBe(10);
+
+			expect(await client.getSheet(id, 'Users')).toEqual([{ name: 'Ann', age: '31', plan: 'pro' }, { name: 'Bo', age: '40', plan: 'free' }]);
+			expect(await client.getRange(id, 'B2', 'Archive', 'array')).toEqual([['kept']]);
+		});
+
+		it('should return payloads from dryRun and reject unknown tabs before sending', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Batch Dry Run', ['Data']);
+			const callsBefore = transport.calls.length;
+
+			const plan = await client.batch(id)
+				.duplicateTab('Data', 'Copy')
+				.resizeColumns('Copy!A:B', 120)
+				.clear('Copy!A2:B')
+				.dryRun();
+
+			const [{ properties }] = (await client.getSheetInfo(id)).sheets;
+			const copyId = plan.batchUpdate.resource.requests[0].duplicateSheet.newSheetId;
+			expect(plan.batchUpdate.resource.requests).toEqual([
+				{ duplicateSheet: { sourceSheetId: properties.sheetId, newSheetId: copyId, newSheetName: 'Copy' } },
+				{ updateDimensionProperties: { range: { sheetId: copyId, dimension: 'COLUMNS', startIndex: 0, endIndex: 2 }, properties: { pixelSize: 120 }, fields: 'pixelSize' } },
+				{ updateCells: { range: { sheetId: copyId, startRowIndex: 1, startColumnIndex: 0, endColumnIndex: 2 }, fields: 'userEnteredValue' } }
+			]);
+			expect(plan.valuesBatchUpdate).toBeNull();
+			expect(transport.calls.slice(callsBefore).map(call => call.method)).not.toContain('sheets.spreadsheets.batchUpdate');
+
+			await expect(client.batch(id).addTab('New').deleteTab('Missing').commit()).rejects.toThrow("Tab 'Missing' not found in spreadsheet");
+			expect((await client.listTabs(id)).map(tab => tab.title)).toEqual(['Data']);
+		});
+	});
+
+	describe('Formatting (Unit Tests)', () => {
+		it('should turn a cell style into a repeatCell with a field mask plus borders', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Format', ['Report']);
+
+			await client.formatRange(id, 'A1:C1', 'Report', {
+				bold: true,
+				background: '#FF0000',
+				numberFormat: 'currency',
+				align: 'center',
+				wrap: true,
+				borders: { style: 'DASHED', inner: false }
+			});
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			const [repeatCell, updateBorders] = params.resource.requests;
+			expect(repeatCell.repeatCell).toEqual({
+				range: { sheetId: expect.any(Number), startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 3 },
+				cell: {
+					userEnteredFormat: {
+						textFormat: { bold: true },
+						backgroundColor: { red: 1, green: 0, blue: 0 },
+						numberFormat: { type: 'CURRENCY', pattern: '"$"#,##0.00' },
+						horizontalAlignment: 'CENTER',
+						wrapStrategy: 'WRAP'
+					}
+				},
+				fields: 'userEnteredFormat.textFormat.bold,userEnteredFormat.backgroundColor,userEnteredFormat.numberFormat,userEnteredFormat.horizontalAlignment,userEnteredFormat.wrapStrategy'
+			});
+			expect(updateBorders.updateBorders).toMatchObject({ top: { style: 'DASHED' }, right: { style: 'DASHED' } });
+			expect(updateBorders.updateBorders).not.toHaveProperty('innerHorizontal');
+
+			await expect(client.formatRange(id, 'A1', 'Report', { bolt: true })).rejects.toThrow('Unknown format option: bolt');
+			await expect(client.formatRange(id, 'A1', 'Missing', { bold: true })).rejects.toThrow("Tab 'Missing' not found in spreadsheet");
+		});
+
+		it('should apply report presets after writeToSheet and replace earlier banding on rewrite', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Presets');
+			const orders = [{ id: 1, total: 9.5 }, { id: 2, total: 12 }];
+			const format = { header: 'bold-frozen', banding: true, autoResize: true, columns: { total: { numberFormat: 'currency' } } };
+
+			await client.writeToSheet(id, orders, 'Orders', { format });
+			await client.writeToSheet(id, orders, 'Orders', { format });
+
+			const { data } = await transport.sheets.spreadsheets.get({ spreadsheetId: id });
+			const orderTab = data.sheets.find(sheet => sheet.properties.title === 'Orders');
+			expect(orderTab.properties.gridProperties.frozenRowCount).toBe(1);
+			expect(orderTab.bandedRanges).toHaveLength(1);
+			expect(orderTab.bandedRanges[0].range).toMatchObject({ startRowIndex: 0, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: 2 });
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			const kinds = params.resource.requests.map(request => Object.keys(request)[0]);
+			expect(kinds).toEqual(['repeatCell', 'updateSheetProperties', 'repeatCell', 'deleteBanding', 'addBanding', 'autoResizeDimensions']);
+			expect(params.resource.requests[2].repeatCell.range).toMatchObject({ startRowIndex: 1, endRowIndex: 3, startColumnIndex: 1, endColumnIndex: 2 });
+		});
+	});
+
+	describe('Conditional Formatting (Unit Tests)', () => {
+		it('should add, list, update and delete rules by column header', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('KPIs', ['Weekly']);
+			await client.writeToSheet(id, [['week', 'status', 'growth'], ['W1', 'on track', 0.1], ['W2', 'late', -0.2]], 'Weekly');
+
+			await client.addConditionalFormat(id, 'Weekly', { columns: 'growth', when: 'lessThan', value: 0, format: { color: '#9C0006', background: '#FFC7CE' } });
+			await client.addConditionalFormat(id, 'Weekly', { columns: 'status', when: 'textContains', value: 'late', format: { bold: true } });
+			const first = await client.addConditionalFormat(id, 'Weekly', { columns: ['growth'], gradient: { min: '#FFFFFF', max: '#63BE7B' } }, { index: 0 });
+			expect(first).toBe(0);
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-3);
+			expect(params.resource.requests[0].addConditionalFormatRule.rule).toMatchObject({
+				ranges: [{ startRowIndex: 1, startColumnIndex: 2, endColumnIndex: 3 }],
+				booleanRule: { condition: { type: 'NUMBER_LESS', values: [{ userEnteredValue: '0' }] } }
+			});
+
+			expect(await client.listConditionalFormats(id, 'Weekly')).toEqual([
+				{ index: 0, ranges: ['Weekly!C2:C'], columns: ['growth'], gradient: { min: { color: '#FFFFFF', type: 'min' }, max: { color: '#63BE7B', type: 'max' } } },
+				{ index: 1, ranges: ['Weekly!C2:C'], columns: ['growth'], when: 'lessThan', value: 0, format: { color: '#9C0006', background: '#FFC7CE' } },
+				{ index: 2, ranges: ['Weekly!B2:B'], columns: ['status'], when: 'textContains', value: 'late', format: { bold: true } }
+			]);
+
+			await client.updateConditionalFormat(id, 'Weekly', 1, { range: 'A2:C', formula: '=$C2<0', format: { italic: true } });
+			await client.deleteConditionalFormat(id, 'Weekly', 0);
+			expect(await client.listConditionalFormats(id, 'Weekly')).toEqual([
+				{ index: 0, ranges: ['Weekly!A2:C'], formula: '=$C2<0', format: { italic: true } },
+				{ index: 1, ranges: ['Weekly!B2:B'], columns: ['status'], when: 'textContains', value: 'late', format: { bold: true } }
+			]);
+
+			await expect(client.deleteConditionalFormat(id, 'Weekly', 5)).rejects.toThrow("No conditional format rule at index 5 on tab 'Weekly' (it has 2)");
+			await expect(client.addConditionalFormat(id, 'Weekly', { columns: 'growth', gradient: { min: '#FFFFFF', mid: { color: '#FFEB84', type: 'number' }, max: '#63BE7B' } }))
+				.rejects.toThrow("Gradient point of type 'number' needs a value");
+			await expect(client.addConditionalFormat(id, 'Weekly', { columns: 'revenue', when: 'blank' })).rejects.toThrow("Column 'revenue' is not a header or column letter");
+			await expect(client.addConditionalFormat(id, 'Weekly', { columns: 'growth', when: 'blank', format: { numberFormat: 'percent' } }))
+				.rejects.toThrow('Conditional formats only support');
+		});
+
+		it('should give a color-only gradient midpoint the 50th percentile', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Gradient', ['Scores']);
+			await client.writeToSheet(id, [['name', 'nps'], ['a', 10]], 'Scores');
+
+			await client.addConditionalFormat(id, 'Scores', { columns: 'nps', gradient: { min: '#F8696B', mid: '#FFEB84', max: '#63BE7B' } });
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			expect(params.resource.requests[0].addConditionalFormatRule.rule.gradientRule).toEqual({
+				minpoint: { color: expect.any(Object), type: 'MIN' },
+				midpoint: { color: { red: 1, green: 235 / 255, blue: 132 / 255 }, type: 'PERCENTILE', value: '50' },
+				maxpoint: { color: expect.any(Object), type: 'MAX' }
+			});
+		});
+
+		it('should replace only the rules on the same ranges when writeToSheet is given conditional presets', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('KPI Presets');
+			const format = {
+				conditional: [
+					{ columns: 'growth', when: 'lessThan', value: 0, format: { background: '#FFC7CE' } },
+					{ columns: 'growth', when: 'greaterThan', value: 0, format: { background: '#C6EFCE' } }
+				]
+			};
+
+			await client.writeToSheet(id, [{ week: 'W1', growth: 0.1 }], 'Weekly', { format });
+			await client.addConditionalFormat(id, 'Weekly', { columns: 'week', when: 'textContains', value: 'W5', format: { bold: true } });
+			await client.writeToSheet(id, [{ week: 'W2', growth: -0.1 }], 'Weekly', { format });
+
+			const rules = await client.listConditionalFormats(id, 'Weekly');
+			expect(rules.map(rule => [rule.columns, rule.when])).toEqual([
+				[['growth'], 'lessThan'],
+				[['growth'], 'greaterThan'],
+				[['week'], 'textContains']
+			]);
+		});
+	});
+
+	describe('Data Validation (Unit Tests)', () => {
+		it('should set dropdown, bound, checkbox and formula rules by column and read them back', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Review', ['Review', 'Plans']);
+			await client.writeToSheet(id, [['name', 'plan', 'discount', 'due', 'paid', 'status']], 'Review');
+
+			await client.setValidation(id, 'Review', 'status', { list: ['approved', 'rejected'] });
+			await client.setValidation(id, 'Review', 'plan', { list: 'Plans!A2:A', message: 'Pick a plan' });
+			await client.setValidation(id, 'Review', 'discount', { number: { min: 0, max: 0.5 }, strict: false });
+			await client.setValidation(id, 'Review', 'due', { date: { min: new Date('2024-01-01T00:00:00Z') } });
+			await client.setValidation(id, 'Review', ['paid'], { checkbox: true });
+			await client.setValidation(id, 'Review', 'A', { formula: '=LEN(A2)<=10' });
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-6);
+			expect(params.resource.requests[0].setDataValidation).toMatchObject({
+				range: { startRowIndex: 1, startColumnIndex: 5, endColumnIndex: 6 },
+				rule: { condition: { type: 'ONE_OF_LIST', values: [{ userEnteredValue: 'approved' }, { userEnteredValue: 'rejected' }] }, strict: true, showCustomUi: true }
+			});
+
+			const rules = await client.getValidation(id, 'Review');
+			expect(rules).toEqual([
+				{ column: 'name', range: 'Review!A2:A1000', rule: { formula: '=LEN(A2)<=10', strict: true } },
+				{ column: 'plan', range: 'Review!B2:B1000', rule: { list: 'Plans!A2:A', strict: true, message: 'Pick a plan' } },
+				{ column: 'discount', range: 'Review!C2:C1000', rule: { number: { min: 0, max: 0.5 }, strict: false } },
+				{ column: 'due', range: 'Review!D2:D1000', rule: { date: { min: '2024-01-01' }, strict: true } },
+				{ column: 'paid', range: 'Review!E2:E1000', rule: { checkbox: true, strict: true } },
+				{ column: 'status', range: 'Review!F2:F1000', rule: { list: ['approved', 'rejected'], strict: true } }
+			]);
+
+			await client.setValidation(id, 'Review', ['name', 'plan', 'discount', 'due', 'paid'], null);
+			expect((await client.getValidation(id, 'Review')).map(rule => rule.column)).toEqual(['status']);
+
+			await expect(client.setValidation(id, 'Review', 'status', { list: ['a'], checkbox: true }))
+				.rejects.toThrow('Validation rule needs exactly one of list, number, date, checkbox or formula');
+			await expect(client.setValidation(id, 'Missing', 'status', { list: ['a'] })).rejects.toThrow("Tab 'Missing' not found in spreadsheet");
+		});
+	});
+
+	describe('Charts (Unit Tests)', () => {
+		it('should build a chart spec from header names and the data extent', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Charts', ['Revenue', 'Dashboard']);
+			await client.writeToSheet(id, [
+				{ date: '2024-01-01', revenue: 100, cost: 60 },
+				{ date: '2024-01-02', revenue: 120, cost: 70 },
+				{ date: '2024-01-03', revenue: 90, cost: 65 }
+			], 'Revenue');
+
+			const chartId = await client.addChart(id, 'Revenue', { type: 'line', x: 'date', y: ['revenue', 'cost'], title: 'Revenue vs cost' });
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			const { spec, position } = params.resource.requests[0].addChart.chart;
+			expect(spec.basicChart.chartType).toBe('LINE');
+			expect(spec.basicChart.domains[0].domain.sourceRange.sources[0]).toMatchObject({ startRowIndex: 0, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 1 });
+			expect(spec.basicChart.series.map(series => series.series.sourceRange.sources[0].startColumnIndex)).toEqual([1, 2]);
+			expect(position.overlayPosition.anchorCell).toMatchObject({ rowIndex: 0, columnIndex: 4 });
+
+			expect(await client.listCharts(id, 'Revenue')).toEqual([{
+				chartId,
+				tab: 'Revenue',
+				type: 'line',
+				title: 'Revenue vs cost',
+				x: 'date',
+				y: ['revenue', 'cost'],
+				rowCount: 4,
+				position: { anchor: 'Revenue!E1', offsetX: 0, offsetY: 0, width: 600, height: 371 }
+			}]);
+
+			await expect(client.addChart(id, 'Revenue', { type: 'pie', x: 'date', y: ['revenue', 'cost'] })).rejects.toThrow('Pie charts take exactly one y column');
+			await expect(client.addChart(id, 'Revenue', { x: 'date', y: 'profit' })).rejects.toThrow("Column 'profit' is not a header or column letter");
+		});
+
+		it('should update a chart over newly appended rows, move it, and delete it', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Chart Updates', ['Plans', 'Dashboard']);
+			await client.writeToSheet(id, [['plan', 'users'], ['free', 10], ['pro', 4]], 'Plans');
+			const chartId = await client.addChart(id, 'Plans', { type: 'pie', x: 'plan', y: 'users' });
+
+			await client.appendToSheet(id, [['team', 2]], 'Plans');
+			await client.updateChart(id, chartId, { title: 'Users by plan', position: { anchor: 'Dashboard!B2', width: 400 } });
+
+			const [chart] = await client.listCharts(id);
+			expect(chart).toMatchObject({ chartId, type: 'pie', title: 'Users by plan', x: 'plan', y: ['users'], rowCount: 4 });
+			expect(chart.position).toMatchObject({ anchor: 'Dashboard!B2', width: 400 });
+
+			await client.deleteChart(id, chartId);
+			expect(await client.listCharts(id)).toEqual([]);
+			await expect(client.updateChart(id, chartId, { title: 'Gone' })).rejects.toThrow(`Chart ${chartId} not found in spreadsheet`);
+		});
+	});
+
+	describe('Pivot Tables (Unit Tests)', () => {
+		it('should resolve pivot fields to source column offsets and create the target tab', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Pivots', ['Sales']);
+			await client.writeToSheet(id, [
+				{ region: 'EU', month: '2024-01', channel: 'web', revenue: 100 },
+				{ region: 'US', month: '2024-01', channel: 'partner', revenue: 250 },
+				{ region: 'EU', month: '2024-02', channel: 'web', revenue: 80 }
+			], 'Sales');
+
+			const result = await client.addPivotTable(id, 'Sales', 'Revenue by region', {
+				rows: ['region'],
+				columns: [{ field: 'month', sort: 'desc', totals: false }],
+				values: [{ field: 'revenue', summarize: 'SUM' }],
+				filters: { channel: ['web'], revenue: { when: 'greaterThan', value: 0 } }
+			});
+			expect(result).toMatchObject({ tab: 'Revenue by region', anchor: "'Revenue by region'!A1" });
+			expect((await client.listTabs(id)).map(tab => tab.title)).toEqual(['Sales', 'Revenue by region']);
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			const [addSheet, updateCells] = params.resource.requests;
+			expect(addSheet.addSheet.properties).toMatchObject({ sheetId: result.sheetId, title: 'Revenue by region' });
+			const { pivotTable } = updateCells.updateCells.rows[0].values[0];
+			expect(pivotTable.source).toMatchObject({ startRowIndex: 0, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 4 });
+			expect(pivotTable.rows).toEqual([{ sourceColumnOffset: 0, showTotals: true, sortOrder: 'ASCENDING' }]);
+			expect(pivotTable.columns).toEqual([{ sourceColumnOffset: 1, showTotals: false, sortOrder: 'DESCENDING' }]);
+			expect(pivotTable.values).toEqual([{ sourceColumnOffset: 3, summarizeFunction: 'SUM' }]);
+			expect(pivotTable.filterSpecs).toEqual([
+				{ columnOffsetIndex: 2, filterCriteria: { visibleValues: ['web'] } },
+				{ columnOffsetIndex: 3, filterCriteria: { condition: { type: 'NUMBER_GREATER', values: [{ userEnteredValue: '0' }] }, visibleByDefault: true } }
+			]);
+		});
+
+		it('should place a pivot table on an existing tab and reject unknown fields', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Pivot Anchors', ['Sales', 'Dashboard']);
+			await client.writeToSheet(id, [['region', 'revenue'], ['EU', 100], ['US', 250]], 'Sales');
+
+			const result = await client.addPivotTable(id, 'Sales', 'Dashboard', { rows: ['region'], values: ['revenue', { field: 'region', summarize: 'counta', name: 'Orders' }], anchor: 'F2' });
+			expect(result.anchor).toBe('Dashboard!F2');
+
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			expect(params.resource.requests).toHaveLength(1);
+			const { start, rows } = params.resource.requests[0].updateCells;
+			expect(start).toEqual({ sheetId: result.sheetId, rowIndex: 1, columnIndex: 5 });
+			expect(rows[0].values[0].pivotTable).toMatchObject({
+				values: [{ sourceColumnOffset: 1, summarizeFunction: 'SUM' }, { sourceColumnOffset: 0, summarizeFunction: 'COUNTA', name: 'Orders' }],
+				valueLayout: 'HORIZONTAL'
+			});
+
+			await expect(client.addPivotTable(id, 'Sales', 'Dashboard', { rows: ['country'] })).rejects.toThrow("Column 'country' is not a header or column letter");
+			await expect(client.addPivotTable(id, 'Sales', 'Dashboard', { values: [{ field: 'revenue', summarize: 'TOTAL' }] })).rejects.toThrow('Unknown summarize function: TOTAL');
+			await expect(client.addPivotTable(id, 'Orders', 'Dashboard', { rows: ['region'] })).rejects.toThrow("Tab 'Orders' not found in spreadsheet");
+		});
+	});
+
+	describe('Named Ranges (Unit Tests)', () => {
+		it('should add, list, read and write named ranges that follow inserted columns', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Named Ranges', ['Rates']);
+			await client.writeToSheet(id, [['currency', 'rate'], ['EUR', 1.08], ['GBP', 1.27]], 'Rates');
+
+			const namedRangeId = await client.addNamedRange(id, 'FxRates', 'A2:B3', 'Rates');
+			expect(await client.listNamedRanges(id)).toEqual([{ namedRangeId, name: 'FxRates', tab: 'Rates', range: 'Rates!A2:B3' }]);
+			expect(await client.getRange(id, 'FxRates', undefined, 'array')).toEqual([['EUR', '1.08'], ['GBP', '1.27']]);
+
+			// Someone inserts a column before the rates; the name still points at them
+			await client.batch(id).insertDimension('Rates', 'COLUMNS', 0, 1).commit();
+			expect((await client.listNamedRanges(id))[0].range).toBe('Rates!B2:C3');
+
+			await client.writeToRange(id, 'FxRates', [['EUR', 1.1], ['GBP', 1.3]]);
+			expect(await client.getRange(id, 'B2:C3', 'Rates', 'array')).toEqual([['EUR', '1.1'], ['GBP', '1.3']]);
+			await expect(client.writeToRange(id, 'FxRates', [['EUR', 1], ['GBP', 1], ['JPY', 0.007]])).rejects.toThrow('Requested writing within range [FxRates]');
+		});
+
+		it('should rename, move and delete named ranges by name', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Named Range Updates', ['Targets']);
+			await client.addNamedRange(id, 'Q1Targets', 'Targets!B2:B10');
+
+			await client.updateNamedRange(id, 'Q1Targets', { name: 'QuarterOne', range: 'B2:B20', tab: 'Targets' });
+			expect(await client.listNamedRanges(id)).toMatchObject([{ name: 'QuarterOne', range: 'Targets!B2:B20' }]);
+
+			await expect(client.addNamedRange(id, 'QuarterOne', 'C2:C5')).rejects.toThrow("Named range 'QuarterOne' already exists in spreadsheet");
+			await expect(client.addNamedRange(id, 'B2', 'C2:C5')).rejects.toThrow('The name "B2" is not valid');
+			await expect(client.updateNamedRange(id, 'Q1Targets', { name: 'Q2Targets' })).rejects.toThrow("Named range 'Q1Targets' not found in spreadsheet");
+
+			await client.deleteNamedRange(id, 'QuarterOne');
+			expect(await client.listNamedRanges(id)).toEqual([]);
+		});
+	});
+
+	describe('Protected Ranges (Unit Tests)', () => {
+		it('should protect whole tabs and ranges, list them and remove them', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Protections', ['Revenue', 'Plan']);
+
+			const tabId = await client.addProtectedRange(id, 'Revenue', { description: 'Written by the nightly export' });
+			const rangeId = await client.addProtectedRange(id, 'Plan', { range: 'D2:D', editors: ['ana@example.com'] });
+			await client.addProtectedRange(id, 'Plan', { range: 'A1:F1', warningOnly: true });
+
+			expect(await client.listProtectedRanges(id, 'Revenue')).toEqual([{
+				protectedRangeId: tabId,
+				tab: 'Revenue',
+				description: 'Written by the nightly export',
+				warningOnly: false,
+				editors: ['fake-service-account@example.com']
+			}]);
+			const plan = await client.listProtectedRanges(id, 'Plan');
+			expect(plan).toMatchObject([
+				{ protectedRangeId: rangeId, range: 'Plan!D2:D', warningOnly: false, editors: ['fake-service-account@example.com', 'ana@example.com'] },
+				{ range: 'Plan!A1:F1', warningOnly: true, editors: [] }
+			]);
+
+			await client.deleteProtectedRange(id, rangeId);
+			expect((await client.listProtectedRanges(id)).map(p => p.protectedRangeId)).not.toContain(rangeId);
+			await expect(client.deleteProtectedRange(id, rangeId)).rejects.toThrow(`No protected range with id: ${rangeId}`);
+			await expect(client.addProtectedRange(id, 'Plan', { warningOnly: true, editors: ['ana@example.com'] })).rejects.toThrow('Warning-only protections apply to everyone');
+			await expect(client.addProtectedRange(id, 'Forecast')).rejects.toThrow("Tab 'Forecast' not found in spreadsheet");
+		});
+	});
+
+	describe('Filters and Sorting (Unit Tests)', () => {
+		const orders = [
+			{ region: 'US', customer: 'Acme', total: 120 },
+			{ region: 'EU', customer: 'Bolt', total: 80 },
+			{ region: 'APAC', customer: 'Cobalt', total: 300 },
+			{ region: 'EU', customer: 'Dune', total: 150 }
+		];
+
+		it('should sort data rows by header-named columns, leaving the header in place', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Sorting', ['Orders']);
+			await client.writeToSheet(id, orders, 'Orders');
+
+			await client.sortRange(id, 'Orders', ['region', { column: 'total', order: 'desc' }]);
+			expect((await client.getSheet(id, 'Orders')).map(row => row.customer)).toEqual(['Cobalt', 'Dune', 'Bolt', 'Acme']);
+
+			await expect(client.sortRange(id, 'Orders', { column: 'total', order: 'down' })).rejects.toThrow('Unknown sort order: down');
+			await expect(client.sortRange(id, 'Orders', 'country')).rejects.toThrow("Column 'country' is not a header or column letter");
+		});
+
+		it('should set and clear a basic filter and add filter views', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Filters', ['Orders']);
+			await client.writeToSheet(id, orders, 'Orders');
+
+			await client.setFilter(id, 'Orders', { filters: { region: ['EU', 'US'], total: { when: 'greaterThan', value: 100 } } });
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			expect(params.resource.requests[0].setBasicFilter.filter).toEqual({
+				range: { sheetId: expect.any(Number), startRowIndex: 0, endRowIndex: 5, startColumnIndex: 0, endColumnIndex: 3 },
+				filterSpecs: [
+					{ columnIndex: 0, filterCriteria: { hiddenValues: ['APAC'] } },
+					{ columnIndex: 2, filterCriteria: { condition: { type: 'NUMBER_GREATER', values: [{ userEnteredValue: '100' }] } } }
+				]
+			});
+			await client.clearFilter(id, 'Orders');
+
+			const filterViewId = await client.addFilterView(id, 'Orders', 'Big EU orders', { filters: { region: ['EU'] }, sort: { column: 'total', order: 'desc' } });
+			expect(filterViewId).toEqual(expect.any(Number));
+			await client.deleteFilterView(id, filterViewId);
+			await expect(client.deleteFilterView(id, filterViewId)).rejects.toThrow(`No filter view with id: ${filterViewId}`);
+		});
+
+		it('should land writeToSheet exports sorted and filterable', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Sorted Export', ['Orders']);
+
+			await client.writeToSheet(id, orders, 'Orders', { sort: { column: 'total', order: 'desc' }, filter: true });
+
+			expect((await client.getSheet(id, 'Orders')).map(row => row.total)).toEqual(['300', '150', '120', '80']);
+			const [{ params }] = transport.calls.filter(call => call.method === 'sheets.spreadsheets.batchUpdate').slice(-1);
+			expect(params.resource.requests.map(request => Object.keys(request)[0])).toEqual(['sortRange', 'setBasicFilter']);
+			expect(params.resource.requests[0].sortRange.range).toMatchObject({ startRowIndex: 1, endRowIndex: 5 });
+		});
+	});
+
+	describe('Sheet Queries (Unit Tests)', () => {
+		const users = [
+			['name', 'plan', 'score', 'joined'],
+			['Ann', 'pro', '97', '2024-03-01'],
+			['Bo', 'free', '45', '2024-01-15'],
+			['Cy', 'team', '80', '2023-11-30'],
+			['Di', 'pro', '100', ''],
+			['Ed', 'pro', '80', '2024-02-10']
+		];
+
+		it('should select, filter, order and page rows before converting the format', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Queries', ['Users']);
+			await client.writeToSheet(id, users, 'Users');
+
+			const query = { select: ['name', 'score'], where: { plan: ['pro', 'team'], score: { gte: 80 } }, orderBy: [['score', 'desc'], 'name'] };
+			expect(await client.getSheet(id, 'Users', 'json', false, query)).toEqual([
+				{ name: 'Di', score: '100' },
+				{ name: 'Ann', score: '97' },
+				{ name: 'Cy', score: '80' },
+				{ name: 'Ed', score: '80' }
+			]);
+			expect(await client.getSheet(id, 'Users', 'array', false, { ...query, offset: 1, limit: 2 })).toEqual([['name', 'score'], ['Ann', '97'], ['Cy', '80']]);
+			expect(await client.getSheet(id, 'Users', 'csv', false, { ...query, limit: 1 })).toContain('"Di","100"');
+
+			// Predicates see coerced values, and empty cells sort last either way
+			expect((await client.getSheet(id, 'Users', 'json', false, { coerce: true, where: row => row.score < 90, orderBy: [['joined', 'desc']] })).map(row => row.name))
+				.toEqual(['Ed', 'Bo', 'Cy']);
+			expect((await client.getSheet(id, 'Users', 'json', false, { orderBy: 'joined' })).map(row => row.name)).toEqual(['Cy', 'Bo', 'Ed', 'Ann', 'Di']);
+		});
+
+		it('should return distinct rows and reject unknown columns and operators', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Distinct Queries', ['Users']);
+			await client.writeToSheet(id, users, 'Users');
+
+			expect(await client.getSheet(id, 'Users', 'json', false, { select: ['plan'], distinct: true, orderBy: 'plan' })).toEqual([
+				{ plan: 'free' },
+				{ plan: 'pro' },
+				{ plan: 'team' }
+			]);
+			expect(await client.getRange(id, 'A1:C6', 'Users', 'json', { where: { name: { startsWith: 'A' } } })).toEqual([{ name: 'Ann', plan: 'pro', score: '97' }]);
+
+			await expect(client.getSheet(id, 'Users', 'json', false, { select: ['email'] })).rejects.toThrow("Column 'email' is not in the header");
+			await expect(client.getSheet(id, 'Users', 'json', false, { where: { score: { above: 50 } } })).rejects.toThrow('Unknown where operator: above');
+			await expect(client.getSheet(id, 'Users', 'json', false, { limit: -1 })).rejects.toThrow('Query limit must be a non-negative integer');
+		});
+	});
+
+	describe('Sheet Diffs (Unit Tests)', () => {
+		it('should report added, removed and changed rows without writing', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Diff', ['Users']);
+			await client.writeToSheet(id, [
+				{ user_id: 1, name: 'Alice', plan: 'free' },
+				{ user_id: 2, name: 'Bob', plan: 'free' },
+				{ user_id: 3, name: 'Cara', plan: 'pro' }
+			], 'Users');
+			const callCount = transport.calls.length;
+
+			const diff = await client.diffSheet(id, 'Users', [
+				{ user_id: 2, plan: 'pro' },
+				{ user_id: 3, name: 'Cara', plan: 'pro' },
+				{ user_id: 4, name: 'Dan', plan: 'free', region: 'EU' }
+			], { key: 'user_id' });
+
+			expect(diff).toEqual({
+				newColumns: ['region'],
+				added: [{ key: { user_id: '4' }, values: { user_id: '4', name: 'Dan', plan: 'free', region: 'EU' } }],
+				removed: [{ key: { user_id: '1' }, row: 2, values: { user_id: '1', name: 'Alice', plan: 'free', region: '' } }],
+				changed: [{ key: { user_id: '2' }, row: 3, changes: { plan: { before: 'free', after: 'pro' } } }],
+				unchanged: 1
+			});
+			expect(transport.calls.slice(callCount).some(call => call.method.includes('batchUpdate') || call.method.includes('values.update'))).toBe(false);
+
+			// The same data upserted produces the counts the diff predicted
+			const result = await client.updateSheet(id, [
+				{ user_id: 2, plan: 'pro' },
+				{ user_id: 3, name: 'Cara', plan: 'pro' },
+				{ user_id: 4, name: 'Dan', plan: 'free', region: 'EU' }
+			], 'Users', { key: 'user_id', deleteMissing: true });
+			expect(result).toMatchObject({ inserted: 1, updated: 1, deleted: 1 });
+		});
+
+		it('should reject duplicate keys and require a key', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Duplicates', ['Daily']);
+			await client.writeToSheet(id, [{ date: '2024-01-01', region: 'US', revenue: 10 }], 'Daily');
+
+			const repeated = [
+				{ date: '2024-01-01', region: 'US', revenue: 12 },
+				{ date: '2024-01-01', region: 'US', revenue: 10 }
+			];
+			await expect(client.diffSheet(id, 'Daily', repeated, { key: ['date', 'region'] }))
+				.rejects.toThrow('Duplicate key ["2024-01-01","US"] in the new data');
+			await expect(client.updateSheet(id, repeated, 'Daily', { key: ['date', 'region'] }))
+				.rejects.toThrow('Duplicate key ["2024-01-01","US"] in the new data');
+
+			await client.appendToSheet(id, [{ date: '2024-01-01', region: 'US', revenue: 11 }], 'Daily');
+			await expect(client.updateSheet(id, [{ date: '2024-01-01', region: 'US', revenue: 12 }], 'Daily', { key: ['date', 'region'] }))
+				.rejects.toThrow('Duplicate key ["2024-01-01","US"] in the tab (rows 2 and 3)');
+
+			await expect(client.diffSheet(id, 'Daily', [], {})).rejects.toThrow('diffSheet needs key column(s)');
+			await expect(client.diffSheet(id, 'Daily', [{ id: 1 }], { key: 'missing' })).rejects.toThrow('Key column(s) not found: missing');
+		});
+	});
+
+	describe('File Sync (Unit Tests)', () => {
+		it('should carry edits both ways and report cells edited on both sides', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Sync', ['Flags']);
+			const file = join(tmpdir(), `ak-sheets-sync-${Date.now()}.json`);
+			writeFileSync(file, JSON.stringify([
+				{ flag: 'beta', enabled: true, owner: 'ann' },
+				{ flag: 'dark', enabled: false, owner: 'bob' },
+				{ flag: 'retry', enabled: true, owner: 'cy' }
+			]));
+
+			// First sync: the tab doesn't exist yet, so everything is pushed
+			const first = await client.syncFile(id, 'Flags', file, { key: 'flag' });
+			expect(first.pushed).toEqual({ added: 3, updated: 0, removed: 0 });
+			expect(first.conflicts).toEqual([]);
+
+			// Ops edits the tab while engineering edits the file
+			await client.writeToRange(id, 'C2', [['dana']], 'Flags');
+			await client.writeToRange(id, 'B3', [['TRUE']], 'Flags');
+			writeFileSync(file, JSON.stringify([
+				{ flag: 'beta', enabled: true, owner: 'eve' },
+				{ flag: 'dark', enabled: false, owner: 'bob' },
+				{ flag: 'retry', enabled: true, owner: 'cy' },
+				{ flag: 'wide', enabled: false, owner: 'fay' }
+			]));
+
+			const second = await client.syncFile(id, 'Flags', file, { key: 'flag' });
+			expect(second.pushed).toEqual({ added: 1, updated: 0, removed: 0 });
+			expect(second.pulled).toEqual({ added: 0, updated: 1, removed: 0 });
+			expect(second.conflicts).toEqual([
+				{ key: { flag: 'beta' }, column: 'owner', base: 'ann', local: 'eve', remote: 'dana' }
+			]);
+
+			// The pulled boolean keeps its JSON type, and the conflicting cell is left as it was on each side
+			expect(JSON.parse(readFileSync(file, 'utf-8'))).toEqual([
+				{ flag: 'beta', enabled: true, owner: 'eve' },
+				{ flag: 'dark', enabled: true, owner: 'bob' },
+				{ flag: 'retry', enabled: true, owner: 'cy' },
+				{ flag: 'wide', enabled: false, owner: 'fay' }
+			]);
+			const tab = await client.getSheet(id, 'Flags');
+			expect(tab.map(row => row.owner)).toEqual(['dana', 'bob', 'cy', 'fay']);
+
+			// The conflict stays pending until one side gives way
+			const third = await client.syncFile(id, 'Flags', file, { key: 'flag', onConflict: 'local' });
+			expect(third.conflicts).toEqual([]);
+			expect(third.pushed).toEqual({ added: 0, updated: 1, removed: 0 });
+			expect((await client.getSheet(id, 'Flags'))[0].owner).toBe('eve');
+		});
+
+		it('should carry deletions one way and respect the direction', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('SyncCsv', ['Rates']);
+			await client.writeToSheet(id, [{ code: 'US', rate: 5 }, { code: 'EU', rate: 7 }, { code: 'UK', rate: 6 }], 'Rates');
+			const file = join(tmpdir(), `ak-sheets-sync-${Date.now()}.csv`);
+
+			const pulled = await client.syncFile(id, 'Rates', file, { key: 'code', direction: 'pull' });
+			expect(pulled.pulled).toEqual({ added: 3, updated: 0, removed: 0 });
+			expect(readFileSync(file, 'utf-8')).toBe('code,rate\nUS,5\nEU,7\nUK,6\n');
+
+			// Deleting a row from the file removes it from the tab; a push never touches the file
+			writeFileSync(file, 'code,rate\nUS,5\nUK,9\n');
+			await client.writeToRange(id, 'B2', [['4']], 'Rates');
+			const pushed = await client.syncFile(id, 'Rates', file, { key: 'code', direction: 'push' });
+			expect(pushed.pushed).toEqual({ added: 0, updated: 1, removed: 1 });
+			expect(pushed.pulled).toEqual({ added: 0, updated: 0, removed: 0 });
+			expect(await client.getSheet(id, 'Rates')).toEqual([{ code: 'US', rate: '4' }, { code: 'UK', rate: '9' }]);
+			expect(readFileSync(file, 'utf-8')).toBe('code,rate\nUS,5\nUK,9\n');
+
+			// The tab edit wasn't pulled, so it is still pending for the next two-way sync
+			const both = await client.syncFile(id, 'Rates', file, { key: 'code' });
+			expect(both.pulled).toEqual({ added: 0, updated: 1, removed: 0 });
+			expect(both.conflicts).toEqual([]);
+
+			await expect(client.syncFile(id, 'Rates', file, { key: 'code', direction: 'sideways' })).rejects.toThrow('Unknown sync direction: sideways');
+			await expect(client.syncFile(id, 'Other', file, { key: 'code' })).rejects.toThrow("belongs to tab 'Rates'");
+		});
+
+		it('should push only the rows that changed and reject duplicate keys', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('SyncRows', ['Stock']);
+			await client.writeToSheet(id, [
+				['sku', 'qty', 'value'],
+				['A1', 2, '=ROW()*2'],
+				['B2', 5, '=ROW()*2'],
+				['C3', 1, '=ROW()*2']
+			], 'Stock');
+			const file = join(tmpdir(), `ak-sheets-sync-${Date.now()}.csv`);
+			await client.syncFile(id, 'Stock', file, { key: 'sku', direction: 'pull' });
+
+			writeFileSync(file, 'sku,qty,value\nA1,2,=ROW()*2\nB2,6,=ROW()*2\nD4,3,\n');
+			transport.calls.length = 0;
+			const result = await client.syncFile(id, 'Stock', file, { key: 'sku', direction: 'push' });
+			expect(result.pushed).toEqual({ added: 1, updated: 1, removed: 1 });
+
+			expect(transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.batchUpdate')
+				.map(call => call.params.resource.data)).toEqual([[{ range: 'Stock!B3:B3', values: [['6']] }]]);
+			expect(transport.calls.filter(call => call.method === 'sheets.spreadsheets.values.update')
+				.map(call => call.params.range)).toEqual(['Stock!A5']);
+			expect(await client.getSheet(id, 'Stock', 'array')).toEqual([
+				['sku', 'qty', 'value'],
+				['A1', '2', '=ROW()*2'],
+				['B2', '6', '=ROW()*2'],
+				['D4', '3']
+			]);
+
+			writeFileSync(file, 'sku,qty\nA1,2\nA1,4\n');
+			await expect(client.syncFile(id, 'Stock', file, { key: 'sku' })).rejects.toThrow('Duplicate key ["A1"] in local rows');
+		});
+	});
+
+	describe('Exports (Unit Tests)', () => {
+		it('should export every tab as XLSX and the first tab as CSV', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Export', ['Orders', 'Totals']);
+			await client.writeToSheet(id, [{ sku: 'A-1', qty: 2 }, { sku: 'B-2', qty: 5 }], 'Orders');
+			await client.writeToSheet(id, [{ total: 7 }], 'Totals');
+
+			const path = join(tmpdir(), `ak-sheets-export-${Date.now()}`, 'report.xlsx');
+			const file = await client.exportSpreadsheet(id, { format: 'xlsx', path });
+			expect(readFileSync(path)).toEqual(file);
+			expect(transport.calls.at(-1)).toEqual({
+				method: 'drive.files.export',
+				params: { fileId: id, mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+			});
+
+			const workbook = xlsx.read(file);
+			expect(workbook.SheetNames).toEqual(['Orders', 'Totals']);
+			expect(xlsx.utils.sheet_to_json(workbook.Sheets.Orders)).toEqual([{ sku: 'A-1', qty: 2 }, { sku: 'B-2', qty: 5 }]);
+
+			const csv = await client.exportSpreadsheet(id, { format: 'csv' });
+			expect(csv.toString()).toBe('sku,qty\nA-1,2\nB-2,5');
+		});
+
+		it('should reject options the export cannot honor and replay binary exports', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Export', ['Orders']);
+
+			await expect(client.exportSpreadsheet(id, { format: 'docx' })).rejects.toThrow('Unknown export format: docx');
+			await expect(client.exportSpreadsheet(id, { format: 'xlsx', orientation: 'landscape' })).rejects.toThrow('only apply to PDF exports');
+			await expect(client.exportSpreadsheet(id, { format: 'xlsx', tab: 'Orders' })).rejects.toThrow('xlsx exports always hold every tab');
+			await expect(client.exportSpreadsheet(id, { format: 'pdf', tab: 'Missing' })).rejects.toThrow('Tab not found: Missing');
+
+			const { sheets, drive } = createFakeTransport();
+			const withoutDocs = createSheetsClient({ transport: { sheets, drive }, logger: pino({ level: 'silent' }), maxRetries: 0 });
+			await expect(withoutDocs.exportSpreadsheet(id, { format: 'pdf', tab: 'Orders' })).rejects.toThrow('needs a transport with docs.spreadsheets.export');
+
+			const fixture = join(tmpdir(), `ak-sheets-export-fixture-${Date.now()}.json`);
+			const silent = pino({ level: 'silent' });
+			const recording = createSheetsClient({ transport: createFakeTransport(), recorder: { mode: 'record', fixture }, logger: silent });
+			const recordedId = await recording.createSheet('Recorded');
+			const pdf = await recording.exportSpreadsheet(recordedId, { format: 'pdf' });
+			expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+
+			const landscape = await recording.exportSpreadsheet(recordedId, { format: 'pdf', orientation: 'landscape' });
+
+			const replaying = createSheetsClient({ recorder: { mode: 'replay', fixture }, logger: silent });
+			await replaying.createSheet('Recorded');
+			expect(await replaying.exportSpreadsheet(recordedId, { format: 'pdf' })).toEqual(pdf);
+			expect(await replaying.exportSpreadsheet(recordedId, { format: 'pdf', orientation: 'landscape' })).toEqual(landscape);
+		});
+
+		it('should export one tab, or every tab with PDF layout options, through the web export', async () => {
+			const { client, transport } = makeFakeClient();
+			const id = await client.createSheet('Layout', ['Orders', 'Totals']);
+			await client.writeToSheet(id, [['sku'], ['A-1']], 'Orders');
+			await client.writeToSheet(id, [['total'], ['9']], 'Totals');
+			const { sheets: tabs } = await client.getSheetInfo(id);
+
+			// Layout options without a tab still cover the whole spreadsheet
+			const whole = await client.exportSpreadsheet(id, { format: 'pdf', orientation: 'landscape', gridlines: false });
+			expect(whole.toString()).toContain('Orders, Totals');
+			expect(transport.calls.at(-1)).toEqual({
+				method: 'docs.spreadsheets.export',
+				params: { spreadsheetId: id, format: 'pdf', portrait: 'false', gridlines: 'false' }
+			});
+
+			const single = await client.exportSpreadsheet(id, { format: 'pdf', tab: 'Totals', fitToWidth: true });
+			expect(single.toString()).toContain('Layout: Totals (');
+			expect(transport.calls.at(-1).params).toEqual({ spreadsheetId: id, format: 'pdf', gid: String(tabs[1].properties.sheetId), fitw: 'true' });
+
+			const csv = await client.exportSpreadsheet(id, { format: 'csv', tab: 'Totals' });
+			expect(csv.toString()).toBe('total\n9');
+		});
+	});
+
+	describe('Excel Import (Unit Tests)', () => {
+		it('should create one tab per worksheet with typed cells, formulas and date formats', async () => {
+			const { client, transport } = makeFakeClient();
+			const workbook = xlsx.utils.book_new();
+			const orders = xlsx.utils.aoa_to_sheet([
+				['sku', 'qty', 'shipped', 'paid', 'note'],
+				['A-1', 2, 45292, true, '=not a formula'],
+				['B-2', 5, 45293, false, '007']
+			]);
+			orders.C2.z = 'yyyy-mm-dd';
+			orders.C3.z = 'yyyy-mm-dd';
+			orders.B4 = { t: 'n', v: 7, f: 'SUM(B2:B3)' };
+			orders['!ref'] = 'A1:E4';
+			xlsx.utils.book_append_sheet(workbook, orders, 'Orders');
+			xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['region'], ['EU']]), 'Regions');
+			const path = join(tmpdir(), `ak-sheets-import-${Date.now()}.xlsx`);
+			xlsx.writeFile(workbook, path);
+
+			const { spreadsheetId, tabs } = await client.importXlsx(path, { name: 'Imported', folderId: 'folder-1' });
+			expect(tabs).toEqual([{ title: 'Orders', rows: 4, columns: 5 }, { title: 'Regions', rows: 2, columns: 1 }]);
+			expect((await client.listTabs(spreadsheetId)).map(tab => tab.title)).toEqual(['Orders', 'Regions']);
+
+			const [ordersWrite] = transport.calls
+				.filter(call => call.method === 'sheets.spreadsheets.batchUpdate')
+				.map(call => call.params.resource.requests[0].updateCells);
+			const [, firstRow, , totals] = ordersWrite.rows.map(row => row.values);
+			expect(firstRow).toEqual([
+				{ userEnteredValue: { stringValue: 'A-1' } },
+				{ userEnteredValue: { numberValue: 2 } },
+				{ userEnteredValue: { numberValue: 45292 }, userEnteredFormat: { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' } } },
+				{ userEnteredValue: { boolValue: true } },
+				{ userEnteredValue: { stringValue: '=not a formula' } }
+			]);
+			expect(totals).toEqual([{}, { userEnteredValue: { formulaValue: '=SUM(B2:B3)' } }]);
+
+			const rows = await client.getSheet(spreadsheetId, 'Orders', 'array');
+			expect(rows[2]).toEqual(['B-2', '5', '45293', 'FALSE', '007']);
+			expect((await transport.drive.files.get({ fileId: spreadsheetId })).data.parents).toEqual(['folder-1']);
+		});
+
+		it('should refuse missing files', async () => {
+			const { client } = makeFakeClient();
+			await expect(client.importXlsx('./missing.xlsx')).rejects.toThrow('Excel file not found');
+		});
+	});
+
+	describe('Excel Export (Unit Tests)', () => {
+		it('should write one typed worksheet per tab from getSheet data', async () => {
+			const { client } = makeFakeClient();
+			const id = await client.createSheet('Report', ['Sales', 'Notes']);
+			await client.writeToSheet(id, [
+				{ region: 'EU', day: '2024-01-05', revenue: 1200.5, rep: 'Ann', won: true },
+				{ region: 'US', day: '2024-01-06', revenue: 980, rep: 'Bo', won: false }
+			], 'Sales');
+			await client.writeToSheet(id, [{ note: 'Totals use =SUM', total: '=SUM(Sales!C2:C3)' }], 'Notes');
+			const tabs = await client.getSheet(id, null, 'json', true);
+
+			const path = join(tmpdir(), `ak-sheets-xlsx-${Date.now()}`, 'report.xlsx');
+			const written = writeXlsxFile(path, tabs, { numberFormats: { revenue: 'currency' }, columnWidths: { region: 20 } });
+			expect(written).toBe(path);
+
+			const workbook = xlsx.read(readFileSync(path), { cellNF: true, cellFormula: true, cellStyles: true });
+			expect(workbook.SheetNames).toEqual(['Sales', 'Notes']);
+			const sales = workbook.Sheets.Sales;
+			expect(sales.A1).toMatchObject({ t: 's', v: 'region' });
+			expect(sales.B2).toMatchObject({ t: 'n', v: 45296, z: 'yyyy-mm-dd' });
+			expect(sales.C2).toMatchObject({ t: 'n', v: 1200.5, z: '"$"#,##0.00' });
+			expect(sales.D2).toMatchObject({ t: 's', v: 'Ann' });
+			expect(sales.E3).toMatchObject({ t: 'b', v: false });
+			expect(sales['!autofilter']).toEqual({ ref: 'A1:E3' });
+			expect(sales['!cols'][0].wch).toBe(20);
+
+			// Header cells are bold on a solid fill, and the header row is frozen
+			expect(sales.A1.s).toMatchObject({ patternType: 'solid', fgColor: { rgb: 'D9E2F3' } });
+			expect(sales.A2.s).toMatchObject({ patternType: 'none' });
+			const zip = xlsx.CFB.read(readFileSync(path), { type: 'buffer' });
+			const xml = (/** @type {string} */ file) => Buffer.from(xlsx.CFB.find(zip, file).content).toString('utf8');
+			const headerXf = workbook.Styles.CellXf[Number(xml('/xl/worksheets/sheet1.xml').match(/<c r="A1"[^>]* s="(\d+)"/)[1])];
+			expect(workbook.Styles.Fonts[headerXf.fontId]).toMatchObject({ bold: 1 });
+			expect(workbook.Styles.Fills[headerXf.fillId]).toMatchObject({ patternType: 'solid', fgColor: { rgb: 'D9E2F3' } });
+			expect(xml('/xl/worksheets/sheet1.xml')).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+			expect(xml('/xl/worksheets/sheet2.xml')).toContain('state="frozen"');
+
+			// The fake keeps formulas as text, so this is the formula the tab was given
+			expect(workbook.Sheets.Notes.B2.f).toBe('SUM(Sales!C2:C3)');
+		});
+
+		it('should keep leading zeros, honor coerce, types and header options, and reject empty input', () => {
+			const path = join(tmpdir(), `ak-sheets-xlsx-${Date.now()}.xlsx`);
+			writeXlsxFile(path, {
+				Codes: [{ zip: '02134', count: '12' }],
+				Raw: [['id', 'qty'], ['7', '3']]
+			}, { coerce: false, types: { count: 'number', qty: 'number' }, filter: false, header: false });
+
+			const workbook = xlsx.read(readFileSync(path), { cellStyles: true });
+			expect(workbook.Sheets.Codes.A2).toMatchObject({ t: 's', v: '02134' });
+			expect(workbook.Sheets.Codes.B2).toMatchObject({ t: 'n', v: 12 });
+			expect(workbook.Sheets.Raw.A2).toMatchObject({ t: 's', v: '7' });
+			expect(workbook.Sheets.Raw.B2).toMatchObject({ t: 'n', v: 3 });
+			expect(workbook.Sheets.Raw['!autofilter']).toBeUndefined();
+			expect(workbook.Sheets.Raw.A1.s).toMatchObject({ patternType: 'none' });
+
+			writeXlsxFile(path, { Codes: [{ zip: '02134' }] }, { header: 'bold' });
+			const styled = xlsx.read(readFileSync(path), { cellStyles: true });
+			expect(styled.Sheets.Codes.A2).toMatchObject({ t: 's', v: '02134' });
+			expect(styled.Sheets.Codes.A1.s).toMatchObject({ patternType: 'solid' });
+			const zip = xlsx.CFB.read(readFileSync(path), { type: 'buffer' });
+			expect(Buffer.from(xlsx.CFB.find(zip, '/xl/worksheets/sheet1.xml').content).toString('utf8')).not.toContain('<pane');
+
+			expect(() => writeXlsxFile(path, {})).toThrow('writeXlsxFile needs at least one tab');
+		});
+
+		it('should style headers in workbooks whose XML is laid out differently', () => {
+			const workbook = xlsx.utils.book_new();
+			xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['sku', 'qty'], ['A-1', 2]]), 'Stock');
+			xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['note'], ['ok']]), 'Notes');
+			const zip = xlsx.CFB.read(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }), { type: 'buffer' });
+			/** @param {string} file @param {(xml: string) => string} edit */
+			const patch = (file, edit) => {
+				const entry = xlsx.CFB.find(zip, file);
+				entry.content = Buffer.from(edit(Buffer.from(entry.content).toString('utf8')), 'utf8');
+			};
+			// No count attributes, a sheet view with a selection, styles before other attributes, no sheetViews at all
+			patch('/xl/styles.xml', xml => xml.replace(/<(fonts|fills|cellXfs) count="\d+">/g, '<$1 x14ac:knownFonts="1">'));
+			patch('/xl/worksheets/sheet1.xml', xml => xml
+				.replace('<sheetView workbookViewId="0"/>', '<sheetView tabSelected="1" workbookViewId="0"><selection activeCell="B2" sqref="B2"/></sheetView>')
+				.replace('<c r="A1" t="str">', '<c r="A1" t="str" s="0">')
+				.replace('<c r="A2" t="str">', '<c r="A2" t="str" s="0">'));
+			patch('/xl/worksheets/sheet2.xml', xml => xml.replace(/<sheetViews>.*?<\/sheetViews>/, ''));
+
+			const styled = styleHeaders(/** @type {Buffer} */ (xlsx.CFB.write(zip, { fileType: 'zip', type: 'buffer' })), 'bold-frozen');
+			const read = xlsx.read(styled, { cellStyles: true });
+			const styledZip = xlsx.CFB.read(styled, { type: 'buffer' });
+			const xml = (/** @type {string} */ file) => Buffer.from(xlsx.CFB.find(styledZip, file).content).toString('utf8');
+
+			const stock = xml('/xl/worksheets/sheet1.xml');
+			expect(stock).toContain('<c r="A1" t="str" s="1">');
+			expect(stock).toContain('<c r="A2" t="str" s="0">');
+			expect(stock).toContain('<sheetView tabSelected="1" workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>');
+			expect(xml('/xl/worksheets/sheet2.xml')).toContain('<sheetViews><sheetView workbookViewId="0"><pane ySplit="1"');
+			expect(xml('/xl/styles.xml')).toContain('<fonts count="2" x14ac:knownFonts="1">');
+
+			const headerXf = read.Styles.CellXf[1];
+			expect(read.Styles.Fonts[headerXf.fontId]).toMatchObject({ bold: 1 });
+			expect(read.Styles.Fills[headerXf.fillId]).toMatchObject({ patternType: 'solid', fgColor: { rgb: 'D9E2F3' } });
+			expect(read.Sheets.Stock.B1.s).toMatchObject({ patternType: 'solid' });
+			expect(read.Sheets.Stock.A2.s).toMatchObject({ patternType: 'none' });
+			expect(read.Sheets.Notes.A1.s).toMatchObject({ patternType: 'solid' });
+		});
+	});
+
 	describe('Error Handling', () => {
 		it('should handle invalid spreadsheet ID gracefully', async () => {
 			if (global.testConfig.skipIntegrationTests) return;
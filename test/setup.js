@@ -2,7 +2,7 @@
 import { config } from 'dotenv';
 import { existsSync } from 'fs';
 import { resolve } from 'path';
-import { initSheets } from '../src/index.js';
+import { initSheets, createFakeTransport } from '../src/index.js';
 
 // Load environment variables from .env file
 config();
@@ -10,32 +10,34 @@ config();
 // Global test configuration
 global.testConfig = {
   credentialsFile: process.env.GOOGLE_SHEETS_TEST_CREDENTIALS_FILE || 'credentials.json',
-  skipIntegrationTests: false
+  skipIntegrationTests: false,
+  useFakeBackend: process.env.AK_SHEETS_FAKE === 'true'
 };
 
-// Check if credentials file exists
+// Fall back to the in-memory fake backend when no credentials file exists
 const credentialsPath = resolve(global.testConfig.credentialsFile);
 if (!existsSync(credentialsPath)) {
   console.warn(`Warning: Credentials file not found at ${credentialsPath}`);
+  console.warn('Integration tests will run against the in-memory fake backend.');
+  global.testConfig.useFakeBackend = true;
+}
+
+// Config shared by setup and tests that re-initialize the default client
+global.testConfig.sheetsConfig = global.testConfig.useFakeBackend
+  ? { transport: createFakeTransport(), environment: 'test', validateAuth: false }
+  : {
+      credentials: credentialsPath,
+      environment: 'test',
+      maxRetries: 3,        // Reduced for faster tests
+      maxBackoffMs: 10000   // Reduced for faster tests
+    };
+
+// Initialize ak-sheets
+try {
+  await initSheets(global.testConfig.sheetsConfig);
+  console.log(`ak-sheets initialized for integration testing (${global.testConfig.useFakeBackend ? 'fake' : 'live'} backend)`);
+} catch (error) {
+  console.warn(`Warning: Failed to initialize ak-sheets: ${error.message}`);
   console.warn('Integration tests will be skipped.');
   global.testConfig.skipIntegrationTests = true;
 }
-
-// Initialize ak-sheets if credentials are available
-(async () => {
-  if (!global.testConfig.skipIntegrationTests) {
-    try {
-      await initSheets({
-        credentials: credentialsPath,
-        environment: 'test',
-        maxRetries: 3,        // Reduced for faster tests
-        maxBackoffMs: 10000   // Reduced for faster tests
-      });
-      console.log('ak-sheets initialized for integration testing');
-    } catch (error) {
-      console.warn(`Warning: Failed to initialize ak-sheets: ${error.message}`);
-      console.warn('Integration tests will be skipped.');
-      global.testConfig.skipIntegrationTests = true;
-    }
-  }
-})();
\ No newline at end of file